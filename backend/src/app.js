@@ -13,6 +13,7 @@ const apiRoutes = require('./routes');
 const { globalLimiter } = require('./middleware/rateLimiting');
 const { csrfProtection, csrfToken } = require('./middleware/csrfProtection');
 const { inputSanitization } = require('./middleware/inputSanitization');
+const { captureRawBody } = require('./middleware/rawBody');
 
 // Create Express application
 const app = express();
@@ -68,12 +69,12 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token'],
     exposedHeaders: ['X-CSRF-Token']
 };
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parsing (for CSRF tokens)
@@ -126,7 +127,8 @@ app.use(globalLimiter);
 
 // Apply input sanitization (before body parsing results are used)
 app.use(inputSanitization({
-    skipPaths: ['/api/webhooks', '/health'],
+    // Email templates and knowledge documents are HTML by design and are escaped when rendered
+    skipPaths: ['/api/webhooks', '/health', '/api/email/templates', '/api/knowledge/documents'],
     customValidators: {
         // Add custom validators for specific fields if needed
     }
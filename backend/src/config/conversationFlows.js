@@ -0,0 +1,15 @@
+// Conversation Flow Configuration
+// Where intake flow definitions live and which one new sessions use
+
+const path = require('path');
+
+// Directory of flow documents (<name>.v<version>.yaml, .yml or .json)
+const CONVERSATION_FLOW_DIR = process.env.CONVERSATION_FLOW_DIR || path.join(__dirname, '..', 'flows');
+
+// Flow for sessions that do not ask for one
+const DEFAULT_FLOW = process.env.CONVERSATION_DEFAULT_FLOW || 'commercial';
+
+module.exports = {
+    CONVERSATION_FLOW_DIR,
+    DEFAULT_FLOW
+};
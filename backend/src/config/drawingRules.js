@@ -0,0 +1,60 @@
+// Drawing Rules Configuration
+// Bonus entry amounts and per-lead entry caps for drawings
+
+// Entries awarded for each way a lead can earn them
+const ENTRY_TYPES = {
+    base: parseInt(process.env.DRAWING_ENTRIES_BASE, 10) || 1,
+    chat_completed: parseInt(process.env.DRAWING_ENTRIES_CHAT_COMPLETED, 10) || 2,
+    meeting_booked: parseInt(process.env.DRAWING_ENTRIES_MEETING_BOOKED, 10) || 5,
+    referral: parseInt(process.env.DRAWING_ENTRIES_REFERRAL, 10) || 3,
+    newsletter: parseInt(process.env.DRAWING_ENTRIES_NEWSLETTER, 10) || 1
+};
+
+// Maximum total entries a single lead may hold in one drawing, by drawing type
+const MAX_ENTRIES_PER_LEAD = {
+    monthly: parseInt(process.env.DRAWING_MAX_ENTRIES_MONTHLY, 10) || 10,
+    quarterly: parseInt(process.env.DRAWING_MAX_ENTRIES_QUARTERLY, 10) || 20,
+    special: parseInt(process.env.DRAWING_MAX_ENTRIES_SPECIAL, 10) || 5
+};
+
+// Drawing types that run for a calendar period; entries go to the active one of
+// these unless the entrant names a special drawing
+const PERIOD_DRAWING_TYPES = ['monthly', 'quarterly'];
+
+// Entry types that may be awarded more than once per drawing (one per reference)
+const REPEATABLE_ENTRY_TYPES = ['referral'];
+
+/**
+ * Get the per-lead entry cap for a drawing
+ * A drawing may override its type's default via metadata.maxEntriesPerLead
+ * @param {Object} drawing - Drawing record
+ * @returns {number} Maximum entries per lead
+ */
+function getMaxEntriesPerLead(drawing) {
+    const override = parseInt(drawing?.metadata?.maxEntriesPerLead, 10);
+    if (override > 0) {
+        return override;
+    }
+    return MAX_ENTRIES_PER_LEAD[drawing?.type] || MAX_ENTRIES_PER_LEAD.monthly;
+}
+
+/**
+ * Key an award is unique by within a drawing and lead: the entry type, plus
+ * the reference for repeatable types
+ * @param {string} entryType
+ * @param {string|null} reference
+ * @returns {string}
+ */
+function getAwardKey(entryType, reference = null) {
+    const type = entryType || 'base';
+    return REPEATABLE_ENTRY_TYPES.includes(type) ? `${type}:${reference ?? ''}` : type;
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    MAX_ENTRIES_PER_LEAD,
+    PERIOD_DRAWING_TYPES,
+    REPEATABLE_ENTRY_TYPES,
+    getAwardKey,
+    getMaxEntriesPerLead
+};
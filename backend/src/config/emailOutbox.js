@@ -0,0 +1,43 @@
+// Email Outbox Configuration
+// Retry, backoff and polling settings for the outbox worker
+
+// Disabled in tests; set EMAIL_OUTBOX_WORKER_ENABLED=false to run without a worker
+const EMAIL_OUTBOX_WORKER_ENABLED = process.env.EMAIL_OUTBOX_WORKER_ENABLED
+    ? process.env.EMAIL_OUTBOX_WORKER_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test';
+
+// How often the worker looks for due messages
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_POLL_MS, 10) || 15 * 1000;
+
+// Messages claimed per poll
+const BATCH_SIZE = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE, 10) || 20;
+
+// Attempts before a message is dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10) || 8;
+
+// Exponential backoff: BASE_DELAY_MS * 2^(attempts - 1), capped at MAX_DELAY_MS
+const BASE_DELAY_MS = parseInt(process.env.EMAIL_OUTBOX_BASE_DELAY_MS, 10) || 60 * 1000;
+const MAX_DELAY_MS = parseInt(process.env.EMAIL_OUTBOX_MAX_DELAY_MS, 10) || 6 * 60 * 60 * 1000;
+
+// Messages stuck in processing longer than this are returned to the queue
+const PROCESSING_LEASE_MS = parseInt(process.env.EMAIL_OUTBOX_LEASE_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_MS);
+}
+
+module.exports = {
+    EMAIL_OUTBOX_WORKER_ENABLED,
+    POLL_INTERVAL_MS,
+    BATCH_SIZE,
+    MAX_ATTEMPTS,
+    BASE_DELAY_MS,
+    MAX_DELAY_MS,
+    PROCESSING_LEASE_MS,
+    getRetryDelay
+};
@@ -0,0 +1,15 @@
+// Email Template Configuration
+// Where the template registry loads templates from and which locale it falls back to
+
+const path = require('path');
+
+// Directory holding layouts/, partials/ and one folder per template
+const EMAIL_TEMPLATE_DIR = process.env.EMAIL_TEMPLATE_DIR || path.join(__dirname, '..', 'templates', 'email');
+
+// Locale used when a template has no variant for the requested one
+const DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE || 'en';
+
+module.exports = {
+    EMAIL_TEMPLATE_DIR,
+    DEFAULT_LOCALE
+};
@@ -0,0 +1,42 @@
+// Email Transport Configuration
+// Selects and configures the driver used to deliver outgoing email
+
+const path = require('path');
+
+// sendgrid, smtp or file; when unset, development writes to the local mailbox
+// and every other environment sends through SendGrid
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || null;
+
+// Generic SMTP relay (Mailpit, MailHog, Postfix, SendGrid's SMTP relay, ...)
+const SMTP = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null
+};
+
+// Where the file driver writes .eml files
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+// The dev inbox endpoint is never mounted in production
+const DEV_INBOX_ENABLED = process.env.NODE_ENV !== 'production' && (process.env.DEV_INBOX_ENABLED
+    ? process.env.DEV_INBOX_ENABLED === 'true'
+    : process.env.NODE_ENV === 'development');
+
+/**
+ * Resolve the transport for an environment
+ * @param {string} nodeEnv - NODE_ENV the email service is running under
+ * @returns {string} Transport name
+ */
+function getTransportName(nodeEnv) {
+    return EMAIL_TRANSPORT || (nodeEnv === 'development' ? 'file' : 'sendgrid');
+}
+
+module.exports = {
+    EMAIL_TRANSPORT,
+    SMTP,
+    EMAIL_FILE_DIR,
+    DEV_INBOX_ENABLED,
+    getTransportName
+};
@@ -0,0 +1,35 @@
+// Lead Enrichment Configuration
+// Company details looked up from a new lead's email domain
+
+const path = require('path');
+
+// Enrichment can be switched off without removing the dataset
+const ENRICHMENT_ENABLED = process.env.ENRICHMENT_ENABLED !== 'false';
+
+// Where company details come from; local reads a CSV or JSON dataset
+const ENRICHMENT_PROVIDER = process.env.ENRICHMENT_PROVIDER || 'local';
+
+// Dataset of the local provider; .csv files need a domain,name,sizeBand,nonprofit,government header
+const ENRICHMENT_DATASET_PATH = process.env.ENRICHMENT_DATASET_PATH ||
+    path.join(__dirname, '..', 'data', 'companies.json');
+
+// Employee count bands, smallest first; dataset entries with other bands are ignored
+const SIZE_BANDS = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5001+'];
+
+// Bands large enough to treat the organization as an enterprise
+const ENTERPRISE_SIZE_BANDS = ['1001-5000', '5001+'];
+
+// Domain endings that mark an organization when the dataset doesn't know it.
+// Government endings are reliable; .org is only a hint, so the dataset wins.
+const GOVERNMENT_DOMAIN_SUFFIXES = ['.gov', '.mil', '.gov.uk', '.gc.ca', '.gov.au'];
+const NONPROFIT_DOMAIN_SUFFIXES = ['.org', '.ngo', '.org.uk', '.org.au'];
+
+module.exports = {
+    ENRICHMENT_ENABLED,
+    ENRICHMENT_PROVIDER,
+    ENRICHMENT_DATASET_PATH,
+    SIZE_BANDS,
+    ENTERPRISE_SIZE_BANDS,
+    GOVERNMENT_DOMAIN_SUFFIXES,
+    NONPROFIT_DOMAIN_SUFFIXES
+};
@@ -31,6 +31,10 @@ function validateEnvironment(config) {
   
   // Check required variables
   for (const varName of REQUIRED_VARS) {
+    // Only the OpenAI provider needs an OpenAI key
+    if (varName === 'OPENAI_API_KEY' && config.LLM_PROVIDER && config.LLM_PROVIDER !== 'openai') {
+      continue;
+    }
     if (!config[varName]) {
       throw new Error(`Missing required environment variable: ${varName}`);
     }
@@ -62,12 +66,14 @@ function loadEnvironmentConfig() {
     
     // External services
     OPENAI_API_KEY: process.env.OPENAI_API_KEY || (process.env.NODE_ENV === 'test' ? 'test-key' : undefined),
+    LLM_PROVIDER: process.env.LLM_PROVIDER || null,
     SENDGRID_API_KEY: process.env.SENDGRID_API_KEY || (process.env.NODE_ENV === 'test' ? 'test-key' : undefined),
     SENDGRID_FROM_EMAIL: process.env.SENDGRID_FROM_EMAIL || 'hello@servicevision.com',
     
     // Security
     JWT_SECRET: process.env.JWT_SECRET || (process.env.NODE_ENV === 'test' ? 'test-secret' : undefined),
     JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+    JWT_ACCESS_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
     
     // Session/Redis (optional)
     REDIS_URL: process.env.REDIS_URL || null,
@@ -0,0 +1,48 @@
+// Experiment Configuration
+// A/B experiments on chat prompts, quick replies and conversation flows
+//
+// Each experiment enrolls `traffic` percent of new chat sessions and splits them
+// across its variants by `weight` (weights sum to 100). The first variant is the
+// control the others are compared against. Variant overrides:
+//   systemPrompt  - replaces the flow's system prompt in chatService.buildContext
+//   quickReplies  - { <topic>: [replies] } replacing the quick replies for a topic
+//   flow          - { name, version } conversation flow to pin the session to
+// Assignments are sticky: they are stored in ChatSession.metadata.experiments
+// and never recomputed, so editing weights only affects new sessions. Results
+// read the copy kept in the experiment_assignments table.
+
+const EXPERIMENTS = [
+    {
+        key: 'consultative-system-prompt',
+        description: 'Does a more consultative system prompt improve qualification?',
+        status: process.env.EXPERIMENT_CONSULTATIVE_PROMPT === 'running' ? 'running' : 'paused',
+        traffic: 100,
+        variants: [
+            { key: 'control', weight: 50 },
+            {
+                key: 'consultative',
+                weight: 50,
+                overrides: {
+                    systemPrompt: 'You are a senior consultant at ServiceVision, a dual-mission consulting firm serving both for-profit and nonprofit organizations. Open by acknowledging what the client said, explain briefly why each question matters, and ask one question at a time.',
+                    quickReplies: {
+                        businessNeeds: [
+                            'Grow revenue or donations',
+                            'Modernize our website',
+                            'Automate busywork',
+                            'Plan our strategy',
+                            'Something else'
+                        ]
+                    }
+                }
+            }
+        ]
+    }
+];
+
+// p-value below which a difference from control is reported as significant
+const SIGNIFICANCE_LEVEL = parseFloat(process.env.EXPERIMENT_SIGNIFICANCE_LEVEL) || 0.05;
+
+module.exports = {
+    EXPERIMENTS,
+    SIGNIFICANCE_LEVEL
+};
@@ -0,0 +1,34 @@
+// Human Handoff Configuration
+// Live agents taking over chat sessions from the AI assistant
+
+// Socket.IO namespace the agent console connects to with a staff access token
+const AGENT_NAMESPACE = '/agents';
+
+// Staff roles allowed to join conversations
+const AGENT_ROLES = ['admin', 'sales'];
+
+// How long a visitor waits in the queue before the AI carries on without an agent
+const HANDOFF_QUEUE_TIMEOUT_MS = parseInt(process.env.HANDOFF_QUEUE_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+// Visitor messages asking for a person rather than the assistant
+const HUMAN_REQUEST_PATTERNS = [
+    /\b(talk|speak|chat)\s+(to|with)\s+(a\s+|an\s+|someone\s*|somebody\s*)?(real\s+|live\s+)?(human|person|agent|representative|someone|somebody|consultant)\b/i,
+    /\b(real|live)\s+(person|human|agent)\b/i,
+    /\bhuman\s+(agent|being|please)\b/i
+];
+
+// What the visitor is told at each step of the handoff
+const HANDOFF_MESSAGES = {
+    queued: 'Connecting you with a member of our team. This usually takes a minute or two.',
+    joined: (agentName) => `${agentName} from ServiceVision has joined the conversation.`,
+    timeout: 'Everyone on our team is busy right now. I\'ll keep helping, and someone will follow up by email.',
+    returned: 'You\'re back with the ServiceVision assistant.'
+};
+
+module.exports = {
+    AGENT_NAMESPACE,
+    AGENT_ROLES,
+    HANDOFF_QUEUE_TIMEOUT_MS,
+    HUMAN_REQUEST_PATTERNS,
+    HANDOFF_MESSAGES
+};
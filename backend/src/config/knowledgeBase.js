@@ -0,0 +1,44 @@
+// Knowledge Base Configuration
+// Service pages and case studies retrieved into chat answers
+
+const path = require('path');
+
+// Retrieval can be switched off without deleting documents
+const KNOWLEDGE_BASE_ENABLED = process.env.KNOWLEDGE_BASE_ENABLED !== 'false';
+
+// Each instance's on-disk copy of the vector index, rebuilt from the knowledge
+// documents at startup when missing or stale; tests keep the index in memory
+const KNOWLEDGE_INDEX_PATH = process.env.KNOWLEDGE_INDEX_PATH ||
+    (process.env.NODE_ENV === 'test' ? null : path.join(process.cwd(), 'tmp', 'knowledge', 'index.json'));
+
+// How often an instance picks up documents added, changed or deleted through another instance
+const KNOWLEDGE_INDEX_SYNC_MS = parseInt(process.env.KNOWLEDGE_INDEX_SYNC_MS, 10) || 60 * 1000;
+
+// local hashes words into vectors with no external calls; provider uses the
+// embeddings endpoint of the configured LLM provider (OpenAI or OpenAI-compatible).
+// Changing either setting requires a re-index.
+const KNOWLEDGE_EMBEDDINGS = process.env.KNOWLEDGE_EMBEDDINGS || 'local';
+const KNOWLEDGE_EMBEDDING_MODEL = process.env.KNOWLEDGE_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const CHUNKING = {
+    // Target chunk length in characters; paragraphs are never split unless longer
+    size: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10) || 800,
+    // Trailing characters of a chunk repeated at the start of the next
+    overlap: parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP, 10) || 100
+};
+
+const RETRIEVAL = {
+    topK: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 3,
+    // Passages less similar to the question than this are left out
+    minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.2
+};
+
+module.exports = {
+    KNOWLEDGE_BASE_ENABLED,
+    KNOWLEDGE_INDEX_PATH,
+    KNOWLEDGE_INDEX_SYNC_MS,
+    KNOWLEDGE_EMBEDDINGS,
+    KNOWLEDGE_EMBEDDING_MODEL,
+    CHUNKING,
+    RETRIEVAL
+};
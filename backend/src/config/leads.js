@@ -0,0 +1,90 @@
+// Lead Configuration
+// Fields staff may edit, the options of the lead list and duplicate detection
+
+// Fields staff may change through PATCH /api/leads/:id; qualification has its own endpoint
+const UPDATABLE_FIELDS = [
+  'name',
+  'company',
+  'phone',
+  'status',
+  'source',
+  'meetingScheduled',
+  'meetingTime',
+  'metadata'
+];
+
+// Fields a merge copies from the duplicate when the surviving lead has none
+const MERGE_FILLED_FIELDS = ['name', 'company', 'phone', 'meetingTime'];
+
+// Columns the lead list may be sorted by
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'email',
+  'name',
+  'company',
+  'status',
+  'source',
+  'qualificationScore'
+];
+
+// Named date ranges used by the lead dashboard filters
+const DATE_RANGES = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Webmail providers; sharing one says nothing about who a lead works for
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com',
+  'yahoo.com',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'msn.com',
+  'aol.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'protonmail.com',
+  'proton.me',
+  'gmx.com',
+  'mail.com',
+  'yandex.com',
+  'zoho.com'
+];
+
+// Other names for a mail provider's domain
+const EMAIL_DOMAIN_ALIASES = {
+  'googlemail.com': 'gmail.com'
+};
+
+// Providers that ignore dots in the part before the @
+const DOTLESS_EMAIL_DOMAINS = ['gmail.com'];
+
+// Phone numbers match on their last digits, so country codes and formatting don't matter
+const PHONE_MATCH_DIGITS = 10;
+const MIN_PHONE_DIGITS = 7;
+
+// Most possible duplicates listed for one lead
+const MAX_DUPLICATES = 20;
+
+module.exports = {
+  UPDATABLE_FIELDS,
+  MERGE_FILLED_FIELDS,
+  SORTABLE_FIELDS,
+  DATE_RANGES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  FREE_EMAIL_DOMAINS,
+  EMAIL_DOMAIN_ALIASES,
+  DOTLESS_EMAIL_DOMAINS,
+  PHONE_MATCH_DIGITS,
+  MIN_PHONE_DIGITS,
+  MAX_DUPLICATES
+};
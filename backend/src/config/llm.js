@@ -0,0 +1,58 @@
+// LLM Provider Configuration
+// Selects and configures the language model behind the chat assistant
+
+const path = require('path');
+
+// openai, azure, openai-compatible or mock; when unset, OpenAI is used if a key
+// is configured and the chat falls back to keyword responses otherwise
+const LLM_PROVIDER = process.env.LLM_PROVIDER || null;
+
+// Model for OpenAI and OpenAI-compatible servers (Azure uses the deployment name)
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-3.5-turbo';
+
+const AZURE_OPENAI = {
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT || null,
+    apiKey: process.env.AZURE_OPENAI_API_KEY || null,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT || null,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+};
+
+// Local servers exposing the OpenAI API (Ollama, llama.cpp, vLLM, LM Studio, ...)
+const OPENAI_COMPATIBLE = {
+    baseURL: process.env.LLM_BASE_URL || null,
+    apiKey: process.env.LLM_API_KEY || null
+};
+
+// Scripted conversations replayed by the mock provider
+const LLM_MOCK = {
+    fixtureDir: process.env.LLM_MOCK_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'llm'),
+    scenario: process.env.LLM_MOCK_SCENARIO || 'default',
+    // Pause between streamed words so offline development feels like a real model
+    chunkDelayMs: parseInt(process.env.LLM_MOCK_CHUNK_DELAY_MS, 10) || 0
+};
+
+// Structured extraction of organization details from chat messages; fields the
+// model is less confident about than the threshold are not saved
+const ENTITY_EXTRACTION = {
+    enabled: process.env.LLM_ENTITY_EXTRACTION !== 'false',
+    threshold: parseFloat(process.env.ENTITY_CONFIDENCE_THRESHOLD) || 0.7
+};
+
+/**
+ * Resolve the provider for an environment
+ * @param {Object} config - Environment config (for the OpenAI API key)
+ * @returns {string|null} Provider name, or null when no model is configured
+ */
+function getProviderName(config = {}) {
+    return LLM_PROVIDER || (config.OPENAI_API_KEY ? 'openai' : null);
+}
+
+module.exports = {
+    LLM_PROVIDER,
+    LLM_MODEL,
+    AZURE_OPENAI,
+    OPENAI_COMPATIBLE,
+    LLM_MOCK,
+    ENTITY_EXTRACTION,
+    getProviderName
+};
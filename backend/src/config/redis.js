@@ -0,0 +1,33 @@
+// Redis Configuration
+// Shared state for running several backend instances: sessions, Socket.IO
+// broadcasts, rate limits, chat presence and agent handoffs
+
+// REDIS_URL (as provided by Railway) takes precedence over host, port and password
+const REDIS_URL = process.env.REDIS_URL || null;
+const REDIS_HOST = process.env.REDIS_HOST || null;
+const REDIS_PORT = parseInt(process.env.REDIS_PORT, 10) || 6379;
+const REDIS_PASSWORD = process.env.REDIS_PASSWORD || undefined;
+
+// Without a Redis server the in-memory stand-in is used, which only works for a
+// single instance. Tests use it unless REDIS_URL points them at a local Redis.
+const REDIS_ENABLED = Boolean(REDIS_URL || (REDIS_HOST && process.env.NODE_ENV !== 'test'));
+
+// Prefix for every key this application writes, so instances can share a Redis
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'servicevision:';
+
+// A chat session counts as online while its socket refreshes presence within this window
+const PRESENCE_TTL_SECONDS = parseInt(process.env.PRESENCE_TTL_SECONDS, 10) || 90;
+
+// How long a chat session's quick reply selections are kept, matching the session cookie
+const QUICK_REPLY_SESSION_TTL_SECONDS = parseInt(process.env.QUICK_REPLY_SESSION_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+module.exports = {
+    REDIS_URL,
+    REDIS_HOST,
+    REDIS_PORT,
+    REDIS_PASSWORD,
+    REDIS_ENABLED,
+    REDIS_KEY_PREFIX,
+    PRESENCE_TTL_SECONDS,
+    QUICK_REPLY_SESSION_TTL_SECONDS
+};
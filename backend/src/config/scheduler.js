@@ -0,0 +1,36 @@
+// Scheduler Configuration
+// Cron schedules for background jobs run inside the backend process
+
+// Disabled in tests; set SCHEDULER_ENABLED=false to turn off on extra instances
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED
+    ? process.env.SCHEDULER_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test';
+
+// Timezone used to evaluate cron expressions
+const SCHEDULER_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+// How long a job may hold its lock before another instance may take over
+const JOB_LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS, 10) || 10 * 60 * 1000;
+
+// Drawing types opened automatically at the start of each period
+const SCHEDULED_DRAWING_TYPES = (process.env.SCHEDULED_DRAWING_TYPES || 'monthly')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+
+// Cron expressions (minute hour day-of-month month day-of-week)
+const JOB_SCHEDULES = {
+    'drawings:open': process.env.SCHEDULE_DRAWINGS_OPEN || '5 0 * * *',
+    // Special drawings created ahead of their start date wait in draft until then
+    'drawings:activate': process.env.SCHEDULE_DRAWINGS_ACTIVATE || '*/15 * * * *',
+    'drawings:auto-enter': process.env.SCHEDULE_DRAWINGS_AUTO_ENTER || '0 2 * * *',
+    'drawings:close': process.env.SCHEDULE_DRAWINGS_CLOSE || '*/15 * * * *'
+};
+
+module.exports = {
+    SCHEDULER_ENABLED,
+    SCHEDULER_TIMEZONE,
+    JOB_LOCK_TTL_MS,
+    SCHEDULED_DRAWING_TYPES,
+    JOB_SCHEDULES
+};
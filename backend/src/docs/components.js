@@ -0,0 +1,201 @@
+// OpenAPI Components
+// Schemas, responses and security schemes referenced from the path files
+
+const { Lead, User, Drawing, DrawingEntry } = require('../models');
+const { ref, jsonResponse } = require('./helpers');
+const { SIZE_BANDS } = require('../config/enrichment');
+
+// Enum values come from the models so the spec follows schema changes
+const enumOf = (model, attribute) => model.rawAttributes[attribute].values;
+
+const timestamps = {
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string' },
+            message: { type: 'string' }
+        }
+    },
+
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'message'],
+        properties: {
+            error: { type: 'string', example: 'Validation Error' },
+            message: { type: 'string' },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    Lead: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            name: { type: 'string', nullable: true },
+            company: { type: 'string', nullable: true },
+            phone: { type: 'string', nullable: true },
+            qualified: { type: 'boolean' },
+            qualificationScore: { type: 'number', nullable: true },
+            status: { type: 'string', enum: enumOf(Lead, 'status') },
+            source: { type: 'string' },
+            meetingScheduled: { type: 'boolean' },
+            meetingTime: { type: 'string', format: 'date-time', nullable: true },
+            metadata: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    enrichment: ref('LeadEnrichment')
+                }
+            },
+            ...timestamps
+        }
+    },
+
+    LeadEnrichment: {
+        type: 'object',
+        description: 'What the email domain says about the organization, recorded when the lead is created',
+        properties: {
+            domain: { type: 'string' },
+            freeEmail: { type: 'boolean', description: 'Webmail address; nothing is looked up' },
+            company: { type: 'string', nullable: true },
+            sizeBand: { type: 'string', enum: SIZE_BANDS, nullable: true },
+            nonprofit: { type: 'boolean' },
+            government: { type: 'boolean' },
+            organizationType: {
+                type: 'string',
+                enum: ['government', 'nonprofit', 'enterprise'],
+                nullable: true,
+                description: 'Answer the chat uses for its organization type question'
+            },
+            source: {
+                type: 'string',
+                nullable: true,
+                description: 'Provider that knew the domain, or domain for .gov/.org heuristics'
+            },
+            enrichedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    Pagination: {
+        type: 'object',
+        properties: {
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' }
+        }
+    },
+
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            name: { type: 'string', nullable: true },
+            role: { type: 'string', enum: User.ROLES },
+            isActive: { type: 'boolean' },
+            lastLoginAt: { type: 'string', format: 'date-time', nullable: true },
+            ...timestamps
+        }
+    },
+
+    AuthTokens: {
+        type: 'object',
+        properties: {
+            user: ref('User'),
+            accessToken: { type: 'string' },
+            refreshToken: { type: 'string' }
+        }
+    },
+
+    Drawing: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            type: { type: 'string', enum: enumOf(Drawing, 'type') },
+            status: { type: 'string', enum: enumOf(Drawing, 'status') },
+            startDate: { type: 'string', format: 'date-time' },
+            endDate: { type: 'string', format: 'date-time' },
+            prizeDetails: { type: 'object', nullable: true },
+            maxEntriesPerLead: { type: 'integer', nullable: true },
+            ...timestamps
+        }
+    },
+
+    DrawingEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            drawingId: { type: 'integer' },
+            leadId: { type: 'string', format: 'uuid' },
+            entryNumber: { type: 'string' },
+            entryType: { type: 'string', enum: enumOf(DrawingEntry, 'entryType') },
+            entryCount: { type: 'integer' },
+            status: { type: 'string', enum: enumOf(DrawingEntry, 'status') },
+            entryDate: { type: 'string', format: 'date-time' }
+        }
+    },
+
+    Health: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', example: 'healthy' },
+            timestamp: { type: 'string', format: 'date-time' },
+            environment: { type: 'string' }
+        }
+    }
+};
+
+const responses = {
+    BadRequest: jsonResponse('The request is invalid', {
+        oneOf: [ref('Error'), ref('ValidationError')]
+    }),
+    Unauthorized: jsonResponse('Missing or invalid access token', ref('Error')),
+    Forbidden: jsonResponse('Missing role or CSRF token', ref('Error')),
+    NotFound: jsonResponse('The resource does not exist', ref('Error')),
+    Conflict: jsonResponse('The request conflicts with the current state', ref('Error')),
+    TooManyRequests: jsonResponse('Rate limit exceeded', ref('Error'))
+};
+
+const parameters = {
+    CsrfToken: {
+        name: 'X-CSRF-Token',
+        in: 'header',
+        required: true,
+        description: 'Token from GET /api/csrf-token; must match the _csrf cookie',
+        schema: { type: 'string' }
+    }
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Staff access token from POST /api/auth/login'
+    }
+};
+
+module.exports = {
+    schemas,
+    responses,
+    parameters,
+    securitySchemes
+};
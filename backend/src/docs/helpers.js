@@ -0,0 +1,205 @@
+// OpenAPI Helpers
+// Small builders shared by the path files so each operation reads as a summary
+
+/**
+ * Reference a component
+ * @param {string} name - Component name, e.g. 'Lead' or 'responses/NotFound'
+ */
+const ref = (name) => ({
+    $ref: name.includes('/') ? `#/components/${name}` : `#/components/schemas/${name}`
+});
+
+const jsonContent = (schema) => ({
+    'application/json': { schema }
+});
+
+/**
+ * JSON request body
+ */
+const jsonBody = (schema, required = true) => ({
+    required,
+    content: jsonContent(schema)
+});
+
+/**
+ * JSON response with a description
+ */
+const jsonResponse = (description, schema) => ({
+    description,
+    content: jsonContent(schema)
+});
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'query',
+    required: false,
+    description,
+    schema
+});
+
+/**
+ * Shared error responses by status code
+ */
+const errorResponses = (...codes) => {
+    const names = {
+        400: 'BadRequest',
+        401: 'Unauthorized',
+        403: 'Forbidden',
+        404: 'NotFound',
+        409: 'Conflict',
+        429: 'TooManyRequests'
+    };
+    return Object.fromEntries(codes.map(code => [code, ref(`responses/${names[code]}`)]));
+};
+
+// Security requirement of staff routes
+const staffOnly = [{ bearerAuth: [] }];
+
+const CONTRACT_TYPES = {
+    string: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    array: { type: 'array' },
+    object: { type: 'object' }
+};
+
+/**
+ * JSON Schema for one field rule of the shared chat contract
+ */
+const fromContractRule = (rule) => {
+    const schema = { ...CONTRACT_TYPES[rule.type] };
+    const numeric = rule.type === 'integer' || rule.type === 'number';
+    const bounds = numeric
+        ? ['minimum', 'maximum']
+        : rule.type === 'array' ? ['minItems', 'maxItems'] : ['minLength', 'maxLength'];
+
+    if (rule.min !== undefined) schema[bounds[0]] = rule.min;
+    if (rule.max !== undefined) schema[bounds[1]] = rule.max;
+    if (rule.nullable) schema.nullable = true;
+    if (rule.items) schema.items = fromContractRule(rule.items);
+    if (rule.fields) Object.assign(schema, fromContract(rule.fields));
+    return schema;
+};
+
+/**
+ * JSON Schema for a chat contract schema (see @servicevision/chat-contract)
+ * @param {Object} fields - Field rules keyed by field name
+ * @returns {Object} Object schema with properties and required
+ */
+const fromContract = (fields) => {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    const schema = {
+        type: 'object',
+        properties: Object.fromEntries(
+            Object.entries(fields).map(([name, rule]) => [name, fromContractRule(rule)])
+        )
+    };
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    return schema;
+};
+
+const JOI_FORMATS = {
+    email: 'email',
+    guid: 'uuid',
+    uri: 'uri',
+    isoDate: 'date-time'
+};
+
+const JOI_BOUNDS = {
+    string: ['minLength', 'maxLength'],
+    number: ['minimum', 'maximum'],
+    array: ['minItems', 'maxItems'],
+    object: ['minProperties', 'maxProperties']
+};
+
+/**
+ * JSON Schema for a described Joi schema
+ */
+const fromJoiDescription = (description) => {
+    const { type, flags = {}, rules = [], allow = [] } = description;
+
+    if (type === 'alternatives') {
+        return { oneOf: description.matches.map(match => fromJoiDescription(match.schema)) };
+    }
+
+    const schema = type === 'date'
+        ? { type: 'string', format: 'date-time' }
+        : { type: type === 'any' ? 'object' : type };
+
+    for (const rule of rules) {
+        if (rule.name === 'integer') schema.type = 'integer';
+        if (JOI_FORMATS[rule.name]) schema.format = JOI_FORMATS[rule.name];
+        if (rule.name === 'pattern') schema.pattern = rule.args.regex.slice(1, rule.args.regex.lastIndexOf('/'));
+        if (rule.name === 'min' && JOI_BOUNDS[type]) schema[JOI_BOUNDS[type][0]] = rule.args.limit;
+        if (rule.name === 'max' && JOI_BOUNDS[type]) schema[JOI_BOUNDS[type][1]] = rule.args.limit;
+    }
+
+    const values = allow.filter(value => value !== null);
+    if (flags.only) schema.enum = values;
+    if (allow.includes(null)) schema.nullable = true;
+    if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+    if (flags.description) schema.description = flags.description;
+
+    if (description.items) schema.items = fromJoiDescription(description.items[0]);
+    if (description.keys) Object.assign(schema, fromJoiKeys(description.keys));
+    if (description.patterns) schema.additionalProperties = fromJoiDescription(description.patterns[0].rule);
+    if (type === 'object' && flags.unknown) schema.additionalProperties = true;
+
+    return schema;
+};
+
+const fromJoiKeys = (keys) => {
+    const required = Object.keys(keys).filter(name => keys[name].flags?.presence === 'required');
+    const schema = {
+        properties: Object.fromEntries(
+            Object.entries(keys).map(([name, key]) => [name, fromJoiDescription(key)])
+        )
+    };
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    return schema;
+};
+
+/**
+ * JSON Schema for a request schema in src/schemas, so documented bodies are
+ * the ones validateRequest enforces
+ * @param {Joi.Schema} schema
+ * @returns {Object}
+ */
+const fromJoi = (schema) => fromJoiDescription(schema.describe());
+
+/**
+ * JSON request body from a request schema; required unless every field is optional
+ */
+const validatedBody = (schema) => {
+    const description = schema.describe();
+    const required = description.flags?.presence === 'required'
+        || Object.values(description.keys || {}).some(key => key.flags?.presence === 'required');
+    return jsonBody(fromJoi(schema), required);
+};
+
+module.exports = {
+    ref,
+    jsonBody,
+    jsonResponse,
+    pathParam,
+    queryParam,
+    errorResponses,
+    staffOnly,
+    fromContract,
+    fromJoi,
+    validatedBody
+};
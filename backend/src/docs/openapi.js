@@ -0,0 +1,103 @@
+// OpenAPI Specification
+// Assembles the OpenAPI 3 document served at /api/docs from the path files
+
+const { version, description } = require('../../package.json');
+const components = require('./components');
+const { ref, errorResponses } = require('./helpers');
+
+const PATH_GROUPS = [
+    require('./paths/system'),
+    require('./paths/staff'),
+    require('./paths/leads'),
+    require('./paths/chat'),
+    require('./paths/drawing'),
+    require('./paths/webhooks'),
+    require('./paths/admin')
+];
+
+const TAGS = [
+    { name: 'System', description: 'Health, CSRF token and documentation' },
+    { name: 'Auth', description: 'Staff login and tokens' },
+    { name: 'Users', description: 'Staff user management' },
+    { name: 'Leads', description: 'Lead capture and the lead workspace' },
+    { name: 'Chat', description: 'AI intake chat over HTTP; see WEBSOCKET_PROTOCOL.md for the live protocol' },
+    { name: 'Drawing', description: 'Prize drawing entries and administration' },
+    { name: 'Webhooks', description: 'Signed callbacks from Calendly and SendGrid' },
+    { name: 'Jobs', description: 'Scheduled job runs' },
+    { name: 'Email', description: 'Email outbox, suppressions and templates' },
+    { name: 'Experiments', description: 'Conversation experiments' },
+    { name: 'Knowledge', description: 'Knowledge base documents and retrieval' }
+];
+
+// Methods the CSRF middleware checks, and the paths it leaves alone (see app.js)
+const CSRF_METHODS = ['post', 'put', 'patch', 'delete'];
+const CSRF_EXEMPT_PREFIXES = ['/api/webhooks'];
+
+const needsCsrfToken = (path, method) =>
+    CSRF_METHODS.includes(method) && !CSRF_EXEMPT_PREFIXES.some(prefix => path.startsWith(prefix));
+
+/**
+ * Add the CSRF header and its 403 response to state-changing operations
+ */
+const withCsrf = (paths) => Object.fromEntries(
+    Object.entries(paths).map(([path, operations]) => [
+        path,
+        Object.fromEntries(Object.entries(operations).map(([method, operation]) => [
+            method,
+            needsCsrfToken(path, method)
+                ? {
+                    ...operation,
+                    parameters: [ref('parameters/CsrfToken'), ...(operation.parameters || [])],
+                    responses: { ...errorResponses(403), ...operation.responses }
+                }
+                : operation
+        ]))
+    ])
+);
+
+// Operations that take input have it checked by validateRequest (see src/schemas)
+const takesInput = (operation) => Boolean(operation.requestBody)
+    || (operation.parameters || []).some(parameter => parameter.in === 'path' || parameter.in === 'query');
+
+/**
+ * Add the validation error response to operations that take input
+ */
+const withValidation = (paths) => Object.fromEntries(
+    Object.entries(paths).map(([path, operations]) => [
+        path,
+        Object.fromEntries(Object.entries(operations).map(([method, operation]) => [
+            method,
+            takesInput(operation)
+                ? { ...operation, responses: { ...errorResponses(400), ...operation.responses } }
+                : operation
+        ]))
+    ])
+);
+
+let spec = null;
+
+/**
+ * Build the OpenAPI document, once per process
+ * @returns {Object} OpenAPI 3.0 document
+ */
+const getOpenApiSpec = () => {
+    if (!spec) {
+        spec = {
+            openapi: '3.0.3',
+            info: {
+                title: 'ServiceVision API',
+                version,
+                description
+            },
+            servers: [{ url: '/' }],
+            tags: TAGS,
+            paths: withCsrf(withValidation(Object.assign({}, ...PATH_GROUPS))),
+            components
+        };
+    }
+    return spec;
+};
+
+module.exports = {
+    getOpenApiSpec
+};
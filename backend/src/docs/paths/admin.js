@@ -0,0 +1,227 @@
+// Admin Paths
+// Job runs, email outbox and templates, experiments and the knowledge base;
+// every route here requires the admin role
+
+const { EmailOutbox } = require('../../models');
+const { jsonResponse, pathParam, queryParam, errorResponses, staffOnly, validatedBody } = require('../helpers');
+const emailSchemas = require('../../schemas/email');
+const knowledgeSchemas = require('../../schemas/knowledge');
+
+const list = (key) => ({
+    type: 'object',
+    properties: { [key]: { type: 'array', items: { type: 'object' } } }
+});
+
+const removed = jsonResponse('Removed', {
+    type: 'object',
+    properties: { removed: { type: 'boolean' } }
+});
+
+const adminOperation = (tag, summary, operation) => ({
+    tags: [tag],
+    summary,
+    security: staffOnly,
+    ...operation,
+    responses: {
+        ...operation.responses,
+        ...errorResponses(401, 403)
+    }
+});
+
+const templateName = pathParam('name', 'Template name from the registry');
+
+module.exports = {
+    '/api/jobs/runs': {
+        get: adminOperation('Jobs', 'List recent scheduled job runs', {
+            parameters: [
+                queryParam('jobName', 'Only runs of this job'),
+                queryParam('limit', 'Maximum runs, up to 200', { type: 'integer', default: 50, maximum: 200 })
+            ],
+            responses: { 200: jsonResponse('Runs, newest first', list('runs')) }
+        })
+    },
+
+    '/api/email/outbox': {
+        get: adminOperation('Email', 'List outbox messages, newest first', {
+            parameters: [
+                queryParam('status', 'Outbox status', { type: 'string', enum: EmailOutbox.rawAttributes.status.values }),
+                queryParam('limit', 'Maximum messages, up to 200', { type: 'integer', default: 50, maximum: 200 })
+            ],
+            responses: {
+                200: jsonResponse('Messages without their payload', list('messages')),
+                ...errorResponses(400)
+            }
+        })
+    },
+
+    '/api/email/outbox/{id}/retry': {
+        post: adminOperation('Email', 'Requeue a dead-lettered message', {
+            parameters: [pathParam('id', 'Outbox message id')],
+            responses: {
+                200: jsonResponse('The requeued message', { type: 'object' }),
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/email/suppressions': {
+        get: adminOperation('Email', 'List suppressed addresses', {
+            parameters: [queryParam('limit', 'Maximum addresses, up to 500', { type: 'integer', default: 100, maximum: 500 })],
+            responses: { 200: jsonResponse('Suppressed addresses', list('suppressions')) }
+        })
+    },
+
+    '/api/email/suppressions/{email}': {
+        delete: adminOperation('Email', 'Allow sends to a suppressed address again', {
+            parameters: [pathParam('email', 'Suppressed address', { type: 'string', format: 'email' })],
+            responses: {
+                200: removed,
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/email/templates': {
+        get: adminOperation('Email', 'List templates and their file locales', {
+            responses: { 200: jsonResponse('Templates', list('templates')) }
+        })
+    },
+
+    '/api/email/templates/{name}/versions': {
+        get: adminOperation('Email', 'List saved versions of a template', {
+            parameters: [templateName, queryParam('locale', 'Only versions in this locale')],
+            responses: {
+                200: jsonResponse('Versions, newest first', list('versions')),
+                ...errorResponses(404)
+            }
+        }),
+        post: adminOperation('Email', 'Save a new version of a template', {
+            parameters: [templateName],
+            requestBody: validatedBody(emailSchemas.createVersion.body),
+            responses: {
+                201: jsonResponse('The saved version', { type: 'object' }),
+                ...errorResponses(400, 404)
+            }
+        })
+    },
+
+    '/api/email/templates/{name}/versions/{version}/activate': {
+        post: adminOperation('Email', 'Make a saved version the one that is sent', {
+            parameters: [templateName, pathParam('version', 'Version number', { type: 'integer' })],
+            requestBody: validatedBody(emailSchemas.activateVersion.body),
+            responses: {
+                200: jsonResponse('The activated version', { type: 'object' }),
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/email/templates/{name}/revert': {
+        post: adminOperation('Email', 'Go back to the file template for a locale', {
+            parameters: [templateName],
+            requestBody: validatedBody(emailSchemas.revert.body),
+            responses: {
+                200: jsonResponse('Whether a saved version was deactivated', {
+                    type: 'object',
+                    properties: { reverted: { type: 'boolean' } }
+                }),
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/email/templates/{name}/preview': {
+        get: adminOperation('Email', 'View a template rendered with sample data', {
+            parameters: [
+                templateName,
+                queryParam('locale', 'Locale to render'),
+                queryParam('version', 'Saved version to render', { type: 'integer' })
+            ],
+            responses: {
+                200: { description: 'The HTML email', content: { 'text/html': { schema: { type: 'string' } } } },
+                ...errorResponses(404)
+            }
+        }),
+        post: adminOperation('Email', 'Render a template or an unsaved draft', {
+            parameters: [templateName],
+            requestBody: validatedBody(emailSchemas.renderPreview.body),
+            responses: {
+                200: jsonResponse('Rendered subject, HTML and text', {
+                    type: 'object',
+                    properties: {
+                        subject: { type: 'string' },
+                        html: { type: 'string' },
+                        text: { type: 'string' }
+                    }
+                }),
+                ...errorResponses(400, 404)
+            }
+        })
+    },
+
+    '/api/experiments': {
+        get: adminOperation('Experiments', 'List experiment definitions', {
+            responses: { 200: jsonResponse('Experiments and their variants', list('experiments')) }
+        })
+    },
+
+    '/api/experiments/{key}/results': {
+        get: adminOperation('Experiments', 'Compare outcomes per variant', {
+            description: 'Completion, qualification, engagement and meeting bookings per variant.',
+            parameters: [pathParam('key', 'Experiment key')],
+            responses: {
+                200: jsonResponse('Results per variant', { type: 'object' }),
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/knowledge/documents': {
+        get: adminOperation('Knowledge', 'List documents without their content', {
+            responses: { 200: jsonResponse('Documents', list('documents')) }
+        }),
+        post: adminOperation('Knowledge', 'Add and index a markdown or HTML document', {
+            requestBody: validatedBody(knowledgeSchemas.addDocument.body),
+            responses: {
+                201: jsonResponse('The indexed document', { type: 'object' }),
+                ...errorResponses(400)
+            }
+        })
+    },
+
+    '/api/knowledge/documents/{id}': {
+        delete: adminOperation('Knowledge', 'Remove a document and its passages', {
+            parameters: [pathParam('id', 'Document id')],
+            responses: {
+                200: removed,
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/knowledge/documents/{id}/reindex': {
+        post: adminOperation('Knowledge', 'Re-chunk and re-embed one document', {
+            parameters: [pathParam('id', 'Document id')],
+            responses: {
+                200: jsonResponse('The re-indexed document', { type: 'object' }),
+                ...errorResponses(404)
+            }
+        })
+    },
+
+    '/api/knowledge/reindex': {
+        post: adminOperation('Knowledge', 'Rebuild the whole index', {
+            responses: { 200: jsonResponse('Documents and passages indexed', { type: 'object' }) }
+        })
+    },
+
+    '/api/knowledge/search': {
+        get: adminOperation('Knowledge', 'Preview what the assistant would retrieve for a question', {
+            parameters: [{ ...queryParam('q', 'The question'), required: true }],
+            responses: {
+                200: jsonResponse('Matching passages, best first', list('passages')),
+                ...errorResponses(400)
+            }
+        })
+    }
+};
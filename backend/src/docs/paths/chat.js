@@ -0,0 +1,172 @@
+// Chat Paths
+// Routes of the shared chat contract are generated from its schemas
+
+const { CHAT_BASE_PATH, CHAT_ROUTES, CHAT_SCHEMAS } = require('@servicevision/chat-contract');
+const { ref, jsonBody, jsonResponse, pathParam, errorResponses, fromContract, validatedBody } = require('../helpers');
+const schemas = require('../../schemas/chat');
+
+const sessionId = pathParam('sessionId', 'Chat session id');
+
+// '/session/:sessionId/summary' -> '/api/chat/session/{sessionId}/summary'
+const contractPath = (name) => CHAT_BASE_PATH + CHAT_ROUTES[name].path.replace(/:(\w+)/g, '{$1}');
+
+const sessionState = {
+    type: 'object',
+    description: 'Conversation state: flow, current step and collected answers'
+};
+
+module.exports = {
+    [contractPath('startSession')]: {
+        post: {
+            tags: ['Chat'],
+            summary: 'Start a chat session',
+            description: 'Optional flow and flowVersion pin the session to an intake flow; ' +
+                'the latest version of the default flow is used otherwise.',
+            requestBody: jsonBody(fromContract(CHAT_SCHEMAS.startSession.request), false),
+            responses: {
+                201: jsonResponse('The new session', fromContract(CHAT_SCHEMAS.startSession.response)),
+                ...errorResponses(400)
+            }
+        }
+    },
+
+    [contractPath('sendMessage')]: {
+        post: {
+            tags: ['Chat'],
+            summary: 'Send a visitor message and get the assistant reply',
+            requestBody: jsonBody(fromContract(CHAT_SCHEMAS.sendMessage.request)),
+            responses: {
+                200: jsonResponse('The assistant reply', fromContract(CHAT_SCHEMAS.sendMessage.response)),
+                ...errorResponses(400, 404, 429)
+            }
+        }
+    },
+
+    '/api/chat/flows': {
+        get: {
+            tags: ['Chat'],
+            summary: 'List available conversation flows',
+            responses: {
+                200: jsonResponse('Flow names and versions', {
+                    type: 'object',
+                    properties: { flows: { type: 'array', items: { type: 'object' } } }
+                })
+            }
+        }
+    },
+
+    '/api/chat/session/{sessionId}': {
+        get: {
+            tags: ['Chat'],
+            summary: 'Get session details',
+            parameters: [sessionId],
+            responses: {
+                200: jsonResponse('The session', {
+                    type: 'object',
+                    properties: {
+                        sessionId: { type: 'string' },
+                        state: sessionState,
+                        completionRate: { type: 'number' },
+                        leadQualified: { type: 'boolean' },
+                        lead: { allOf: [ref('Lead')], nullable: true }
+                    }
+                }),
+                ...errorResponses(404)
+            }
+        },
+        put: {
+            tags: ['Chat'],
+            summary: 'Answer questions of the session\'s flow',
+            description: 'Each answer is checked against its question; the conversation state itself cannot be set.',
+            parameters: [sessionId],
+            requestBody: validatedBody(schemas.updateSession.body),
+            responses: {
+                200: jsonResponse('The updated session', {
+                    type: 'object',
+                    properties: {
+                        sessionId: { type: 'string' },
+                        state: sessionState,
+                        message: { type: 'string' }
+                    }
+                }),
+                ...errorResponses(400, 404)
+            }
+        }
+    },
+
+    '/api/chat/session/{sessionId}/history': {
+        get: {
+            tags: ['Chat'],
+            summary: 'Get the messages of a session',
+            parameters: [sessionId],
+            responses: {
+                200: jsonResponse('Messages, oldest first', {
+                    type: 'object',
+                    properties: {
+                        sessionId: { type: 'string' },
+                        messages: { type: 'array', items: { type: 'object' } }
+                    }
+                }),
+                ...errorResponses(404)
+            }
+        }
+    },
+
+    [contractPath('getSummary')]: {
+        get: {
+            tags: ['Chat'],
+            summary: 'Get the executive summary of a session',
+            parameters: [sessionId],
+            responses: {
+                200: jsonResponse('The summary as text, HTML and data', fromContract(CHAT_SCHEMAS.getSummary.response)),
+                ...errorResponses(400, 404)
+            }
+        }
+    },
+
+    '/api/chat/session/{sessionId}/send-summary': {
+        post: {
+            tags: ['Chat'],
+            summary: 'Email the executive summary to the lead',
+            parameters: [sessionId],
+            responses: {
+                200: jsonResponse('The summary was sent', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        message: { type: 'string' }
+                    }
+                }),
+                500: jsonResponse('The email could not be sent', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        error: { type: 'string' }
+                    }
+                }),
+                ...errorResponses(400, 404, 429)
+            }
+        }
+    },
+
+    '/api/chat/session/{sessionId}/qualification': {
+        get: {
+            tags: ['Chat'],
+            summary: 'Get the lead qualification of a session',
+            parameters: [sessionId],
+            responses: {
+                200: jsonResponse('Qualification score and missing answers', {
+                    type: 'object',
+                    properties: {
+                        sessionId: { type: 'string' },
+                        qualified: { type: 'boolean' },
+                        score: { type: 'number' },
+                        missingInfo: { type: 'array', items: { type: 'string' } },
+                        readyForSales: { type: 'boolean' }
+                    }
+                }),
+                ...errorResponses(404)
+            }
+        }
+    }
+};
@@ -0,0 +1,151 @@
+// Drawing Paths
+// Public entry and fairness report, staff drawing administration
+
+const { ref, jsonResponse, pathParam, queryParam, errorResponses, staffOnly, validatedBody } = require('../helpers');
+const schemas = require('../../schemas/drawing');
+
+const drawingId = pathParam('id', 'Drawing id', { type: 'integer', minimum: 1 });
+
+const drawingStats = {
+    type: 'object',
+    description: 'The drawing with entry counts and its winner, if drawn'
+};
+
+module.exports = {
+    '/api/drawing/enter': {
+        post: {
+            tags: ['Drawing'],
+            summary: 'Enter the current drawing',
+            description: 'Creates the lead when the email is new. Newsletter sign-up earns bonus entries, ' +
+                'and a new lead referred by an existing one earns the referrer entries. Entries go to the ' +
+                'active monthly or quarterly drawing unless drawingId names an active special drawing.',
+            requestBody: validatedBody(schemas.enter.body),
+            responses: {
+                201: jsonResponse('The entry and the lead\'s total entries', {
+                    type: 'object',
+                    properties: {
+                        entry: ref('DrawingEntry'),
+                        totalEntries: { type: 'integer' }
+                    }
+                }),
+                ...errorResponses(400, 429)
+            }
+        }
+    },
+
+    '/api/drawing/{id}/verify': {
+        get: {
+            tags: ['Drawing'],
+            summary: 'Public fairness report of a drawing',
+            parameters: [drawingId],
+            responses: {
+                200: jsonResponse('Seed commitment, entrant hash and winner selection', { type: 'object' }),
+                ...errorResponses(404)
+            }
+        }
+    },
+
+    '/api/drawing': {
+        get: {
+            tags: ['Drawing'],
+            summary: 'List drawings with their statistics',
+            security: staffOnly,
+            parameters: [
+                queryParam('status', 'Drawing status'),
+                queryParam('type', 'Drawing type')
+            ],
+            responses: {
+                200: jsonResponse('Drawings', {
+                    type: 'object',
+                    properties: { drawings: { type: 'array', items: drawingStats } }
+                }),
+                ...errorResponses(400, 401)
+            }
+        },
+        post: {
+            tags: ['Drawing'],
+            summary: 'Create a special drawing',
+            description: 'Requires the admin role.',
+            security: staffOnly,
+            requestBody: validatedBody(schemas.create.body),
+            responses: {
+                201: jsonResponse('The created drawing', ref('Drawing')),
+                ...errorResponses(400, 401, 403)
+            }
+        }
+    },
+
+    '/api/drawing/{id}': {
+        get: {
+            tags: ['Drawing'],
+            summary: 'Get a drawing with its statistics',
+            security: staffOnly,
+            parameters: [drawingId],
+            responses: {
+                200: jsonResponse('The drawing', drawingStats),
+                ...errorResponses(401, 404)
+            }
+        }
+    },
+
+    '/api/drawing/{id}/activate': {
+        post: {
+            tags: ['Drawing'],
+            summary: 'Activate a draft drawing',
+            description: 'Opens a special drawing for entries before its start date; drafts are otherwise activated once it passes. Requires the admin role.',
+            security: staffOnly,
+            parameters: [drawingId],
+            responses: {
+                200: jsonResponse('The activated drawing', ref('Drawing')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/drawing/{id}/cancel': {
+        post: {
+            tags: ['Drawing'],
+            summary: 'Cancel a drawing',
+            description: 'Requires the admin role.',
+            security: staffOnly,
+            parameters: [drawingId],
+            requestBody: validatedBody(schemas.cancel.body),
+            responses: {
+                200: jsonResponse('The cancelled drawing', ref('Drawing')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/drawing/{id}/redraw': {
+        post: {
+            tags: ['Drawing'],
+            summary: 'Redraw the winner of a completed drawing',
+            description: 'Requires the admin role.',
+            security: staffOnly,
+            parameters: [drawingId],
+            requestBody: validatedBody(schemas.redraw.body),
+            responses: {
+                200: jsonResponse('The new winner', { type: 'object' }),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/drawing/{id}/entrants.csv': {
+        get: {
+            tags: ['Drawing'],
+            summary: 'Export the entrants of a drawing as CSV',
+            description: 'Requires the admin or sales role.',
+            security: staffOnly,
+            parameters: [drawingId],
+            responses: {
+                200: {
+                    description: 'One row per entry',
+                    content: { 'text/csv': { schema: { type: 'string' } } }
+                },
+                ...errorResponses(401, 403, 404)
+            }
+        }
+    }
+};
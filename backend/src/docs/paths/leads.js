@@ -0,0 +1,201 @@
+// Lead Paths
+// Public lead capture and the staff lead workspace
+
+const { ref, jsonResponse, pathParam, queryParam, errorResponses, staffOnly, validatedBody } = require('../helpers');
+const schemas = require('../../schemas/leads');
+
+const leadId = pathParam('id', 'Lead id or email address');
+
+module.exports = {
+    '/api/leads': {
+        post: {
+            tags: ['Leads'],
+            summary: 'Create a lead',
+            description: 'An address that already belongs to a lead, written the same or differently ' +
+                '(case, +tag, Gmail dots) or merged into another lead, is confirmed without creating a lead ' +
+                'or revealing the existing one.',
+            requestBody: validatedBody(schemas.create.body),
+            responses: {
+                200: jsonResponse('The address already belongs to a lead', {
+                    type: 'object',
+                    properties: {
+                        email: { type: 'string', format: 'email' }
+                    }
+                }),
+                201: jsonResponse('The created lead', ref('Lead')),
+                ...errorResponses(400)
+            }
+        },
+        get: {
+            tags: ['Leads'],
+            summary: 'List leads with pagination, filters and sorting',
+            security: staffOnly,
+            parameters: [
+                queryParam('page', 'Page number, from 1', { type: 'integer', minimum: 1 }),
+                queryParam('limit', 'Page size', { type: 'integer', minimum: 1 }),
+                queryParam('sortBy', 'Field to sort by'),
+                queryParam('sortOrder', 'Sort direction', { type: 'string', enum: ['asc', 'desc'] }),
+                queryParam('status', 'Lead status, or all'),
+                queryParam('isQualified', 'Only qualified or unqualified leads', { type: 'boolean' }),
+                queryParam('source', 'Lead source, or all'),
+                queryParam('dateRange', 'Created within a preset range'),
+                queryParam('startDate', 'Created on or after', { type: 'string', format: 'date' }),
+                queryParam('endDate', 'Created on or before', { type: 'string', format: 'date' }),
+                queryParam('search', 'Matches email, name or company')
+            ],
+            responses: {
+                200: jsonResponse('A page of leads', {
+                    type: 'object',
+                    properties: {
+                        leads: { type: 'array', items: ref('Lead') },
+                        pagination: ref('Pagination')
+                    }
+                }),
+                ...errorResponses(401)
+            }
+        }
+    },
+
+    '/api/leads/{id}': {
+        get: {
+            tags: ['Leads'],
+            summary: 'Get a lead with its notes and sessions',
+            security: staffOnly,
+            parameters: [leadId],
+            responses: {
+                200: jsonResponse('The lead', ref('Lead')),
+                ...errorResponses(401, 404)
+            }
+        },
+        patch: {
+            tags: ['Leads'],
+            summary: 'Update a lead',
+            description: 'Requires the admin or sales role. Changes are recorded in the lead history.',
+            security: staffOnly,
+            parameters: [leadId],
+            requestBody: validatedBody(schemas.update.body),
+            responses: {
+                200: jsonResponse('The updated lead', ref('Lead')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags: ['Leads'],
+            summary: 'Delete a lead',
+            description: 'Requires the admin role. Entries in drawings not yet drawn are removed, and chat sessions ' +
+                'and email events are detached from the lead. A lead that won a drawing or has entries in a ' +
+                'completed drawing cannot be deleted.',
+            security: staffOnly,
+            parameters: [leadId],
+            responses: {
+                204: { description: 'The lead was deleted' },
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/notes': {
+        post: {
+            tags: ['Leads'],
+            summary: 'Add a note to a lead',
+            security: staffOnly,
+            parameters: [leadId],
+            requestBody: validatedBody(schemas.addNote.body),
+            responses: {
+                201: jsonResponse('The lead with the new note', ref('Lead')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/qualify': {
+        post: {
+            tags: ['Leads'],
+            summary: 'Manually qualify a lead',
+            security: staffOnly,
+            parameters: [leadId],
+            requestBody: validatedBody(schemas.qualify.body),
+            responses: {
+                200: jsonResponse('The qualified lead', ref('Lead')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/history': {
+        get: {
+            tags: ['Leads'],
+            summary: 'Get the change history of a lead',
+            security: staffOnly,
+            parameters: [leadId],
+            responses: {
+                200: jsonResponse('History entries, newest first', {
+                    type: 'object',
+                    properties: { history: { type: 'array', items: { type: 'object' } } }
+                }),
+                ...errorResponses(401, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/duplicates': {
+        get: {
+            tags: ['Leads'],
+            summary: 'List leads that look like the same person',
+            description: 'Matches on the normalized email address, the phone number, or the same name ' +
+                'at the same organization email domain.',
+            security: staffOnly,
+            parameters: [leadId],
+            responses: {
+                200: jsonResponse('Possible duplicates, oldest first', {
+                    type: 'object',
+                    properties: {
+                        duplicates: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    lead: ref('Lead'),
+                                    reasons: {
+                                        type: 'array',
+                                        items: { type: 'string', enum: ['email', 'phone', 'name_domain'] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }),
+                ...errorResponses(401, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/merge': {
+        post: {
+            tags: ['Leads'],
+            summary: 'Merge a duplicate into a lead',
+            description: 'Moves the duplicate\'s chat sessions, drawing entries, notes, history and email events ' +
+                'to the lead, fills its blank fields and deletes the duplicate. The merge is recorded in the history.',
+            security: staffOnly,
+            parameters: [leadId],
+            requestBody: validatedBody(schemas.merge.body),
+            responses: {
+                200: jsonResponse('The merged lead with its notes and sessions', ref('Lead')),
+                ...errorResponses(400, 401, 403, 404)
+            }
+        }
+    },
+
+    '/api/leads/{id}/email-events': {
+        get: {
+            tags: ['Leads'],
+            summary: 'Get email delivery and engagement for a lead',
+            security: staffOnly,
+            parameters: [leadId],
+            responses: {
+                200: jsonResponse('Email events and engagement totals', { type: 'object' }),
+                ...errorResponses(401, 404)
+            }
+        }
+    }
+};
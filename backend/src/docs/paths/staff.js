@@ -0,0 +1,100 @@
+// Staff Paths
+// Login, token refresh and staff user management
+
+const { User } = require('../../models');
+const { ref, jsonResponse, pathParam, errorResponses, staffOnly, validatedBody } = require('../helpers');
+const authSchemas = require('../../schemas/auth');
+const userSchemas = require('../../schemas/users');
+
+module.exports = {
+    '/api/auth/login': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Log in with email and password',
+            requestBody: validatedBody(authSchemas.login.body),
+            responses: {
+                200: jsonResponse('The user and a token pair', ref('AuthTokens')),
+                ...errorResponses(400, 401, 429)
+            }
+        }
+    },
+
+    '/api/auth/refresh': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Exchange a refresh token for a new token pair',
+            requestBody: validatedBody(authSchemas.refresh.body),
+            responses: {
+                200: jsonResponse('The user and a new token pair', ref('AuthTokens')),
+                ...errorResponses(400, 401, 429)
+            }
+        }
+    },
+
+    '/api/auth/logout': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Log out and revoke all outstanding tokens',
+            security: staffOnly,
+            responses: {
+                204: { description: 'Logged out' },
+                ...errorResponses(401)
+            }
+        }
+    },
+
+    '/api/auth/me': {
+        get: {
+            tags: ['Auth'],
+            summary: 'Get the current user',
+            security: staffOnly,
+            responses: {
+                200: jsonResponse('The current user', ref('User')),
+                ...errorResponses(401)
+            }
+        }
+    },
+
+    '/api/users': {
+        get: {
+            tags: ['Users'],
+            summary: 'List staff users',
+            description: 'Requires the admin role.',
+            security: staffOnly,
+            responses: {
+                200: jsonResponse('Staff users', {
+                    type: 'object',
+                    properties: { users: { type: 'array', items: ref('User') } }
+                }),
+                ...errorResponses(401, 403)
+            }
+        },
+        post: {
+            tags: ['Users'],
+            summary: 'Create a staff user',
+            description: 'Requires the admin role.',
+            security: staffOnly,
+            requestBody: validatedBody(userSchemas.create.body),
+            responses: {
+                201: jsonResponse('The created user', ref('User')),
+                ...errorResponses(400, 401, 403)
+            }
+        }
+    },
+
+    '/api/users/{id}': {
+        patch: {
+            tags: ['Users'],
+            summary: 'Change a staff user\'s name, role or active flag',
+            description: 'Requires the admin role. Outstanding tokens of the user are revoked. ' +
+                'Demoting or deactivating the last active admin is refused with 409.',
+            security: staffOnly,
+            parameters: [pathParam('id', 'User id', { type: 'string', format: 'uuid' })],
+            requestBody: validatedBody(userSchemas.update.body),
+            responses: {
+                200: jsonResponse('The updated user', ref('User')),
+                ...errorResponses(400, 401, 403, 404, 409)
+            }
+        }
+    }
+};
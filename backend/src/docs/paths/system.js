@@ -0,0 +1,69 @@
+// System Paths
+// Health check, CSRF token, the API index and these docs
+
+const { ref, jsonResponse } = require('../helpers');
+
+module.exports = {
+    '/health': {
+        get: {
+            tags: ['System'],
+            summary: 'Health check',
+            responses: {
+                200: jsonResponse('The API is up', ref('Health'))
+            }
+        }
+    },
+
+    '/api/csrf-token': {
+        get: {
+            tags: ['System'],
+            summary: 'Get a CSRF token',
+            description: 'Sets the _csrf cookie. Send the token back in the X-CSRF-Token header ' +
+                'on every POST, PUT, PATCH and DELETE request outside /api/webhooks.',
+            responses: {
+                200: jsonResponse('The token in the _csrf cookie', {
+                    type: 'object',
+                    properties: { token: { type: 'string' } }
+                })
+            }
+        }
+    },
+
+    '/api': {
+        get: {
+            tags: ['System'],
+            summary: 'API index',
+            responses: {
+                200: jsonResponse('Route groups and where to find these docs', {
+                    type: 'object',
+                    properties: {
+                        message: { type: 'string' },
+                        endpoints: { type: 'object', additionalProperties: { type: 'string' } },
+                        documentation: { type: 'string' },
+                        health: { type: 'string' }
+                    }
+                })
+            }
+        }
+    },
+
+    '/api/docs': {
+        get: {
+            tags: ['System'],
+            summary: 'Interactive API documentation',
+            responses: {
+                200: { description: 'Swagger UI', content: { 'text/html': { schema: { type: 'string' } } } }
+            }
+        }
+    },
+
+    '/api/docs/openapi.json': {
+        get: {
+            tags: ['System'],
+            summary: 'This OpenAPI document',
+            responses: {
+                200: jsonResponse('OpenAPI 3 document', { type: 'object' })
+            }
+        }
+    }
+};
@@ -0,0 +1,79 @@
+// Webhook Paths
+// Signed callbacks from Calendly and SendGrid; these skip CSRF protection
+
+const { ref, jsonResponse, errorResponses, validatedBody } = require('../helpers');
+const schemas = require('../../schemas/webhooks');
+
+const webhookResult = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' }
+    }
+};
+
+const signatureHeader = (name, description) => ({
+    name,
+    in: 'header',
+    required: true,
+    description,
+    schema: { type: 'string' }
+});
+
+module.exports = {
+    '/api/webhooks/calendly': {
+        post: {
+            tags: ['Webhooks'],
+            summary: 'Calendly invitee.created and invitee.canceled events',
+            description: 'Booked meetings update the lead and award bonus drawing entries; ' +
+                'other events are acknowledged without processing.',
+            parameters: [
+                signatureHeader('X-Calendly-Hook-Signature', 'HMAC-SHA256 of the JSON body with CALENDLY_WEBHOOK_SECRET')
+            ],
+            requestBody: validatedBody(schemas.calendly.body),
+            responses: {
+                200: jsonResponse('The event was processed or acknowledged', webhookResult),
+                401: jsonResponse('Missing or invalid signature', ref('Error')),
+                ...errorResponses(429)
+            }
+        }
+    },
+
+    '/api/webhooks/calendly/health': {
+        get: {
+            tags: ['Webhooks'],
+            summary: 'Calendly webhook health check',
+            responses: {
+                200: jsonResponse('The webhook receiver is up', {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', example: 'ok' },
+                        service: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        }
+    },
+
+    '/api/webhooks/sendgrid': {
+        post: {
+            tags: ['Webhooks'],
+            summary: 'SendGrid event webhook',
+            description: 'Delivery, bounce, open and click events update the outbox, suppressions and lead engagement.',
+            parameters: [
+                signatureHeader('X-Twilio-Email-Event-Webhook-Signature', 'ECDSA signature of the raw body'),
+                signatureHeader('X-Twilio-Email-Event-Webhook-Timestamp', 'Timestamp included in the signature')
+            ],
+            requestBody: validatedBody(schemas.sendgrid.body),
+            responses: {
+                200: jsonResponse('Counts of processed and skipped events', {
+                    type: 'object',
+                    properties: { received: { type: 'boolean' } }
+                }),
+                401: jsonResponse('Invalid signature', ref('Error')),
+                ...errorResponses(400, 429)
+            }
+        }
+    }
+};
@@ -0,0 +1,12 @@
+// Starts Swagger UI on the docs page; the spec is served next to it
+window.onload = function () {
+    var base = window.location.pathname.replace(/\/$/, '');
+
+    window.ui = SwaggerUIBundle({
+        url: base + '/openapi.json',
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        presets: [SwaggerUIBundle.presets.apis],
+        layout: 'BaseLayout'
+    });
+};
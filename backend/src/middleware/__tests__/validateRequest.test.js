@@ -0,0 +1,84 @@
+// Request Validation Middleware Tests
+
+const request = require('supertest');
+const express = require('express');
+const Joi = require('joi');
+const { validateRequest } = require('../validateRequest');
+const errorHandler = require('../errorHandler');
+
+describe('Request Validation Middleware', () => {
+  let app;
+
+  const schemas = {
+    params: Joi.object({
+      id: Joi.number().integer().min(1).required()
+    }),
+    query: Joi.object({
+      verbose: Joi.boolean()
+    }),
+    body: Joi.object({
+      name: Joi.string().trim().required(),
+      tags: Joi.array().items(Joi.string()).default([])
+    })
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.post('/items/:id', validateRequest(schemas), (req, res) => {
+      res.json({ params: req.params, query: req.query, body: req.body });
+    });
+    app.use(errorHandler);
+  });
+
+  test('should coerce types, trim strings and apply defaults', async () => {
+    const response = await request(app)
+      .post('/items/42?verbose=true')
+      .send({ name: '  Widget  ' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      params: { id: 42 },
+      query: { verbose: true },
+      body: { name: 'Widget', tags: [] }
+    });
+  });
+
+  test('should strip unknown fields', async () => {
+    const response = await request(app)
+      .post('/items/1?admin=true')
+      .send({ name: 'Widget', qualified: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.query).toEqual({});
+    expect(response.body.body).not.toHaveProperty('qualified');
+  });
+
+  test('should report every failure in one 400 response', async () => {
+    const response = await request(app)
+      .post('/items/abc?verbose=maybe')
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation Error');
+    expect(response.body.details).toEqual([
+      expect.objectContaining({ location: 'params', path: 'id' }),
+      expect.objectContaining({ location: 'query', path: 'verbose' }),
+      expect.objectContaining({ location: 'body', path: 'name' })
+    ]);
+    expect(response.body.message).toContain('"name" is required');
+  });
+
+  test('should only check the parts it has schemas for', async () => {
+    app = express();
+    app.use(express.json());
+    app.post('/raw', validateRequest({ query: Joi.object({ page: Joi.number() }) }), (req, res) => {
+      res.json(req.body);
+    });
+
+    const response = await request(app).post('/raw?page=2').send({ anything: 'goes' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ anything: 'goes' });
+  });
+});
@@ -0,0 +1,42 @@
+// Authentication Middleware
+// Verifies staff JWTs and enforces role-based access
+
+const authService = require('../services/authService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Require a valid access token in the Authorization header
+const authenticate = async (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    req.user = await authService.verifyToken(token, 'access');
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to the given roles (use after authenticate)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -36,6 +36,20 @@ module.exports = (err, req, res, next) => {
         });
     }
 
+    if (err.name === 'ForbiddenError') {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: err.message
+        });
+    }
+
+    if (err.name === 'ConflictError') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: err.message
+        });
+    }
+
     if (err.name === 'SequelizeValidationError') {
         return res.status(400).json({
             error: 'Database Validation Error',
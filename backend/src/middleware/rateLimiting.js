@@ -2,10 +2,30 @@
 // Protects API endpoints from abuse and brute force attacks
 
 const rateLimit = require('express-rate-limit');
+const { RedisStore } = require('rate-limit-redis');
 const logger = require('../utils/logger');
+const { getRedisClient, redisKey } = require('../utils/redis');
+const { REDIS_ENABLED } = require('../config/redis');
+
+// Count in Redis when it is configured, so a limit holds across all instances;
+// otherwise each limiter keeps express-rate-limit's in-memory store
+const redisStore = (name) => {
+  if (!REDIS_ENABLED) {
+    return {};
+  }
+
+  const client = getRedisClient();
+  return {
+    store: new RedisStore({
+      sendCommand: (...args) => client.sendCommand(args),
+      prefix: `${redisKey('rl', name)}:`
+    })
+  };
+};
 
 // Global rate limiter - applied to all routes
 const globalLimiter = rateLimit({
+  ...redisStore('global'),
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
@@ -31,6 +51,7 @@ const globalLimiter = rateLimit({
 
 // Strict rate limiter for authentication endpoints
 const authLimiter = rateLimit({
+  ...redisStore('auth'),
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // Limit each IP to 5 requests per windowMs
   message: 'Too many authentication attempts, please try again later.',
@@ -41,6 +62,7 @@ const authLimiter = rateLimit({
 
 // Moderate rate limiter for API endpoints
 const apiLimiter = rateLimit({
+  ...redisStore('api'),
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // Limit each IP to 30 requests per minute
   message: 'API rate limit exceeded.',
@@ -50,6 +72,7 @@ const apiLimiter = rateLimit({
 
 // Strict rate limiter for chat endpoints
 const chatLimiter = rateLimit({
+  ...redisStore('chat'),
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 20, // Limit each IP to 20 messages per minute
   message: 'Chat rate limit exceeded. Please slow down.',
@@ -63,6 +86,7 @@ const chatLimiter = rateLimit({
 
 // Very strict rate limiter for webhook endpoints
 const webhookLimiter = rateLimit({
+  ...redisStore('webhook'),
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 10, // Limit each IP to 10 webhook calls per minute
   message: 'Webhook rate limit exceeded.',
@@ -77,6 +101,7 @@ const webhookLimiter = rateLimit({
 
 // Email sending rate limiter
 const emailLimiter = rateLimit({
+  ...redisStore('email'),
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // Limit each IP to 10 email sends per hour
   message: 'Email sending limit exceeded. Please try again later.',
@@ -90,6 +115,7 @@ const emailLimiter = rateLimit({
 
 // Drawing entry rate limiter
 const drawingLimiter = rateLimit({
+  ...redisStore('drawing'),
   windowMs: 24 * 60 * 60 * 1000, // 24 hours
   max: 1, // Limit each email to 1 entry per day
   message: 'You have already entered the drawing today. Please try again tomorrow.',
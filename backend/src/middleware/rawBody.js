@@ -0,0 +1,15 @@
+// Raw Body Capture
+// Keeps the unparsed request body for webhooks whose signatures cover the exact bytes sent
+
+const WEBHOOK_PATH_PREFIX = '/api/webhooks';
+
+// Used as the `verify` option of express.json()
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith(WEBHOOK_PATH_PREFIX)) {
+    req.rawBody = buf;
+  }
+};
+
+module.exports = {
+  captureRawBody
+};
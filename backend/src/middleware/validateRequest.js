@@ -0,0 +1,50 @@
+// Request Validation Middleware
+// Checks route parameters, query and body against the route's schemas in src/schemas
+
+const { ValidationError } = require('../utils/errors');
+
+const SOURCES = ['params', 'query', 'body'];
+
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true
+};
+
+/**
+ * Validate a request against its route schemas, replacing each validated part
+ * with the result: types coerced, strings trimmed, defaults applied and unknown
+ * fields dropped. Failures reach errorHandler as one ValidationError.
+ * @param {Object} schemas - Joi schemas keyed by params, query and/or body
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const source of SOURCES) {
+      if (!schemas[source]) continue;
+
+      const { value, error } = schemas[source].validate(req[source] ?? {}, OPTIONS);
+      if (error) {
+        errors.push(...error.details.map(detail => ({
+          location: source,
+          path: detail.path.join('.'),
+          message: detail.message
+        })));
+      }
+      values[source] = value;
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors.map(error => error.message).join(', '), errors));
+    }
+
+    Object.assign(req, values);
+    next();
+  };
+}
+
+module.exports = {
+  validateRequest
+};
@@ -2,6 +2,7 @@
 // Represents monthly drawings for lead generation prizes
 
 const { Model, DataTypes } = require('sequelize');
+const fairDraw = require('../utils/fairDraw');
 
 module.exports = (sequelize) => {
   class Drawing extends Model {
@@ -25,6 +26,26 @@ module.exports = (sequelize) => {
       return this.getDataValue('winner') || 
         await this.sequelize.models.Lead.findByPk(this.winnerId);
     }
+    
+    // Commit to a secret seed by storing it and publishing only its hash
+    commitSeed() {
+      if (!this.seedHash) {
+        this.seed = fairDraw.generateSeed();
+        this.seedHash = fairDraw.hashSeed(this.seed);
+      }
+      return this.seedHash;
+    }
+    
+    // The seed stays secret until the drawing is completed; the next redraw's
+    // seed stays secret until that redraw runs
+    toJSON() {
+      const values = { ...this.get() };
+      if (values.status !== 'completed') {
+        delete values.seed;
+      }
+      delete values.redrawSeed;
+      return values;
+    }
   }
 
   Drawing.init({
@@ -45,7 +66,7 @@ module.exports = (sequelize) => {
       defaultValue: 'monthly'
     },
     status: {
-      type: DataTypes.ENUM('draft', 'active', 'completed', 'cancelled'),
+      type: DataTypes.ENUM('draft', 'active', 'closed', 'completed', 'cancelled'),
       defaultValue: 'draft'
     },
     startDate: {
@@ -72,13 +93,41 @@ module.exports = (sequelize) => {
       }
     },
     winnerId: {
-      type: DataTypes.INTEGER,
+      type: DataTypes.UUID,
       allowNull: true,
       references: {
-        model: 'Leads',
+        model: 'leads',
         key: 'id'
       }
     },
+    seedHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    seed: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    redrawSeedHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    redrawSeed: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    entriesHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    winningEntryId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    winningIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     completedAt: {
       type: DataTypes.DATE,
       allowNull: true
@@ -93,6 +142,14 @@ module.exports = (sequelize) => {
     tableName: 'Drawings',
     timestamps: true,
     underscored: true,
+    hooks: {
+      beforeSave: (drawing) => {
+        // Publish the seed commitment as soon as the drawing goes live
+        if (drawing.status === 'active') {
+          drawing.commitSeed();
+        }
+      }
+    },
     indexes: [
       {
         fields: ['status']
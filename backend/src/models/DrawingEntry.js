@@ -1,6 +1,32 @@
 // DrawingEntry Model
 // Tracks entries for the consulting session giveaway
 
+const { ENTRY_TYPES, getAwardKey } = require('../config/drawingRules');
+
+// Generate a unique entry number unless one was already assigned
+const assignEntryNumber = (entry) => {
+    if (entry.entryNumber) {
+        return;
+    }
+    const date = new Date();
+    const year = date.getFullYear();
+    const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
+    entry.entryNumber = `DE-${year}-${random}`;
+};
+
+// Key new awards so the unique index rejects a second award of the same
+// type (or the same referral) in a drawing, even from concurrent requests
+const assignAwardKey = (entry) => {
+    if (entry.isNewRecord && !entry.awardKey) {
+        entry.awardKey = getAwardKey(entry.entryType, entry.reference);
+    }
+};
+
+const prepareEntry = (entry) => {
+    assignEntryNumber(entry);
+    assignAwardKey(entry);
+};
+
 module.exports = (sequelize, DataTypes) => {
     const DrawingEntry = sequelize.define('DrawingEntry', {
         id: {
@@ -14,8 +40,46 @@ module.exports = (sequelize, DataTypes) => {
             unique: true,
             field: 'entry_number'
         },
+        leadId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'lead_id'
+        },
+        drawingId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'drawing_id'
+        },
+        entryType: {
+            type: DataTypes.ENUM(...Object.keys(ENTRY_TYPES)),
+            defaultValue: 'base',
+            field: 'entry_type'
+        },
+        entryCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 1,
+            field: 'entry_count',
+            validate: {
+                min: 1
+            }
+        },
+        reference: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        // Null on entries kept only as history (see leadService.moveDrawingEntries)
+        awardKey: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'award_key'
+        },
+        entryDate: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            field: 'entry_date'
+        },
         status: {
-            type: DataTypes.ENUM('active', 'winner', 'expired'),
+            type: DataTypes.ENUM('active', 'winner', 'expired', 'disqualified'),
             defaultValue: 'active'
         },
         drawingDate: {
@@ -48,18 +112,21 @@ module.exports = (sequelize, DataTypes) => {
             {
                 fields: ['status']
             },
+            {
+                fields: ['drawing_id', 'lead_id']
+            },
+            {
+                fields: ['drawing_id', 'lead_id', 'award_key'],
+                unique: true
+            },
             {
                 fields: ['created_at']
             }
         ],
         hooks: {
-            beforeCreate: (entry) => {
-                // Generate unique entry number
-                const date = new Date();
-                const year = date.getFullYear();
-                const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
-                entry.entryNumber = `DE-${year}-${random}`;
-            }
+            // Runs before validation so the not-null check sees the number
+            beforeValidate: prepareEntry,
+            beforeCreate: prepareEntry
         },
         classMethods: {
             selectRandomWinner: async function() {
@@ -86,9 +153,14 @@ module.exports = (sequelize, DataTypes) => {
     // Define associations
     DrawingEntry.associate = function(models) {
         DrawingEntry.belongsTo(models.Lead, {
-            foreignKey: 'lead_id',
+            foreignKey: 'leadId',
             as: 'lead'
         });
+
+        DrawingEntry.belongsTo(models.Drawing, {
+            foreignKey: 'drawingId',
+            as: 'drawing'
+        });
     };
 
     return DrawingEntry;
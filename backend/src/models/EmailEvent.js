@@ -0,0 +1,87 @@
+// EmailEvent Model
+// Delivery and engagement events reported by the SendGrid event webhook
+
+module.exports = (sequelize, DataTypes) => {
+    const EmailEvent = sequelize.define('EmailEvent', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        sgEventId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true,
+            field: 'sg_event_id'
+        },
+        sgMessageId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'sg_message_id'
+        },
+        outboxId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'outbox_id'
+        },
+        leadId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'lead_id'
+        },
+        email: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        event: {
+            type: DataTypes.STRING(30),
+            allowNull: false
+        },
+        url: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        occurredAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: 'occurred_at'
+        },
+        payload: {
+            type: DataTypes.JSON,
+            defaultValue: {}
+        }
+    }, {
+        tableName: 'email_events',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['sg_event_id'],
+                unique: true
+            },
+            {
+                fields: ['lead_id', 'occurred_at']
+            },
+            {
+                fields: ['outbox_id']
+            }
+        ]
+    });
+
+    EmailEvent.associate = function(models) {
+        EmailEvent.belongsTo(models.Lead, {
+            foreignKey: 'leadId',
+            as: 'lead'
+        });
+
+        EmailEvent.belongsTo(models.EmailOutbox, {
+            foreignKey: 'outboxId',
+            as: 'outboxMessage'
+        });
+    };
+
+    return EmailEvent;
+};
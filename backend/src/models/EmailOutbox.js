@@ -0,0 +1,79 @@
+// EmailOutbox Model
+// Durable queue of outgoing emails drained by the outbox worker
+
+module.exports = (sequelize, DataTypes) => {
+    const EmailOutbox = sequelize.define('EmailOutbox', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        kind: {
+            type: DataTypes.STRING(50),
+            allowNull: false
+        },
+        recipient: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        payload: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'processing', 'sent', 'dead', 'suppressed'),
+            defaultValue: 'pending'
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        maxAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'max_attempts'
+        },
+        nextAttemptAt: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            field: 'next_attempt_at'
+        },
+        lockedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_at'
+        },
+        lastError: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'last_error'
+        },
+        sentAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'sent_at'
+        },
+        messageId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'message_id'
+        },
+        metadata: {
+            type: DataTypes.JSON,
+            defaultValue: {}
+        }
+    }, {
+        tableName: 'email_outbox',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['status', 'next_attempt_at']
+            },
+            {
+                fields: ['recipient']
+            }
+        ]
+    });
+
+    return EmailOutbox;
+};
@@ -0,0 +1,32 @@
+// EmailSuppression Model
+// Addresses that must not receive further email
+
+module.exports = (sequelize, DataTypes) => {
+    const EmailSuppression = sequelize.define('EmailSuppression', {
+        email: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            set(value) {
+                this.setDataValue('email', value.toLowerCase());
+            }
+        },
+        reason: {
+            type: DataTypes.ENUM('bounce', 'spamreport', 'unsubscribe'),
+            allowNull: false
+        },
+        detail: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        suppressedAt: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            field: 'suppressed_at'
+        }
+    }, {
+        tableName: 'email_suppressions',
+        timestamps: true
+    });
+
+    return EmailSuppression;
+};
@@ -0,0 +1,71 @@
+// EmailTemplate Model
+// Versioned database overrides for the email templates shipped on disk
+
+module.exports = (sequelize, DataTypes) => {
+    const EmailTemplate = sequelize.define('EmailTemplate', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        locale: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: 'en'
+        },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        subject: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        html: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        // Optional; generated from the HTML when empty
+        text: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            field: 'is_active'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'created_by'
+        },
+        activatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'activated_at'
+        }
+    }, {
+        tableName: 'email_templates',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['name', 'locale', 'version'],
+                unique: true
+            },
+            {
+                fields: ['name', 'locale', 'is_active']
+            }
+        ]
+    });
+
+    return EmailTemplate;
+};
@@ -0,0 +1,54 @@
+// ExperimentAssignment Model
+// The variant a chat session was assigned in an experiment, indexed so
+// results read only the sessions enrolled in one experiment
+
+module.exports = (sequelize, DataTypes) => {
+    const ExperimentAssignment = sequelize.define('ExperimentAssignment', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        experimentKey: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'experiment_key'
+        },
+        variant: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        chatSessionId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            field: 'chat_session_id'
+        },
+        assignedAt: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            field: 'assigned_at'
+        }
+    }, {
+        tableName: 'experiment_assignments',
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['experiment_key', 'chat_session_id']
+            },
+            {
+                fields: ['chat_session_id']
+            }
+        ]
+    });
+
+    // Define associations
+    ExperimentAssignment.associate = function(models) {
+        ExperimentAssignment.belongsTo(models.ChatSession, {
+            foreignKey: 'chatSessionId',
+            as: 'chatSession'
+        });
+    };
+
+    return ExperimentAssignment;
+};
@@ -0,0 +1,26 @@
+// JobLock Model
+// Lease-based lock so only one server instance runs a job at a time
+
+module.exports = (sequelize, DataTypes) => {
+    const JobLock = sequelize.define('JobLock', {
+        name: {
+            type: DataTypes.STRING,
+            primaryKey: true
+        },
+        lockedBy: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'locked_by'
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'locked_until'
+        }
+    }, {
+        tableName: 'job_locks',
+        timestamps: true
+    });
+
+    return JobLock;
+};
@@ -0,0 +1,62 @@
+// JobRun Model
+// Persistent history of scheduled job executions
+
+module.exports = (sequelize, DataTypes) => {
+    const JobRun = sequelize.define('JobRun', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        jobName: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'job_name'
+        },
+        status: {
+            type: DataTypes.ENUM('running', 'succeeded', 'failed', 'skipped'),
+            defaultValue: 'running'
+        },
+        instanceId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'instance_id'
+        },
+        startedAt: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+            field: 'started_at'
+        },
+        finishedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'finished_at'
+        },
+        durationMs: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'duration_ms'
+        },
+        result: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        error: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName: 'job_runs',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['job_name', 'started_at']
+            },
+            {
+                fields: ['status']
+            }
+        ]
+    });
+
+    return JobRun;
+};
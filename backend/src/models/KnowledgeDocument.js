@@ -0,0 +1,51 @@
+// KnowledgeDocument Model
+// Source documents of the chat knowledge base; their chunks live in the vector index
+
+module.exports = (sequelize, DataTypes) => {
+    const KnowledgeDocument = sequelize.define('KnowledgeDocument', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        // Cited alongside answers when present
+        sourceUrl: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            field: 'source_url'
+        },
+        format: {
+            type: DataTypes.ENUM('markdown', 'html'),
+            allowNull: false,
+            defaultValue: 'markdown'
+        },
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        chunkCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'chunk_count'
+        },
+        indexedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'indexed_at'
+        },
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: 'created_by'
+        }
+    }, {
+        tableName: 'knowledge_documents',
+        timestamps: true
+    });
+
+    return KnowledgeDocument;
+};
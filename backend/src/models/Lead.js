@@ -1,6 +1,16 @@
 // Lead Model
 // Stores information about potential clients
 
+const { matchKeys } = require('../utils/leadMatching');
+
+// Normalize the email and refresh the keys duplicate detection compares
+const normalizeLead = (lead) => {
+    if (lead.email) {
+        lead.email = lead.email.trim().toLowerCase();
+    }
+    Object.assign(lead, matchKeys(lead));
+};
+
 module.exports = (sequelize, DataTypes) => {
     const Lead = sequelize.define('Lead', {
         id: {
@@ -48,6 +58,11 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.ENUM('new', 'contacted', 'qualified', 'unqualified', 'converted'),
             defaultValue: 'new'
         },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            defaultValue: 'website'
+        },
         meetingScheduled: {
             type: DataTypes.BOOLEAN,
             defaultValue: false,
@@ -61,6 +76,21 @@ module.exports = (sequelize, DataTypes) => {
         metadata: {
             type: DataTypes.JSON,
             defaultValue: {}
+        },
+        emailKey: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'email_key'
+        },
+        phoneKey: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'phone_key'
+        },
+        nameKey: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'name_key'
         }
     }, {
         tableName: 'leads',
@@ -73,17 +103,28 @@ module.exports = (sequelize, DataTypes) => {
             {
                 fields: ['status']
             },
+            {
+                fields: ['source']
+            },
             {
                 fields: ['created_at']
+            },
+            {
+                fields: ['email_key']
+            },
+            {
+                fields: ['phone_key']
+            },
+            {
+                fields: ['name_key']
             }
         ],
         hooks: {
-            beforeCreate: (lead) => {
-                // Normalize email to lowercase
-                if (lead.email) {
-                    lead.email = lead.email.trim().toLowerCase();
-                }
-            }
+            // Before validation too, so "John@Acme.com " passes the email check
+            beforeValidate: normalizeLead,
+            beforeCreate: normalizeLead,
+            beforeUpdate: normalizeLead,
+            beforeBulkCreate: (leads) => leads.forEach(normalizeLead)
         }
     });
 
@@ -94,10 +135,42 @@ module.exports = (sequelize, DataTypes) => {
             as: 'chatSessions'
         });
         
-        Lead.hasOne(models.DrawingEntry, {
-            foreignKey: 'lead_id',
-            as: 'drawingEntry'
+        Lead.hasMany(models.DrawingEntry, {
+            foreignKey: 'leadId',
+            as: 'drawingEntries'
+        });
+
+        Lead.hasMany(models.LeadNote, {
+            foreignKey: 'leadId',
+            as: 'notes',
+            onDelete: 'CASCADE'
         });
+
+        Lead.hasMany(models.LeadHistory, {
+            foreignKey: 'leadId',
+            as: 'history',
+            onDelete: 'CASCADE'
+        });
+
+        Lead.hasMany(models.EmailEvent, {
+            foreignKey: 'leadId',
+            as: 'emailEvents'
+        });
+
+        Lead.hasMany(models.LeadMerge, {
+            foreignKey: 'leadId',
+            as: 'merges',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // Match keys are internal to duplicate detection
+    Lead.prototype.toJSON = function() {
+        const values = { ...this.get() };
+        delete values.emailKey;
+        delete values.phoneKey;
+        delete values.nameKey;
+        return values;
     };
 
     return Lead;
@@ -0,0 +1,52 @@
+// LeadHistory Model
+// Audit trail of changes made to a lead
+
+module.exports = (sequelize, DataTypes) => {
+    const LeadHistory = sequelize.define('LeadHistory', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        leadId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'lead_id'
+        },
+        action: {
+            type: DataTypes.ENUM('created', 'updated', 'note_added', 'qualified', 'merged'),
+            allowNull: false
+        },
+        changes: {
+            type: DataTypes.JSON,
+            defaultValue: {}
+        },
+        changedBy: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'changed_by'
+        }
+    }, {
+        tableName: 'lead_history',
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            {
+                fields: ['lead_id']
+            },
+            {
+                fields: ['created_at']
+            }
+        ]
+    });
+
+    // Define associations
+    LeadHistory.associate = function(models) {
+        LeadHistory.belongsTo(models.Lead, {
+            foreignKey: 'leadId',
+            as: 'lead'
+        });
+    };
+
+    return LeadHistory;
+};
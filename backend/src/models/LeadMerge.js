@@ -0,0 +1,65 @@
+// LeadMerge Model
+// Audit record of a duplicate lead merged into another, with a snapshot of
+// the duplicate as it was before it was deleted
+
+module.exports = (sequelize, DataTypes) => {
+    const LeadMerge = sequelize.define('LeadMerge', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        leadId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'lead_id'
+        },
+        mergedLeadId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'merged_lead_id'
+        },
+        // Later intake under this address resolves to the surviving lead
+        mergedEmail: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'merged_email'
+        },
+        snapshot: {
+            type: DataTypes.JSON,
+            defaultValue: {}
+        },
+        // Counts of the records moved over, by type
+        moved: {
+            type: DataTypes.JSON,
+            defaultValue: {}
+        },
+        mergedBy: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'merged_by'
+        }
+    }, {
+        tableName: 'lead_merges',
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            {
+                fields: ['lead_id']
+            },
+            {
+                fields: ['merged_email']
+            }
+        ]
+    });
+
+    // Define associations
+    LeadMerge.associate = function(models) {
+        LeadMerge.belongsTo(models.Lead, {
+            foreignKey: 'leadId',
+            as: 'lead'
+        });
+    };
+
+    return LeadMerge;
+};
@@ -0,0 +1,50 @@
+// LeadNote Model
+// Free-form notes added to a lead by staff
+
+module.exports = (sequelize, DataTypes) => {
+    const LeadNote = sequelize.define('LeadNote', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        leadId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: 'lead_id'
+        },
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 5000]
+            }
+        },
+        author: {
+            type: DataTypes.STRING,
+            allowNull: true
+        }
+    }, {
+        tableName: 'lead_notes',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['lead_id']
+            },
+            {
+                fields: ['created_at']
+            }
+        ]
+    });
+
+    // Define associations
+    LeadNote.associate = function(models) {
+        LeadNote.belongsTo(models.Lead, {
+            foreignKey: 'leadId',
+            as: 'lead'
+        });
+    };
+
+    return LeadNote;
+};
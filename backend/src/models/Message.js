@@ -141,6 +141,11 @@ module.exports = (sequelize) => {
       type: DataTypes.JSON,
       allowNull: true,
       defaultValue: {}
+    },
+    // Id the chat client generated for a visitor message, so a resend is stored once
+    clientMessageId: {
+      type: DataTypes.STRING(100),
+      allowNull: true
     }
   }, {
     sequelize,
@@ -160,6 +165,10 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['is_read']
+      },
+      {
+        unique: true,
+        fields: ['chat_session_id', 'client_message_id']
       }
     ]
   });
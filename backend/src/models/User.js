@@ -0,0 +1,109 @@
+// User Model
+// Staff accounts that can sign in to the admin area
+
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+// Staff roles, most privileged first
+const ROLES = ['admin', 'sales', 'viewer'];
+
+module.exports = (sequelize, DataTypes) => {
+    const User = sequelize.define('User', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        email: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true,
+            validate: {
+                isEmail: true
+            }
+        },
+        passwordHash: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'password_hash'
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        role: {
+            type: DataTypes.ENUM(...ROLES),
+            allowNull: false,
+            defaultValue: 'viewer'
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true,
+            field: 'is_active'
+        },
+        tokenVersion: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+            field: 'token_version'
+        },
+        lastLoginAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: 'last_login_at'
+        }
+    }, {
+        tableName: 'users',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['email'],
+                unique: true
+            },
+            {
+                fields: ['role']
+            }
+        ],
+        defaultScope: {
+            attributes: { exclude: ['passwordHash'] }
+        },
+        scopes: {
+            withPassword: {
+                attributes: { include: ['passwordHash'] }
+            }
+        },
+        hooks: {
+            beforeValidate: (user) => {
+                // Normalize email to lowercase
+                if (user.email) {
+                    user.email = user.email.trim().toLowerCase();
+                }
+            }
+        }
+    });
+
+    User.ROLES = ROLES;
+
+    // Hash a plain-text password for storage
+    User.hashPassword = function(password) {
+        return bcrypt.hash(password, SALT_ROUNDS);
+    };
+
+    // Compare a plain-text password against the stored hash
+    User.prototype.validatePassword = function(password) {
+        if (!this.passwordHash) {
+            return Promise.resolve(false);
+        }
+        return bcrypt.compare(password, this.passwordHash);
+    };
+
+    // Never serialize the password hash
+    User.prototype.toJSON = function() {
+        const values = { ...this.get() };
+        delete values.passwordHash;
+        delete values.tokenVersion;
+        return values;
+    };
+
+    return User;
+};
@@ -0,0 +1,63 @@
+const { sequelize, Drawing } = require('../index');
+const fairDraw = require('../../utils/fairDraw');
+
+describe('Drawing Model', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await Drawing.destroy({ where: {} });
+  });
+
+  const attributes = (overrides = {}) => ({
+    name: 'January 2024 Drawing',
+    startDate: new Date('2024-01-01'),
+    endDate: new Date('2024-01-31'),
+    ...overrides
+  });
+
+  describe('Seed commitment', () => {
+    test('should not commit a seed while in draft', async () => {
+      const drawing = await Drawing.create(attributes({ status: 'draft' }));
+
+      expect(drawing.seedHash).toBeFalsy();
+    });
+
+    test('should commit a seed when created active', async () => {
+      const drawing = await Drawing.create(attributes({ status: 'active' }));
+
+      expect(drawing.seedHash).toBe(fairDraw.hashSeed(drawing.seed));
+    });
+
+    test('should commit a seed when activated and keep it afterwards', async () => {
+      const drawing = await Drawing.create(attributes({ status: 'draft' }));
+
+      await drawing.update({ status: 'active' });
+      const { seedHash } = drawing;
+      expect(seedHash).toMatch(/^[0-9a-f]{64}$/);
+
+      await drawing.update({ name: 'Renamed Drawing' });
+      expect(drawing.seedHash).toBe(seedHash);
+    });
+  });
+
+  describe('Serialization', () => {
+    test('should hide the seed until the drawing is completed', async () => {
+      const drawing = await Drawing.create(attributes({ status: 'active' }));
+
+      expect(drawing.toJSON().seed).toBeUndefined();
+      expect(drawing.toJSON().seedHash).toBe(drawing.seedHash);
+
+      await drawing.update({ status: 'completed' });
+      expect(drawing.toJSON().seed).toBe(drawing.seed);
+    });
+
+    test('should never expose the next redraw seed', async () => {
+      const drawing = await Drawing.create(attributes({ status: 'completed', redrawSeed: 'c'.repeat(64), redrawSeedHash: fairDraw.hashSeed('c'.repeat(64)) }));
+
+      expect(drawing.toJSON().redrawSeed).toBeUndefined();
+      expect(drawing.toJSON().redrawSeedHash).toBe(drawing.redrawSeedHash);
+    });
+  });
+});
@@ -49,9 +49,25 @@ describe('DrawingEntry Model', () => {
       field: 'entry_number'
     });
     
+    // Check weighting and source
+    expect(attributes.entryType).toEqual({
+      type: DataTypes.ENUM('base', 'chat_completed', 'meeting_booked', 'referral', 'newsletter'),
+      defaultValue: 'base',
+      field: 'entry_type'
+    });
+    
+    expect(attributes.entryCount).toEqual({
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      field: 'entry_count',
+      validate: {
+        min: 1
+      }
+    });
+    
     // Check status
     expect(attributes.status).toEqual({
-      type: DataTypes.ENUM('active', 'winner', 'expired'),
+      type: DataTypes.ENUM('active', 'winner', 'expired', 'disqualified'),
       defaultValue: 'active'
     });
     
@@ -87,15 +103,21 @@ describe('DrawingEntry Model', () => {
     expect(model.associate).toBeDefined();
     
     const models = {
-      Lead: jest.fn()
+      Lead: jest.fn(),
+      Drawing: jest.fn()
     };
     
     model.associate(models);
     
     expect(mockModel.belongsTo).toHaveBeenCalledWith(models.Lead, {
-      foreignKey: 'lead_id',
+      foreignKey: 'leadId',
       as: 'lead'
     });
+    
+    expect(mockModel.belongsTo).toHaveBeenCalledWith(models.Drawing, {
+      foreignKey: 'drawingId',
+      as: 'drawing'
+    });
   });
 
   test('should have indexes', () => {
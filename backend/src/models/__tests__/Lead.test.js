@@ -9,7 +9,8 @@ const mockSequelize = {
 // Mock model instance
 const mockModel = {
   hasMany: jest.fn(),
-  hasOne: jest.fn()
+  hasOne: jest.fn(),
+  prototype: {}
 };
 
 describe('Lead Model', () => {
@@ -134,9 +135,9 @@ describe('Lead Model', () => {
       as: 'chatSessions'
     });
     
-    expect(mockModel.hasOne).toHaveBeenCalledWith(models.DrawingEntry, {
-      foreignKey: 'lead_id',
-      as: 'drawingEntry'
+    expect(mockModel.hasMany).toHaveBeenCalledWith(models.DrawingEntry, {
+      foreignKey: 'leadId',
+      as: 'drawingEntries'
     });
   });
 
@@ -177,6 +178,31 @@ describe('Lead Model', () => {
     expect(mockInstance.email).toBe('test@example.com');
   });
 
+  test('should store duplicate match keys and keep them out of JSON', () => {
+    const model = Lead(mockSequelize, DataTypes);
+
+    const [, , options] = mockSequelize.define.mock.calls[0];
+
+    const mockInstance = {
+      email: 'John+Calendly@Acme.com',
+      phone: '+1 (555) 123-4567',
+      name: 'John Smith'
+    };
+
+    options.hooks.beforeValidate(mockInstance);
+
+    expect(mockInstance).toMatchObject({
+      email: 'john+calendly@acme.com',
+      emailKey: 'john@acme.com',
+      phoneKey: '5551234567',
+      nameKey: 'john smith'
+    });
+
+    const json = model.prototype.toJSON.call({ get: () => ({ ...mockInstance }) });
+    expect(json).not.toHaveProperty('emailKey');
+    expect(json.email).toBe('john+calendly@acme.com');
+  });
+
   test('should validate phone number format', () => {
     Lead(mockSequelize, DataTypes);
     
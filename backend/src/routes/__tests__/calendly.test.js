@@ -5,6 +5,7 @@ const express = require('express');
 jest.mock('../../models');
 jest.mock('../../utils/logger');
 jest.mock('../../services/emailService');
+jest.mock('../../services/drawingService');
 jest.mock('../../config/environment', () => ({
   getConfig: jest.fn(() => ({
     SENDGRID_API_KEY: 'test-key',
@@ -26,6 +27,7 @@ const { Lead } = require('../../models');
 const logger = require('../../utils/logger');
 const calendlyRouter = require('../calendly');
 const emailService = require('../../services/emailService');
+const drawingService = require('../../services/drawingService');
 
 describe('Calendly Webhook Handler', () => {
   let app;
@@ -160,7 +162,7 @@ describe('Calendly Webhook Handler', () => {
           };
 
           Lead.findOne.mockResolvedValue(mockLead);
-          emailService.sendMeetingConfirmation = jest.fn().mockResolvedValue({ success: true });
+          emailService.queueEmail = jest.fn().mockResolvedValue({ success: true, queued: true });
 
           const response = await request(app)
             .post('/webhooks/calendly')
@@ -178,12 +180,16 @@ describe('Calendly Webhook Handler', () => {
             calendlyEventType: 'Consultation Call',
             lastContactDate: expect.any(Date)
           });
-          expect(emailService.sendMeetingConfirmation).toHaveBeenCalledWith({
+          expect(emailService.queueEmail).toHaveBeenCalledWith('meeting_confirmation', {
             email: 'test@example.com',
             name: 'Test User',
             meetingDate: '2024-02-01T10:00:00Z',
             meetingType: 'Consultation Call'
           });
+          expect(drawingService.awardBonusEntries).toHaveBeenCalledWith(
+            'test@example.com',
+            'meeting_booked'
+          );
         });
 
         test('should create new lead if not exists', async () => {
@@ -210,10 +216,12 @@ describe('Calendly Webhook Handler', () => {
           };
 
           Lead.findOne.mockResolvedValue(null);
+          Lead.findAll.mockResolvedValue([]);
           Lead.create.mockResolvedValue({
             id: 2,
             email: 'new@example.com',
-            name: 'New User'
+            name: 'New User',
+            update: jest.fn().mockResolvedValue(true)
           });
 
           const response = await request(app)
@@ -280,7 +288,7 @@ describe('Calendly Webhook Handler', () => {
           };
 
           Lead.findOne.mockResolvedValue(mockLead);
-          emailService.sendMeetingCancellation = jest.fn().mockResolvedValue({ success: true });
+          emailService.queueEmail = jest.fn().mockResolvedValue({ success: true, queued: true });
 
           const response = await request(app)
             .post('/webhooks/calendly')
@@ -294,13 +302,42 @@ describe('Calendly Webhook Handler', () => {
             meetingCanceledAt: '2024-01-30T15:00:00Z',
             cancellationReason: 'Rescheduling'
           });
-          expect(emailService.sendMeetingCancellation).toHaveBeenCalledWith({
+          expect(emailService.queueEmail).toHaveBeenCalledWith('meeting_cancellation', {
             email: 'test@example.com',
             name: 'Test User',
             reason: 'Rescheduling'
           });
         });
 
+        test('should take back the meeting_booked entries of the canceled meeting', async () => {
+          const payload = {
+            event: 'invitee.canceled',
+            payload: {
+              email: 'Test@Example.com',
+              name: 'Test User',
+              canceled_at: '2024-01-30T15:00:00Z'
+            }
+          };
+
+          Lead.findOne.mockResolvedValue({
+            id: 1,
+            email: 'test@example.com',
+            update: jest.fn().mockResolvedValue(true)
+          });
+          emailService.queueEmail = jest.fn().mockResolvedValue({ success: true, queued: true });
+
+          const response = await request(app)
+            .post('/webhooks/calendly')
+            .set('X-Calendly-Hook-Signature', validSignature(payload))
+            .send(payload);
+
+          expect(response.status).toBe(200);
+          expect(drawingService.revokeBonusEntries).toHaveBeenCalledWith(
+            'test@example.com',
+            'meeting_booked'
+          );
+        });
+
         test('should handle canceled event for non-existent lead', async () => {
           const payload = {
             event: 'invitee.canceled',
@@ -390,7 +427,7 @@ describe('Calendly Webhook Handler', () => {
             update: jest.fn().mockResolvedValue(true)
           });
           
-          emailService.sendMeetingConfirmation = jest.fn()
+          emailService.queueEmail = jest.fn()
             .mockRejectedValue(new Error('Email service error'));
 
           const response = await request(app)
@@ -400,7 +437,7 @@ describe('Calendly Webhook Handler', () => {
 
           expect(response.status).toBe(200);
           expect(logger.error).toHaveBeenCalledWith(
-            'Failed to send meeting confirmation email:',
+            'Failed to queue meeting confirmation email:',
             expect.any(Error)
           );
         });
@@ -0,0 +1,71 @@
+// Auth Routes
+// Staff login, token refresh and logout
+
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiting');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/auth');
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+router.post('/login', authLimiter, validateRequest(schemas.login), async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+        
+        const result = await authService.login(email, password);
+        
+        if (!result) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid email or password'
+            });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', authLimiter, validateRequest(schemas.refresh), async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        const result = await authService.refresh(refreshToken);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Log out and revoke all outstanding tokens
+ * POST /api/auth/logout
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+        await authService.logout(req.user);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get the current user
+ * GET /api/auth/me
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const crypto = require('crypto');
-const { Lead } = require('../models');
-const { logger } = require('../utils/logger');
+const logger = require('../utils/logger');
 const emailService = require('../services/emailService');
+const drawingService = require('../services/drawingService');
+const leadService = require('../services/leadService');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/webhooks');
 
 const router = express.Router();
 
@@ -72,15 +75,15 @@ const processInviteeCreated = async (payload) => {
   const { email, name, scheduled_event, questions_and_answers } = payload;
   
   try {
-    // Find or create lead
-    let lead = await Lead.findOne({ where: { email } });
+    // Find or create lead, matching the address however it is written
+    let lead = await leadService.findByEmail(email);
     
     if (!lead) {
       // Extract additional data from Q&A
       const qaData = extractQAData(questions_and_answers);
       
       // Create new lead
-      lead = await Lead.create({
+      lead = await leadService.createLead({
         email,
         name,
         company: qaData.company,
@@ -114,17 +117,20 @@ const processInviteeCreated = async (payload) => {
       logger.info(`Updated lead from Calendly: ${email}`);
     }
 
-    // Send confirmation email
+    // Booking a meeting earns bonus drawing entries
+    await drawingService.awardBonusEntries(lead.email || email, 'meeting_booked');
+
+    // Queue confirmation email
     if (scheduled_event?.start_time) {
       try {
-        await emailService.sendMeetingConfirmation({
+        await emailService.queueEmail('meeting_confirmation', {
           email,
           name,
           meetingDate: scheduled_event.start_time,
           meetingType: scheduled_event.event_type?.name || 'Consultation'
         });
       } catch (emailError) {
-        logger.error('Failed to send meeting confirmation email:', emailError);
+        logger.error('Failed to queue meeting confirmation email:', emailError);
         // Don't fail the webhook if email fails
       }
     }
@@ -142,7 +148,7 @@ const processInviteeCanceled = async (payload) => {
   
   try {
     // Find lead
-    const lead = await Lead.findOne({ where: { email } });
+    const lead = await leadService.findByEmail(email);
     
     if (!lead) {
       logger.warn(`Lead not found for canceled event: ${email}`);
@@ -157,15 +163,18 @@ const processInviteeCanceled = async (payload) => {
       cancellationReason: cancellation?.reason
     });
 
-    // Send cancellation email
+    // The meeting no longer earns its bonus entries; a new booking earns them again
+    await drawingService.revokeBonusEntries(lead.email || email, 'meeting_booked');
+
+    // Queue cancellation email
     try {
-      await emailService.sendMeetingCancellation({
+      await emailService.queueEmail('meeting_cancellation', {
         email,
         name,
         reason: cancellation?.reason
       });
     } catch (emailError) {
-      logger.error('Failed to send meeting cancellation email:', emailError);
+      logger.error('Failed to queue meeting cancellation email:', emailError);
       // Don't fail the webhook if email fails
     }
 
@@ -178,7 +187,7 @@ const processInviteeCanceled = async (payload) => {
 };
 
 // Main webhook handler
-router.post('/', verifyWebhookSignature, async (req, res) => {
+router.post('/', verifyWebhookSignature, validateRequest(schemas.calendly), async (req, res) => {
   const { event, payload } = req.body;
   
   logger.info(`Received Calendly webhook: ${event}`);
@@ -7,43 +7,68 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const chatService = require('../services/chatService');
 const summaryService = require('../services/summaryService');
+const drawingService = require('../services/drawingService');
 const ConversationStateService = require('../services/conversationStateService');
 const conversationStateService = new ConversationStateService();
+const conversationFlowService = require('../services/conversationFlowService');
+const experimentService = require('../services/experimentService');
+const leadService = require('../services/leadService');
 const { Lead, ChatSession, Message } = require('../models');
 const { chatLimiter, emailLimiter } = require('../middleware/rateLimiting');
+const { ValidationError } = require('../utils/errors');
+const { validateRequest } = require('../middleware/validateRequest');
+const { CHAT_ROUTES } = require('@servicevision/chat-contract');
+const schemas = require('../schemas/chat');
 
 /**
  * Create a new chat session
  * POST /api/chat/session
+ * Optional flow/flowVersion pin the session to an intake flow; the latest
+ * version of the default flow is used otherwise
  */
-router.post('/session', async (req, res, next) => {
+router.post(CHAT_ROUTES.startSession.path, validateRequest(schemas.startSession), async (req, res, next) => {
     try {
-        const { email } = req.body;
+        const { email, flow, flowVersion } = req.body;
+
+        if (flow !== undefined && !conversationFlowService.hasFlow(flow, flowVersion)) {
+            return res.status(400).json({
+                error: 'Unknown conversation flow'
+            });
+        }
+
         const sessionId = uuidv4();
+
+        // Sticky experiment variants; a variant may choose the flow unless the client did
+        const experiments = experimentService.assign(sessionId);
+        const flowRef = flow !== undefined
+            ? { name: flow, version: flowVersion }
+            : experimentService.getOverrides(experiments).flow;
         
         // Check for existing lead if email provided
-        let lead = null;
-        if (email) {
-            lead = await Lead.findOne({ where: { email } });
-        }
+        const lead = email ? await leadService.findByEmail(email) : null;
         
-        // Create new session
+        // Create new session; what is known about the lead (including its
+        // enrichment) is pre-filled so the chat doesn't ask for it again
         const chatSession = await ChatSession.create({
             sessionId,
-            leadId: lead?.id,
-            state: conversationStateService.getInitialState(),
+            lead_id: lead?.id,
+            state: conversationStateService.initializeState({ sessionId, leadId: lead?.id, lead }, flowRef),
+            metadata: { experiments },
             conversationHistory: [],
             messages: [],
             completionRate: 0
         });
+        await experimentService.recordAssignments(chatSession);
         
-        logger.info('Chat session created', { sessionId, hasLead: !!lead });
+        logger.info('Chat session created', { sessionId, hasLead: !!lead, flow: chatSession.state.flow });
         
         res.status(201).json({
             sessionId,
+            welcomeMessage: await chatService.getInitialMessage(lead, chatSession),
+            flow: chatSession.state.flow,
             lead: lead ? {
                 name: lead.name,
-                organizationName: lead.organizationName
+                organizationName: lead.company
             } : null
         });
         
@@ -56,16 +81,9 @@ router.post('/session', async (req, res, next) => {
  * Send a message in an existing chat session
  * POST /api/chat/message
  */
-router.post('/message', chatLimiter, async (req, res, next) => {
+router.post(CHAT_ROUTES.sendMessage.path, chatLimiter, validateRequest(schemas.sendMessage), async (req, res, next) => {
     try {
         const { sessionId, message } = req.body;
-        
-        // Validate required fields
-        if (!sessionId || !message) {
-            return res.status(400).json({
-                error: 'Session ID and message are required'
-            });
-        }
 
         // Find the chat session
         const chatSession = await ChatSession.findOne({
@@ -95,22 +113,42 @@ router.post('/message', chatLimiter, async (req, res, next) => {
         chatSession.completionRate = response.completionRate;
         await chatSession.save();
 
+        // Completing the intake conversation earns bonus drawing entries
+        if (response.isComplete && chatSession.lead?.email) {
+            await drawingService.awardBonusEntries(chatSession.lead.email, 'chat_completed');
+        }
+
         res.json({
             message: response.message,
-            quickReplies: response.quickReplies,
+            quickReplies: response.quickReplies || [],
             completionRate: response.completionRate,
-            isComplete: response.isComplete
+            isComplete: response.isComplete,
+            requiresEmail: Boolean(response.requiresEmail),
+            isQualified: Boolean(response.isQualified),
+            sources: response.sources || []
         });
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * List available conversation flows
+ * GET /api/chat/flows
+ */
+router.get('/flows', (req, res, next) => {
+    try {
+        res.json({ flows: conversationFlowService.listFlows() });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Get session details
  * GET /api/chat/session/:sessionId
  */
-router.get('/session/:sessionId', async (req, res, next) => {
+router.get('/session/:sessionId', validateRequest(schemas.session), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
         
@@ -140,7 +178,7 @@ router.get('/session/:sessionId', async (req, res, next) => {
  * Get conversation history
  * GET /api/chat/session/:sessionId/history
  */
-router.get('/session/:sessionId/history', async (req, res, next) => {
+router.get('/session/:sessionId/history', validateRequest(schemas.session), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
         
@@ -171,7 +209,7 @@ router.get('/session/:sessionId/history', async (req, res, next) => {
  * Get executive summary
  * GET /api/chat/session/:sessionId/summary
  */
-router.get('/session/:sessionId/summary', async (req, res, next) => {
+router.get(CHAT_ROUTES.getSummary.path, validateRequest(schemas.getSummary), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
         
@@ -203,7 +241,7 @@ router.get('/session/:sessionId/summary', async (req, res, next) => {
  * Send executive summary via email
  * POST /api/chat/session/:sessionId/send-summary
  */
-router.post('/session/:sessionId/send-summary', emailLimiter, async (req, res, next) => {
+router.post('/session/:sessionId/send-summary', emailLimiter, validateRequest(schemas.session), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
         
@@ -244,7 +282,7 @@ router.post('/session/:sessionId/send-summary', emailLimiter, async (req, res, n
  * Get lead qualification status
  * GET /api/chat/session/:sessionId/qualification
  */
-router.get('/session/:sessionId/qualification', async (req, res, next) => {
+router.get('/session/:sessionId/qualification', validateRequest(schemas.session), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
         
@@ -273,13 +311,16 @@ router.get('/session/:sessionId/qualification', async (req, res, next) => {
 });
 
 /**
- * Update session state
+ * Record answers to the session's intake questions
  * PUT /api/chat/session/:sessionId
+ * Body: { collected: { slotName: answer } }
+ * Stage, flags and qualification stay server-side; answers go through the
+ * same slot rules as answers given in the chat
  */
-router.put('/session/:sessionId', async (req, res, next) => {
+router.put('/session/:sessionId', validateRequest(schemas.updateSession), async (req, res, next) => {
     try {
         const { sessionId } = req.params;
-        const { state } = req.body;
+        const { collected } = req.body;
         
         const session = await ChatSession.findOne({
             where: { sessionId }
@@ -288,9 +329,28 @@ router.put('/session/:sessionId', async (req, res, next) => {
         if (!session) {
             return res.status(404).json({ error: 'Session not found' });
         }
+
+        // Email and other action slots are collected by the conversation itself
+        const { slots } = conversationStateService.getFlow(session.state);
+        const errors = Object.entries(collected)
+            .map(([name, answer]) => {
+                const slot = slots.find(s => s.name === name && !s.action);
+                if (!slot) {
+                    return { location: 'body', path: `collected.${name}`, message: `"${name}" is not a question of this flow` };
+                }
+                if (!conversationFlowService.isValidSlotValue(slot, answer)) {
+                    return { location: 'body', path: `collected.${name}`, message: `"${name}" is not a valid answer` };
+                }
+                return null;
+            })
+            .filter(Boolean);
+        if (errors.length > 0) {
+            return next(new ValidationError(errors.map(error => error.message).join(', '), errors));
+        }
         
-        // Update state
-        session.state = state;
+        session.state = conversationStateService.updateCollected(session.state, collected);
+        session.changed('state', true);
+        session.completionRate = conversationStateService.getCompletionRate(session.state);
         await session.save();
         
         res.json({
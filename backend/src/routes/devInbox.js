@@ -0,0 +1,93 @@
+// Dev Inbox Routes
+// Browse emails written by the file transport; only mounted outside production
+
+const express = require('express');
+const router = express.Router();
+const { FileTransport } = require('../services/emailTransports');
+const { EMAIL_FILE_DIR } = require('../config/emailTransport');
+
+const mailbox = new FileTransport({ dir: EMAIL_FILE_DIR });
+
+/**
+ * List captured emails, newest first
+ * GET /api/dev/inbox
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const messages = await mailbox.list();
+        res.json({ messages });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a captured email with its rendered HTML and text
+ * GET /api/dev/inbox/:id
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const message = await mailbox.get(req.params.id);
+        
+        if (!message) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+        
+        res.json(message);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Render a captured email's HTML body
+ * GET /api/dev/inbox/:id/html
+ */
+router.get('/:id/html', async (req, res, next) => {
+    try {
+        const message = await mailbox.get(req.params.id);
+        
+        if (!message) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+        
+        res.type('html').send(message.html || '');
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Download a captured email as .eml
+ * GET /api/dev/inbox/:id/raw
+ */
+router.get('/:id/raw', async (req, res, next) => {
+    try {
+        const raw = await mailbox.getRaw(req.params.id);
+        
+        if (!raw) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+        
+        res.type('message/rfc822');
+        res.attachment(`${req.params.id}.eml`);
+        res.send(raw);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Delete all captured emails
+ * DELETE /api/dev/inbox
+ */
+router.delete('/', async (req, res, next) => {
+    try {
+        const deleted = await mailbox.clear();
+        res.json({ deleted });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
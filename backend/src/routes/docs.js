@@ -0,0 +1,57 @@
+// API Docs Routes
+// Serves the OpenAPI document and a self-hosted Swagger UI
+
+const express = require('express');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const { getOpenApiSpec } = require('../docs/openapi');
+
+// Swagger UI files the page loads; the rest of the package is not served
+const UI_ASSETS = ['swagger-ui.css', 'swagger-ui-bundle.js', 'favicon-32x32.png', 'favicon-16x16.png'];
+
+const page = (base) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>ServiceVision API</title>
+    <link rel="stylesheet" href="${base}/assets/swagger-ui.css">
+    <link rel="icon" type="image/png" href="${base}/assets/favicon-32x32.png" sizes="32x32">
+    <link rel="icon" type="image/png" href="${base}/assets/favicon-16x16.png" sizes="16x16">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${base}/assets/swagger-ui-bundle.js"></script>
+    <script src="${base}/assets/swagger-initializer.js"></script>
+  </body>
+</html>
+`;
+
+router.use('/assets', (req, res, next) => {
+    const file = req.path.slice(1);
+    if (file === 'swagger-initializer.js') {
+        return res.sendFile(path.join(__dirname, '../docs/ui', file));
+    }
+    if (!UI_ASSETS.includes(file)) {
+        return next();
+    }
+    res.sendFile(path.join(swaggerUiDist.getAbsoluteFSPath(), file), { maxAge: '1d' });
+});
+
+/**
+ * Swagger UI
+ * GET /api/docs
+ */
+router.get('/', (req, res) => {
+    res.type('html').send(page(req.baseUrl));
+});
+
+/**
+ * OpenAPI 3 document
+ * GET /api/docs/openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(getOpenApiSpec());
+});
+
+module.exports = router;
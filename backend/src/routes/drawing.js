@@ -1,29 +1,226 @@
 // Drawing Routes
-// Manages drawing entries and winner selection
+// Manages drawing entries, winner selection and drawing administration
 
 const express = require('express');
 const router = express.Router();
-const { DrawingEntry, Lead } = require('../models');
+const drawingService = require('../services/drawingService');
+const leadService = require('../services/leadService');
 const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
 const { drawingLimiter } = require('../middleware/rateLimiting');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/drawing');
+
+// Columns of the entrant export
+const ENTRANT_COLUMNS = [
+    { header: 'Entry Number', value: entry => entry.entryNumber },
+    { header: 'Entry Type', value: entry => entry.entryType },
+    { header: 'Entries', value: entry => entry.entryCount },
+    { header: 'Entry Date', value: entry => entry.entryDate },
+    { header: 'Status', value: entry => entry.status },
+    { header: 'Email', value: entry => entry.lead?.email },
+    { header: 'Name', value: entry => entry.lead?.name },
+    { header: 'Company', value: entry => entry.lead?.company }
+];
+
+// Map service failures onto HTTP responses
+const sendFailure = (res, result) => {
+    const status = result.message === 'Drawing not found' ? 404 : 400;
+    return res.status(status).json({ error: result.message });
+};
 
 /**
- * Add drawing entry
+ * Enter the current drawing, or the special drawing named by drawingId
  * POST /api/drawing/enter
+ * Body: { email, name?, company?, newsletter?, referredBy?, drawingId? }
+ */
+router.post('/enter', drawingLimiter, validateRequest(schemas.enter), async (req, res, next) => {
+    try {
+        const { email, name, company, newsletter, referredBy, drawingId } = req.body;
+        
+        const { lead, created: isNewLead } = await leadService.captureLead({
+            email,
+            name,
+            company,
+            source: 'drawing'
+        });
+        
+        const result = await drawingService.awardEntries(lead, 'base', { drawingId });
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        
+        let totalEntries = result.totalEntries;
+        
+        if (newsletter) {
+            const bonus = await drawingService.awardEntries(lead, 'newsletter', { drawingId });
+            if (bonus.success) {
+                totalEntries = bonus.totalEntries;
+            }
+        }
+        
+        // Only brand-new leads count as referrals
+        if (isNewLead && referredBy) {
+            await drawingService.recordReferral(referredBy, lead, { drawingId });
+        }
+        
+        logger.info(`Drawing entry created for lead: ${lead.id}`);
+        res.status(201).json({
+            entry: result.entry,
+            totalEntries
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Public fairness report for a drawing
+ * GET /api/drawing/:id/verify
+ */
+router.get('/:id/verify', validateRequest(schemas.drawing), async (req, res, next) => {
+    try {
+        const report = await drawingService.verifyDrawing(req.params.id);
+        
+        if (!report) {
+            return res.status(404).json({ error: 'Drawing not found' });
+        }
+        
+        res.json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List drawings with their statistics
+ * GET /api/drawing?status=&type=
+ */
+router.get('/', authenticate, validateRequest(schemas.list), async (req, res, next) => {
+    try {
+        const { status, type } = req.query;
+        
+        const drawings = await drawingService.listDrawings({ status, type });
+        res.json({ drawings });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create a special drawing
+ * POST /api/drawing
+ * Body: { name, startDate, endDate, prizeDetails?, maxEntriesPerLead? }
+ */
+router.post('/', authenticate, requireRole('admin'), validateRequest(schemas.create), async (req, res, next) => {
+    try {
+        const drawing = await drawingService.createSpecialDrawing(req.body);
+        
+        logger.info(`Special drawing created: ${drawing.id}`, { by: req.user.id });
+        res.status(201).json(drawing);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a drawing with its statistics
+ * GET /api/drawing/:id
+ */
+router.get('/:id', authenticate, validateRequest(schemas.drawing), async (req, res, next) => {
+    try {
+        const stats = await drawingService.getDrawingStats(req.params.id);
+        
+        if (!stats) {
+            return res.status(404).json({ error: 'Drawing not found' });
+        }
+        
+        res.json(stats);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Activate a draft drawing before its scheduled start
+ * POST /api/drawing/:id/activate
+ */
+router.post('/:id/activate', authenticate, requireRole('admin'), validateRequest(schemas.drawing), async (req, res, next) => {
+    try {
+        const result = await drawingService.activateDrawing(req.params.id, {
+            activatedBy: req.user.email
+        });
+        
+        if (!result.success) {
+            return sendFailure(res, result);
+        }
+        
+        res.json(result.drawing);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Cancel a drawing
+ * POST /api/drawing/:id/cancel
+ * Body: { reason? }
  */
-router.post('/enter', drawingLimiter, async (req, res, next) => {
+router.post('/:id/cancel', authenticate, requireRole('admin'), validateRequest(schemas.cancel), async (req, res, next) => {
     try {
-        const { leadId, entryType } = req.body;
-        const drawingPeriod = new Date().toISOString().slice(0, 7); // YYYY-MM
+        const result = await drawingService.cancelDrawing(req.params.id, {
+            reason: req.body.reason || null,
+            cancelledBy: req.user.email
+        });
+        
+        if (!result.success) {
+            return sendFailure(res, result);
+        }
         
-        const entry = await DrawingEntry.create({
-            leadId,
-            entryType,
-            drawingPeriod
+        res.json(result.drawing);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Redraw the winner of a completed drawing
+ * POST /api/drawing/:id/redraw
+ * Body: { reason }
+ */
+router.post('/:id/redraw', authenticate, requireRole('admin'), validateRequest(schemas.redraw), async (req, res, next) => {
+    try {
+        const result = await drawingService.redrawWinner(req.params.id, {
+            reason: req.body.reason,
+            redrawnBy: req.user.email
         });
         
-        logger.info(`Drawing entry created for lead: ${leadId}`);
-        res.status(201).json(entry);
+        if (!result.success) {
+            return sendFailure(res, result);
+        }
+        
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Export a drawing's entrants as CSV
+ * GET /api/drawing/:id/entrants.csv
+ */
+router.get('/:id/entrants.csv', authenticate, requireRole('admin', 'sales'), validateRequest(schemas.drawing), async (req, res, next) => {
+    try {
+        const result = await drawingService.getEntrants(req.params.id);
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Drawing not found' });
+        }
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`drawing-${result.drawing.id}-entrants.csv`);
+        res.send(toCsv(ENTRANT_COLUMNS, result.entries));
     } catch (error) {
         next(error);
     }
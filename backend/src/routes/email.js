@@ -0,0 +1,242 @@
+// Email Routes
+// Admin view of the email outbox, dead-letter retries, the suppression list and template versions
+
+const express = require('express');
+const router = express.Router();
+const { EmailOutbox } = require('../models');
+const emailService = require('../services/emailService');
+const emailEventService = require('../services/emailEventService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/email');
+const logger = require('../utils/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List outbox messages, newest first
+ * GET /api/email/outbox?status=&limit=
+ */
+router.get('/outbox', validateRequest(schemas.listOutbox), async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        
+        const messages = await EmailOutbox.findAll({
+            where: status ? { status } : {},
+            attributes: { exclude: ['payload'] },
+            order: [['createdAt', 'DESC']],
+            limit: Math.min(req.query.limit || 50, 200)
+        });
+        
+        res.json({ messages });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Requeue a dead-lettered message
+ * POST /api/email/outbox/:id/retry
+ */
+router.post('/outbox/:id/retry', validateRequest(schemas.retryOutbox), async (req, res, next) => {
+    try {
+        const message = await emailService.retryDeadEmail(req.params.id);
+        
+        if (!message) {
+            return res.status(404).json({ error: 'Dead-lettered email not found' });
+        }
+        
+        logger.info(`Outbox email ${message.id} requeued`, { by: req.user.id });
+        res.json(message);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List suppressed addresses
+ * GET /api/email/suppressions?limit=
+ */
+router.get('/suppressions', validateRequest(schemas.listSuppressions), async (req, res, next) => {
+    try {
+        const suppressions = await emailEventService.getSuppressions({
+            limit: Math.min(req.query.limit || 100, 500)
+        });
+        
+        res.json({ suppressions });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Allow sends to a suppressed address again
+ * DELETE /api/email/suppressions/:email
+ */
+router.delete('/suppressions/:email', validateRequest(schemas.removeSuppression), async (req, res, next) => {
+    try {
+        const removed = await emailEventService.unsuppress(req.params.email);
+        
+        if (!removed) {
+            return res.status(404).json({ error: 'Suppression not found' });
+        }
+        
+        logger.info(`Email suppression removed for ${req.params.email}`, { by: req.user.id });
+        res.json({ removed: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Respond 404 for templates that are not in the registry
+const requireTemplate = (req, res, next) => {
+    if (!emailTemplateService.hasTemplate(req.params.name)) {
+        return res.status(404).json({ error: 'Email template not found' });
+    }
+    next();
+};
+
+/**
+ * List templates and their file locales
+ * GET /api/email/templates
+ */
+router.get('/templates', (req, res, next) => {
+    try {
+        res.json({ templates: emailTemplateService.listTemplates() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List database versions of a template
+ * GET /api/email/templates/:name/versions?locale=
+ */
+router.get('/templates/:name/versions', requireTemplate, validateRequest(schemas.listVersions), async (req, res, next) => {
+    try {
+        const versions = await emailTemplateService.listVersions(req.params.name, {
+            locale: req.query.locale
+        });
+        
+        res.json({ versions });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Save a new version of a template, optionally activating it
+ * POST /api/email/templates/:name/versions
+ */
+router.post('/templates/:name/versions', requireTemplate, validateRequest(schemas.createVersion), async (req, res, next) => {
+    try {
+        const result = await emailTemplateService.createVersion(req.params.name, {
+            ...req.body,
+            createdBy: req.user.id
+        });
+        
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        
+        res.status(201).json(result.template);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Make a saved version the one that is sent
+ * POST /api/email/templates/:name/versions/:version/activate
+ */
+router.post('/templates/:name/versions/:version/activate', requireTemplate, validateRequest(schemas.activateVersion), async (req, res, next) => {
+    try {
+        const template = await emailTemplateService.activateVersion(
+            req.params.name,
+            req.body.locale,
+            req.params.version
+        );
+        
+        if (!template) {
+            return res.status(404).json({ error: 'Template version not found' });
+        }
+        
+        logger.info(`Email template ${template.name} v${template.version} activated`, { by: req.user.id });
+        res.json(template);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Go back to the file template for a locale
+ * POST /api/email/templates/:name/revert
+ */
+router.post('/templates/:name/revert', requireTemplate, validateRequest(schemas.revert), async (req, res, next) => {
+    try {
+        const reverted = await emailTemplateService.revertToFile(req.params.name, req.body.locale);
+        
+        res.json({ reverted });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Render a template against its sample data
+ * POST /api/email/templates/:name/preview
+ * Body: { locale, version, data, draft: { subject, html, text } }
+ */
+router.post('/templates/:name/preview', requireTemplate, validateRequest(schemas.renderPreview), async (req, res, next) => {
+    try {
+        const { locale, version, data, draft } = req.body;
+        const name = req.params.name;
+        
+        if (draft) {
+            const error = emailTemplateService.validate(name, draft);
+            if (error) {
+                return res.status(400).json({ error: `Invalid template: ${error}` });
+            }
+        }
+        
+        const rendered = await emailTemplateService.render(name, {
+            ...emailTemplateService.getSampleData(name),
+            ...data
+        }, {
+            locale,
+            version,
+            draft
+        });
+        
+        res.json(rendered);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+/**
+ * View a rendered template in the browser
+ * GET /api/email/templates/:name/preview?locale=&version=
+ */
+router.get('/templates/:name/preview', requireTemplate, validateRequest(schemas.preview), async (req, res, next) => {
+    try {
+        const name = req.params.name;
+        const rendered = await emailTemplateService.render(name, emailTemplateService.getSampleData(name), {
+            locale: req.query.locale,
+            version: req.query.version
+        });
+        
+        res.type('html').send(rendered.html);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
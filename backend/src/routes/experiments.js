@@ -0,0 +1,37 @@
+// Experiment Routes
+// Admin view of chat A/B experiments and their results
+
+const express = require('express');
+const router = express.Router();
+const experimentService = require('../services/experimentService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/experiments');
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List experiment definitions
+ * GET /api/experiments
+ */
+router.get('/', (req, res) => {
+    res.json({ experiments: experimentService.listExperiments() });
+});
+
+/**
+ * Compare completion, qualification, engagement and meeting bookings per variant
+ * GET /api/experiments/:key/results
+ */
+router.get('/:key/results', validateRequest(schemas.results), async (req, res, next) => {
+    try {
+        const results = await experimentService.getResults(req.params.key);
+        if (!results) {
+            return res.status(404).json({ error: 'Experiment not found' });
+        }
+        res.json(results);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
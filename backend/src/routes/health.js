@@ -6,6 +6,7 @@ const router = express.Router();
 const os = require('os');
 const { testDatabaseConnection } = require('../config/database');
 const { getConfig } = require('../config/environment');
+const { getProviderName } = require('../config/llm');
 const { OpenAI } = require('openai');
 
 // Helper function to format bytes
@@ -53,14 +54,16 @@ router.get('/health/detailed', async (req, res) => {
       health.status = 'unhealthy';
     }
 
-    // Check OpenAI API
-    try {
-      const openai = new OpenAI({ apiKey: config.OPENAI_API_KEY });
-      await openai.models.list();
-      health.services.openai = 'reachable';
-    } catch (error) {
-      health.services.openai = 'unreachable';
-      health.status = 'unhealthy';
+    // Check OpenAI API when it backs the chat
+    if (getProviderName(config) === 'openai') {
+      try {
+        const openai = new OpenAI({ apiKey: config.OPENAI_API_KEY });
+        await openai.models.list();
+        health.services.openai = 'reachable';
+      } catch (error) {
+        health.services.openai = 'unreachable';
+        health.status = 'unhealthy';
+      }
     }
 
     // Check Redis if enabled
@@ -6,10 +6,18 @@ const router = express.Router();
 const logger = require('../utils/logger');
 
 // Import route modules
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
 const leadRoutes = require('./leads');
 const chatRoutes = require('./chat');
 const drawingRoutes = require('./drawing');
 const webhookRoutes = require('./webhooks');
+const jobRoutes = require('./jobs');
+const emailRoutes = require('./email');
+const experimentRoutes = require('./experiments');
+const knowledgeRoutes = require('./knowledge');
+const docsRoutes = require('./docs');
+const { DEV_INBOX_ENABLED } = require('../config/emailTransport');
 
 // Log all API requests
 router.use((req, res, next) => {
@@ -18,20 +26,38 @@ router.use((req, res, next) => {
 });
 
 // Mount route modules
+router.use('/auth', authRoutes);
+router.use('/users', userRoutes);
 router.use('/leads', leadRoutes);
 router.use('/chat', chatRoutes);
 router.use('/drawing', drawingRoutes);
 router.use('/webhooks', webhookRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/email', emailRoutes);
+router.use('/experiments', experimentRoutes);
+router.use('/knowledge', knowledgeRoutes);
+router.use('/docs', docsRoutes);
+
+// Local mailbox for the file email transport
+if (DEV_INBOX_ENABLED) {
+    router.use('/dev/inbox', require('./devInbox'));
+}
 
 // API documentation endpoint
 router.get('/', (req, res) => {
     res.json({
         message: 'ServiceVision API v1.0',
         endpoints: {
+            auth: '/api/auth',
+            users: '/api/users',
             leads: '/api/leads',
             chat: '/api/chat',
             drawing: '/api/drawing',
-            webhooks: '/api/webhooks'
+            webhooks: '/api/webhooks',
+            jobs: '/api/jobs',
+            email: '/api/email',
+            experiments: '/api/experiments',
+            knowledge: '/api/knowledge'
         },
         documentation: '/api/docs',
         health: '/health'
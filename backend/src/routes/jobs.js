@@ -0,0 +1,30 @@
+// Job Routes
+// Admin view of scheduled job run history
+
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../services/schedulerService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/jobs');
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List recent job runs
+ * GET /api/jobs/runs?jobName=&limit=
+ */
+router.get('/runs', validateRequest(schemas.listRuns), async (req, res, next) => {
+    try {
+        const limit = Math.min(req.query.limit || 50, 200);
+        const runs = await schedulerService.getRecentRuns({
+            jobName: req.query.jobName,
+            limit
+        });
+        res.json({ runs });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
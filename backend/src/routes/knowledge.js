@@ -0,0 +1,110 @@
+// Knowledge Base Routes
+// Admin management of the documents the chat assistant answers from
+
+const express = require('express');
+const router = express.Router();
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/knowledge');
+const logger = require('../utils/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List documents without their content
+ * GET /api/knowledge/documents
+ */
+router.get('/documents', async (req, res, next) => {
+    try {
+        const documents = await knowledgeBaseService.listDocuments();
+        res.json({ documents });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Add and index a markdown or HTML document
+ * POST /api/knowledge/documents
+ * Body: { title, content, format, sourceUrl }
+ */
+router.post('/documents', validateRequest(schemas.addDocument), async (req, res, next) => {
+    try {
+        const document = await knowledgeBaseService.addDocument({
+            ...req.body,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json(document);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Rebuild the whole index
+ * POST /api/knowledge/reindex
+ */
+router.post('/reindex', async (req, res, next) => {
+    try {
+        const result = await knowledgeBaseService.reindexAll();
+
+        logger.info('Knowledge base re-indexed', { by: req.user.id, ...result });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Re-chunk and re-embed one document
+ * POST /api/knowledge/documents/:id/reindex
+ */
+router.post('/documents/:id/reindex', validateRequest(schemas.document), async (req, res, next) => {
+    try {
+        const document = await knowledgeBaseService.reindexDocument(req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.json(document);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Remove a document and its passages
+ * DELETE /api/knowledge/documents/:id
+ */
+router.delete('/documents/:id', validateRequest(schemas.document), async (req, res, next) => {
+    try {
+        const removed = await knowledgeBaseService.deleteDocument(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        logger.info(`Knowledge document ${req.params.id} deleted`, { by: req.user.id });
+        res.json({ removed: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Preview what the assistant would retrieve for a question
+ * GET /api/knowledge/search?q=
+ */
+router.get('/search', validateRequest(schemas.search), async (req, res, next) => {
+    try {
+        const passages = await knowledgeBaseService.retrieve(req.query.q);
+        res.json({ passages });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
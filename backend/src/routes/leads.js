@@ -3,16 +3,28 @@
 
 const express = require('express');
 const router = express.Router();
-const { Lead, ChatSession } = require('../models');
+const leadService = require('../services/leadService');
+const emailEventService = require('../services/emailEventService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/leads');
 const logger = require('../utils/logger');
+const { normalizeEmail } = require('../utils/leadMatching');
 
 /**
- * Create a new lead
+ * Create a new lead, or find the one the email address already belongs to
  * POST /api/leads
  */
-router.post('/', async (req, res, next) => {
+router.post('/', validateRequest(schemas.create), async (req, res, next) => {
     try {
-        const lead = await Lead.create(req.body);
+        const { lead, created } = await leadService.captureLead(req.body);
+        
+        if (!created) {
+            // Public route: confirm the match without exposing the existing lead,
+            // not even its id or the address it was saved under
+            return res.json({ email: normalizeEmail(req.body.email) });
+        }
+        
         logger.info(`New lead created: ${lead.id}`);
         res.status(201).json(lead);
     } catch (error) {
@@ -21,18 +33,43 @@ router.post('/', async (req, res, next) => {
 });
 
 /**
- * Get lead by email
- * GET /api/leads/:email
+ * List leads with pagination, filters and sorting
+ * GET /api/leads?page=&limit=&sortBy=&sortOrder=&status=&isQualified=&source=&dateRange=&startDate=&endDate=&search=
+ */
+router.get('/', authenticate, validateRequest(schemas.list), async (req, res, next) => {
+    try {
+        const result = await leadService.listLeads(req.query);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get lead by id or email
+ * GET /api/leads/:id
+ */
+router.get('/:id', authenticate, validateRequest(schemas.lead), async (req, res, next) => {
+    try {
+        const lead = await leadService.getLeadDetails(req.params.id);
+        
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json(lead);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update a lead
+ * PATCH /api/leads/:id
  */
-router.get('/:email', async (req, res, next) => {
+router.patch('/:id', authenticate, requireRole('admin', 'sales'), validateRequest(schemas.update), async (req, res, next) => {
     try {
-        const lead = await Lead.findOne({
-            where: { email: req.params.email },
-            include: [{
-                model: ChatSession,
-                as: 'chatSessions'
-            }]
-        });
+        const lead = await leadService.updateLead(req.params.id, req.body, req.user.email);
         
         if (!lead) {
             return res.status(404).json({ error: 'Lead not found' });
@@ -44,4 +81,135 @@ router.get('/:email', async (req, res, next) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Delete a lead
+ * DELETE /api/leads/:id
+ */
+router.delete('/:id', authenticate, requireRole('admin'), validateRequest(schemas.lead), async (req, res, next) => {
+    try {
+        const deleted = await leadService.deleteLead(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Add a note to a lead
+ * POST /api/leads/:id/notes
+ */
+router.post('/:id/notes', authenticate, requireRole('admin', 'sales'), validateRequest(schemas.addNote), async (req, res, next) => {
+    try {
+        const { content } = req.body;
+        
+        const lead = await leadService.addNote(req.params.id, { content, author: req.user.email });
+        
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.status(201).json(lead);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Manually qualify a lead
+ * POST /api/leads/:id/qualify
+ */
+router.post('/:id/qualify', authenticate, requireRole('admin', 'sales'), validateRequest(schemas.qualify), async (req, res, next) => {
+    try {
+        const { score, reason } = req.body;
+        
+        const lead = await leadService.qualifyLead(req.params.id, { score, reason, qualifiedBy: req.user.email });
+        
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json(lead);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get the change history of a lead
+ * GET /api/leads/:id/history
+ */
+router.get('/:id/history', authenticate, validateRequest(schemas.lead), async (req, res, next) => {
+    try {
+        const history = await leadService.getHistory(req.params.id);
+        
+        if (!history) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json({ history });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * List leads that look like the same person
+ * GET /api/leads/:id/duplicates
+ */
+router.get('/:id/duplicates', authenticate, validateRequest(schemas.lead), async (req, res, next) => {
+    try {
+        const duplicates = await leadService.findDuplicates(req.params.id);
+        
+        if (!duplicates) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json({ duplicates });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Merge a duplicate into a lead
+ * POST /api/leads/:id/merge
+ * Body: { duplicateId }
+ */
+router.post('/:id/merge', authenticate, requireRole('admin', 'sales'), validateRequest(schemas.merge), async (req, res, next) => {
+    try {
+        const lead = await leadService.mergeLeads(req.params.id, req.body.duplicateId, req.user.email);
+        
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json(lead);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get email delivery and engagement history for a lead
+ * GET /api/leads/:id/email-events
+ */
+router.get('/:id/email-events', authenticate, validateRequest(schemas.lead), async (req, res, next) => {
+    try {
+        const engagement = await emailEventService.getLeadEngagement(req.params.id);
+        
+        if (!engagement) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json(engagement);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
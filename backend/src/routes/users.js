@@ -0,0 +1,102 @@
+// User Routes
+// Admin management of staff accounts
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize, User } = require('../models');
+const authService = require('../services/authService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/users');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List staff users
+ * GET /api/users
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const users = await User.findAll({ order: [['createdAt', 'ASC']] });
+        res.json({ users });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create a staff user
+ * POST /api/users
+ */
+router.post('/', validateRequest(schemas.create), async (req, res, next) => {
+    try {
+        const { email, password, name, role } = req.body;
+        
+        const user = await authService.createUser({ email, password, name, role });
+        logger.info(`Staff user created: ${user.id}`, { role: user.role, by: req.user.id });
+        res.status(201).json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Change a staff user's role or active flag
+ * PATCH /api/users/:id
+ */
+router.patch('/:id', validateRequest(schemas.update), async (req, res, next) => {
+    try {
+        const { role, isActive, name } = req.body;
+        
+        const user = await sequelize.transaction(async (transaction) => {
+            const user = await User.findByPk(req.params.id, { transaction });
+            if (!user) {
+                return null;
+            }
+            
+            // Demoting or deactivating an active admin must leave another one.
+            // Locking the active admins stops two admins demoting each other at once.
+            const removesAdmin = user.role === 'admin' && user.isActive &&
+                ((role !== undefined && role !== 'admin') || isActive === false);
+            if (removesAdmin) {
+                const otherAdmins = await User.findAll({
+                    where: { role: 'admin', isActive: true, id: { [Op.ne]: user.id } },
+                    lock: transaction.LOCK.UPDATE,
+                    transaction
+                });
+                if (otherAdmins.length === 0) {
+                    throw new ConflictError('At least one active admin is required');
+                }
+            }
+            
+            if (role !== undefined) {
+                user.role = role;
+            }
+            if (isActive !== undefined) {
+                user.isActive = isActive;
+            }
+            if (name !== undefined) {
+                user.name = name;
+            }
+            
+            // Role or access changes take effect immediately
+            user.tokenVersion += 1;
+            await user.save({ transaction });
+            return user;
+        });
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        logger.info(`Staff user updated: ${user.id}`, { by: req.user.id });
+        res.json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { webhookLimiter } = require('../middleware/rateLimiting');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../schemas/webhooks');
+const emailEventService = require('../services/emailEventService');
 
 // Import Calendly webhook handler
 const calendlyRouter = require('./calendly');
@@ -12,15 +15,44 @@ const calendlyRouter = require('./calendly');
 // Mount Calendly webhooks with rate limiting
 router.use('/calendly', webhookLimiter, calendlyRouter);
 
+// Verify SendGrid's signed event webhook against the raw request body
+const verifySendGridSignature = (req, res, next) => {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!publicKey) {
+        logger.error('SENDGRID_WEBHOOK_PUBLIC_KEY not configured');
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: 'Webhook validation not configured'
+        });
+    }
+
+    const verified = emailEventService.verifySignature(
+        publicKey,
+        req.rawBody,
+        req.headers['x-twilio-email-event-webhook-signature'],
+        req.headers['x-twilio-email-event-webhook-timestamp']
+    );
+
+    if (!verified) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid webhook signature'
+        });
+    }
+
+    next();
+};
+
 /**
- * SendGrid webhook
+ * SendGrid event webhook
  * POST /api/webhooks/sendgrid
  */
-router.post('/sendgrid', webhookLimiter, async (req, res, next) => {
+router.post('/sendgrid', webhookLimiter, verifySendGridSignature, validateRequest(schemas.sendgrid), async (req, res, next) => {
     try {
-        logger.info('SendGrid webhook received');
-        // Process email events here
-        res.status(200).json({ received: true });
+        const results = await emailEventService.processEvents(req.body);
+        logger.info('SendGrid webhook processed', results);
+
+        res.status(200).json({ received: true, ...results });
     } catch (error) {
         next(error);
     }
@@ -0,0 +1,22 @@
+// Auth Request Schemas
+
+const Joi = require('joi');
+const { email } = require('./common');
+
+// Passwords are compared as sent, so they are not trimmed
+const password = Joi.string().min(1).max(128);
+
+module.exports = {
+    login: {
+        body: Joi.object({
+            email: email.required(),
+            password: password.required()
+        })
+    },
+
+    refresh: {
+        body: Joi.object({
+            refreshToken: Joi.string().trim().required()
+        })
+    }
+};
@@ -0,0 +1,38 @@
+// Chat Request Schemas
+// Contract routes reuse the shared chat contract so frontend and backend agree
+
+const Joi = require('joi');
+const { CHAT_SCHEMAS } = require('@servicevision/chat-contract');
+const { fromContract } = require('./common');
+
+const session = {
+    params: Joi.object({
+        sessionId: Joi.string().trim().min(1).max(100).required()
+    })
+};
+
+// Answers to the flow's questions; the conversation state itself is server-owned
+const answer = Joi.alternatives(Joi.string().trim().max(1000), Joi.number(), Joi.boolean());
+
+module.exports = {
+    startSession: {
+        body: fromContract(CHAT_SCHEMAS.startSession.request)
+    },
+
+    sendMessage: {
+        body: fromContract(CHAT_SCHEMAS.sendMessage.request)
+    },
+
+    getSummary: {
+        params: fromContract(CHAT_SCHEMAS.getSummary.params)
+    },
+
+    session,
+
+    updateSession: {
+        ...session,
+        body: Joi.object({
+            collected: Joi.object().pattern(Joi.string(), answer).min(1).required()
+        })
+    }
+};
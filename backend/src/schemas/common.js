@@ -0,0 +1,55 @@
+// Common Request Schemas
+// Building blocks shared by the per-route schemas in this directory
+
+const Joi = require('joi');
+
+// Emails are checked for shape only, like the Lead model and the chat contract
+const email = Joi.string().trim().email({ tlds: { allow: false } }).max(255);
+
+const uuid = Joi.string().guid();
+
+// Lead routes accept the lead's id or its email address
+const idOrEmail = Joi.string().trim().min(1).max(255);
+
+const text = (max = 255) => Joi.string().trim().max(max);
+
+const limit = Joi.number().integer().min(1);
+
+const CONTRACT_TYPES = {
+    string: () => Joi.string().trim(),
+    email: () => Joi.string().trim().email({ tlds: { allow: false } }),
+    integer: () => Joi.number().integer(),
+    number: () => Joi.number(),
+    boolean: () => Joi.boolean(),
+    array: () => Joi.array(),
+    object: () => Joi.object()
+};
+
+const fromContractRule = (rule) => {
+    let schema = CONTRACT_TYPES[rule.type]();
+    if (rule.min !== undefined) schema = schema.min(rule.min);
+    if (rule.max !== undefined) schema = schema.max(rule.max);
+    if (rule.items) schema = schema.items(fromContractRule(rule.items));
+    if (rule.fields) schema = fromContract(rule.fields);
+    if (rule.nullable) schema = schema.allow(null);
+    if (rule.required) schema = schema.required();
+    return schema;
+};
+
+/**
+ * Joi schema for a chat contract schema (see @servicevision/chat-contract)
+ * @param {Object} fields - Field rules keyed by field name
+ * @returns {Joi.ObjectSchema}
+ */
+const fromContract = (fields) => Joi.object(
+    Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, fromContractRule(rule)]))
+);
+
+module.exports = {
+    email,
+    uuid,
+    idOrEmail,
+    text,
+    limit,
+    fromContract
+};
@@ -0,0 +1,59 @@
+// Drawing Request Schemas
+
+const Joi = require('joi');
+const { Drawing } = require('../models');
+const { email, text } = require('./common');
+
+const drawing = {
+    params: Joi.object({
+        id: Joi.number().integer().min(1).required()
+    })
+};
+
+module.exports = {
+    // Entrants are identified by email only; lead ids are never taken from the client
+    enter: {
+        body: Joi.object({
+            email: email.lowercase().required(),
+            name: text(),
+            company: text(),
+            newsletter: Joi.boolean().default(false),
+            referredBy: email.lowercase(),
+            // Enters a special drawing instead of the current monthly one
+            drawingId: Joi.number().integer().min(1)
+        })
+    },
+
+    list: {
+        query: Joi.object({
+            status: Joi.string().valid(...Drawing.rawAttributes.status.values),
+            type: Joi.string().valid(...Drawing.rawAttributes.type.values)
+        })
+    },
+
+    create: {
+        body: Joi.object({
+            name: text().min(1).required(),
+            startDate: Joi.date().iso().required(),
+            endDate: Joi.date().iso().required(),
+            prizeDetails: Joi.object().unknown(true),
+            maxEntriesPerLead: Joi.number().integer().min(1)
+        })
+    },
+
+    drawing,
+
+    cancel: {
+        ...drawing,
+        body: Joi.object({
+            reason: text(1000).allow('', null)
+        })
+    },
+
+    redraw: {
+        ...drawing,
+        body: Joi.object({
+            reason: text(1000).min(1).required()
+        })
+    }
+};
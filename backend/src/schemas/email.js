@@ -0,0 +1,97 @@
+// Email Admin Request Schemas
+
+const Joi = require('joi');
+const { EmailOutbox } = require('../models');
+const { DEFAULT_LOCALE } = require('../config/emailTemplates');
+const { email, uuid, text, limit } = require('./common');
+
+const locale = Joi.string().trim().min(2).max(10);
+
+const template = {
+    params: Joi.object({
+        name: Joi.string().trim().max(100).required()
+    })
+};
+
+// Template sources are Handlebars, checked by the template service
+const source = Joi.string().max(100000);
+
+module.exports = {
+    listOutbox: {
+        query: Joi.object({
+            status: Joi.string().valid(...EmailOutbox.rawAttributes.status.values),
+            limit
+        })
+    },
+
+    retryOutbox: {
+        params: Joi.object({
+            id: uuid.required()
+        })
+    },
+
+    listSuppressions: {
+        query: Joi.object({ limit })
+    },
+
+    removeSuppression: {
+        params: Joi.object({
+            email: email.required()
+        })
+    },
+
+    listVersions: {
+        ...template,
+        query: Joi.object({ locale })
+    },
+
+    createVersion: {
+        ...template,
+        body: Joi.object({
+            locale: locale.default(DEFAULT_LOCALE),
+            subject: source.required(),
+            html: source.required(),
+            text: source.allow('', null),
+            notes: text(1000).allow('', null),
+            activate: Joi.boolean().default(false).description('Send this version from now on')
+        })
+    },
+
+    activateVersion: {
+        params: template.params.keys({
+            version: Joi.number().integer().min(1).required()
+        }),
+        body: Joi.object({
+            locale: locale.default(DEFAULT_LOCALE)
+        })
+    },
+
+    revert: {
+        ...template,
+        body: Joi.object({
+            locale: locale.default(DEFAULT_LOCALE)
+        })
+    },
+
+    preview: {
+        ...template,
+        query: Joi.object({
+            locale,
+            version: Joi.number().integer().min(1)
+        })
+    },
+
+    renderPreview: {
+        ...template,
+        body: Joi.object({
+            locale,
+            version: Joi.number().integer().min(1),
+            data: Joi.object().unknown(true).description('Overrides of the sample data'),
+            draft: Joi.object({
+                subject: source.required(),
+                html: source.required(),
+                text: source.allow('', null)
+            })
+        })
+    }
+};
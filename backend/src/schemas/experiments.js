@@ -0,0 +1,11 @@
+// Experiment Request Schemas
+
+const Joi = require('joi');
+
+module.exports = {
+    results: {
+        params: Joi.object({
+            key: Joi.string().trim().max(100).required()
+        })
+    }
+};
@@ -0,0 +1,13 @@
+// Scheduled Job Request Schemas
+
+const Joi = require('joi');
+const { text, limit } = require('./common');
+
+module.exports = {
+    listRuns: {
+        query: Joi.object({
+            jobName: text(100),
+            limit
+        })
+    }
+};
@@ -0,0 +1,29 @@
+// Knowledge Base Request Schemas
+
+const Joi = require('joi');
+const { text } = require('./common');
+
+const FORMATS = ['markdown', 'html'];
+
+module.exports = {
+    addDocument: {
+        body: Joi.object({
+            title: text().min(1).required(),
+            content: Joi.string().trim().min(1).max(1000000).required(),
+            format: Joi.string().valid(...FORMATS).default('markdown'),
+            sourceUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow('', null)
+        })
+    },
+
+    document: {
+        params: Joi.object({
+            id: Joi.number().integer().min(1).required()
+        })
+    },
+
+    search: {
+        query: Joi.object({
+            q: text(1000).min(1).required()
+        })
+    }
+};
@@ -0,0 +1,89 @@
+// Lead Request Schemas
+// Qualification fields are never accepted here; they change through
+// POST /api/leads/:id/qualify or the chat
+
+const Joi = require('joi');
+const { Lead } = require('../models');
+const { SORTABLE_FIELDS, DATE_RANGES, MAX_PAGE_SIZE } = require('../config/leads');
+const { email, idOrEmail, text } = require('./common');
+
+const STATUSES = Lead.rawAttributes.status.values;
+
+// Same characters the Lead model allows
+const phone = Joi.string().trim().max(50).pattern(/^[\d\s\-+()]+$/);
+
+const lead = {
+    params: Joi.object({
+        id: idOrEmail.required()
+    })
+};
+
+const qualifiedFilter = Joi.alternatives(Joi.boolean(), Joi.string().valid('all', ''));
+
+module.exports = {
+    // Public lead capture: contact details only
+    create: {
+        body: Joi.object({
+            email: email.required(),
+            name: text(),
+            company: text(),
+            phone,
+            source: text(50)
+        })
+    },
+
+    list: {
+        query: Joi.object({
+            page: Joi.number().integer().min(1),
+            limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+            sortBy: Joi.string().valid(...SORTABLE_FIELDS),
+            sortOrder: Joi.string().valid('asc', 'desc').insensitive(),
+            status: Joi.string().valid(...STATUSES, 'all'),
+            isQualified: qualifiedFilter,
+            qualified: qualifiedFilter,
+            source: text(50),
+            dateRange: Joi.string().valid(...Object.keys(DATE_RANGES)),
+            startDate: Joi.date().iso(),
+            endDate: Joi.date().iso(),
+            search: text()
+        })
+    },
+
+    lead,
+
+    update: {
+        ...lead,
+        body: Joi.object({
+            name: text().allow(null),
+            company: text().allow(null),
+            phone: phone.allow(null),
+            status: Joi.string().valid(...STATUSES),
+            source: text(50),
+            meetingScheduled: Joi.boolean(),
+            meetingTime: Joi.date().iso().allow(null),
+            metadata: Joi.object().unknown(true).allow(null)
+        })
+    },
+
+    addNote: {
+        ...lead,
+        body: Joi.object({
+            content: Joi.string().trim().min(1).max(5000).required()
+        })
+    },
+
+    merge: {
+        ...lead,
+        body: Joi.object({
+            duplicateId: idOrEmail.required()
+        })
+    },
+
+    qualify: {
+        ...lead,
+        body: Joi.object({
+            score: Joi.number().min(0).max(100),
+            reason: text(1000).allow('', null)
+        })
+    }
+};
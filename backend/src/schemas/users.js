@@ -0,0 +1,29 @@
+// Staff User Request Schemas
+
+const Joi = require('joi');
+const { User } = require('../models');
+const { email, uuid, text } = require('./common');
+
+const role = Joi.string().valid(...User.ROLES);
+
+module.exports = {
+    create: {
+        body: Joi.object({
+            email: email.required(),
+            password: Joi.string().min(8).max(128).required(),
+            name: text(),
+            role
+        })
+    },
+
+    update: {
+        params: Joi.object({
+            id: uuid.required()
+        }),
+        body: Joi.object({
+            name: text().allow(null),
+            role,
+            isActive: Joi.boolean()
+        })
+    }
+};
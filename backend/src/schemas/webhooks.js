@@ -0,0 +1,18 @@
+// Webhook Request Schemas
+// Payloads belong to Calendly and SendGrid, so only the envelope is checked and
+// everything inside it is kept; schemas run after the signature is verified
+
+const Joi = require('joi');
+
+module.exports = {
+    calendly: {
+        body: Joi.object({
+            event: Joi.string().required(),
+            payload: Joi.object().unknown(true)
+        })
+    },
+
+    sendgrid: {
+        body: Joi.array().items(Joi.object().unknown(true)).required()
+    }
+};
@@ -9,10 +9,8 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const session = require('express-session');
 const RedisStore = require('connect-redis').default;
-const redis = require('redis');
 const applicationInsights = require('applicationinsights');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
@@ -21,8 +19,19 @@ const { Server } = require('socket.io');
 const logger = require('./utils/logger');
 const { sequelize } = require('./models');
 const errorHandler = require('./middleware/errorHandler');
+const { captureRawBody } = require('./middleware/rawBody');
+const { globalLimiter } = require('./middleware/rateLimiting');
+const { getRedisClient, closeRedisClient, redisKey, createSocketIoAdapter } = require('./utils/redis');
+const { REDIS_ENABLED } = require('./config/redis');
 const apiRoutes = require('./routes');
 const WebSocketService = require('./services/websocketService');
+const authService = require('./services/authService');
+const leadService = require('./services/leadService');
+const knowledgeBaseService = require('./services/knowledgeBaseService');
+const schedulerService = require('./services/schedulerService');
+const emailService = require('./services/emailService');
+const { SCHEDULER_ENABLED } = require('./config/scheduler');
+const { EMAIL_OUTBOX_WORKER_ENABLED } = require('./config/emailOutbox');
 
 // Initialize Application Insights if instrumentation key is provided
 if (process.env.APPINSIGHTS_INSTRUMENTATIONKEY) {
@@ -60,24 +69,16 @@ const io = new Server(httpServer, {
 const websocketService = new WebSocketService(io);
 websocketService.initialize();
 
-// Configure Redis client for session storage
-const redisClient = redis.createClient({
-    socket: {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379
-    },
-    password: process.env.REDIS_PASSWORD || undefined
-});
-
-// Connect to Redis
-redisClient.connect().catch((err) => {
-    logger.error('Redis connection error:', err);
-    // Continue without Redis - sessions will be stored in memory
-});
+// Sessions live in Redis so any instance can serve any visitor;
+// without Redis they are kept in this process's memory
+if (!REDIS_ENABLED) {
+    logger.warn('Redis is not configured; sessions and rate limits are per instance');
+}
 
 // Configure session middleware
 app.use(session({
-    store: new RedisStore({ client: redisClient }),    secret: process.env.JWT_SECRET || 'your-secret-key',
+    ...(REDIS_ENABLED && { store: new RedisStore({ client: getRedisClient(), prefix: redisKey('sess', '') }) }),
+    secret: process.env.JWT_SECRET || 'your-secret-key',
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -87,15 +88,6 @@ app.use(session({
     }
 }));
 
-// Configure rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.',
-    standardHeaders: true,
-    legacyHeaders: false,
-});
-
 // Apply middleware
 app.use(helmet()); // Security headers
 app.use(compression()); // Gzip compression
@@ -103,9 +95,9 @@ app.use(cors({
     origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
     credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/api', limiter); // Apply rate limiting to API routes
+app.use('/api', globalLimiter); // Apply rate limiting to API routes
 
 // Health check endpointapp.get('/health', (req, res) => {
     res.json({
@@ -144,6 +136,38 @@ async function startServer() {
             logger.info('Database models synchronized');
         }
         
+        // Broadcast Socket.IO events through Redis so rooms span every instance
+        const adapter = await createSocketIoAdapter();
+        if (adapter) {
+            io.adapter(adapter);
+            logger.info('Socket.IO Redis adapter attached');
+        }
+        
+        // Bootstrap the first admin account if configured
+        await authService.ensureAdminUser();
+        
+        // Index leads saved before duplicate detection
+        await leadService.backfillMatchKeys();
+        
+        // Rebuild this instance's knowledge index from the stored documents.
+        // Answers work without it, and retrieval retries the sync later.
+        try {
+            await knowledgeBaseService.syncIndex();
+        } catch (error) {
+            logger.error('Failed to sync the knowledge index:', error);
+        }
+        
+        // Run drawing lifecycle jobs on their schedules
+        if (SCHEDULER_ENABLED) {
+            schedulerService.registerDefaultJobs();
+            schedulerService.start();
+        }
+        
+        // Drain the email outbox in the background
+        if (EMAIL_OUTBOX_WORKER_ENABLED) {
+            emailService.startQueueWorker();
+        }
+        
         // Start listening
         httpServer.listen(PORT, () => {
             logger.info(`Server is running on port ${PORT}`);
@@ -159,10 +183,12 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM signal received: closing HTTP server');
+    schedulerService.stop();
+    emailService.stopQueueWorker();
     io.close();
     httpServer.close();
     await sequelize.close();
-    await redisClient.quit();
+    await closeRedisClient();
     process.exit(0);
 });
 
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const conversationFlowService = require('../conversationFlowService');
+const ConversationStateService = require('../conversationStateService');
+
+jest.mock('../../utils/logger');
+
+describe('Conversation Flow Service', () => {
+  const FlowService = conversationFlowService.constructor;
+
+  const baseFlow = (overrides = {}) => ({
+    name: 'commercial',
+    version: 1,
+    initialStage: 'greeting',
+    stages: {
+      greeting: { transitions: ['discovery'] },
+      discovery: { transitions: [] }
+    },
+    slots: [
+      { name: 'email', required: true, action: 'collect_email', priority: 'critical', prompt: 'Email?' },
+      { name: 'timeline', required: true, prompt: 'When?' }
+    ],
+    prompts: { system: 'System', generate_summary: 'Summary', default: 'More?' },
+    quickReplies: { default: ['Tell me more'] },
+    ...overrides
+  });
+
+  describe('shipped flows', () => {
+    test('should load the commercial and nonprofit flows', () => {
+      const flows = conversationFlowService.listFlows();
+
+      expect(flows).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'commercial', latest: 1, isDefault: true }),
+        expect.objectContaining({ name: 'nonprofit', latest: 1, isDefault: false })
+      ]));
+    });
+
+    test('should reproduce the original commercial intake', () => {
+      const state = new ConversationStateService();
+
+      expect(state.requiredFields).toEqual(['email', 'organizationType', 'businessNeeds', 'timeline']);
+      expect(state.organizationTypes).toEqual(['for-profit', 'nonprofit', 'enterprise', 'startup', 'government']);
+      expect(state.stages.discovery).toEqual(['qualification', 'clarification']);
+    });
+  });
+
+  describe('loading', () => {
+    let dir;
+    let service;
+
+    const write = (file, document) => {
+      fs.writeFileSync(path.join(dir, file), file.endsWith('.json') ? JSON.stringify(document) : yaml.dump(document));
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+      service = new FlowService(dir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should resolve the latest version unless one is pinned', () => {
+      write('commercial.v1.yaml', baseFlow());
+      write('commercial.v2.json', baseFlow({ version: 2, description: 'Second' }));
+
+      expect(service.getFlow('commercial').version).toBe(2);
+      expect(service.getFlow('commercial', 1).version).toBe(1);
+      expect(service.getFlowForState({ flow: { name: 'commercial', version: 1 } }).version).toBe(1);
+      expect(service.getFlowForState({}).version).toBe(2);
+      expect(service.hasFlow('commercial', 3)).toBe(false);
+      expect(() => service.getFlow('commercial', 3)).toThrow('Unknown conversation flow: commercial v3');
+    });
+
+    test('should apply slot defaults', () => {
+      write('commercial.v1.yaml', baseFlow());
+
+      const timeline = service.getFlow().slots[1];
+      expect(timeline.priority).toBe('high');
+    });
+
+    test('should reject documents that fail the schema', () => {
+      write('commercial.v1.yaml', baseFlow({ prompts: { system: 'System' } }));
+
+      expect(() => service.load()).toThrow(/Invalid conversation flow commercial\.v1\.yaml: "prompts\.generate_summary" is required/);
+    });
+
+    test('should reject transitions to undeclared stages', () => {
+      write('commercial.v1.yaml', baseFlow({
+        stages: { greeting: { transitions: ['scheduling'] } }
+      }));
+
+      expect(() => service.load()).toThrow('Stage greeting transitions to undeclared stage scheduling');
+    });
+
+    test('should reject a file whose name and version disagree with its contents', () => {
+      write('commercial.v2.yaml', baseFlow());
+
+      expect(() => service.load()).toThrow('declares commercial v1');
+    });
+
+    test('should require the default flow', () => {
+      write('nonprofit.v1.yaml', baseFlow({ name: 'nonprofit' }));
+
+      expect(() => service.load()).toThrow('Default conversation flow commercial not found');
+    });
+  });
+
+  describe('slot validation', () => {
+    test('should check enum and pattern rules', () => {
+      const slot = { validation: { enum: ['nonprofit'], pattern: '^non' } };
+
+      expect(conversationFlowService.isValidSlotValue(slot, 'nonprofit')).toBe(true);
+      expect(conversationFlowService.isValidSlotValue(slot, 'startup')).toBe(false);
+      expect(conversationFlowService.isValidSlotValue({}, 'anything')).toBe(true);
+    });
+  });
+
+  describe('flow-driven conversation state', () => {
+    const stateService = new ConversationStateService();
+
+    test('should pin the flow and follow its slot order', () => {
+      const state = stateService.getInitialState({ name: 'nonprofit' });
+      state.collected.email = 'director@example.org';
+      state.flags.emailVerified = true;
+
+      expect(state.flow).toEqual({ name: 'nonprofit', version: 1 });
+      expect(stateService.determineNextAction(state)).toEqual({
+        type: 'ask_question',
+        topic: 'organizationName',
+        priority: 'high'
+      });
+    });
+
+    test('should ask for email with the flow prompt', () => {
+      const state = stateService.getInitialState({ name: 'nonprofit' });
+
+      expect(stateService.determineNextAction(state)).toEqual(expect.objectContaining({
+        type: 'collect_email',
+        priority: 'critical',
+        message: expect.stringContaining('share resources')
+      }));
+    });
+
+    test('should validate collected values with the flow rules', () => {
+      const state = stateService.getInitialState({ name: 'nonprofit' });
+
+      const updated = stateService.updateCollected(state, { organizationType: 'startup', timeline: '1-3 months' });
+
+      expect(updated.collected).toEqual({ timeline: '1-3 months' });
+      expect(stateService.getCompletionRate(updated)).toBe(0.25);
+    });
+  });
+});
@@ -1,7 +1,10 @@
 const drawingService = require('../drawingService');
+const { Op, UniqueConstraintError } = require('sequelize');
 const { Lead, Drawing, DrawingEntry } = require('../../models');
 const emailService = require('../emailService');
 const logger = require('../../utils/logger');
+const fairDraw = require('../../utils/fairDraw');
+const { ENTRY_TYPES, MAX_ENTRIES_PER_LEAD } = require('../../config/drawingRules');
 
 // Mock dependencies
 jest.mock('../../models');
@@ -81,6 +84,101 @@ describe('Drawing Service', () => {
     });
   });
 
+  describe('createQuarterlyDrawing', () => {
+    test('should open a drawing covering the current quarter', async () => {
+      Drawing.findOne.mockResolvedValue(null);
+      Drawing.create.mockImplementation(async (data) => data);
+
+      const result = await drawingService.createQuarterlyDrawing(new Date('2024-05-15T12:00:00Z'));
+
+      expect(result).toEqual(expect.objectContaining({
+        name: 'Q2 2024 Drawing',
+        type: 'quarterly',
+        status: 'active',
+        startDate: new Date('2024-04-01T00:00:00Z'),
+        endDate: new Date('2024-06-30T23:59:59Z')
+      }));
+    });
+  });
+
+  describe('getDrawingPeriod', () => {
+    const hostTimeZone = process.env.TZ;
+
+    afterEach(() => {
+      if (hostTimeZone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = hostTimeZone;
+      }
+    });
+
+    test('should use the scheduler timezone, not the host timezone, at a month boundary', () => {
+      // Still January 31st on a host in Los Angeles
+      process.env.TZ = 'America/Los_Angeles';
+
+      const period = drawingService.getDrawingPeriod('monthly', new Date('2024-02-01T00:05:00Z'), 'UTC');
+
+      expect(period).toEqual({
+        name: 'February 2024 Drawing',
+        startDate: new Date('2024-02-01T00:00:00Z'),
+        endDate: new Date('2024-02-29T23:59:59Z')
+      });
+    });
+
+    test('should compute boundaries in a configured timezone', () => {
+      const period = drawingService.getDrawingPeriod('monthly', new Date('2024-03-01T03:00:00Z'), 'America/New_York');
+
+      expect(period).toEqual({
+        name: 'February 2024 Drawing',
+        startDate: new Date('2024-02-01T05:00:00Z'),
+        endDate: new Date('2024-03-01T04:59:59Z')
+      });
+    });
+  });
+
+  describe('closeExpiredDrawings', () => {
+    test('should close active drawings past their end date', async () => {
+      const now = new Date('2024-02-01T00:00:00Z');
+      const expired = { id: 1, name: 'January 2024 Drawing', update: jest.fn() };
+      Drawing.findAll = jest.fn().mockResolvedValue([expired]);
+
+      const result = await drawingService.closeExpiredDrawings(now);
+
+      expect(Drawing.findAll).toHaveBeenCalledWith({
+        where: {
+          status: 'active',
+          endDate: { [Op.lte]: now }
+        }
+      });
+      expect(expired.update).toHaveBeenCalledWith({ status: 'closed' });
+      expect(result).toEqual({ closed: [1] });
+    });
+  });
+
+  describe('drawClosedDrawings', () => {
+    test('should draw winners and cancel drawings without entries', async () => {
+      const withEntries = { id: 1, name: 'January', update: jest.fn() };
+      const empty = { id: 2, name: 'February', metadata: {}, update: jest.fn() };
+      Drawing.findAll = jest.fn().mockResolvedValue([withEntries, empty]);
+
+      const selectWinner = jest.spyOn(drawingService, 'selectWinner')
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, message: 'No entries found for this drawing' });
+
+      const result = await drawingService.drawClosedDrawings();
+
+      expect(selectWinner).toHaveBeenCalledWith(1);
+      expect(selectWinner).toHaveBeenCalledWith(2);
+      expect(empty.update).toHaveBeenCalledWith({
+        status: 'cancelled',
+        metadata: { cancelReason: 'no_entries' }
+      });
+      expect(result).toEqual({ drawn: [1], cancelled: [2] });
+
+      selectWinner.mockRestore();
+    });
+  });
+
   describe('enterDrawing', () => {
     test('should add lead to drawing', async () => {
       const mockLead = {
@@ -91,6 +189,7 @@ describe('Drawing Service', () => {
 
       const mockDrawing = {
         id: 1,
+        type: 'monthly',
         status: 'active'
       };
 
@@ -103,7 +202,7 @@ describe('Drawing Service', () => {
 
       Lead.findOne.mockResolvedValue(mockLead);
       Drawing.findOne.mockResolvedValue(mockDrawing);
-      DrawingEntry.findOne = jest.fn().mockResolvedValue(null);
+      DrawingEntry.findAll.mockResolvedValue([]);
       DrawingEntry.create.mockResolvedValue(mockEntry);
 
       const result = await drawingService.enterDrawing('test@example.com');
@@ -114,11 +213,16 @@ describe('Drawing Service', () => {
       expect(DrawingEntry.create).toHaveBeenCalledWith({
         leadId: 1,
         drawingId: 1,
+        entryType: 'base',
+        entryCount: ENTRY_TYPES.base,
+        reference: null,
         entryDate: expect.any(Date)
       });
       expect(result).toEqual({
         success: true,
         entry: mockEntry,
+        entryCount: ENTRY_TYPES.base,
+        totalEntries: ENTRY_TYPES.base,
         message: 'Successfully entered into drawing'
       });
     });
@@ -126,11 +230,11 @@ describe('Drawing Service', () => {
     test('should not allow duplicate entries', async () => {
       const mockLead = { id: 1 };
       const mockDrawing = { id: 1, status: 'active' };
-      const existingEntry = { id: 1 };
+      const existingEntry = { id: 1, entryType: 'base', entryCount: 1 };
 
       Lead.findOne.mockResolvedValue(mockLead);
       Drawing.findOne.mockResolvedValue(mockDrawing);
-      DrawingEntry.findOne = jest.fn().mockResolvedValue(existingEntry);
+      DrawingEntry.findAll.mockResolvedValue([existingEntry]);
 
       const result = await drawingService.enterDrawing('test@example.com');
 
@@ -141,6 +245,85 @@ describe('Drawing Service', () => {
       });
     });
 
+    test('should report an award made by a concurrent request as already entered', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue({ id: 1, type: 'monthly', status: 'active' });
+      DrawingEntry.findAll.mockResolvedValue([]);
+      DrawingEntry.create.mockRejectedValue(new UniqueConstraintError({}));
+      DrawingEntry.count = jest.fn().mockResolvedValue(1);
+
+      const result = await drawingService.enterDrawing('test@example.com');
+
+      expect(DrawingEntry.count).toHaveBeenCalledWith({
+        where: { drawingId: 1, leadId: 1, awardKey: 'base' }
+      });
+      expect(result).toEqual({
+        success: false,
+        message: 'Already entered in current drawing'
+      });
+    });
+
+    test('should award bonus entries alongside a base entry', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue({ id: 1, type: 'monthly', status: 'active' });
+      DrawingEntry.findAll.mockResolvedValue([{ entryType: 'base', entryCount: 1 }]);
+      DrawingEntry.create.mockResolvedValue({});
+
+      const result = await drawingService.enterDrawing('test@example.com', 'meeting_booked');
+
+      expect(DrawingEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        entryType: 'meeting_booked',
+        entryCount: ENTRY_TYPES.meeting_booked
+      }));
+      expect(result.totalEntries).toBe(1 + ENTRY_TYPES.meeting_booked);
+    });
+
+    test('should cap entries at the per-lead limit for the drawing', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue({
+        id: 1,
+        type: 'monthly',
+        status: 'active',
+        metadata: { maxEntriesPerLead: 4 }
+      });
+      DrawingEntry.findAll.mockResolvedValue([
+        { entryType: 'base', entryCount: 1 },
+        { entryType: 'chat_completed', entryCount: 2 }
+      ]);
+      DrawingEntry.create.mockResolvedValue({});
+
+      const result = await drawingService.enterDrawing('test@example.com', 'meeting_booked');
+
+      expect(DrawingEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        entryType: 'meeting_booked',
+        entryCount: 1
+      }));
+      expect(result.totalEntries).toBe(4);
+    });
+
+    test('should refuse entries once the limit is reached', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue({ id: 1, type: 'special', status: 'active' });
+      DrawingEntry.findAll.mockResolvedValue([
+        { entryType: 'meeting_booked', entryCount: MAX_ENTRIES_PER_LEAD.special }
+      ]);
+
+      const result = await drawingService.enterDrawing('test@example.com', 'chat_completed');
+
+      expect(DrawingEntry.create).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        success: false,
+        message: 'Entry limit reached for this drawing'
+      });
+    });
+
+    test('should reject an unknown entry type', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1 });
+
+      await expect(drawingService.enterDrawing('test@example.com', 'lottery'))
+        .rejects.toThrow('Unknown entry type: lottery');
+    });
+
     test('should handle lead not found', async () => {
       Lead.findOne.mockResolvedValue(null);
 
@@ -166,12 +349,85 @@ describe('Drawing Service', () => {
     });
   });
 
+  describe('awardBonusEntries', () => {
+    test('should not throw when awarding fails', async () => {
+      Lead.findOne.mockRejectedValue(new Error('Database error'));
+
+      const result = await drawingService.awardBonusEntries('test@example.com', 'chat_completed');
+
+      expect(result).toEqual({ success: false, message: 'Database error' });
+      expect(logger.error).toHaveBeenCalledWith(
+        'Failed to award chat_completed entries:',
+        expect.any(Error)
+      );
+    });
+  });
+
+  describe('revokeBonusEntries', () => {
+    test('should remove the award from the active drawing', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue({ id: 5, name: 'January 2024 Drawing', status: 'active' });
+      DrawingEntry.destroy = jest.fn().mockResolvedValue(1);
+
+      const result = await drawingService.revokeBonusEntries('test@example.com', 'meeting_booked');
+
+      expect(DrawingEntry.destroy).toHaveBeenCalledWith({
+        where: { drawingId: 5, leadId: 1, awardKey: 'meeting_booked' }
+      });
+      expect(result).toEqual({ success: true, removed: 1 });
+    });
+
+    test('should leave entries alone once the drawing is no longer active', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+      Drawing.findOne.mockResolvedValue(null);
+      DrawingEntry.destroy = jest.fn();
+
+      const result = await drawingService.revokeBonusEntries('test@example.com', 'meeting_booked');
+
+      expect(DrawingEntry.destroy).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: false, message: 'No active drawing available' });
+    });
+  });
+
+  describe('recordReferral', () => {
+    test('should credit one referral entry per referred lead', async () => {
+      Lead.findOne.mockResolvedValue({ id: 1, email: 'referrer@example.com' });
+      Drawing.findOne.mockResolvedValue({ id: 1, type: 'monthly', status: 'active' });
+      DrawingEntry.findAll.mockResolvedValue([
+        { entryType: 'base', entryCount: 1 },
+        { entryType: 'referral', entryCount: 3, reference: 'lead-a' }
+      ]);
+      DrawingEntry.create.mockResolvedValue({});
+
+      const repeat = await drawingService.recordReferral('referrer@example.com', { id: 'lead-a', email: 'a@example.com' });
+      expect(repeat.success).toBe(false);
+
+      const result = await drawingService.recordReferral('referrer@example.com', { id: 'lead-b', email: 'b@example.com' });
+      expect(result.success).toBe(true);
+      expect(DrawingEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        entryType: 'referral',
+        entryCount: ENTRY_TYPES.referral,
+        reference: 'lead-b'
+      }));
+    });
+
+    test('should ignore self-referrals', async () => {
+      const result = await drawingService.recordReferral('self@example.com', { id: 1, email: 'self@example.com' });
+
+      expect(Lead.findOne).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: false, message: 'Invalid referral' });
+    });
+  });
+
   describe('selectWinner', () => {
-    test('should randomly select a winner from entries', async () => {
+    test('should derive the winner from the committed seed', async () => {
+      const seed = fairDraw.generateSeed();
       const mockDrawing = {
         id: 1,
         name: 'January 2024 Drawing',
         status: 'active',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
         prizeDetails: {
           type: 'consultation',
           value: 250,
@@ -182,37 +438,42 @@ describe('Drawing Service', () => {
 
       const mockEntries = [
         {
-          id: 1,
-          leadId: 1,
-          Lead: {
+          id: 'entry-3',
+          entryNumber: 'DE-2024-00003',
+          update: jest.fn(),
+          lead: {
+            id: 3,
+            email: 'user3@example.com',
+            name: 'User Three'
+          }
+        },
+        {
+          id: 'entry-1',
+          entryNumber: 'DE-2024-00001',
+          update: jest.fn(),
+          lead: {
             id: 1,
             email: 'user1@example.com',
             name: 'User One'
           }
         },
         {
-          id: 2,
-          leadId: 2,
-          Lead: {
+          id: 'entry-2',
+          entryNumber: 'DE-2024-00002',
+          update: jest.fn(),
+          lead: {
             id: 2,
             email: 'user2@example.com',
             name: 'User Two'
           }
-        },
-        {
-          id: 3,
-          leadId: 3,
-          Lead: {
-            id: 3,
-            email: 'user3@example.com',
-            name: 'User Three'
-          }
         }
       ];
 
+      const expected = fairDraw.draw(seed, mockEntries);
+
       Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
       DrawingEntry.findAll.mockResolvedValue(mockEntries);
-      emailService.sendDrawingWinnerNotification = jest.fn()
+      emailService.queueEmail = jest.fn()
         .mockResolvedValue({ success: true });
 
       const result = await drawingService.selectWinner(1);
@@ -222,31 +483,87 @@ describe('Drawing Service', () => {
         where: { drawingId: 1 },
         include: [{
           model: Lead,
+          as: 'lead',
           attributes: ['id', 'email', 'name', 'company']
         }]
       });
       
       expect(mockDrawing.update).toHaveBeenCalledWith({
         status: 'completed',
-        winnerId: expect.any(Number),
+        winnerId: expected.winner.lead.id,
+        winningEntryId: expected.winner.id,
+        winningIndex: expected.winningIndex,
+        entriesHash: expected.entriesHash,
+        redrawSeed: expect.stringMatching(/^[0-9a-f]{64}$/),
+        redrawSeedHash: expect.any(String),
         completedAt: expect.any(Date)
       });
+      const { redrawSeed, redrawSeedHash } = mockDrawing.update.mock.calls[0][0];
+      expect(redrawSeedHash).toBe(fairDraw.hashSeed(redrawSeed));
+      expect(expected.winner.update).toHaveBeenCalledWith({
+        status: 'winner',
+        wonDate: expect.any(Date)
+      });
 
-      expect(emailService.sendDrawingWinnerNotification).toHaveBeenCalledWith({
-        email: expect.any(String),
-        name: expect.any(String),
+      expect(emailService.queueEmail).toHaveBeenCalledWith('drawing_winner', {
+        email: expected.winner.lead.email,
+        name: expected.winner.lead.name,
         prizeDetails: mockDrawing.prizeDetails
+      }, {
+        metadata: { drawingId: 1 }
       });
 
       expect(result).toEqual({
         success: true,
-        winner: expect.objectContaining({
-          id: expect.any(Number),
-          email: expect.any(String),
-          name: expect.any(String)
-        }),
-        totalEntries: 3
+        winner: {
+          id: expected.winner.lead.id,
+          email: expected.winner.lead.email,
+          name: expected.winner.lead.name
+        },
+        totalEntries: 3,
+        proof: {
+          seedHash: mockDrawing.seedHash,
+          seed,
+          entriesHash: expected.entriesHash,
+          winningIndex: expected.winningIndex,
+          winningEntryNumber: expected.winner.entryNumber,
+          redrawSeedHash
+        }
       });
+      expect(result.proof.redrawSeed).toBeUndefined();
+    });
+
+    test('should commit a seed at draw time for legacy drawings', async () => {
+      const mockDrawing = {
+        id: 1,
+        status: 'active',
+        metadata: {},
+        prizeDetails: { type: 'consultation' },
+        commitSeed: jest.fn(function() {
+          this.seed = 'legacy-seed';
+          this.seedHash = fairDraw.hashSeed('legacy-seed');
+        }),
+        update: jest.fn()
+      };
+
+      const mockEntries = [{
+        id: 'entry-1',
+        entryNumber: 'DE-2024-00001',
+        update: jest.fn(),
+        lead: { id: 1, email: 'winner@example.com', name: 'Winner' }
+      }];
+
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+      DrawingEntry.findAll.mockResolvedValue(mockEntries);
+      emailService.queueEmail = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await drawingService.selectWinner(1);
+
+      expect(mockDrawing.commitSeed).toHaveBeenCalled();
+      expect(mockDrawing.update).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: { lateCommitment: true }
+      }));
+      expect(result.proof.seed).toBe('legacy-seed');
     });
 
     test('should handle drawing with no entries', async () => {
@@ -299,19 +616,22 @@ describe('Drawing Service', () => {
       const mockDrawing = {
         id: 1,
         status: 'active',
+        seed: 'seed',
+        seedHash: fairDraw.hashSeed('seed'),
         prizeDetails: { type: 'consultation' },
         update: jest.fn()
       };
 
       const mockEntries = [{
-        id: 1,
-        leadId: 1,
-        Lead: { id: 1, email: 'winner@example.com', name: 'Winner' }
+        id: 'entry-1',
+        entryNumber: 'DE-2024-00001',
+        update: jest.fn(),
+        lead: { id: 1, email: 'winner@example.com', name: 'Winner' }
       }];
 
       Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
       DrawingEntry.findAll.mockResolvedValue(mockEntries);
-      emailService.sendDrawingWinnerNotification = jest.fn()
+      emailService.queueEmail = jest.fn()
         .mockRejectedValue(new Error('Email failed'));
 
       const result = await drawingService.selectWinner(1);
@@ -319,12 +639,462 @@ describe('Drawing Service', () => {
       // Should still complete successfully even if email fails
       expect(result.success).toBe(true);
       expect(logger.error).toHaveBeenCalledWith(
-        'Failed to send winner notification:',
+        'Failed to queue winner notification:',
         expect.any(Error)
       );
     });
   });
 
+  describe('redrawWinner', () => {
+    const seed = 'c'.repeat(64);
+    const redrawSeed = 'd'.repeat(64);
+    const makeEntries = () => ['1', '2', '3'].map(n => ({
+      id: `entry-${n}`,
+      leadId: n,
+      entryNumber: `DE-2024-0000${n}`,
+      update: jest.fn(),
+      lead: { id: n, email: `user${n}@example.com`, name: `User ${n}` }
+    }));
+
+    test('should draw a new winner from the remaining entries', async () => {
+      const entries = makeEntries();
+      const original = fairDraw.draw(seed, entries);
+      const remaining = entries.filter(e => e !== original.winner);
+      const expected = fairDraw.draw(redrawSeed, remaining);
+
+      const mockDrawing = {
+        id: 1,
+        name: 'January 2024 Drawing',
+        status: 'completed',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
+        redrawSeed,
+        redrawSeedHash: fairDraw.hashSeed(redrawSeed),
+        winnerId: original.winner.lead.id,
+        winningEntryId: original.winner.id,
+        metadata: {},
+        update: jest.fn()
+      };
+
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+      DrawingEntry.findAll.mockResolvedValue(entries);
+      emailService.queueEmail = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await drawingService.redrawWinner(1, { reason: 'No response', redrawnBy: 'admin@servicevision.com' });
+
+      expect(original.winner.update).toHaveBeenCalledWith({ status: 'disqualified' });
+      expect(expected.winner.update).toHaveBeenCalledWith({ status: 'winner', wonDate: expect.any(Date) });
+      expect(mockDrawing.update).toHaveBeenCalledWith({
+        winnerId: expected.winner.lead.id,
+        winningEntryId: expected.winner.id,
+        winningIndex: expected.winningIndex,
+        entriesHash: expected.entriesHash,
+        redrawSeed: expect.stringMatching(/^[0-9a-f]{64}$/),
+        redrawSeedHash: expect.any(String),
+        metadata: {
+          redraws: [{
+            disqualifiedEntryId: original.winner.id,
+            disqualifiedEntryNumber: original.winner.entryNumber,
+            disqualifiedLeadId: original.winner.leadId,
+            previousWinnerId: original.winner.lead.id,
+            reason: 'No response',
+            redrawnBy: 'admin@servicevision.com',
+            redrawnAt: expect.any(String),
+            seedHash: fairDraw.hashSeed(redrawSeed),
+            seed: redrawSeed
+          }]
+        }
+      });
+      expect(result.success).toBe(true);
+      expect(result.winner.email).toBe(expected.winner.lead.email);
+    });
+
+    test('should commit a fresh seed for the next redraw', async () => {
+      const entries = makeEntries();
+      const original = fairDraw.draw(seed, entries);
+      const mockDrawing = {
+        id: 1,
+        status: 'completed',
+        seed,
+        redrawSeed,
+        redrawSeedHash: fairDraw.hashSeed(redrawSeed),
+        winnerId: original.winner.lead.id,
+        winningEntryId: original.winner.id,
+        metadata: {},
+        update: jest.fn()
+      };
+
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+      DrawingEntry.findAll.mockResolvedValue(entries);
+      emailService.queueEmail = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await drawingService.redrawWinner(1, { reason: 'No response' });
+
+      const updates = mockDrawing.update.mock.calls[0][0];
+      expect(updates.redrawSeed).not.toBe(redrawSeed);
+      expect(updates.redrawSeedHash).toBe(fairDraw.hashSeed(updates.redrawSeed));
+      expect(result.proof).toEqual(expect.objectContaining({
+        seedHash: fairDraw.hashSeed(redrawSeed),
+        seed: redrawSeed,
+        redrawSeedHash: updates.redrawSeedHash
+      }));
+    });
+
+    test('should commit a redraw seed at redraw time for legacy drawings', async () => {
+      const entries = makeEntries();
+      const original = fairDraw.draw(seed, entries);
+      const mockDrawing = {
+        id: 1,
+        status: 'completed',
+        seed,
+        winnerId: original.winner.lead.id,
+        winningEntryId: original.winner.id,
+        metadata: {},
+        update: jest.fn()
+      };
+
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+      DrawingEntry.findAll.mockResolvedValue(entries);
+      emailService.queueEmail = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await drawingService.redrawWinner(1, { reason: 'No response' });
+
+      const [redraw] = mockDrawing.update.mock.calls[0][0].metadata.redraws;
+      expect(redraw.lateCommitment).toBe(true);
+      expect(redraw.seed).not.toBe(seed);
+      expect(redraw.seedHash).toBe(fairDraw.hashSeed(redraw.seed));
+      expect(result.proof.seed).toBe(redraw.seed);
+    });
+
+    test('should exclude every entry of the disqualified lead', async () => {
+      const lead = (n) => ({ id: `lead-${n}`, email: `user${n}@example.com`, name: `User ${n}` });
+      const entry = (n, leadNumber, entryType, entryCount) => ({
+        id: `entry-${n}`,
+        leadId: `lead-${leadNumber}`,
+        entryNumber: `DE-2024-0000${n}`,
+        entryType,
+        entryCount,
+        update: jest.fn(),
+        lead: lead(leadNumber)
+      });
+      // Lead 1 holds most of the tickets across several entry types
+      const entries = [
+        entry(1, 1, 'base', 1),
+        entry(2, 1, 'newsletter', 1),
+        entry(3, 1, 'chat_completed', 2),
+        entry(4, 1, 'referral', 1),
+        entry(5, 2, 'base', 1),
+        entry(6, 3, 'base', 1)
+      ];
+      const mockDrawing = {
+        id: 1,
+        status: 'completed',
+        seed,
+        redrawSeed,
+        redrawSeedHash: fairDraw.hashSeed(redrawSeed),
+        winnerId: 'lead-1',
+        winningEntryId: 'entry-3',
+        metadata: {},
+        update: jest.fn()
+      };
+
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+      DrawingEntry.findAll.mockResolvedValue(entries);
+      emailService.queueEmail = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await drawingService.redrawWinner(1, { reason: 'Ineligible' });
+
+      const expected = fairDraw.draw(redrawSeed, entries.slice(4));
+      expect(result.winner.id).not.toBe('lead-1');
+      expect(result.winner.id).toBe(expected.winner.lead.id);
+      entries.slice(0, 4).forEach(e => expect(e.update).toHaveBeenCalledWith({ status: 'disqualified' }));
+      expect(mockDrawing.update.mock.calls[0][0].metadata.redraws[0].disqualifiedLeadId).toBe('lead-1');
+    });
+
+    test('should only redraw completed drawings', async () => {
+      Drawing.findByPk = jest.fn().mockResolvedValue({ id: 1, status: 'active' });
+
+      const result = await drawingService.redrawWinner(1, { reason: 'No response' });
+
+      expect(DrawingEntry.findAll).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        success: false,
+        message: 'Only completed drawings can be redrawn'
+      });
+    });
+
+    test('should fail when every entry has been disqualified', async () => {
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        status: 'completed',
+        seed,
+        winningEntryId: 'entry-1',
+        metadata: { redraws: [{ disqualifiedEntryId: 'entry-2' }] }
+      });
+      DrawingEntry.findAll.mockResolvedValue(makeEntries().slice(0, 2));
+
+      const result = await drawingService.redrawWinner(1, { reason: 'Ineligible' });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'No remaining entries to redraw'
+      });
+    });
+  });
+
+  describe('activateDrawing', () => {
+    test('should not activate a draft whose end date has passed', async () => {
+      const mockDrawing = { id: 1, status: 'draft', endDate: new Date('2024-01-31'), update: jest.fn() };
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+
+      const result = await drawingService.activateDrawing(1);
+
+      expect(mockDrawing.update).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        success: false,
+        message: 'Drawing has already ended'
+      });
+    });
+  });
+
+  describe('cancelDrawing', () => {
+    test('should cancel an active drawing with a reason', async () => {
+      const mockDrawing = { id: 1, status: 'active', metadata: {}, update: jest.fn() };
+      Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
+
+      const result = await drawingService.cancelDrawing(1, { reason: 'Prize withdrawn', cancelledBy: 'admin@servicevision.com' });
+
+      expect(mockDrawing.update).toHaveBeenCalledWith({
+        status: 'cancelled',
+        metadata: {
+          cancelReason: 'Prize withdrawn',
+          cancelledBy: 'admin@servicevision.com',
+          cancelledAt: expect.any(String)
+        }
+      });
+      expect(result.success).toBe(true);
+    });
+
+    test('should not cancel a completed drawing', async () => {
+      Drawing.findByPk = jest.fn().mockResolvedValue({ id: 1, status: 'completed', update: jest.fn() });
+
+      const result = await drawingService.cancelDrawing(1);
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Drawing already completed'
+      });
+    });
+  });
+
+  describe('verifyDrawing', () => {
+    const seed = 'b'.repeat(64);
+    const entries = [
+      { id: 'entry-2', entryNumber: 'DE-2024-00002' },
+      { id: 'entry-1', entryNumber: 'DE-2024-00001' }
+    ];
+
+    test('should only publish the commitment before completion', async () => {
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        name: 'January 2024 Drawing',
+        status: 'active',
+        seed,
+        seedHash: fairDraw.hashSeed(seed)
+      });
+
+      const result = await drawingService.verifyDrawing(1);
+
+      expect(DrawingEntry.findAll).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        drawingId: 1,
+        name: 'January 2024 Drawing',
+        status: 'active',
+        algorithm: fairDraw.ALGORITHM,
+        seedHash: fairDraw.hashSeed(seed),
+        revealed: false
+      });
+      expect(result.seed).toBeUndefined();
+    });
+
+    test('should verify a completed drawing', async () => {
+      const expected = fairDraw.draw(seed, entries);
+
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        name: 'January 2024 Drawing',
+        status: 'completed',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
+        entriesHash: expected.entriesHash,
+        winningIndex: expected.winningIndex,
+        winningEntryId: expected.winner.id,
+        metadata: {}
+      });
+      DrawingEntry.findAll.mockResolvedValue(entries);
+
+      const result = await drawingService.verifyDrawing(1);
+
+      expect(result.verified).toBe(true);
+      expect(result.entries).toEqual([
+        { entryNumber: 'DE-2024-00001', entryCount: 1 },
+        { entryNumber: 'DE-2024-00002', entryCount: 1 }
+      ]);
+      expect(result.winningEntryNumber).toBe(expected.winner.entryNumber);
+    });
+
+    test('should flag a drawing whose recorded winner does not match', async () => {
+      const expected = fairDraw.draw(seed, entries);
+      const wrongEntry = entries.find(e => e.id !== expected.winner.id);
+
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        status: 'completed',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
+        entriesHash: expected.entriesHash,
+        winningIndex: expected.winningIndex,
+        winningEntryId: wrongEntry.id,
+        metadata: {}
+      });
+      DrawingEntry.findAll.mockResolvedValue(entries);
+
+      const result = await drawingService.verifyDrawing(1);
+
+      expect(result.checks.winnerValid).toBe(false);
+      expect(result.verified).toBe(false);
+    });
+
+    test('should verify a redrawn drawing against the remaining entries', async () => {
+      const original = fairDraw.draw(seed, entries);
+      const remaining = entries.filter(e => e.id !== original.winner.id);
+      const redrawn = fairDraw.draw(seed, remaining);
+
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        status: 'completed',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
+        entriesHash: redrawn.entriesHash,
+        winningIndex: redrawn.winningIndex,
+        winningEntryId: redrawn.winner.id,
+        metadata: {
+          redraws: [{
+            disqualifiedEntryId: original.winner.id,
+            disqualifiedEntryNumber: original.winner.entryNumber,
+            reason: 'No response',
+            redrawnAt: '2024-02-10T00:00:00.000Z'
+          }]
+        }
+      });
+      DrawingEntry.findAll.mockResolvedValue(entries);
+
+      const result = await drawingService.verifyDrawing(1);
+
+      expect(result.verified).toBe(true);
+      expect(result.redraws).toEqual([{
+        disqualifiedEntryNumber: original.winner.entryNumber,
+        reason: 'No response',
+        redrawnAt: '2024-02-10T00:00:00.000Z',
+        seedHash: null,
+        seed: null,
+        lateCommitment: false
+      }]);
+    });
+
+    describe('with committed redraw seeds', () => {
+      const redrawSeeds = ['d'.repeat(64), 'e'.repeat(64)];
+      const threeEntries = [...entries, { id: 'entry-3', entryNumber: 'DE-2024-00003' }];
+
+      // Draw, then redraw twice, recording each redraw the way redrawWinner does
+      const drawAndRedraw = () => {
+        const redraws = [];
+        let result = fairDraw.draw(seed, threeEntries);
+        redrawSeeds.forEach((redrawSeed) => {
+          redraws.push({
+            disqualifiedEntryId: result.winner.id,
+            disqualifiedEntryNumber: result.winner.entryNumber,
+            reason: 'No response',
+            seedHash: fairDraw.hashSeed(redrawSeed),
+            seed: redrawSeed
+          });
+          const disqualified = redraws.map(redraw => redraw.disqualifiedEntryId);
+          result = fairDraw.draw(redrawSeed, threeEntries.filter(e => !disqualified.includes(e.id)));
+        });
+        return {
+          id: 1,
+          status: 'completed',
+          seed,
+          seedHash: fairDraw.hashSeed(seed),
+          entriesHash: result.entriesHash,
+          winningIndex: result.winningIndex,
+          winningEntryId: result.winner.id,
+          metadata: { redraws }
+        };
+      };
+
+      test('should replay every redraw with its revealed seed', async () => {
+        Drawing.findByPk = jest.fn().mockResolvedValue(drawAndRedraw());
+        DrawingEntry.findAll.mockResolvedValue(threeEntries);
+
+        const result = await drawingService.verifyDrawing(1);
+
+        expect(result.checks.redrawsValid).toBe(true);
+        expect(result.verified).toBe(true);
+        expect(result.redraws.map(redraw => redraw.seed)).toEqual(redrawSeeds);
+      });
+
+      test('should flag a redraw seed that does not match its commitment', async () => {
+        const drawing = drawAndRedraw();
+        drawing.metadata.redraws[0].seedHash = fairDraw.hashSeed('f'.repeat(64));
+        Drawing.findByPk = jest.fn().mockResolvedValue(drawing);
+        DrawingEntry.findAll.mockResolvedValue(threeEntries);
+
+        const result = await drawingService.verifyDrawing(1);
+
+        expect(result.checks.redrawsValid).toBe(false);
+        expect(result.verified).toBe(false);
+      });
+    });
+
+    test('should leave out every entry of a disqualified lead when replaying a redraw', async () => {
+      const leadEntries = [
+        { id: 'entry-1', leadId: 'lead-2', entryNumber: 'DE-2024-00001' },
+        { id: 'entry-2', leadId: 'lead-3', entryNumber: 'DE-2024-00002', entryCount: 2 },
+        { id: 'entry-3', leadId: 'lead-1', entryNumber: 'DE-2024-00003' },
+        { id: 'entry-4', leadId: 'lead-1', entryNumber: 'DE-2024-00004' }
+      ];
+      const original = fairDraw.draw(seed, leadEntries);
+      const redrawn = fairDraw.draw(seed, leadEntries.slice(0, 2));
+
+      Drawing.findByPk = jest.fn().mockResolvedValue({
+        id: 1,
+        status: 'completed',
+        seed,
+        seedHash: fairDraw.hashSeed(seed),
+        entriesHash: redrawn.entriesHash,
+        winningIndex: redrawn.winningIndex,
+        winningEntryId: redrawn.winner.id,
+        metadata: {
+          redraws: [{ disqualifiedEntryId: original.winner.id, disqualifiedLeadId: 'lead-1', reason: 'Ineligible' }]
+        }
+      });
+      DrawingEntry.findAll.mockResolvedValue(leadEntries);
+
+      const result = await drawingService.verifyDrawing(1);
+
+      expect(original.winner.leadId).toBe('lead-1');
+      expect(result.verified).toBe(true);
+      expect(result.entries.map(e => e.entryNumber)).toEqual(['DE-2024-00001', 'DE-2024-00002']);
+    });
+
+    test('should return null for unknown drawing', async () => {
+      Drawing.findByPk = jest.fn().mockResolvedValue(null);
+
+      expect(await drawingService.verifyDrawing(999)).toBeNull();
+    });
+  });
+
   describe('getDrawingStats', () => {
     test('should return statistics for a drawing', async () => {
       const mockDrawing = {
@@ -338,9 +1108,10 @@ describe('Drawing Service', () => {
       };
 
       const mockEntries = [
-        { id: 1, leadId: 1, entryDate: new Date('2024-01-05') },
-        { id: 2, leadId: 2, entryDate: new Date('2024-01-10') },
-        { id: 3, leadId: 3, entryDate: new Date('2024-01-15') }
+        { id: 1, leadId: 1, entryType: 'base', entryCount: 1, entryDate: new Date('2024-01-05') },
+        { id: 2, leadId: 1, entryType: 'meeting_booked', entryCount: 5, entryDate: new Date('2024-01-05') },
+        { id: 3, leadId: 2, entryType: 'base', entryCount: 1, entryDate: new Date('2024-01-10') },
+        { id: 4, leadId: 3, entryType: 'base', entryCount: 1, entryDate: new Date('2024-01-15') }
       ];
 
       Drawing.findByPk = jest.fn().mockResolvedValue(mockDrawing);
@@ -350,9 +1121,10 @@ describe('Drawing Service', () => {
 
       expect(result).toEqual({
         drawing: mockDrawing,
-        totalEntries: 3,
+        totalEntries: 8,
         uniqueEntrants: 3,
         entriesByDate: expect.any(Object),
+        entriesByType: { base: 3, meeting_booked: 5 },
         status: 'active',
         daysRemaining: expect.any(Number)
       });
@@ -392,13 +1164,13 @@ describe('Drawing Service', () => {
         {
           id: 1,
           email: 'eligible1@example.com',
-          isQualified: true,
+          qualified: true,
           createdAt: new Date('2024-01-05')
         },
         {
           id: 2,
           email: 'eligible2@example.com',
-          isQualified: true,
+          qualified: true,
           createdAt: new Date('2024-01-10')
         }
       ];
@@ -409,9 +1181,9 @@ describe('Drawing Service', () => {
 
       expect(Lead.findAll).toHaveBeenCalledWith({
         where: {
-          isQualified: true,
+          qualified: true,
           createdAt: {
-            [expect.any(Symbol)]: expect.any(Date) // Op.gte
+            [Op.gte]: expect.any(Date)
           }
         }
       });
@@ -428,9 +1200,9 @@ describe('Drawing Service', () => {
 
       expect(Lead.findAll).toHaveBeenCalledWith({
         where: {
-          isQualified: true,
+          qualified: true,
           createdAt: {
-            [expect.any(Symbol)]: [startDate, endDate] // Op.between
+            [Op.between]: [startDate, endDate]
           }
         }
       });
@@ -448,7 +1220,7 @@ describe('Drawing Service', () => {
 
       Drawing.findOne.mockResolvedValue(mockDrawing);
       Lead.findAll.mockResolvedValue(mockLeads);
-      DrawingEntry.findOne = jest.fn().mockResolvedValue(null);
+      DrawingEntry.findAll.mockResolvedValue([]);
       DrawingEntry.create.mockResolvedValue({});
 
       const result = await drawingService.autoEnterEligibleLeads();
@@ -472,9 +1244,9 @@ describe('Drawing Service', () => {
       Lead.findAll.mockResolvedValue(mockLeads);
       
       // First lead already entered, second not
-      DrawingEntry.findOne = jest.fn()
-        .mockResolvedValueOnce({ id: 1 }) // Already entered
-        .mockResolvedValueOnce(null);     // Not entered
+      DrawingEntry.findAll
+        .mockResolvedValueOnce([{ id: 1, entryType: 'base' }]) // Already entered
+        .mockResolvedValueOnce([]);                            // Not entered
         
       DrawingEntry.create.mockResolvedValue({});
 
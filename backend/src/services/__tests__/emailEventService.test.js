@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { sequelize, EmailEvent, EmailOutbox, EmailSuppression, Lead, ChatSession } = require('../../models');
+const emailEventService = require('../emailEventService');
+
+jest.mock('../../utils/logger');
+
+describe('Email Event Service', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EmailEvent.destroy({ where: {} });
+    await EmailSuppression.destroy({ where: {} });
+    await EmailOutbox.destroy({ where: {} });
+    await ChatSession.destroy({ where: {} });
+    await Lead.destroy({ where: {} });
+  });
+
+  const buildEvent = (overrides = {}) => ({
+    email: 'lead@example.com',
+    event: 'delivered',
+    timestamp: 1700000000,
+    sg_event_id: crypto.randomUUID(),
+    sg_message_id: 'abc123.filter0001.1.0',
+    ...overrides
+  });
+
+  describe('verifySignature', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const encodedKey = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+    const payload = Buffer.from(JSON.stringify([buildEvent()]));
+    const now = Date.now();
+    const timestamp = String(Math.floor(now / 1000));
+    const sign = (body) => crypto.sign('sha256', Buffer.concat([Buffer.from(timestamp), body]), privateKey)
+      .toString('base64');
+
+    test('should accept a valid signature', () => {
+      expect(emailEventService.verifySignature(encodedKey, payload, sign(payload), timestamp, now)).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const signature = sign(payload);
+      const tampered = Buffer.from(JSON.stringify([buildEvent({ event: 'open' })]));
+
+      expect(emailEventService.verifySignature(encodedKey, tampered, signature, timestamp, now)).toBe(false);
+    });
+
+    test('should reject stale timestamps', () => {
+      const later = now + 60 * 60 * 1000;
+
+      expect(emailEventService.verifySignature(encodedKey, payload, sign(payload), timestamp, later)).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+      expect(emailEventService.verifySignature(encodedKey, payload, 'not-a-signature', timestamp, now)).toBe(false);
+      expect(emailEventService.verifySignature(encodedKey, payload, undefined, timestamp, now)).toBe(false);
+    });
+  });
+
+  describe('processEvents', () => {
+    test('should link events to the outbox message and lead', async () => {
+      const lead = await Lead.create({ email: 'lead@example.com' });
+      const message = await EmailOutbox.create({
+        kind: 'welcome',
+        recipient: 'lead@example.com',
+        payload: {},
+        maxAttempts: 3
+      });
+
+      const results = await emailEventService.processEvents([
+        buildEvent({ email: 'Lead@Example.com', outbox_id: message.id }),
+        buildEvent({ event: 'click', url: 'https://servicevision.net', outbox_id: message.id })
+      ]);
+
+      expect(results).toEqual({ processed: 2, duplicates: 0, ignored: 0 });
+
+      const events = await EmailEvent.findAll({ order: [['event', 'ASC']] });
+      expect(events.map(event => event.event)).toEqual(['click', 'delivered']);
+      expect(events[0].outboxId).toBe(message.id);
+      expect(events[0].leadId).toBe(lead.id);
+      expect(events[0].url).toBe('https://servicevision.net');
+      expect(events[1].occurredAt).toEqual(new Date(1700000000 * 1000));
+    });
+
+    test('should fall back to the SendGrid message ID', async () => {
+      const message = await EmailOutbox.create({
+        kind: 'welcome',
+        recipient: 'lead@example.com',
+        payload: {},
+        maxAttempts: 3,
+        status: 'sent',
+        messageId: 'abc123'
+      });
+
+      await emailEventService.processEvents([buildEvent()]);
+
+      const event = await EmailEvent.findOne();
+      expect(event.outboxId).toBe(message.id);
+    });
+
+    test('should skip duplicate and untracked events', async () => {
+      const event = buildEvent();
+
+      const results = await emailEventService.processEvents([
+        event,
+        event,
+        buildEvent({ event: 'processed' }),
+        buildEvent({ sg_event_id: undefined })
+      ]);
+
+      expect(results).toEqual({ processed: 1, duplicates: 1, ignored: 2 });
+      expect(await EmailEvent.count()).toBe(1);
+    });
+
+    test('should suppress bounced and unsubscribed addresses', async () => {
+      await emailEventService.processEvents([
+        buildEvent({ email: 'bounced@example.com', event: 'bounce', reason: '550 No such user' }),
+        buildEvent({ email: 'blocked@example.com', event: 'bounce', type: 'blocked' }),
+        buildEvent({ email: 'gone@example.com', event: 'unsubscribe' })
+      ]);
+
+      const suppressions = await EmailSuppression.findAll({ order: [['email', 'ASC']] });
+      expect(suppressions.map(s => [s.email, s.reason])).toEqual([
+        ['bounced@example.com', 'bounce'],
+        ['gone@example.com', 'unsubscribe']
+      ]);
+      expect(suppressions[0].detail).toBe('550 No such user');
+    });
+
+    test('should mark a summary sent only once it is delivered', async () => {
+      const session = await ChatSession.create({ sessionId: crypto.randomUUID() });
+      const message = await EmailOutbox.create({
+        kind: 'summary',
+        recipient: 'lead@example.com',
+        payload: {},
+        maxAttempts: 3,
+        metadata: { sessionId: session.sessionId }
+      });
+
+      await emailEventService.processEvents([buildEvent({ event: 'open', outbox_id: message.id })]);
+      await session.reload();
+      expect(session.summaryEmailSent).toBe(false);
+
+      await emailEventService.processEvents([buildEvent({ outbox_id: message.id })]);
+      await session.reload();
+      expect(session.summaryEmailSent).toBe(true);
+      expect(session.summaryEmailSentAt).toEqual(new Date(1700000000 * 1000));
+    });
+
+    test('should leave a bounced summary unsent', async () => {
+      const session = await ChatSession.create({ sessionId: crypto.randomUUID() });
+      const message = await EmailOutbox.create({
+        kind: 'summary',
+        recipient: 'lead@example.com',
+        payload: {},
+        maxAttempts: 3,
+        metadata: { sessionId: session.sessionId }
+      });
+
+      await emailEventService.processEvents([buildEvent({ event: 'bounce', outbox_id: message.id })]);
+
+      await session.reload();
+      expect(session.summaryEmailSent).toBe(false);
+    });
+  });
+
+  describe('getLeadEngagement', () => {
+    test('should summarize a lead\'s email events', async () => {
+      const lead = await Lead.create({ email: 'lead@example.com' });
+      await emailEventService.processEvents([
+        buildEvent(),
+        buildEvent({ event: 'open' }),
+        buildEvent({ event: 'open' }),
+        buildEvent({ event: 'unsubscribe' })
+      ]);
+
+      const engagement = await emailEventService.getLeadEngagement(lead.id);
+
+      expect(engagement.events).toHaveLength(4);
+      expect(engagement.counts).toEqual(expect.objectContaining({ delivered: 1, open: 2, unsubscribe: 1, bounce: 0 }));
+      expect(engagement.suppressed).toBe('unsubscribe');
+    });
+
+    test('should return null for an unknown lead', async () => {
+      expect(await emailEventService.getLeadEngagement(crypto.randomUUID())).toBeNull();
+    });
+  });
+});
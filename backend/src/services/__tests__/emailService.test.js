@@ -1,5 +1,11 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const emailService = require('../emailService');
+const { FileTransport } = require('../emailTransports');
 const sgMail = require('@sendgrid/mail');
+const { sequelize, EmailOutbox, EmailSuppression, ChatSession } = require('../../models');
+const { BASE_DELAY_MS, MAX_ATTEMPTS, PROCESSING_LEASE_MS } = require('../../config/emailOutbox');
 const { getConfig } = require('../../config/environment');
 const logger = require('../../utils/logger');
 
@@ -15,13 +21,22 @@ describe('Email Service', () => {
     NODE_ENV: 'test'
   };
 
-  beforeEach(() => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
     jest.clearAllMocks();
     getConfig.mockReturnValue(mockConfig);
     sgMail.send.mockResolvedValue([{ statusCode: 202, headers: { 'x-message-id': 'msg-123' } }]);
     
-    // Clear the email queue between tests
-    emailService.clearQueue();
+    // Clear the outbox between tests
+    await EmailOutbox.destroy({ where: {} });
+    await EmailSuppression.destroy({ where: {} });
   });
 
   describe('initialization', () => {
@@ -173,144 +188,265 @@ describe('Email Service', () => {
     });
   });
 
-  describe('sendWithRetry', () => {
-    test('should retry failed emails up to 3 times', async () => {
-      sgMail.send
-        .mockRejectedValueOnce(new Error('Temporary failure'))
-        .mockRejectedValueOnce(new Error('Temporary failure'))
-        .mockResolvedValueOnce([{ statusCode: 202 }]);
-
-      const emailData = {
-        to: 'retry@example.com',
-        subject: 'Test Retry',
-        content: 'Test content'
-      };
-
-      const result = await emailService.sendWithRetry(emailData);
-
-      expect(sgMail.send).toHaveBeenCalledTimes(3);
-      expect(result.success).toBe(true);
-      expect(result.attempts).toBe(3);
+  describe('email templates', () => {
+    test('should render emails from the template registry', async () => {
+      await emailService.sendWelcomeEmail({ email: 'user@example.com', name: 'Test User' });
+
+      const [msg] = sgMail.send.mock.calls[0];
+      expect(msg.html).toContain('<!DOCTYPE html>');
+      expect(msg.html).toContain('Test User');
+      expect(msg.text).toContain('Hello Test User,');
+      expect(msg.text).not.toContain('<');
     });
 
-    test('should fail after max retries', async () => {
-      sgMail.send.mockRejectedValue(new Error('Permanent failure'));
+    test('should handle template variables safely', async () => {
+      await emailService.sendWelcomeEmail({
+        email: 'user@example.com',
+        name: '<script>alert("XSS")</script>'
+      });
 
-      const emailData = {
-        to: 'fail@example.com',
-        subject: 'Test Fail',
-        content: 'Test content'
-      };
+      const [msg] = sgMail.send.mock.calls[0];
+      expect(msg.html).not.toContain('<script>');
+      expect(msg.html).toContain('&lt;script&gt;');
+    });
 
-      const result = await emailService.sendWithRetry(emailData, 3);
+    test('should send the locale variant when one exists', async () => {
+      await emailService.sendWelcomeEmail({ email: 'user@example.com', name: 'Ana', locale: 'es-MX' });
 
-      expect(sgMail.send).toHaveBeenCalledTimes(3);
-      expect(result.success).toBe(false);
-      expect(result.attempts).toBe(3);
-      expect(logger.error).toHaveBeenCalled();
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        subject: '¡Bienvenido a ServiceVision, Ana!'
+      }));
     });
+  });
 
-    test('should wait between retries with exponential backoff', async () => {
-      // Track delays
-      const delays = [];
-      const originalSetTimeout = global.setTimeout;
-      
-      // Mock setTimeout to capture delays
-      global.setTimeout = jest.fn((callback, delay) => {
-        delays.push(delay);
-        return originalSetTimeout(callback, 0); // Execute immediately
+  describe('sendEmail', () => {
+    test('should send a pre-rendered email', async () => {
+      const result = await emailService.sendEmail({
+        to: 'summary@example.com',
+        subject: 'Your Summary',
+        html: '<p>Summary</p>'
       });
-      
-      sgMail.send
-        .mockRejectedValueOnce(new Error('Temporary failure'))
-        .mockRejectedValueOnce(new Error('Temporary failure'))
-        .mockResolvedValueOnce([{ statusCode: 202, headers: { 'x-message-id': 'msg-123' } }]);
-
-      const emailData = {
-        to: 'backoff@example.com',
-        subject: 'Test Backoff',
-        content: 'Test content'
-      };
 
-      const result = await emailService.sendWithRetry(emailData);
-      
-      // Should have made 3 attempts
-      expect(sgMail.send).toHaveBeenCalledTimes(3);
+      expect(sgMail.send).toHaveBeenCalledWith({
+        to: 'summary@example.com',
+        from: {
+          email: 'test@servicevision.com',
+          name: 'ServiceVision Team'
+        },
+        subject: 'Your Summary',
+        html: '<p>Summary</p>',
+        text: 'Summary'
+      });
       expect(result.success).toBe(true);
-      expect(result.attempts).toBe(3);
-      
-      // Check exponential backoff delays
-      expect(delays).toEqual([1000, 2000]); // 2^0 * 1000, 2^1 * 1000
-      
-      // Restore original setTimeout
-      global.setTimeout = originalSetTimeout;
     });
   });
 
-  describe('email templates', () => {
-    test('should generate valid HTML templates', async () => {
-      const templates = emailService.getEmailTemplates();
-      
-      expect(templates.welcome).toBeDefined();
-      expect(templates.leadNotification).toBeDefined();
-      expect(templates.drawingWinner).toBeDefined();
-      
-      // Verify template structure
-      const welcomeHtml = templates.welcome({ name: 'Test User' });
-      expect(welcomeHtml).toContain('<!DOCTYPE html>');
-      expect(welcomeHtml).toContain('Test User');
-    });
-
-    test('should handle template variables safely', async () => {
-      const templates = emailService.getEmailTemplates();
-      
-      // Test with potentially dangerous input
-      const maliciousInput = '<script>alert("XSS")</script>';
-      const html = templates.welcome({ name: maliciousInput });
-      
-      // Should escape HTML
-      expect(html).not.toContain('<script>');
-      expect(html).toContain('&lt;script&gt;');
+  describe('email queue', () => {
+    const queueWelcome = () => emailService.queueEmail('welcome', {
+      email: 'queue@example.com',
+      name: 'Queued User'
+    }, {
+      metadata: { source: 'test' }
     });
-  });
 
-  describe('email queue', () => {
-    test('should queue emails when service is unavailable', async () => {
-      sgMail.send.mockRejectedValue(new Error('Service Unavailable'));
-      
-      const result = await emailService.queueEmail({
-        to: 'queue@example.com',
-        subject: 'Queued Email',
-        content: 'This should be queued'
-      });
+    test('should store queued emails in the outbox', async () => {
+      const result = await queueWelcome();
       
       expect(result.success).toBe(true);
       expect(result.queued).toBe(true);
       expect(result.queueId).toBeDefined();
+      expect(sgMail.send).not.toHaveBeenCalled();
+
+      const message = await EmailOutbox.findByPk(result.queueId);
+      expect(message.status).toBe('pending');
+      expect(message.recipient).toBe('queue@example.com');
+      expect(message.payload).toEqual({ email: 'queue@example.com', name: 'Queued User' });
+      expect(message.metadata).toEqual({ source: 'test' });
+      expect(message.maxAttempts).toBe(MAX_ATTEMPTS);
+    });
+
+    test('should reject unknown kinds and missing recipients', async () => {
+      await expect(emailService.queueEmail('newsletter', { email: 'a@example.com' }))
+        .rejects.toThrow('Unknown email kind: newsletter');
+      await expect(emailService.queueEmail('summary', { subject: 'No recipient' }))
+        .rejects.toThrow('Email recipient is required');
     });
 
     test('should process queued emails when service recovers', async () => {
-      // First, queue an email
-      await emailService.queueEmail({
-        to: 'process@example.com',
-        subject: 'Process Queue',
-        content: 'Process this'
-      });
-      
-      // Mock successful send
-      sgMail.send.mockResolvedValue([{ statusCode: 202 }]);
+      const { queueId } = await queueWelcome();
       
-      // Process queue
       const processed = await emailService.processEmailQueue();
       
       expect(processed.total).toBe(1);
       expect(processed.successful).toBe(1);
       expect(processed.failed).toBe(0);
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'queue@example.com',
+        subject: 'Welcome to ServiceVision, Queued User!'
+      }));
+
+      const message = await EmailOutbox.findByPk(queueId);
+      expect(message.status).toBe('sent');
+      expect(message.attempts).toBe(1);
+      expect(message.messageId).toBe('msg-123');
+      expect(message.sentAt).toBeInstanceOf(Date);
+    });
+
+    test('should tag sends with the outbox ID for event tracking', async () => {
+      const { queueId } = await queueWelcome();
+
+      await emailService.processEmailQueue();
+
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        customArgs: { outbox_id: queueId }
+      }));
+    });
+
+    test('should not send to suppressed addresses', async () => {
+      await EmailSuppression.create({ email: 'Queue@Example.com', reason: 'bounce' });
+      const { queueId } = await queueWelcome();
+
+      const processed = await emailService.processEmailQueue();
+
+      expect(processed.suppressed).toBe(1);
+      expect(sgMail.send).not.toHaveBeenCalled();
+
+      const message = await EmailOutbox.findByPk(queueId);
+      expect(message.status).toBe('suppressed');
+      expect(message.lastError).toBe('Recipient suppressed: bounce');
+    });
+
+    test('should back off exponentially after a failure', async () => {
+      sgMail.send.mockRejectedValue(new Error('Service Unavailable'));
+      const { queueId } = await queueWelcome();
+
+      const before = Date.now();
+      const first = await emailService.processEmailQueue();
+      expect(first.failed).toBe(1);
+
+      let message = await EmailOutbox.findByPk(queueId);
+      expect(message.status).toBe('pending');
+      expect(message.attempts).toBe(1);
+      expect(message.lastError).toBe('Service Unavailable');
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + BASE_DELAY_MS);
+
+      // Not due yet, so nothing is retried
+      const second = await emailService.processEmailQueue();
+      expect(second.total).toBe(0);
+
+      await message.update({ nextAttemptAt: new Date(Date.now() - 1000) });
+      await emailService.processEmailQueue();
+
+      message = await EmailOutbox.findByPk(queueId);
+      expect(message.attempts).toBe(2);
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(Date.now() + 2 * BASE_DELAY_MS - 1000);
+    });
+
+    test('should dead-letter an email that runs out of attempts', async () => {
+      sgMail.send.mockRejectedValue(new Error('Permanent failure'));
+      const { queueId } = await queueWelcome();
+      await EmailOutbox.update({ attempts: MAX_ATTEMPTS - 1 }, { where: { id: queueId } });
+
+      const processed = await emailService.processEmailQueue();
+
+      expect(processed.deadLettered).toBe(1);
+      const message = await EmailOutbox.findByPk(queueId);
+      expect(message.status).toBe('dead');
+      expect(message.lastError).toBe('Permanent failure');
+    });
+
+    test('should requeue a dead-lettered email', async () => {
+      const { queueId } = await queueWelcome();
+      await EmailOutbox.update({ status: 'dead', attempts: MAX_ATTEMPTS }, { where: { id: queueId } });
+
+      const message = await emailService.retryDeadEmail(queueId);
+
+      expect(message.status).toBe('pending');
+      expect(message.attempts).toBe(0);
+      expect(await emailService.retryDeadEmail(queueId)).toBeNull();
+    });
+
+    test('should recover emails abandoned mid-send', async () => {
+      const { queueId } = await queueWelcome();
+      await EmailOutbox.update({
+        status: 'processing',
+        lockedAt: new Date(Date.now() - PROCESSING_LEASE_MS - 1000)
+      }, { where: { id: queueId } });
+
+      const processed = await emailService.processEmailQueue();
+
+      expect(processed.successful).toBe(1);
+      // The abandoned send and the one that succeeded
+      const message = await EmailOutbox.findByPk(queueId);
+      expect(message.attempts).toBe(2);
+    });
+
+    test('should dead-letter an email abandoned mid-send on its last attempt', async () => {
+      const { queueId } = await queueWelcome();
+      await EmailOutbox.update({
+        status: 'processing',
+        attempts: MAX_ATTEMPTS - 1,
+        lockedAt: new Date(Date.now() - PROCESSING_LEASE_MS - 1000)
+      }, { where: { id: queueId } });
+
+      const processed = await emailService.processEmailQueue();
+
+      expect(processed.total).toBe(0);
+      expect(sgMail.send).not.toHaveBeenCalled();
+      const message = await EmailOutbox.findByPk(queueId);
+      expect(message.status).toBe('dead');
+      expect(message.attempts).toBe(MAX_ATTEMPTS);
+      expect(message.lastError).toBe('Abandoned mid-send');
+    });
+  });
+
+  describe('summary delivery', () => {
+    const queueSummary = async () => {
+      const session = await ChatSession.create({ sessionId: `session-${Date.now()}` });
+      await emailService.queueEmail('summary', {
+        to: 'lead@example.com',
+        subject: 'Executive Summary',
+        html: '<p>Summary</p>',
+        text: 'Summary'
+      }, {
+        metadata: { sessionId: session.sessionId }
+      });
+      return session;
+    };
+
+    test('should mark the summary sent when the transport reports no delivery events', async () => {
+      const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+      const originalTransport = emailService.getTransport();
+      emailService.setTransport(new FileTransport({ dir: mailDir }));
+
+      try {
+        const session = await queueSummary();
+        await emailService.processEmailQueue();
+
+        await session.reload();
+        expect(session.summaryEmailSent).toBe(true);
+        expect(session.summaryEmailSentAt).toBeInstanceOf(Date);
+      } finally {
+        emailService.setTransport(originalTransport);
+        fs.rmSync(mailDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should wait for the delivery event when sending through SendGrid', async () => {
+      const session = await queueSummary();
+      await emailService.processEmailQueue();
+
+      await session.reload();
+      expect(sgMail.send).toHaveBeenCalled();
+      expect(session.summaryEmailSent).toBeFalsy();
     });
   });
 
   describe('development mode', () => {
-    test('should log emails instead of sending in development', async () => {
+    test('should write emails to the local mailbox instead of SendGrid', async () => {
+      const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+      process.env.EMAIL_FILE_DIR = mailDir;
+
       // Re-require to pick up new config
       jest.resetModules();
       
@@ -321,7 +457,6 @@ describe('Email Service', () => {
       
       const { getConfig: getConfigMock } = require('../../config/environment');
       const sgMailMock = require('@sendgrid/mail');
-      const loggerMock = require('../../utils/logger');
       
       getConfigMock.mockReturnValue({
         ...mockConfig,
@@ -329,7 +464,10 @@ describe('Email Service', () => {
       });
       
       sgMailMock.send = jest.fn();
-      loggerMock.info = jest.fn();
+      
+      // Fresh modules get a fresh in-memory database
+      const { sequelize: devSequelize } = require('../../models');
+      await devSequelize.sync();
       
       const devEmailService = require('../emailService');
       
@@ -339,12 +477,78 @@ describe('Email Service', () => {
       });
       
       expect(sgMailMock.send).not.toHaveBeenCalled();
-      expect(loggerMock.info).toHaveBeenCalledWith(
-        expect.stringContaining('Development mode'),
-        expect.any(Object)
-      );
+      expect(devEmailService.getTransport().name).toBe('file');
       expect(result.success).toBe(true);
-      expect(result.development).toBe(true);
+
+      const messages = await devEmailService.getTransport().list();
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe('dev@example.com');
+
+      await devSequelize.close();
+      delete process.env.EMAIL_FILE_DIR;
+      fs.rmSync(mailDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('rendered output', () => {
+    let mailDir;
+    let mailbox;
+    let originalTransport;
+
+    beforeEach(() => {
+      mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+      mailbox = new FileTransport({ dir: mailDir });
+      originalTransport = emailService.getTransport();
+      emailService.setTransport(mailbox);
+    });
+
+    afterEach(() => {
+      emailService.setTransport(originalTransport);
+      fs.rmSync(mailDir, { recursive: true, force: true });
+    });
+
+    const lastEmail = async () => {
+      const [latest] = await mailbox.list();
+      return mailbox.get(latest.id);
+    };
+
+    test('should render the welcome email', async () => {
+      await emailService.sendWelcomeEmail({ email: 'new@example.com', name: 'Ada' });
+
+      const email = await lastEmail();
+      expect(email.subject).toBe('Welcome to ServiceVision, Ada!');
+      expect(email.html).toContain('Ada');
+      expect(email.text).not.toContain('<');
+    });
+
+    test('should render the drawing winner email with the prize', async () => {
+      await emailService.sendDrawingWinnerNotification({
+        email: 'winner@example.com',
+        name: 'Grace',
+        prizeDetails: { type: 'free_consultation', value: 500, duration: '1 hour' }
+      });
+
+      const email = await lastEmail();
+      expect(email.subject).toBe('Congratulations! You Won a Free Consultation');
+      expect(email.html).toContain('Grace');
+      expect(email.html).toContain('free consultation');
+    });
+
+    test('should write queued emails with their outbox ID', async () => {
+      const { queueId } = await emailService.queueEmail('summary', {
+        to: 'summary@example.com',
+        subject: 'Executive Summary',
+        html: '<h1>Your summary</h1>'
+      });
+
+      await emailService.processEmailQueue();
+
+      const email = await lastEmail();
+      expect(email.customArgs).toEqual({ outbox_id: queueId });
+      expect(email.text).toBe('Your summary');
+
+      const raw = (await mailbox.getRaw(email.id)).toString();
+      expect(raw).toContain('Subject: Executive Summary');
     });
   });
 });
\ No newline at end of file
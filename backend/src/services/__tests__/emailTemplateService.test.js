@@ -0,0 +1,151 @@
+const { sequelize, EmailTemplate } = require('../../models');
+const emailTemplateService = require('../emailTemplateService');
+
+jest.mock('../../utils/logger');
+
+describe('Email Template Service', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EmailTemplate.destroy({ where: {} });
+  });
+
+  describe('registry', () => {
+    test('should load every template from disk', () => {
+      const names = emailTemplateService.listTemplates().map(template => template.name);
+
+      expect(names).toEqual(expect.arrayContaining([
+        'welcome',
+        'lead_notification',
+        'drawing_winner',
+        'meeting_confirmation',
+        'meeting_cancellation',
+        'executive_summary'
+      ]));
+    });
+
+    test('should render each template against its sample data', async () => {
+      for (const { name } of emailTemplateService.listTemplates()) {
+        const rendered = await emailTemplateService.render(name, emailTemplateService.getSampleData(name));
+
+        expect(rendered.subject).toBeTruthy();
+        expect(rendered.html).toContain('<!DOCTYPE html>');
+        expect(rendered.text).not.toMatch(/<[a-z]/i);
+      }
+    });
+  });
+
+  describe('render', () => {
+    test('should wrap templates in the layout with shared partials', async () => {
+      const rendered = await emailTemplateService.render('welcome', { name: 'Ada' });
+
+      expect(rendered.subject).toBe('Welcome to ServiceVision, Ada!');
+      expect(rendered.html).toContain('<h1>Welcome to ServiceVision</h1>');
+      expect(rendered.html).toContain('href="https://servicevision.com/get-started"');
+      expect(rendered.html).toContain(`© ${new Date().getFullYear()} ServiceVision`);
+      expect(rendered.source).toBe('file');
+    });
+
+    test('should generate plain text with links', async () => {
+      const rendered = await emailTemplateService.render('welcome', { name: 'Ada' });
+
+      expect(rendered.text).toContain('Hello Ada,');
+      expect(rendered.text).toContain('Get Started (https://servicevision.com/get-started)');
+      expect(rendered.text).not.toContain('font-family');
+    });
+
+    test('should use a dedicated text template when there is one', async () => {
+      const rendered = await emailTemplateService.render(
+        'executive_summary',
+        emailTemplateService.getSampleData('executive_summary')
+      );
+
+      expect(rendered.text).toMatch(/^EXECUTIVE SUMMARY FOR TECHCORP SOLUTIONS/);
+      expect(rendered.text).toContain('1. Schedule a discovery call');
+    });
+
+    test('should fall back from region to language to the default locale', async () => {
+      expect((await emailTemplateService.render('welcome', {}, { locale: 'es-MX' })).locale).toBe('es');
+      expect((await emailTemplateService.render('welcome', {}, { locale: 'fr' })).locale).toBe('en');
+    });
+
+    test('should not escape subjects', async () => {
+      const rendered = await emailTemplateService.render('welcome', { name: 'Tom & Jerry' });
+
+      expect(rendered.subject).toBe('Welcome to ServiceVision, Tom & Jerry!');
+      expect(rendered.html).toContain('Tom &amp; Jerry');
+    });
+
+    test('should reject unknown templates', async () => {
+      await expect(emailTemplateService.render('missing')).rejects.toThrow('Unknown email template: missing');
+    });
+  });
+
+  describe('database versions', () => {
+    const override = {
+      subject: 'Hi {{name}}',
+      html: '{{#> layouts/default title="Hi" accentColor="#000"}}<p>New copy for {{name}}</p>{{/layouts/default}}'
+    };
+
+    test('should send the active version instead of the file template', async () => {
+      const result = await emailTemplateService.createVersion('welcome', { ...override, activate: true });
+
+      expect(result.success).toBe(true);
+      expect(result.template.version).toBe(1);
+
+      const rendered = await emailTemplateService.render('welcome', { name: 'Ada' });
+      expect(rendered.subject).toBe('Hi Ada');
+      expect(rendered.html).toContain('New copy for Ada');
+      expect(rendered.source).toBe('database');
+      expect(rendered.version).toBe(1);
+    });
+
+    test('should keep inactive versions out of sends but allow previewing them', async () => {
+      await emailTemplateService.createVersion('welcome', override);
+
+      expect((await emailTemplateService.render('welcome', { name: 'Ada' })).source).toBe('file');
+      expect((await emailTemplateService.render('welcome', { name: 'Ada' }, { version: 1 })).subject).toBe('Hi Ada');
+    });
+
+    test('should number versions and switch between them', async () => {
+      await emailTemplateService.createVersion('welcome', { ...override, activate: true });
+      await emailTemplateService.createVersion('welcome', { ...override, subject: 'Second {{name}}', activate: true });
+
+      await emailTemplateService.activateVersion('welcome', 'en', 1);
+
+      const versions = await emailTemplateService.listVersions('welcome');
+      expect(versions.map(v => [v.version, v.isActive])).toEqual([[2, false], [1, true]]);
+      expect((await emailTemplateService.render('welcome', { name: 'Ada' })).subject).toBe('Hi Ada');
+    });
+
+    test('should revert to the file template', async () => {
+      await emailTemplateService.createVersion('welcome', { ...override, activate: true });
+
+      expect(await emailTemplateService.revertToFile('welcome', 'en')).toBe(true);
+      expect((await emailTemplateService.render('welcome', { name: 'Ada' })).source).toBe('file');
+    });
+
+    test('should reject templates that do not compile', async () => {
+      const result = await emailTemplateService.createVersion('welcome', {
+        subject: 'Hi',
+        html: '{{#if name}}unclosed'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toMatch(/^Invalid template:/);
+      expect(await EmailTemplate.count()).toBe(0);
+    });
+
+    test('should reject unknown templates', async () => {
+      const result = await emailTemplateService.createVersion('missing', override);
+
+      expect(result).toEqual({ success: false, message: 'Email template not found' });
+    });
+  });
+});
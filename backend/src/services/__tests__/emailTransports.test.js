@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { createTransport, FileTransport, SmtpTransport } = require('../emailTransports');
+const { toMailOptions } = require('../emailTransports/mailOptions');
+
+describe('Email Transports', () => {
+  const msg = {
+    to: 'lead@example.com',
+    from: { email: 'hello@servicevision.com', name: 'ServiceVision Team' },
+    subject: 'Hello',
+    html: '<p>Hello there</p>',
+    text: 'Hello there',
+    customArgs: { outbox_id: 'abc' }
+  };
+
+  describe('toMailOptions', () => {
+    test('should map the sender and carry custom args in the SendGrid SMTP header', () => {
+      const options = toMailOptions(msg);
+
+      expect(options.from).toEqual({ address: 'hello@servicevision.com', name: 'ServiceVision Team' });
+      expect(JSON.parse(options.headers['X-SMTPAPI'])).toEqual({ unique_args: { outbox_id: 'abc' } });
+    });
+  });
+
+  describe('createTransport', () => {
+    test('should reject unknown drivers', () => {
+      expect(() => createTransport('pigeon')).toThrow('Unknown email transport: pigeon');
+    });
+  });
+
+  describe('SmtpTransport', () => {
+    test('should send through nodemailer and return its message ID', async () => {
+      const sendMail = jest.fn().mockResolvedValue({ messageId: '<smtp-1@servicevision.com>' });
+      const spy = jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+
+      const transport = new SmtpTransport({ host: 'mail.local', port: 2525, secure: false, user: 'u', pass: 'p' });
+      const result = await transport.send(msg);
+
+      expect(spy).toHaveBeenCalledWith({
+        host: 'mail.local',
+        port: 2525,
+        secure: false,
+        auth: { user: 'u', pass: 'p' }
+      });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'lead@example.com', subject: 'Hello' }));
+      expect(result.messageId).toBe('<smtp-1@servicevision.com>');
+
+      spy.mockRestore();
+    });
+  });
+
+  describe('FileTransport', () => {
+    let dir;
+    let transport;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+      transport = new FileTransport({ dir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write an .eml file and list it', async () => {
+      const { id, messageId } = await transport.send(msg);
+
+      const raw = (await transport.getRaw(id)).toString();
+      expect(raw).toContain('Subject: Hello');
+      expect(raw).toContain('To: lead@example.com');
+      expect(raw).toContain('X-SMTPAPI:');
+
+      const messages = await transport.list();
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toEqual(expect.objectContaining({ id, messageId, subject: 'Hello' }));
+      expect(messages[0].html).toBeUndefined();
+
+      const message = await transport.get(id);
+      expect(message.html).toBe('<p>Hello there</p>');
+    });
+
+    test('should ignore IDs that are not mailbox IDs', async () => {
+      expect(await transport.get('../../etc/passwd')).toBeNull();
+      expect(await transport.getRaw('1700000000000-deadbeef')).toBeNull();
+    });
+
+    test('should return an empty list before anything is written', async () => {
+      const empty = new FileTransport({ dir: path.join(dir, 'missing') });
+
+      expect(await empty.list()).toEqual([]);
+    });
+
+    test('should clear the mailbox', async () => {
+      await transport.send(msg);
+      await transport.send(msg);
+
+      expect(await transport.clear()).toBe(2);
+      expect(await transport.list()).toEqual([]);
+    });
+  });
+});
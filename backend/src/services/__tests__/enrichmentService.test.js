@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const enrichmentService = require('../enrichmentService');
+const { createEnrichmentProvider, LocalDatasetProvider } = require('../enrichmentProviders');
+const { SIZE_BANDS } = require('../../config/enrichment');
+
+jest.mock('../../utils/logger');
+
+describe('Enrichment Service', () => {
+  let dir;
+  let originalProvider;
+
+  const writeDataset = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return new LocalDatasetProvider({ datasetPath: file, sizeBands: SIZE_BANDS });
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-'));
+    originalProvider = enrichmentService.provider;
+  });
+
+  afterAll(() => {
+    enrichmentService.setProvider(originalProvider);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    enrichmentService.setProvider(writeDataset('companies.json', JSON.stringify([
+      { domain: 'acme.com', name: 'Acme', sizeBand: '51-200' },
+      { domain: 'globex.com', name: 'Globex', sizeBand: '5001+' },
+      { domain: 'craigslist.org', name: 'craigslist', sizeBand: '51-200', nonprofit: false },
+      { domain: 'redcross.org', name: 'American Red Cross', sizeBand: '5001+', nonprofit: true }
+    ])));
+  });
+
+  describe('enrich', () => {
+    test('should look corporate domains and their subdomains up in the dataset', async () => {
+      const enrichment = await enrichmentService.enrich('jane@mail.acme.com');
+
+      expect(enrichment).toEqual(expect.objectContaining({
+        domain: 'mail.acme.com',
+        freeEmail: false,
+        company: 'Acme',
+        sizeBand: '51-200',
+        nonprofit: false,
+        government: false,
+        organizationType: null,
+        source: 'local'
+      }));
+    });
+
+    test('should not look webmail domains up', async () => {
+      const lookup = jest.spyOn(enrichmentService.provider, 'lookup');
+
+      const enrichment = await enrichmentService.enrich('jane@gmail.com');
+
+      expect(enrichment).toEqual(expect.objectContaining({ freeEmail: true, company: null, source: null }));
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('should flag .gov and .org domains the dataset does not know', async () => {
+      const agency = await enrichmentService.enrich('clerk@city.gov');
+      const charity = await enrichmentService.enrich('info@foodbank.org');
+
+      expect(agency).toEqual(expect.objectContaining({ government: true, organizationType: 'government', source: 'domain' }));
+      expect(charity).toEqual(expect.objectContaining({ nonprofit: true, source: 'domain' }));
+    });
+
+    test('should only answer the organization type from a .gov suffix or the dataset', async () => {
+      expect((await enrichmentService.enrich('info@foodbank.org')).organizationType).toBeNull();
+      expect((await enrichmentService.enrich('volunteer@redcross.org')).organizationType).toBe('nonprofit');
+    });
+
+    test('should prefer the dataset over the .org heuristic', async () => {
+      const enrichment = await enrichmentService.enrich('jobs@craigslist.org');
+
+      expect(enrichment.nonprofit).toBe(false);
+      expect(enrichment.organizationType).toBeNull();
+    });
+
+    test('should treat the largest size bands as enterprises', async () => {
+      expect((await enrichmentService.enrich('cto@globex.com')).organizationType).toBe('enterprise');
+    });
+
+    test('should fall back to the heuristics when the dataset cannot be read', async () => {
+      enrichmentService.setProvider(new LocalDatasetProvider({ datasetPath: path.join(dir, 'missing.json') }));
+
+      const enrichment = await enrichmentService.enrich('clerk@city.gov');
+
+      expect(enrichment.government).toBe(true);
+    });
+
+    test('should return null for addresses without a domain', async () => {
+      expect(await enrichmentService.enrich('not-an-email')).toBeNull();
+    });
+  });
+
+  describe('enrichLead', () => {
+    const mockLead = (values) => ({
+      id: 'lead-1',
+      metadata: {},
+      ...values,
+      update: jest.fn().mockResolvedValue(true)
+    });
+
+    test('should fill in a missing company and record the enrichment', async () => {
+      const lead = mockLead({ email: 'jane@acme.com', company: null, metadata: { utm: 'ads' } });
+
+      await enrichmentService.enrichLead(lead);
+
+      expect(lead.update).toHaveBeenCalledWith({
+        company: 'Acme',
+        metadata: { utm: 'ads', enrichment: expect.objectContaining({ company: 'Acme' }) }
+      });
+    });
+
+    test('should keep the company the lead gave', async () => {
+      const lead = mockLead({ email: 'jane@acme.com', company: 'Acme Labs' });
+
+      await enrichmentService.enrichLead(lead);
+
+      expect(lead.update).toHaveBeenCalledWith({ metadata: { enrichment: expect.any(Object) } });
+    });
+
+    test('should not fail when the lead cannot be saved', async () => {
+      const lead = mockLead({ email: 'jane@acme.com' });
+      lead.update.mockRejectedValue(new Error('database is locked'));
+
+      await expect(enrichmentService.enrichLead(lead)).resolves.toBe(lead);
+    });
+
+    test('should do nothing when enrichment is disabled', async () => {
+      enrichmentService.setProvider(null);
+      const lead = mockLead({ email: 'jane@acme.com' });
+
+      await enrichmentService.enrichLead(lead);
+
+      expect(lead.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('LocalDatasetProvider', () => {
+    test('should read CSV datasets with quoted fields and text flags', async () => {
+      const provider = writeDataset('companies.csv', [
+        'domain,name,sizeBand,nonprofit,government',
+        'helpers.org,"Helpers, Inc.",11-50,yes,no',
+        'acme.com,Acme,huge,,'
+      ].join('\n'));
+
+      expect(await provider.lookup('helpers.org')).toEqual({
+        domain: 'helpers.org',
+        name: 'Helpers, Inc.',
+        sizeBand: '11-50',
+        nonprofit: true,
+        government: false
+      });
+      expect((await provider.lookup('acme.com')).sizeBand).toBeNull();
+      expect(await provider.lookup('initech.com')).toBeNull();
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createEnrichmentProvider('clearbit')).toThrow('Unknown enrichment provider: clearbit');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const entityExtractionService = require('../entityExtractionService');
+const logger = require('../../utils/logger');
+
+jest.mock('../../utils/logger');
+
+describe('Entity Extraction Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('extract', () => {
+    test('should use the provider and validate its output', async () => {
+      const provider = {
+        extract: jest.fn().mockResolvedValue({
+          organizationType: { value: 'nonprofit', confidence: 0.92 },
+          organizationName: { value: 'Helping Hands', confidence: 0.8 },
+          timeline: { value: 'next week', confidence: 0.9 },
+          budget: null
+        })
+      };
+      const history = [{ role: 'assistant', content: 'What type of organization are you with?' }];
+
+      const result = await entityExtractionService.extract('Helping Hands, a nonprofit', { provider, history });
+
+      expect(result).toEqual({
+        source: 'llm',
+        fields: {
+          organizationType: { value: 'nonprofit', confidence: 0.92 },
+          organizationName: { value: 'Helping Hands', confidence: 0.8 }
+        }
+      });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Discarding extracted timeline'));
+
+      const [messages, options] = provider.extract.mock.calls[0];
+      expect(messages[0].role).toBe('system');
+      expect(messages.slice(1)).toEqual([
+        ...history,
+        { role: 'user', content: 'Helping Hands, a nonprofit' }
+      ]);
+      expect(options.name).toBe('record_client_details');
+      expect(options.schema.properties.organizationType.properties.value.enum).toContain('startup');
+    });
+
+    test('should fall back to keywords when the provider fails', async () => {
+      const provider = { extract: jest.fn().mockRejectedValue(new Error('Invalid JSON')) };
+
+      const result = await entityExtractionService.extract('We are a nonprofit', { provider });
+
+      expect(result.source).toBe('keyword');
+      expect(result.fields.organizationType).toEqual({ value: 'nonprofit', confidence: 0.75 });
+    });
+
+    test('should fall back to keywords when the model does not call the tool', async () => {
+      const provider = { extract: jest.fn().mockResolvedValue(null) };
+
+      const result = await entityExtractionService.extract('We are a startup', { provider });
+
+      expect(result.source).toBe('keyword');
+      expect(result.fields.organizationType.value).toBe('startup');
+    });
+
+    test('should use keywords without a provider', async () => {
+      const result = await entityExtractionService.extract('We need this ASAP');
+
+      expect(result).toEqual({
+        source: 'keyword',
+        fields: { timeline: { value: 'immediate', confidence: 0.75 } }
+      });
+    });
+
+    test('should rethrow when cancelled', async () => {
+      const controller = new AbortController();
+      const provider = {
+        extract: jest.fn().mockImplementation(async () => {
+          controller.abort();
+          throw new Error('Request was aborted.');
+        })
+      };
+
+      await expect(entityExtractionService.extract('Hello', { provider, signal: controller.signal }))
+        .rejects.toThrow('Request was aborted.');
+    });
+  });
+
+  describe('toCollected', () => {
+    test('should keep only fields at or above the threshold', () => {
+      const collected = entityExtractionService.toCollected({
+        organizationType: { value: 'nonprofit', confidence: 0.9 },
+        timeline: { value: '< 1 month', confidence: 0.4 },
+        budget: { value: '50000+', confidence: 0.7 }
+      }, 0.7);
+
+      expect(collected).toEqual({ organizationType: 'nonprofit', budget: '50000+' });
+    });
+  });
+
+  describe('keyword extraction', () => {
+    test('should ignore negated organization types', () => {
+      expect(entityExtractionService.extractOrganizationType("We're not a startup, we're a nonprofit"))
+        .toBe('nonprofit');
+      expect(entityExtractionService.extractOrganizationType("We aren't a startup anymore")).toBeNull();
+    });
+
+    test('should not match keywords inside other words', () => {
+      expect(entityExtractionService.extractOrganizationType('Our ongoing project')).toBeNull();
+    });
+
+    test('should parse budget ranges', () => {
+      expect(entityExtractionService.extractBudget('Around $5-10k')).toBe('5000-10000');
+      expect(entityExtractionService.extractBudget('$30k to $40k')).toBe('25000-50000');
+    });
+
+    test('should parse budget amounts', () => {
+      expect(entityExtractionService.extractBudget('We have $8,000')).toBe('5000-10000');
+      expect(entityExtractionService.extractBudget('Maybe 75k')).toBe('50000+');
+      expect(entityExtractionService.extractBudget('Our budget is 3000 dollars')).toBe('< 5000');
+    });
+
+    test('should not treat other numbers as a budget', () => {
+      expect(entityExtractionService.extractBudget('We want to launch in 3 months')).toBeNull();
+      expect(entityExtractionService.extractBudget('Looking for 2 developers')).toBeNull();
+    });
+
+    test('should extract timelines', () => {
+      expect(entityExtractionService.extractTimeline('Within three months')).toBe('1-3 months');
+      expect(entityExtractionService.extractTimeline('It is not urgent')).toBeNull();
+    });
+  });
+});
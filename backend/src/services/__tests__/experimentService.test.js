@@ -0,0 +1,133 @@
+const experimentService = require('../experimentService');
+const { EXPERIMENTS } = require('../../config/experiments');
+
+jest.mock('../../utils/logger');
+
+describe('Experiment Service', () => {
+  const experiment = (overrides = {}) => ({
+    key: 'prompt-test',
+    status: 'running',
+    traffic: 100,
+    variants: [
+      { key: 'control', weight: 50 },
+      {
+        key: 'friendly',
+        weight: 50,
+        overrides: {
+          systemPrompt: 'Be friendly',
+          quickReplies: { timeline: ['Soon', 'Later'] }
+        }
+      }
+    ],
+    ...overrides
+  });
+
+  afterEach(() => {
+    experimentService.setExperiments(EXPERIMENTS);
+  });
+
+  describe('definitions', () => {
+    test('should reject weights that do not sum to 100', () => {
+      expect(() => experimentService.setExperiments([experiment({
+        variants: [{ key: 'control', weight: 50 }, { key: 'friendly', weight: 40 }]
+      })])).toThrow('variant weights sum to 90, not 100');
+    });
+
+    test('should reject duplicate variant keys', () => {
+      expect(() => experimentService.setExperiments([experiment({
+        variants: [{ key: 'control', weight: 50 }, { key: 'control', weight: 50 }]
+      })])).toThrow('Invalid experiment prompt-test');
+    });
+  });
+
+  describe('assignment', () => {
+    test('should assign the same variant to the same session every time', () => {
+      experimentService.setExperiments([experiment()]);
+
+      const first = experimentService.assign('session-1')['prompt-test'].variant;
+      for (let i = 0; i < 5; i++) {
+        expect(experimentService.assign('session-1')['prompt-test'].variant).toBe(first);
+      }
+    });
+
+    test('should split traffic by weight', () => {
+      experimentService.setExperiments([experiment({
+        variants: [{ key: 'control', weight: 80 }, { key: 'friendly', weight: 20 }]
+      })]);
+
+      const counts = { control: 0, friendly: 0 };
+      for (let i = 0; i < 2000; i++) {
+        counts[experimentService.assign(`session-${i}`)['prompt-test'].variant]++;
+      }
+
+      expect(counts.control / 2000).toBeCloseTo(0.8, 1);
+    });
+
+    test('should only enroll the configured share of traffic', () => {
+      experimentService.setExperiments([experiment({ traffic: 25 })]);
+
+      let enrolled = 0;
+      for (let i = 0; i < 2000; i++) {
+        if (experimentService.assign(`session-${i}`)['prompt-test']) {
+          enrolled++;
+        }
+      }
+
+      expect(enrolled / 2000).toBeCloseTo(0.25, 1);
+    });
+
+    test('should not enroll sessions in paused experiments', () => {
+      experimentService.setExperiments([experiment({ status: 'paused' })]);
+
+      expect(experimentService.assign('session-1')).toEqual({});
+    });
+  });
+
+  describe('overrides', () => {
+    test('should apply the assigned variant overrides', () => {
+      experimentService.setExperiments([experiment()]);
+
+      const overrides = experimentService.getSessionOverrides({
+        metadata: { experiments: { 'prompt-test': { variant: 'friendly' } } }
+      });
+
+      expect(overrides).toEqual({ systemPrompt: 'Be friendly', quickReplies: { timeline: ['Soon', 'Later'] } });
+    });
+
+    test('should stop applying overrides once an experiment completes', () => {
+      experimentService.setExperiments([experiment({ status: 'completed' })]);
+
+      const overrides = experimentService.getOverrides({ 'prompt-test': { variant: 'friendly' } });
+
+      expect(overrides).toEqual({ quickReplies: {} });
+    });
+  });
+
+  describe('significance', () => {
+    test('should flag a large difference in proportions', () => {
+      const control = Array.from({ length: 200 }, (_, i) => (i < 40 ? 1 : 0));
+      const treatment = Array.from({ length: 200 }, (_, i) => (i < 80 ? 1 : 0));
+
+      const result = experimentService.compare('proportion', control, treatment);
+
+      expect(result.difference).toBeCloseTo(0.2);
+      expect(result.pValue).toBeLessThan(0.001);
+      expect(result.significant).toBe(true);
+    });
+
+    test('should not flag noise in means', () => {
+      const result = experimentService.compare('mean', [40, 60, 50, 55, 45], [42, 58, 51, 54, 46]);
+
+      expect(result.pValue).toBeGreaterThan(0.5);
+      expect(result.significant).toBe(false);
+    });
+
+    test('should not test tiny samples', () => {
+      expect(experimentService.compare('mean', [1], [2])).toEqual({
+        difference: null,
+        pValue: null,
+        significant: false
+      });
+    });
+  });
+});
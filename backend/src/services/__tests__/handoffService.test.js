@@ -0,0 +1,156 @@
+const handoffService = require('../handoffService');
+const MemoryRedis = require('../../utils/memoryRedis');
+const { setRedisClient } = require('../../utils/redis');
+
+jest.mock('../../utils/logger');
+
+describe('Handoff Service', () => {
+  const agent = { id: 1, name: 'Dana', socketId: 'socket-1' };
+  let client;
+
+  beforeEach(async () => {
+    client = new MemoryRedis();
+    await client.connect();
+    setRedisClient(client);
+  });
+
+  afterEach(async () => {
+    await handoffService.reset();
+    jest.useRealTimers();
+  });
+
+  // Lets the timeout handler's Redis calls finish under fake timers
+  const flushPromises = () => new Promise(jest.requireActual('timers').setImmediate);
+
+  describe('detectHandoffReason', () => {
+    test('should detect visitors asking for a person', () => {
+      expect(handoffService.detectHandoffReason('Can I talk to a human?')).toBe('requested');
+      expect(handoffService.detectHandoffReason('I would like to speak with someone')).toBe('requested');
+      expect(handoffService.detectHandoffReason('Is there a real person there?')).toBe('requested');
+    });
+
+    test('should detect urgent messages', () => {
+      expect(handoffService.detectHandoffReason('Our donation site is down')).toBe('urgent');
+    });
+
+    test('should leave ordinary messages with the assistant', () => {
+      expect(handoffService.detectHandoffReason('Let me know what a website costs')).toBeNull();
+      expect(handoffService.detectHandoffReason('')).toBeNull();
+    });
+  });
+
+  describe('queue', () => {
+    test('should queue sessions in arrival order', async () => {
+      jest.useFakeTimers({ now: Date.now() });
+      await handoffService.enqueue('session-1', 'requested');
+      jest.advanceTimersByTime(10);
+      await handoffService.enqueue('session-2', 'urgent');
+
+      expect(await handoffService.getStatus('session-1')).toBe('queued');
+      expect((await handoffService.getQueue()).map(entry => entry.sessionId)).toEqual(['session-1', 'session-2']);
+      expect(await handoffService.enqueue('session-1', 'requested')).toBeNull();
+    });
+
+    test('should return a session to the assistant when no agent takes it in time', async () => {
+      jest.useFakeTimers({ now: Date.now() });
+      const onTimeout = jest.fn();
+
+      await handoffService.enqueue('session-1', 'requested', { timeoutMs: 1000, onTimeout });
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      expect(onTimeout).toHaveBeenCalledWith('session-1');
+      expect(await handoffService.getStatus('session-1')).toBe('ai');
+      expect(await handoffService.getQueue()).toEqual([]);
+    });
+
+    test('should not time out a session an agent took over', async () => {
+      jest.useFakeTimers({ now: Date.now() });
+      const onTimeout = jest.fn();
+
+      await handoffService.enqueue('session-1', 'requested', { timeoutMs: 1000, onTimeout });
+      await handoffService.takeOver('session-1', agent);
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(await handoffService.getStatus('session-1')).toBe('agent');
+      expect(await handoffService.getQueue()).toEqual([]);
+    });
+  });
+
+  describe('takeover', () => {
+    test('should let only one agent hold a session', async () => {
+      expect(await handoffService.takeOver('session-1', agent)).toEqual(expect.objectContaining({
+        status: 'agent',
+        reason: 'agent',
+        agent
+      }));
+      expect(await handoffService.takeOver('session-1', { id: 2, name: 'Sam', socketId: 'socket-2' })).toBeNull();
+      expect(await handoffService.isHeldByAgent('session-1')).toBe(true);
+    });
+
+    test('should hand back only sessions the agent holds', async () => {
+      await handoffService.takeOver('session-1', agent);
+
+      expect(await handoffService.handBack('session-1', 2)).toBe(false);
+      expect(await handoffService.handBack('session-1', agent.id)).toBe(true);
+      expect(await handoffService.getStatus('session-1')).toBe('ai');
+    });
+
+    test('should release the sessions of a closed console connection', async () => {
+      await handoffService.takeOver('session-1', agent);
+      await handoffService.takeOver('session-2', { ...agent, socketId: 'socket-2' });
+
+      expect(await handoffService.releaseConnection('socket-1')).toEqual(['session-1']);
+      expect(await handoffService.isHeldByAgent('session-2')).toBe(true);
+    });
+  });
+
+  describe('across instances', () => {
+    let otherInstance;
+
+    beforeEach(() => {
+      otherInstance = new handoffService.constructor({ client: client.duplicate() });
+    });
+
+    afterEach(async () => {
+      await otherInstance.reset();
+    });
+
+    test('should share the queue and takeovers between instances', async () => {
+      await handoffService.enqueue('session-1', 'requested');
+
+      expect(await otherInstance.getQueue()).toEqual([expect.objectContaining({
+        sessionId: 'session-1',
+        reason: 'requested'
+      })]);
+
+      await otherInstance.takeOver('session-1', agent);
+
+      expect(await handoffService.isHeldByAgent('session-1')).toBe(true);
+      expect(await handoffService.getQueue()).toEqual([]);
+      expect(await handoffService.takeOver('session-1', { id: 2, name: 'Sam', socketId: 'socket-2' })).toBeNull();
+    });
+
+    test('should not time out a session another instance took over', async () => {
+      jest.useFakeTimers({ now: Date.now() });
+      const onTimeout = jest.fn();
+
+      await handoffService.enqueue('session-1', 'requested', { timeoutMs: 1000, onTimeout });
+      await otherInstance.takeOver('session-1', agent);
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(await handoffService.isHeldByAgent('session-1')).toBe(true);
+    });
+
+    test('should let the holding agent hand back through any instance', async () => {
+      await otherInstance.takeOver('session-1', agent);
+
+      expect(await handoffService.handBack('session-1', agent.id)).toBe(true);
+      expect(await otherInstance.getStatus('session-1')).toBe('ai');
+    });
+  });
+});
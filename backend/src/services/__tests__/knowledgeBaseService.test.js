@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sequelize, KnowledgeDocument } = require('../../models');
+const knowledgeBaseService = require('../knowledgeBaseService');
+const LocalVectorStore = require('../vectorStore');
+const { embedText } = require('../../utils/hashEmbedding');
+
+jest.mock('../../utils/logger');
+
+describe('Knowledge Base Service', () => {
+  const pricingPage = `# Pricing
+
+ServiceVision projects are scoped individually.
+
+## Website development
+
+Website projects typically range from $8,000 to $25,000 depending on integrations.
+
+## Nonprofit discount
+
+Registered nonprofits receive a 30% discount on all consulting engagements.`;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await KnowledgeDocument.destroy({ where: {} });
+    knowledgeBaseService.configure();
+  });
+
+  describe('chunking', () => {
+    test('should keep passages under their markdown heading', () => {
+      const chunks = knowledgeBaseService.chunk({ content: pricingPage, format: 'markdown' });
+
+      expect(chunks).toEqual([
+        { text: 'ServiceVision projects are scoped individually.', section: 'Pricing' },
+        { text: expect.stringContaining('$8,000 to $25,000'), section: 'Website development' },
+        { text: expect.stringContaining('30% discount'), section: 'Nonprofit discount' }
+      ]);
+    });
+
+    test('should read headings and paragraphs from HTML', () => {
+      const chunks = knowledgeBaseService.chunk({
+        format: 'html',
+        content: '<html><head><style>p{}</style></head><body><h2>Case study: <em>Food Bank</em></h2><p>We automated <strong>volunteer</strong> scheduling.</p><p>Hours saved: 20 per week.</p></body></html>'
+      });
+
+      expect(chunks).toEqual([{
+        text: 'We automated volunteer scheduling.\n\nHours saved: 20 per week.',
+        section: 'Case study: Food Bank'
+      }]);
+    });
+
+    test('should split long sections with overlap', () => {
+      const sentences = Array.from({ length: 12 }, (_, i) => `Sentence number ${i} about automation.`);
+      const chunks = knowledgeBaseService.chunk(
+        { content: sentences.join('\n\n'), format: 'markdown' },
+        { size: 120, overlap: 40 }
+      );
+
+      expect(chunks.length).toBeGreaterThan(3);
+      chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(160));
+      // Each passage opens with the end of the previous one
+      expect(chunks[0].text.endsWith(chunks[1].text.split('\n\n')[0])).toBe(true);
+    });
+
+    test('should strip inline markdown', () => {
+      const [chunk] = knowledgeBaseService.chunk({
+        content: 'See **our** [services](https://servicevision.net) and `pricing`.',
+        format: 'markdown'
+      });
+
+      expect(chunk.text).toBe('See our services and pricing.');
+    });
+  });
+
+  describe('retrieval', () => {
+    test('should return the most relevant passages with their source', async () => {
+      await knowledgeBaseService.addDocument({
+        title: 'Pricing',
+        content: pricingPage,
+        sourceUrl: 'https://servicevision.net/pricing'
+      });
+      await knowledgeBaseService.addDocument({
+        title: 'Food Bank case study',
+        content: 'We automated volunteer scheduling for a regional food bank, saving 20 hours per week.'
+      });
+
+      const passages = await knowledgeBaseService.retrieve('Do nonprofits get a discount?');
+
+      expect(passages[0]).toEqual(expect.objectContaining({
+        title: 'Pricing',
+        section: 'Nonprofit discount',
+        sourceUrl: 'https://servicevision.net/pricing',
+        score: expect.any(Number)
+      }));
+      expect(passages.map(passage => passage.title)).not.toContain('Food Bank case study');
+    });
+
+    test('should forget deleted documents', async () => {
+      const document = await knowledgeBaseService.addDocument({ title: 'Pricing', content: pricingPage });
+
+      expect(await knowledgeBaseService.deleteDocument(document.id)).toBe(true);
+      expect(await knowledgeBaseService.retrieve('nonprofit discount')).toEqual([]);
+      expect(await knowledgeBaseService.deleteDocument(document.id)).toBe(false);
+    });
+
+    test('should embed through the provider when one is configured', async () => {
+      const provider = { embed: jest.fn(async texts => texts.map(text => embedText(text))) };
+      knowledgeBaseService.configure({ provider });
+
+      await knowledgeBaseService.addDocument({ title: 'Pricing', content: pricingPage });
+      await knowledgeBaseService.retrieve('website cost');
+
+      expect(provider.embed).toHaveBeenCalledTimes(2);
+      expect(provider.embed).toHaveBeenLastCalledWith(['website cost'], expect.objectContaining({
+        model: 'text-embedding-3-small'
+      }));
+    });
+
+    test('should number references to match the returned sources', () => {
+      const passages = [
+        { documentId: 1, title: 'Pricing', section: 'Nonprofit discount', sourceUrl: null, text: '30% off' }
+      ];
+
+      expect(knowledgeBaseService.formatContext(passages)).toContain('[1] Pricing - Nonprofit discount\n30% off');
+      expect(knowledgeBaseService.toSources(passages)).toEqual([
+        { index: 1, documentId: 1, title: 'Pricing', section: 'Nonprofit discount', sourceUrl: null }
+      ]);
+      expect(knowledgeBaseService.formatContext([])).toBe('');
+    });
+  });
+
+  describe('index sync', () => {
+    test('should rebuild a missing index from the stored documents', async () => {
+      const document = await knowledgeBaseService.addDocument({ title: 'Pricing', content: pricingPage });
+      const { indexedAt } = document;
+
+      // A new instance starts with an empty index
+      knowledgeBaseService.configure();
+      expect(await knowledgeBaseService.syncIndex()).toEqual({ indexed: 1, removed: 0 });
+
+      const [passage] = await knowledgeBaseService.retrieve('Do nonprofits get a discount?');
+      expect(passage).toEqual(expect.objectContaining({ documentId: document.id, section: 'Nonprofit discount' }));
+      // Loading another instance's document leaves it as it was indexed
+      await document.reload();
+      expect(document.indexedAt).toEqual(indexedAt);
+    });
+
+    test('should only re-embed documents changed or deleted elsewhere', async () => {
+      const provider = { embed: jest.fn(async texts => texts.map(text => embedText(text))) };
+      knowledgeBaseService.configure({ provider });
+      const pricing = await knowledgeBaseService.addDocument({ title: 'Pricing', content: pricingPage });
+      const caseStudy = await knowledgeBaseService.addDocument({ title: 'Food Bank case study', content: 'We automated volunteer scheduling.' });
+      provider.embed.mockClear();
+
+      // Another instance re-indexed one document and deleted the other
+      await pricing.update({ indexedAt: new Date(Date.now() + 1000) });
+      await KnowledgeDocument.destroy({ where: { id: caseStudy.id } });
+
+      expect(await knowledgeBaseService.syncIndex()).toEqual({ indexed: 1, removed: 1 });
+      expect(provider.embed).toHaveBeenCalledTimes(1);
+      expect(await knowledgeBaseService.syncIndex()).toEqual({ indexed: 0, removed: 0 });
+    });
+
+    test('should sync before retrieving once the last sync is due', async () => {
+      await knowledgeBaseService.addDocument({ title: 'Pricing', content: pricingPage });
+      knowledgeBaseService.configure();
+
+      const passages = await knowledgeBaseService.retrieve('nonprofit discount');
+
+      expect(passages[0].title).toBe('Pricing');
+    });
+  });
+
+  describe('on-disk index', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should persist chunks across restarts', () => {
+      const filePath = path.join(dir, 'index.json');
+      const store = new LocalVectorStore({ filePath, embedder: 'local' });
+      store.upsert(7, [{ text: 'Nonprofit discount', vector: embedText('Nonprofit discount'), metadata: {} }]);
+
+      const reopened = new LocalVectorStore({ filePath, embedder: 'local' });
+
+      expect(reopened.size).toBe(1);
+      expect(reopened.search(embedText('discount'))[0]).toEqual(expect.objectContaining({ id: '7:0', documentId: 7 }));
+    });
+
+    test('should ignore an index built with other embeddings', () => {
+      const filePath = path.join(dir, 'index.json');
+      new LocalVectorStore({ filePath, embedder: 'local' })
+        .upsert(1, [{ text: 'x', vector: [1], metadata: {} }]);
+
+      expect(new LocalVectorStore({ filePath, embedder: 'provider:text-embedding-3-small' }).size).toBe(0);
+    });
+
+    test('should persist the version of each indexed document', () => {
+      const filePath = path.join(dir, 'index.json');
+      new LocalVectorStore({ filePath, embedder: 'local' })
+        .upsert(7, [{ text: 'x', vector: [1], metadata: {} }], '2024-01-01T00:00:00.000Z');
+
+      const reopened = new LocalVectorStore({ filePath, embedder: 'local' });
+
+      expect(reopened.versionOf(7)).toBe('2024-01-01T00:00:00.000Z');
+      expect(reopened.documentIds()).toEqual(['7']);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+} = require('../llmProviders');
+
+describe('LLM Providers', () => {
+  const messages = [
+    { role: 'system', content: 'You are helpful' },
+    { role: 'user', content: 'Hello' }
+  ];
+
+  async function collect(iterator) {
+    const deltas = [];
+    for await (const delta of iterator) {
+      deltas.push(delta);
+    }
+    return deltas;
+  }
+
+  async function* streamOf(deltas) {
+    for (const content of deltas) {
+      yield { choices: [{ delta: { content } }] };
+    }
+  }
+
+  describe('createProvider', () => {
+    test('should create the OpenAI provider', () => {
+      expect(createProvider('openai', { OPENAI_API_KEY: 'sk-test' })).toBeInstanceOf(OpenAIProvider);
+    });
+
+    test('should create the mock provider from the bundled fixtures', () => {
+      expect(createProvider('mock').name).toBe('mock');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider('oracle')).toThrow('Unknown LLM provider: oracle');
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    let create;
+    let provider;
+
+    beforeEach(() => {
+      create = jest.fn();
+      provider = new OpenAIProvider({ model: 'gpt-test', client: { chat: { completions: { create } } } });
+    });
+
+    test('should return the completion text', async () => {
+      create.mockResolvedValue({ choices: [{ message: { content: 'Hi there' } }] });
+
+      const content = await provider.complete(messages, { temperature: 0.8, maxTokens: 200 });
+
+      expect(content).toBe('Hi there');
+      expect(create).toHaveBeenCalledWith({
+        model: 'gpt-test',
+        messages,
+        temperature: 0.8,
+        max_tokens: 200
+      }, undefined);
+    });
+
+    test('should stream deltas and pass the abort signal', async () => {
+      create.mockResolvedValue(streamOf(['Hi', undefined, ' there']));
+      const controller = new AbortController();
+
+      const deltas = await collect(provider.stream(messages, { signal: controller.signal }));
+
+      expect(deltas).toEqual(['Hi', ' there']);
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ model: 'gpt-test', stream: true }),
+        { signal: controller.signal }
+      );
+    });
+
+    test('should extract structured data through a forced tool call', async () => {
+      const schema = { type: 'object', properties: {} };
+      create.mockResolvedValue({
+        choices: [{
+          message: {
+            tool_calls: [{ function: { name: 'record', arguments: '{"budget":{"value":"50000+","confidence":0.9}}' } }]
+          }
+        }]
+      });
+
+      const result = await provider.extract(messages, { name: 'record', description: 'Record', schema });
+
+      expect(result).toEqual({ budget: { value: '50000+', confidence: 0.9 } });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        temperature: 0,
+        tools: [{ type: 'function', function: { name: 'record', description: 'Record', parameters: schema } }],
+        tool_choice: { type: 'function', function: { name: 'record' } }
+      }), undefined);
+    });
+
+    test('should return null when the model skips the tool call', async () => {
+      create.mockResolvedValue({ choices: [{ message: { content: 'Sorry' } }] });
+
+      expect(await provider.extract(messages, { name: 'record', schema: {} })).toBeNull();
+    });
+
+    test('should embed texts in input order', async () => {
+      const embeddingsCreate = jest.fn().mockResolvedValue({
+        data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }]
+      });
+      provider.client.embeddings = { create: embeddingsCreate };
+
+      const vectors = await provider.embed(['first', 'second'], { model: 'text-embedding-3-small' });
+
+      expect(vectors).toEqual([[1, 0], [0, 1]]);
+      expect(embeddingsCreate).toHaveBeenCalledWith(
+        { model: 'text-embedding-3-small', input: ['first', 'second'] },
+        undefined
+      );
+    });
+
+    test('should summarize with summary settings', async () => {
+      create.mockResolvedValue({ choices: [{ message: { content: '# Summary' } }] });
+
+      await provider.summarize(messages);
+
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ temperature: 0.7, max_tokens: 800 }),
+        undefined
+      );
+    });
+  });
+
+  describe('AzureOpenAIProvider', () => {
+    test('should use the deployment as the model', () => {
+      const provider = new AzureOpenAIProvider({ deployment: 'chat-prod', client: {} });
+
+      expect(provider.name).toBe('azure');
+      expect(provider.model).toBe('chat-prod');
+    });
+
+    test('should require an endpoint and deployment', () => {
+      expect(() => new AzureOpenAIProvider({ apiKey: 'key' })).toThrow('AZURE_OPENAI_ENDPOINT');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    test('should require a base URL', () => {
+      expect(() => new OpenAICompatibleProvider({ model: 'llama3' })).toThrow('LLM_BASE_URL');
+    });
+  });
+
+  describe('MockProvider', () => {
+    let fixtureDir;
+    let provider;
+
+    beforeEach(() => {
+      fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      fs.writeFileSync(path.join(fixtureDir, 'intake.json'), JSON.stringify({
+        turns: ['What type of organization are you?', 'What challenges do you face?'],
+        responses: [{ match: '\\bpricing\\b', reply: 'Pricing depends on scope.' }],
+        extractions: [{ match: 'nonprofit', result: { organizationType: { value: 'nonprofit', confidence: 0.9 } } }],
+        fallback: 'Tell me more.',
+        summary: '# Summary'
+      }));
+      fs.writeFileSync(path.join(fixtureDir, 'short.json'), JSON.stringify({
+        turns: ['Only reply'],
+        fallback: 'Done.'
+      }));
+      provider = new MockProvider({ fixtureDir, scenario: 'intake' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(fixtureDir, { recursive: true, force: true });
+    });
+
+    test('should replay turns in order', async () => {
+      const history = [
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'What type of organization are you?' },
+        { role: 'user', content: 'A nonprofit' }
+      ];
+
+      expect(await provider.complete(history.slice(0, 1))).toBe('What type of organization are you?');
+      expect(await provider.complete(history)).toBe('What challenges do you face?');
+    });
+
+    test('should fall back once the script runs out', async () => {
+      const history = [1, 2, 3].map(n => ({ role: 'user', content: `Message ${n}` }));
+
+      expect(await provider.complete(history)).toBe('Tell me more.');
+    });
+
+    test('should prefer matching responses', async () => {
+      expect(await provider.complete([{ role: 'user', content: 'What about PRICING?' }]))
+        .toBe('Pricing depends on scope.');
+    });
+
+    test('should stream the reply word by word', async () => {
+      const deltas = await collect(provider.stream(messages));
+
+      expect(deltas).toEqual(['What ', 'type ', 'of ', 'organization ', 'are ', 'you?']);
+    });
+
+    test('should stop streaming when aborted', async () => {
+      const controller = new AbortController();
+      const deltas = [];
+
+      await expect((async () => {
+        for await (const delta of provider.stream(messages, { signal: controller.signal })) {
+          deltas.push(delta);
+          controller.abort();
+        }
+      })()).rejects.toThrow('Request was aborted.');
+      expect(deltas).toEqual(['What ']);
+    });
+
+    test('should extract from matching rules', async () => {
+      expect(await provider.extract([{ role: 'user', content: 'A nonprofit' }]))
+        .toEqual({ organizationType: { value: 'nonprofit', confidence: 0.9 } });
+      expect(await provider.extract([{ role: 'user', content: 'Hello' }])).toEqual({});
+    });
+
+    test('should return the scenario summary', async () => {
+      expect(await provider.summarize(messages)).toBe('# Summary');
+    });
+
+    test('should switch scenarios', async () => {
+      provider.setScenario('short');
+
+      expect(await provider.complete(messages)).toBe('Only reply');
+      expect(() => provider.setScenario('missing')).toThrow('Unknown mock LLM scenario: missing');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const presenceService = require('../presenceService');
+const MemoryRedis = require('../../utils/memoryRedis');
+const { setRedisClient } = require('../../utils/redis');
+
+describe('Presence Service', () => {
+  beforeEach(() => {
+    setRedisClient(new MemoryRedis());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should list joined sessions with their details', async () => {
+    await presenceService.join('session-1', { socketId: 'socket-1', email: 'visitor@example.org' });
+    await presenceService.join('session-2', { socketId: 'socket-2' });
+
+    const sessions = await presenceService.list();
+
+    expect(sessions.map(entry => entry.sessionId).sort()).toEqual(['session-1', 'session-2']);
+    expect(sessions.find(entry => entry.sessionId === 'session-1')).toEqual(expect.objectContaining({
+      email: 'visitor@example.org',
+      instanceId: presenceService.instanceId
+    }));
+  });
+
+  test('should keep a session that reconnected on another socket', async () => {
+    await presenceService.join('session-1', { socketId: 'socket-1' });
+    await presenceService.join('session-1', { socketId: 'socket-2' });
+
+    expect(await presenceService.leave('session-1', 'socket-1')).toBe(false);
+    expect(await presenceService.isOnline('session-1')).toBe(true);
+
+    expect(await presenceService.leave('session-1', 'socket-2')).toBe(true);
+    expect(await presenceService.isOnline('session-1')).toBe(false);
+  });
+
+  test('should drop sessions that are not refreshed', async () => {
+    jest.useFakeTimers({ now: Date.now() });
+    await presenceService.join('session-1', { socketId: 'socket-1' });
+    await presenceService.join('session-2', { socketId: 'socket-2' });
+
+    jest.advanceTimersByTime((presenceService.ttlSeconds - 1) * 1000);
+    await presenceService.refresh('session-1');
+    jest.advanceTimersByTime(2000);
+
+    expect((await presenceService.list()).map(entry => entry.sessionId)).toEqual(['session-1']);
+    expect(await presenceService.isOnline('session-2')).toBe(false);
+  });
+});
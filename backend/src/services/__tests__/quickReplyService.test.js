@@ -2,6 +2,9 @@ const quickReplyService = require('../quickReplyService');
 const { ChatSession } = require('../../models');
 const conversationStateService = require('../conversationStateService');
 const logger = require('../../utils/logger');
+const MemoryRedis = require('../../utils/memoryRedis');
+const { setRedisClient, redisKey } = require('../../utils/redis');
+const { QUICK_REPLY_SESSION_TTL_SECONDS } = require('../../config/redis');
 
 // Mock dependencies
 jest.mock('../../models');
@@ -295,9 +298,40 @@ describe('Quick Reply Service', () => {
       );
     });
 
-    test('should analyze reply effectiveness', () => {
-      const analytics = quickReplyService.getReplyAnalytics();
+    test('should count replies per reply and per session without keeping sessions forever', async () => {
+      const client = new MemoryRedis();
+      await client.connect();
+      setRedisClient(client);
+
+      for (const reply of ['Website Development', 'Pricing', 'Timeline', 'Budget', 'Pricing']) {
+        await quickReplyService.trackReplyUsage('session-1', reply);
+      }
+      await quickReplyService.trackReplyUsage('session-2', 'Website Development');
+
+      expect(await quickReplyService.getReplyAnalytics()).toEqual({
+        mostUsed: [
+          { reply: 'Website Development', count: 2 },
+          { reply: 'Pricing', count: 2 },
+          { reply: 'Timeline', count: 1 },
+          { reply: 'Budget', count: 1 }
+        ],
+        avgRepliesPerSession: 2.5,
+        conversionRate: 50
+      });
+
+      const ttl = await client.pTTL(redisKey('quick_replies', 'session', 'session-1'));
+      expect(ttl).toBeGreaterThan(0);
+      expect(ttl).toBeLessThanOrEqual(QUICK_REPLY_SESSION_TTL_SECONDS * 1000);
+      expect(await client.pTTL(redisKey('quick_replies', 'usage'))).toBe(-1);
+    });
+
+    test('should analyze reply effectiveness', async () => {
+      await quickReplyService.trackReplyUsage('session-1', 'Website Development');
+      await quickReplyService.trackReplyUsage('session-2', 'Website Development');
+
+      const analytics = await quickReplyService.getReplyAnalytics();
       
+      expect(analytics.mostUsed[0].reply).toBe('Website Development');
       expect(analytics).toHaveProperty('mostUsed');
       expect(analytics).toHaveProperty('conversionRate');
       expect(analytics).toHaveProperty('avgRepliesPerSession');
@@ -0,0 +1,63 @@
+const RateLimiter = require('../rateLimiter');
+const MemoryRedis = require('../../utils/memoryRedis');
+
+describe('Rate Limiter', () => {
+  let client;
+  let limiter;
+
+  beforeEach(async () => {
+    client = new MemoryRedis();
+    await client.connect();
+    limiter = new RateLimiter({ name: 'test', limit: 2, windowMs: 1000, client });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should allow requests up to the limit', async () => {
+    expect(await limiter.hit('session-1')).toEqual({ limited: false, count: 1, retryAfterMs: 0 });
+    expect((await limiter.hit('session-1')).limited).toBe(false);
+
+    const result = await limiter.hit('session-1');
+    expect(result.limited).toBe(true);
+    expect(result.retryAfterMs).toBeGreaterThan(0);
+    expect(result.retryAfterMs).toBeLessThanOrEqual(1000);
+  });
+
+  test('should count each id separately', async () => {
+    await limiter.hit('session-1');
+    await limiter.hit('session-1');
+
+    expect(await limiter.isLimited('session-1')).toBe(true);
+    expect(await limiter.isLimited('session-2')).toBe(false);
+  });
+
+  test('should start a new window once the current one expires', async () => {
+    jest.useFakeTimers({ now: Date.now() });
+    await limiter.hit('session-1');
+    await limiter.hit('session-1');
+
+    jest.advanceTimersByTime(1001);
+
+    expect(await limiter.isLimited('session-1')).toBe(false);
+    expect((await limiter.hit('session-1')).count).toBe(1);
+  });
+
+  test('should share counts between instances using the same Redis', async () => {
+    const otherInstance = new RateLimiter({ name: 'test', limit: 2, windowMs: 1000, client: client.duplicate() });
+
+    await limiter.hit('session-1');
+    await otherInstance.hit('session-1');
+
+    expect((await limiter.hit('session-1')).limited).toBe(true);
+  });
+
+  test('should clear counts on reset', async () => {
+    await limiter.hit('session-1');
+    await limiter.hit('session-1');
+    await limiter.reset('session-1');
+
+    expect(await limiter.isLimited('session-1')).toBe(false);
+  });
+});
@@ -0,0 +1,159 @@
+const { sequelize, JobRun, JobLock } = require('../../models');
+const schedulerService = require('../schedulerService');
+const drawingService = require('../drawingService');
+
+jest.mock('../drawingService');
+jest.mock('../../utils/logger');
+
+describe('Scheduler Service', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    schedulerService.jobs.clear();
+    await JobRun.destroy({ where: {} });
+    await JobLock.destroy({ where: {} });
+  });
+
+  describe('register', () => {
+    test('should reject an invalid cron expression', () => {
+      expect(() => schedulerService.register('broken', 'every day', jest.fn()))
+        .toThrow('Invalid schedule for job broken: every day');
+    });
+  });
+
+  describe('runJob', () => {
+    test('should record a successful run and release the lock', async () => {
+      schedulerService.register('test:job', '* * * * *', jest.fn().mockResolvedValue({ processed: 3 }));
+
+      const run = await schedulerService.runJob('test:job');
+
+      expect(run.status).toBe('succeeded');
+      expect(run.result).toEqual({ processed: 3 });
+      expect(run.finishedAt).toBeInstanceOf(Date);
+
+      const lock = await JobLock.findByPk('test:job');
+      expect(lock.lockedUntil).toBeNull();
+    });
+
+    test('should record a failed run with its error', async () => {
+      schedulerService.register('test:job', '* * * * *', jest.fn().mockRejectedValue(new Error('Boom')));
+
+      const run = await schedulerService.runJob('test:job');
+
+      expect(run.status).toBe('failed');
+      expect(run.error).toBe('Boom');
+
+      const lock = await JobLock.findByPk('test:job');
+      expect(lock.lockedBy).toBeNull();
+    });
+
+    test('should skip a job locked by another instance', async () => {
+      const handler = jest.fn();
+      schedulerService.register('test:job', '* * * * *', handler);
+      await JobLock.create({
+        name: 'test:job',
+        lockedBy: 'other-host:1234',
+        lockedUntil: new Date(Date.now() + 60000)
+      });
+
+      const run = await schedulerService.runJob('test:job');
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(run.status).toBe('skipped');
+
+      const lock = await JobLock.findByPk('test:job');
+      expect(lock.lockedBy).toBe('other-host:1234');
+    });
+
+    test('should take over an expired lock', async () => {
+      const handler = jest.fn().mockResolvedValue(null);
+      schedulerService.register('test:job', '* * * * *', handler);
+      await JobLock.create({
+        name: 'test:job',
+        lockedBy: 'crashed-host:1234',
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+
+      const run = await schedulerService.runJob('test:job');
+
+      expect(handler).toHaveBeenCalled();
+      expect(run.status).toBe('succeeded');
+    });
+
+    test('should only let one of two concurrent runs through', async () => {
+      let release;
+      const handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+      schedulerService.register('test:job', '* * * * *', handler);
+
+      const first = schedulerService.runJob('test:job');
+      // Wait until the first run holds the lock
+      while (!release) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      const second = await schedulerService.runJob('test:job');
+      release();
+
+      expect(second.status).toBe('skipped');
+      expect((await first).status).toBe('succeeded');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject an unknown job', async () => {
+      await expect(schedulerService.runJob('missing')).rejects.toThrow('Unknown job: missing');
+    });
+  });
+
+  describe('registerDefaultJobs', () => {
+    test('should close expired drawings and draw their winners', async () => {
+      drawingService.closeExpiredDrawings.mockResolvedValue({ closed: [1, 2] });
+      drawingService.drawClosedDrawings.mockResolvedValue({ drawn: [1], cancelled: [2] });
+      schedulerService.registerDefaultJobs();
+
+      const run = await schedulerService.runJob('drawings:close');
+
+      expect(run.result).toEqual({ closed: [1, 2], drawn: [1], cancelled: [2] });
+    });
+
+    test('should activate special drawings whose start date has passed', async () => {
+      drawingService.activateScheduledDrawings.mockResolvedValue({ activated: [3] });
+      schedulerService.registerDefaultJobs();
+
+      const run = await schedulerService.runJob('drawings:activate');
+
+      expect(drawingService.activateScheduledDrawings).toHaveBeenCalled();
+      expect(run.result).toEqual({ activated: [3] });
+    });
+
+    test('should open a drawing for each scheduled type', async () => {
+      drawingService.openPeriodDrawing.mockResolvedValue({ id: 7 });
+      schedulerService.registerDefaultJobs();
+
+      const run = await schedulerService.runJob('drawings:open');
+
+      expect(drawingService.openPeriodDrawing).toHaveBeenCalledWith('monthly');
+      expect(run.result).toEqual({ drawings: [7] });
+    });
+  });
+
+  describe('getRecentRuns', () => {
+    test('should return runs for a job newest first', async () => {
+      schedulerService.register('test:job', '* * * * *', jest.fn());
+      schedulerService.register('other:job', '* * * * *', jest.fn());
+      await schedulerService.runJob('test:job');
+      await schedulerService.runJob('other:job');
+      await schedulerService.runJob('test:job');
+
+      const runs = await schedulerService.getRecentRuns({ jobName: 'test:job' });
+
+      expect(runs).toHaveLength(2);
+      expect(runs[0].startedAt.getTime()).toBeGreaterThanOrEqual(runs[1].startedAt.getTime());
+    });
+  });
+});
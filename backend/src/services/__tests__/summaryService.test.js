@@ -6,7 +6,7 @@ const logger = require('../../utils/logger');
 // Mock dependencies
 jest.mock('../../models');
 jest.mock('../emailService', () => ({
-  sendEmail: jest.fn()
+  queueEmail: jest.fn()
 }));
 jest.mock('../../utils/logger');
 
@@ -139,35 +139,39 @@ describe('Summary Service', () => {
 
   describe('Send Summary Email', () => {
     test('should send summary email to lead', async () => {
-      emailService.sendEmail.mockResolvedValue({ success: true });
+      emailService.queueEmail.mockResolvedValue({ success: true });
       
       const result = await summaryService.sendSummaryEmail(mockSession);
       
       expect(result.success).toBe(true);
-      expect(emailService.sendEmail).toHaveBeenCalledWith(
+      expect(emailService.queueEmail).toHaveBeenCalledWith(
+        'summary',
         expect.objectContaining({
           to: 'john@techcorp.com',
           subject: expect.stringContaining('Executive Summary'),
           html: expect.stringContaining('Executive Summary'),
           text: expect.stringContaining('EXECUTIVE SUMMARY')
-        })
+        }),
+        { metadata: { sessionId: mockSession.sessionId } }
       );
     });
 
     test('should include lead name in email subject', async () => {
-      emailService.sendEmail.mockResolvedValue({ success: true });
+      emailService.queueEmail.mockResolvedValue({ success: true });
       
       await summaryService.sendSummaryEmail(mockSession);
       
-      expect(emailService.sendEmail).toHaveBeenCalledWith(
+      expect(emailService.queueEmail).toHaveBeenCalledWith(
+        'summary',
         expect.objectContaining({
           subject: expect.stringContaining('John Doe')
-        })
+        }),
+        expect.any(Object)
       );
     });
 
     test('should save summary to session', async () => {
-      emailService.sendEmail.mockResolvedValue({ success: true });
+      emailService.queueEmail.mockResolvedValue({ success: true });
       
       await summaryService.sendSummaryEmail(mockSession);
       
@@ -177,7 +181,7 @@ describe('Summary Service', () => {
     });
 
     test('should handle email send failure', async () => {
-      emailService.sendEmail.mockResolvedValue({ 
+      emailService.queueEmail.mockResolvedValue({ 
         success: false, 
         error: 'Email service unavailable' 
       });
@@ -188,13 +192,14 @@ describe('Summary Service', () => {
       expect(result.error).toBe('Email service unavailable');
     });
 
-    test('should track summary metrics', async () => {
-      emailService.sendEmail.mockResolvedValue({ success: true });
+    test('should leave the summary unsent until delivery is reported', async () => {
+      emailService.queueEmail.mockResolvedValue({ success: true });
       
       await summaryService.sendSummaryEmail(mockSession);
       
-      expect(mockSession.summaryEmailSent).toBe(true);
-      expect(mockSession.summaryEmailSentAt).toBeDefined();
+      expect(mockSession.summaryGeneratedAt).toBeInstanceOf(Date);
+      expect(mockSession.summaryEmailSent).toBe(false);
+      expect(mockSession.summaryEmailSentAt).toBeNull();
     });
   });
 
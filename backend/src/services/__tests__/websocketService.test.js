@@ -2,13 +2,19 @@ const WebSocketService = require('../websocketService');
 const { Server } = require('socket.io');
 const { createServer } = require('http');
 const Client = require('socket.io-client');
-const { ChatSession, Lead } = require('../../models');
+const { ChatSession, Lead, Message } = require('../../models');
 const chatService = require('../chatService');
+const authService = require('../authService');
+const handoffService = require('../handoffService');
+const presenceService = require('../presenceService');
 const logger = require('../../utils/logger');
+const MemoryRedis = require('../../utils/memoryRedis');
+const { setRedisClient } = require('../../utils/redis');
 
 // Mock dependencies
 jest.mock('../../models');
 jest.mock('../chatService');
+jest.mock('../drawingService');
 jest.mock('../../utils/logger');
 
 describe('WebSocket Service', () => {
@@ -20,6 +26,9 @@ describe('WebSocket Service', () => {
   const testPort = 3001;
 
   beforeEach((done) => {
+    // Fresh rate limits and presence for every test
+    setRedisClient(new MemoryRedis());
+
     // Create HTTP server and Socket.IO instance
     httpServer = createServer();
     io = new Server(httpServer, {
@@ -55,6 +64,7 @@ describe('WebSocket Service', () => {
 
   afterEach((done) => {
     // Cleanup
+    clearInterval(websocketService.presenceTimer);
     io.close();
     clientSocket.close();
     httpServer.close(done);
@@ -231,6 +241,142 @@ describe('WebSocket Service', () => {
     });
   });
 
+  describe('Response Streaming', () => {
+    beforeEach((done) => {
+      ChatSession.findOne.mockResolvedValue({
+        id: 1,
+        sessionId: 'test-session-123',
+        leadId: 1
+      });
+      clientSocket.emit('authenticate', { sessionId: 'test-session-123' });
+      clientSocket.once('authenticated', () => done());
+    });
+
+    test('should stream response chunks when requested', (done) => {
+      const mockResponse = {
+        message: 'Hello there',
+        quickReplies: ['Yes'],
+        completionRate: 0.5,
+        isComplete: false
+      };
+
+      Message.create.mockResolvedValue({
+        id: 42,
+        timestamp: new Date(),
+        markAsDelivered: jest.fn().mockResolvedValue(true),
+        markAsRead: jest.fn().mockResolvedValue(true)
+      });
+      chatService.processMessage.mockImplementation(async (session, message, { onToken }) => {
+        onToken('Hello');
+        onToken(' there');
+        return mockResponse;
+      });
+
+      const chunks = [];
+      clientSocket.on('message_chunk', (data) => chunks.push(data));
+      clientSocket.on('message_complete', (data) => {
+        expect(chunks.map(chunk => chunk.delta)).toEqual(['Hello', ' there']);
+        expect(chunks.every(chunk => chunk.messageId === data.messageId)).toBe(true);
+        expect(data.id).toBe(42);
+        expect(data.content).toBe('Hello there');
+        expect(data.quickReplies).toEqual(['Yes']);
+        expect(data.cancelled).toBeUndefined();
+        done();
+      });
+
+      clientSocket.emit('chat_message', { message: 'Hi', stream: true });
+    });
+
+    test('should cancel a streamed response when the user starts typing', (done) => {
+      Message.create.mockResolvedValue({ id: 1, timestamp: new Date(), markAsDelivered: jest.fn() });
+      chatService.processMessage.mockImplementation((session, message, { onToken, signal }) => (
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+          onToken('Partial');
+        })
+      ));
+
+      clientSocket.on('message_chunk', () => clientSocket.emit('typing_start'));
+      clientSocket.on('message_complete', (data) => {
+        expect(data.cancelled).toBe(true);
+        expect(data.messageId).toEqual(expect.any(String));
+        // Only the user message is saved
+        expect(Message.create).toHaveBeenCalledTimes(1);
+        done();
+      });
+
+      clientSocket.emit('chat_message', { message: 'Tell me everything', stream: true });
+    });
+
+    test('should cancel a streamed response when the client disconnects', (done) => {
+      Message.create.mockResolvedValue({ id: 1, timestamp: new Date(), markAsDelivered: jest.fn() });
+      chatService.processMessage.mockImplementation((session, message, { onToken, signal }) => (
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            reject(new Error('Request was aborted.'));
+            done();
+          });
+          onToken('Partial');
+        })
+      ));
+
+      clientSocket.on('message_chunk', () => clientSocket.disconnect());
+      clientSocket.emit('chat_message', { message: 'Tell me everything', stream: true });
+    });
+  });
+
+  describe('Delivery Status', () => {
+    const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+    const statuses = [];
+
+    beforeEach((done) => {
+      statuses.length = 0;
+      // The mocked models share Sequelize's finders: the session is found once,
+      // then no stored message matches the client's id
+      ChatSession.findOne
+        .mockResolvedValue(null)
+        .mockResolvedValueOnce({ id: 1, sessionId: 'test-session-123', leadId: 1 });
+      Message.create.mockImplementation(async (attributes) => ({
+        id: attributes.role === 'user' ? 10 : 11,
+        timestamp: new Date(),
+        markAsDelivered: jest.fn(),
+        markAsRead: jest.fn(),
+        ...attributes
+      }));
+      chatService.processMessage.mockResolvedValue({ message: 'Hello there', quickReplies: [] });
+
+      clientSocket.on('message_status', (data) => statuses.push(data));
+      clientSocket.emit('authenticate', { sessionId: 'test-session-123' });
+      clientSocket.once('authenticated', () => done());
+    });
+
+    test('should report sent, delivered and read for a visitor message', async () => {
+      const answered = once(clientSocket, 'message');
+      clientSocket.emit('chat_message', { message: 'Hi', clientMessageId: 'client-1' });
+      await answered;
+
+      expect(statuses.map(status => status.status)).toEqual(['sent', 'delivered', 'read']);
+      expect(statuses.every(status => status.clientMessageId === 'client-1' && status.messageId === 10)).toBe(true);
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({ clientMessageId: 'client-1' }));
+    });
+
+    test('should store and answer a resent message only once', async () => {
+      Message.findOne.mockResolvedValueOnce({ id: 10, clientMessageId: 'client-1', isDelivered: true, isRead: true });
+
+      const acknowledged = once(clientSocket, 'message_status');
+      clientSocket.emit('chat_message', { message: 'Hi', clientMessageId: 'client-1' });
+
+      expect(await acknowledged).toEqual(expect.objectContaining({
+        messageId: 10,
+        clientMessageId: 'client-1',
+        status: 'read'
+      }));
+      expect(Message.findOne).toHaveBeenCalledWith({ where: { chatSessionId: 1, clientMessageId: 'client-1' } });
+      expect(Message.create).not.toHaveBeenCalled();
+      expect(chatService.processMessage).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Session Management', () => {
     test('should handle session summary request', (done) => {
       const mockSession = {
@@ -397,6 +543,241 @@ describe('WebSocket Service', () => {
     });
   });
 
+  describe('Protocol', () => {
+    const clients = [];
+
+    const connect = (options) => {
+      const client = new Client(`http://localhost:${testPort}`, { reconnection: false, ...options });
+      clients.push(client);
+      return client;
+    };
+    const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+    afterEach(() => {
+      clients.splice(0).forEach(client => client.close());
+    });
+
+    test('should confirm the negotiated version', async () => {
+      const client = connect({ auth: { protocolVersion: 2 } });
+
+      expect(await once(client, 'welcome')).toEqual({ protocolVersion: 2, supportedVersions: [1, 2] });
+    });
+
+    test('should refuse unsupported versions during the handshake', async () => {
+      const client = connect({ auth: { protocolVersion: 99 } });
+
+      const error = await once(client, 'connect_error');
+      expect(error.data).toEqual(expect.objectContaining({
+        code: 'UNSUPPORTED_VERSION',
+        supportedVersions: [1, 2]
+      }));
+    });
+
+    test('should report every version 2 error as a typed chat_error', async () => {
+      ChatSession.findOne.mockResolvedValue(null);
+      const client = connect({ auth: { protocolVersion: 2 } });
+      await once(client, 'welcome');
+
+      client.emit('chat_message', { message: 'Hi' });
+      expect(await once(client, 'chat_error')).toEqual(expect.objectContaining({
+        code: 'NOT_AUTHENTICATED',
+        event: 'chat_message',
+        retry: false
+      }));
+
+      client.emit('authenticate', { sessionId: 'missing' });
+      expect(await once(client, 'chat_error')).toEqual(expect.objectContaining({ code: 'INVALID_SESSION' }));
+    });
+
+    test('should reject invalid payloads with the failing fields', async () => {
+      ChatSession.findOne.mockResolvedValue({ id: 1, sessionId: 'test-session-123' });
+      const client = connect({ auth: { protocolVersion: 2, sessionId: 'test-session-123' } });
+      await once(client, 'authenticated');
+
+      client.emit('chat_message', { message: '', stream: 'yes' });
+
+      const error = await once(client, 'chat_error');
+      expect(error.code).toBe('INVALID_PAYLOAD');
+      expect(error.details.map(detail => detail.path)).toEqual(['message', 'stream']);
+      expect(chatService.processMessage).not.toHaveBeenCalled();
+    });
+
+    test('should answer acknowledgements with typed errors', async () => {
+      const client = connect({ auth: { protocolVersion: 2 } });
+      await once(client, 'welcome');
+
+      const result = await client.emitWithAck('authenticate', {});
+
+      expect(result).toEqual(expect.objectContaining({ code: 'INVALID_PAYLOAD', event: 'authenticate' }));
+    });
+
+    test('should keep version 1 clients of the old chat handler working', async () => {
+      ChatSession.findOne.mockResolvedValue({ id: 1, sessionId: 'test-session-123' });
+      Message.create.mockResolvedValue({
+        id: 5,
+        timestamp: new Date(),
+        markAsDelivered: jest.fn().mockResolvedValue(true),
+        markAsRead: jest.fn().mockResolvedValue(true)
+      });
+      chatService.processMessage.mockResolvedValue({ message: 'Hello from the assistant', quickReplies: [] });
+
+      const client = connect({ query: { sessionId: 'test-session-123' } });
+      await once(client, 'authenticated');
+      client.emit('message', { content: 'Hello' });
+
+      const reply = await once(client, 'message');
+      expect(reply).toEqual(expect.objectContaining({ sender: 'assistant', content: 'Hello from the assistant' }));
+      expect(chatService.processMessage).toHaveBeenCalledWith(expect.anything(), 'Hello', {});
+    });
+  });
+
+  describe('Agent Handoff', () => {
+    let agentSocket;
+    let verifyToken;
+
+    const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+    const connectAgent = () => new Client(`http://localhost:${testPort}/agents`, {
+      auth: { token: 'access-token' },
+      reconnection: false
+    });
+
+    beforeEach((done) => {
+      verifyToken = jest.spyOn(authService, 'verifyToken')
+        .mockResolvedValue({ id: 7, name: 'Dana', role: 'sales' });
+      ChatSession.findOne.mockResolvedValue({
+        id: 1,
+        sessionId: 'test-session-123',
+        lead: { email: 'visitor@example.org' }
+      });
+      Message.create.mockImplementation(async (attributes) => ({
+        id: 99,
+        markAsDelivered: jest.fn(),
+        markAsRead: jest.fn(),
+        ...attributes
+      }));
+      Message.findAll.mockResolvedValue([]);
+
+      clientSocket.emit('authenticate', { sessionId: 'test-session-123' });
+      clientSocket.once('authenticated', () => {
+        agentSocket = connectAgent();
+        agentSocket.once('connect', () => done());
+      });
+    });
+
+    afterEach(async () => {
+      agentSocket.close();
+      verifyToken.mockRestore();
+      await handoffService.reset();
+    });
+
+    test('should list active sessions', async () => {
+      const { sessions, queue } = await agentSocket.emitWithAck('list_sessions', {});
+
+      expect(sessions).toEqual([expect.objectContaining({
+        sessionId: 'test-session-123',
+        email: 'visitor@example.org',
+        handoff: { status: 'ai' }
+      })]);
+      expect(queue).toEqual([]);
+    });
+
+    test('should list and subscribe to sessions connected to other instances', async () => {
+      await presenceService.join('remote-session', { socketId: 'remote-socket', email: 'remote@example.org' });
+
+      const { sessions } = await agentSocket.emitWithAck('list_sessions', {});
+      expect(sessions.map(session => session.sessionId).sort()).toEqual(['remote-session', 'test-session-123']);
+
+      const result = await agentSocket.emitWithAck('subscribe_session', { sessionId: 'remote-session' });
+      expect(result.error).toBeUndefined();
+      expect(ChatSession.findOne).toHaveBeenCalledWith({ where: { sessionId: 'remote-session' } });
+
+      await presenceService.leave('remote-session', 'remote-socket');
+      const missing = await agentSocket.emitWithAck('subscribe_session', { sessionId: 'remote-session' });
+      expect(missing.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    test('should reject console connections from non-agents', (done) => {
+      verifyToken.mockResolvedValue({ id: 8, name: 'Viewer', role: 'viewer' });
+      const viewer = connectAgent();
+
+      viewer.on('connect_error', (error) => {
+        expect(error.message).toBe('Forbidden');
+        viewer.close();
+        done();
+      });
+    });
+
+    test('should pause AI replies while an agent holds the session', async () => {
+      const joined = once(clientSocket, 'handoff_status');
+      const { handoff } = await agentSocket.emitWithAck('take_over', { sessionId: 'test-session-123' });
+
+      expect(handoff).toEqual(expect.objectContaining({ status: 'agent', agent: { id: 7, name: 'Dana' } }));
+      expect((await joined).message).toBe('Dana from ServiceVision has joined the conversation.');
+
+      const relayed = once(agentSocket, 'session_message');
+      clientSocket.emit('chat_message', { message: 'Thanks for jumping in' });
+
+      expect(await relayed).toEqual(expect.objectContaining({
+        sessionId: 'test-session-123',
+        content: 'Thanks for jumping in',
+        sender: 'user'
+      }));
+      expect(chatService.processMessage).not.toHaveBeenCalled();
+    });
+
+    test('should deliver agent messages and hand back to the assistant', async () => {
+      await agentSocket.emitWithAck('take_over', { sessionId: 'test-session-123' });
+
+      const delivered = once(clientSocket, 'agent_message');
+      await agentSocket.emitWithAck('agent_message', { sessionId: 'test-session-123', content: 'Hi, I am Dana' });
+
+      expect(await delivered).toEqual(expect.objectContaining({
+        content: 'Hi, I am Dana',
+        sender: 'agent',
+        agentName: 'Dana'
+      }));
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+        role: 'assistant',
+        metadata: { agentId: 7, agentName: 'Dana' }
+      }));
+
+      const returned = once(clientSocket, 'handoff_status');
+      await agentSocket.emitWithAck('hand_back', { sessionId: 'test-session-123' });
+
+      expect((await returned).status).toBe('ai');
+      expect(await handoffService.getStatus('test-session-123')).toBe('ai');
+    });
+
+    test('should refuse agent messages before taking over', async () => {
+      const result = await agentSocket.emitWithAck('agent_message', { sessionId: 'test-session-123', content: 'Hello' });
+
+      expect(result.error).toBe('Take over the session before sending messages');
+    });
+
+    test('should queue visitors who ask for a human', async () => {
+      const queued = once(clientSocket, 'handoff_status');
+      const queueUpdated = once(agentSocket, 'queue_updated');
+      clientSocket.emit('chat_message', { message: 'Can I talk to a real person?' });
+
+      expect(await queued).toEqual(expect.objectContaining({
+        status: 'queued',
+        reason: 'requested',
+        timeoutMs: expect.any(Number)
+      }));
+      expect((await queueUpdated).queue).toEqual([expect.objectContaining({ sessionId: 'test-session-123' })]);
+      expect(chatService.processMessage).not.toHaveBeenCalled();
+    });
+
+    test('should hand sessions back when the agent disconnects', async () => {
+      await agentSocket.emitWithAck('take_over', { sessionId: 'test-session-123' });
+
+      const returned = once(clientSocket, 'handoff_status');
+      agentSocket.disconnect();
+
+      expect(await returned).toEqual(expect.objectContaining({ status: 'ai' }));
+    });
+  });
+
   describe('Analytics and Monitoring', () => {
     test('should track message metrics', (done) => {
       const mockSession = {
@@ -0,0 +1,141 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { getConfig } = require('../config/environment');
+const { UnauthorizedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class AuthService {
+  /**
+   * Verify credentials and issue a token pair
+   */
+  async login(email, password) {
+    try {
+      const user = await User.scope('withPassword').findOne({
+        where: { email: String(email).trim().toLowerCase() }
+      });
+
+      if (!user || !user.isActive || !(await user.validatePassword(password))) {
+        logger.warn('Failed staff login attempt', { email });
+        return null;
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      logger.info(`Staff user logged in: ${user.id}`);
+
+      return {
+        user,
+        ...this.generateTokens(user)
+      };
+    } catch (error) {
+      logger.error('Error during login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   */
+  async refresh(refreshToken) {
+    const user = await this.verifyToken(refreshToken, 'refresh');
+
+    return {
+      user,
+      ...this.generateTokens(user)
+    };
+  }
+
+  /**
+   * Revoke every token issued to the user so far
+   */
+  async logout(user) {
+    await user.increment('tokenVersion');
+    logger.info(`Staff user logged out: ${user.id}`);
+  }
+
+  /**
+   * Issue a short-lived access token and a long-lived refresh token
+   */
+  generateTokens(user) {
+    const config = getConfig();
+    const claims = {
+      sub: user.id,
+      role: user.role,
+      tv: user.tokenVersion || 0
+    };
+
+    return {
+      accessToken: jwt.sign({ ...claims, type: 'access' }, config.JWT_SECRET, {
+        expiresIn: config.JWT_ACCESS_EXPIRES_IN
+      }),
+      refreshToken: jwt.sign({ ...claims, type: 'refresh' }, config.JWT_SECRET, {
+        expiresIn: config.JWT_EXPIRES_IN
+      })
+    };
+  }
+
+  /**
+   * Verify a token and load the active user it was issued to
+   */
+  async verifyToken(token, type = 'access') {
+    let payload;
+    try {
+      payload = jwt.verify(token, getConfig().JWT_SECRET);
+    } catch (error) {
+      throw new UnauthorizedError('Invalid or expired token');
+    }
+
+    if (payload.type !== type) {
+      throw new UnauthorizedError('Invalid token type');
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== payload.tv) {
+      throw new UnauthorizedError('Token has been revoked');
+    }
+
+    return user;
+  }
+
+  /**
+   * Create a staff user
+   */
+  async createUser({ email, password, name, role = 'viewer' }) {
+    const passwordHash = await User.hashPassword(password);
+    return User.create({ email, passwordHash, name, role });
+  }
+
+  /**
+   * Create the initial admin from ADMIN_EMAIL / ADMIN_PASSWORD if no active admin exists.
+   * A deactivated or demoted account with that email is restored as the admin.
+   */
+  async ensureAdminUser() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+      return null;
+    }
+
+    // A deactivated admin cannot sign in, so only an active one counts
+    const existingAdmin = await User.findOne({ where: { role: 'admin', isActive: true } });
+    if (existingAdmin) {
+      return existingAdmin;
+    }
+
+    const existing = await User.findOne({ where: { email } });
+    if (existing) {
+      await existing.update({ role: 'admin', isActive: true, tokenVersion: existing.tokenVersion + 1 });
+      logger.info(`Restored admin user: ${existing.email}`);
+      return existing;
+    }
+
+    const admin = await this.createUser({ email, password, name: 'Administrator', role: 'admin' });
+    logger.info(`Created initial admin user: ${admin.email}`);
+    return admin;
+  }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
@@ -1,29 +1,45 @@
-const { OpenAI } = require('openai');
 const { getConfig } = require('../config/environment');
+const { getProviderName } = require('../config/llm');
+const { createProvider } = require('./llmProviders');
+const entityExtractionService = require('./entityExtractionService');
+const experimentService = require('./experimentService');
+const knowledgeBaseService = require('./knowledgeBaseService');
 const ConversationStateService = require('./conversationStateService');
+const RateLimiter = require('./rateLimiter');
 const logger = require('../utils/logger');
 
 class ChatService {
   constructor() {
     const config = getConfig();
     
-    // Initialize OpenAI client
-    if (config.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: config.OPENAI_API_KEY
-      });
+    // Initialize LLM provider
+    const providerName = getProviderName(config);
+    if (providerName) {
+      this.provider = createProvider(providerName, config);
+      logger.info(`Chat using LLM provider: ${providerName}`);
     } else {
-      logger.warn('OpenAI API key not configured');
-      this.openai = null;
+      logger.warn('No LLM provider configured; using keyword fallback responses');
+      this.provider = null;
     }
 
     // Initialize conversation state service
     this.stateService = new ConversationStateService();
     
-    // Rate limiting
-    this.rateLimits = new Map();
+    // Rate limiting, shared by every instance through Redis
     this.RATE_LIMIT_WINDOW = 60000; // 1 minute
     this.MAX_REQUESTS_PER_WINDOW = 10;
+    this.rateLimiter = new RateLimiter({
+      name: 'chat',
+      limit: this.MAX_REQUESTS_PER_WINDOW,
+      windowMs: this.RATE_LIMIT_WINDOW
+    });
+  }
+
+  /**
+   * Replace the LLM provider, e.g. with a MockProvider in tests
+   */
+  setProvider(provider) {
+    this.provider = provider;
   }
 
   /**
@@ -36,8 +52,9 @@ class ChatService {
       greeting = `Welcome back, ${lead.name}! `;
     }
 
-    if (lead?.organizationName) {
-      greeting += `I see you're with ${lead.organizationName}. `;
+    const organization = lead?.organizationName || lead?.company;
+    if (organization) {
+      greeting += `I see you're with ${organization}. `;
     }
 
     greeting += "I'm here to help you explore how ServiceVision can support your organization's goals. What brings you here today?";
@@ -47,11 +64,14 @@ class ChatService {
 
   /**
    * Process a user message and generate response
+   * @param {Object} session - Chat session
+   * @param {string} message - User message
+   * @param {Object} options - onToken(delta) to stream the AI response, signal to cancel it
    */
-  async processMessage(session, message) {
+  async processMessage(session, message, options = {}) {
     try {
       // Check rate limiting
-      if (this.isRateLimited(session.sessionId)) {
+      if (await this.isRateLimited(session.sessionId)) {
         return {
           message: "Please slow down a bit! Let's take a moment before continuing our conversation.",
           quickReplies: [],
@@ -66,8 +86,13 @@ class ChatService {
       // Restore conversation state
       const state = this.stateService.restoreState(session);
 
-      // Extract entities from message
-      const extractedData = this.extractEntitiesFromMessage(message);
+      // Extract entities from message, keeping only confident fields
+      const extraction = await entityExtractionService.extract(message, {
+        provider: this.provider,
+        history: session.conversationHistory || [],
+        signal: options.signal
+      });
+      const extractedData = entityExtractionService.toCollected(extraction.fields);
       
       // Update state with extracted data
       let updatedState = state;
@@ -81,10 +106,12 @@ class ChatService {
         content: message
       }];
 
-      // Generate AI response
+      // Generate AI response, grounded in knowledge base passages
       let aiResponse;
-      if (this.openai) {
-        aiResponse = await this.generateAIResponse(session, updatedState, message);
+      let passages = [];
+      if (this.provider) {
+        passages = await this.retrievePassages(message, options.signal);
+        aiResponse = await this.generateAIResponse(session, updatedState, message, { ...options, passages });
       } else {
         aiResponse = this.generateFallbackResponse(updatedState);
       }
@@ -110,7 +137,11 @@ class ChatService {
       const nextAction = this.stateService.determineNextAction(updatedState);
       
       // Generate quick replies
-      const quickReplies = this.generateQuickReplies(nextAction.topic || nextAction.type);
+      const quickReplies = this.generateQuickReplies(
+        nextAction.topic || nextAction.type,
+        updatedState,
+        experimentService.getSessionOverrides(session)
+      );
 
       // Calculate completion rate
       const completionRate = this.stateService.getCompletionRate(updatedState);
@@ -119,7 +150,7 @@ class ChatService {
       await this.stateService.saveState(session, updatedState);
 
       // Track rate limit
-      this.trackRequest(session.sessionId);
+      await this.trackRequest(session.sessionId);
 
       return {
         message: aiResponse,
@@ -128,10 +159,18 @@ class ChatService {
         identifiedNeeds,
         recommendedServices,
         completionRate,
-        isComplete: completionRate === 1.0
+        isComplete: completionRate === 1.0,
+        requiresEmail: nextAction.type === 'collect_email',
+        isQualified: Boolean(updatedState.flags?.isQualified),
+        sources: knowledgeBaseService.toSources(passages)
       };
 
     } catch (error) {
+      // A cancelled stream is not a failure; let the caller drop the response
+      if (options.signal?.aborted) {
+        throw error;
+      }
+
       logger.error('Error processing message:', error);
       
       return {
@@ -141,7 +180,8 @@ class ChatService {
         identifiedNeeds: session.identifiedNeeds || [],
         recommendedServices: session.recommendedServices || [],
         completionRate: session.completionRate || 0,
-        isComplete: false
+        isComplete: false,
+        sources: []
       };
     }
   }
@@ -161,15 +201,8 @@ class ChatService {
 
       const summaryContext = this.buildSummaryContext(session, state);
 
-      if (this.openai) {
-        const completion = await this.openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: summaryContext,
-          temperature: 0.7,
-          max_tokens: 800
-        });
-
-        return completion.choices[0].message.content;
+      if (this.provider) {
+        return await this.provider.summarize(summaryContext);
       } else {
         return this.generateFallbackSummary(session, state);
       }
@@ -180,22 +213,40 @@ class ChatService {
     }
   }
 
+  /**
+   * Knowledge base passages relevant to a message
+   * Retrieval problems never block the reply; it is just less specific
+   */
+  async retrievePassages(message, signal) {
+    try {
+      return await knowledgeBaseService.retrieve(message, { signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      logger.error('Knowledge base retrieval failed:', error);
+      return [];
+    }
+  }
+
   /**
    * Build context for AI
+   * Retrieved passages are appended to the system prompt as numbered references
    */
-  buildContext(session, state) {
-    const systemPrompt = `You are a helpful AI consultant for ServiceVision, a dual-mission consulting firm serving both for-profit and nonprofit organizations. 
+  buildContext(session, state, passages = []) {
+    const flow = this.stateService.getFlow(state);
+    const overrides = experimentService.getSessionOverrides(session);
+    const systemPrompt = `${overrides.systemPrompt || flow.prompts.system}
 
 Current conversation stage: ${state.stage}
 Information needed: ${Object.entries(state.pending || {})
   .filter(([_, needed]) => needed)
   .map(([field, _]) => field)
-  .join(', ')}
-
-Be professional, concise, and focus on understanding the client's needs. Ask one question at a time.`;
+  .join(', ')}`;
+    const knowledge = knowledgeBaseService.formatContext(passages);
 
     const messages = [
-      { role: 'system', content: systemPrompt }
+      { role: 'system', content: knowledge ? `${systemPrompt}\n\n${knowledge}` : systemPrompt }
     ];
 
     // Add conversation history (limit to last 20 messages)
@@ -244,20 +295,27 @@ Format the summary with markdown headers.`;
 
   /**
    * Generate AI response
+   * When onToken is given the completion is streamed and each delta is passed to it
+   * as it arrives; aborting the signal stops the stream and rejects
    */
-  async generateAIResponse(session, state, userMessage) {
-    const context = this.buildContext(session, state);
+  async generateAIResponse(session, state, userMessage, { onToken, signal, passages } = {}) {
+    const context = this.buildContext(session, state, passages);
     context.push({ role: 'user', content: userMessage });
 
+    const options = { temperature: 0.8, maxTokens: 200, signal };
+
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: context,
-        temperature: 0.8,
-        max_tokens: 200
-      });
+      if (!onToken) {
+        return await this.provider.complete(context, options);
+      }
+
+      let content = '';
+      for await (const delta of this.provider.stream(context, options)) {
+        content += delta;
+        onToken(delta);
+      }
 
-      return completion.choices[0].message.content;
+      return content;
     } catch (error) {
       if (error.response?.status === 429) {
         return "I'm experiencing high demand right now. Please give me a moment and try again.";
@@ -273,19 +331,11 @@ Format the summary with markdown headers.`;
    * Generate fallback response without AI
    */
   generateFallbackResponse(state) {
+    const flow = this.stateService.getFlow(state);
     const nextAction = this.stateService.determineNextAction(state);
 
-    const responses = {
-      organizationType: "Could you tell me what type of organization you represent? We work with for-profit businesses, nonprofits, and government agencies.",
-      businessNeeds: "What are your main business or technology challenges that you'd like help with?",
-      timeline: "What's your timeline for addressing these needs?",
-      budget: "Do you have a budget range in mind for this project?",
-      collect_email: "To continue, I'll need your email address so we can send you a summary of our conversation.",
-      generate_summary: "Great! I have all the information I need. Let me prepare your executive summary.",
-      default: "Tell me more about what you're looking for help with."
-    };
-
-    return responses[nextAction.topic] || responses[nextAction.type] || responses.default;
+    const slot = flow.slots.find(s => s.name === nextAction.topic);
+    return slot?.prompt || flow.prompts[nextAction.type] || flow.prompts.default;
   }
 
   /**
@@ -314,56 +364,17 @@ Please contact us at info@servicevision.net to proceed.`;
   }
 
   /**
-   * Extract entities from message
+   * Extract entities from message using keyword matching
    */
   extractEntitiesFromMessage(message) {
-    const extracted = {};
-
-    // Extract organization type
-    const orgType = this.extractOrganizationType(message);
-    if (orgType) {
-      extracted.organizationType = orgType;
-    }
-
-    // Extract timeline
-    const timeline = this.extractTimeline(message);
-    if (timeline) {
-      extracted.timeline = timeline;
-    }
-
-    // Extract budget
-    const budget = this.extractBudget(message);
-    if (budget) {
-      extracted.budget = budget;
-    }
-
-    return extracted;
+    return entityExtractionService.toCollected(entityExtractionService.extractKeywords(message), 0);
   }
 
   /**
    * Extract organization type
    */
   extractOrganizationType(text) {
-    const lowercaseText = text.toLowerCase();
-    
-    if (lowercaseText.includes('nonprofit') || lowercaseText.includes('non-profit') || 
-        lowercaseText.includes('ngo') || lowercaseText.includes('charity')) {
-      return 'nonprofit';
-    }
-    if (lowercaseText.includes('enterprise') || lowercaseText.includes('corporation')) {
-      return 'enterprise';
-    }
-    if (lowercaseText.includes('startup') || lowercaseText.includes('start-up')) {
-      return 'startup';
-    }
-    if (lowercaseText.includes('government') || lowercaseText.includes('agency')) {
-      return 'government';
-    }
-    if (lowercaseText.includes('business') || lowercaseText.includes('company')) {
-      return 'for-profit';
-    }
-    
-    return null;
+    return entityExtractionService.extractOrganizationType(text);
   }
 
   /**
@@ -398,46 +409,14 @@ Please contact us at info@servicevision.net to proceed.`;
    * Extract timeline
    */
   extractTimeline(text) {
-    const lowercaseText = text.toLowerCase();
-    
-    if (lowercaseText.includes('immediate') || lowercaseText.includes('urgent') || 
-        lowercaseText.includes('asap') || lowercaseText.includes('right away')) {
-      return 'immediate';
-    }
-    if (lowercaseText.includes('1 month') || lowercaseText.includes('one month') || 
-        lowercaseText.includes('4 weeks')) {
-      return '< 1 month';
-    }
-    if (lowercaseText.includes('2 month') || lowercaseText.includes('two month') || 
-        lowercaseText.includes('3 month') || lowercaseText.includes('three month')) {
-      return '1-3 months';
-    }
-    if (lowercaseText.includes('6 month') || lowercaseText.includes('six month')) {
-      return '3-6 months';
-    }
-    
-    return null;
+    return entityExtractionService.extractTimeline(text);
   }
 
   /**
    * Extract budget
    */
   extractBudget(text) {
-    const budgetMatch = text.match(/\$?([\d,]+)k?/i);
-    if (budgetMatch) {
-      let amount = parseInt(budgetMatch[1].replace(',', ''));
-      if (text.toLowerCase().includes('k')) {
-        amount *= 1000;
-      }
-      
-      if (amount < 5000) return '< 5000';
-      if (amount < 10000) return '5000-10000';
-      if (amount < 25000) return '10000-25000';
-      if (amount < 50000) return '25000-50000';
-      return '50000+';
-    }
-    
-    return null;
+    return entityExtractionService.extractBudget(text);
   }
 
   /**
@@ -509,76 +488,28 @@ Please contact us at info@servicevision.net to proceed.`;
   }
 
   /**
-   * Generate quick reply options
+   * Generate quick reply options for a slot or action of the state's flow
+   * Experiment overrides for the topic take precedence
    */
-  generateQuickReplies(topic) {
-    const quickReplies = {
-      organizationType: [
-        'For-profit business',
-        'Nonprofit organization',
-        'Government agency',
-        'Other'
-      ],
-      businessNeeds: [
-        'Website Development',
-        'Digital Marketing',
-        'Business Consulting',
-        'Process Automation',
-        'Other needs'
-      ],
-      timeline: [
-        'Immediate (< 1 month)',
-        '1-3 months',
-        '3-6 months',
-        'Just exploring'
-      ],
-      budget: [
-        'Under $10k',
-        '$10k - $25k',
-        '$25k - $50k',
-        'Over $50k',
-        'Not sure yet'
-      ],
-      default: [
-        'Tell me more',
-        'Schedule a call',
-        'See pricing',
-        'Start over'
-      ]
-    };
+  generateQuickReplies(topic, state, overrides = {}) {
+    const flow = this.stateService.getFlow(state);
+    const slot = flow.slots.find(s => s.name === topic);
 
-    return quickReplies[topic] || quickReplies.default;
+    return overrides.quickReplies?.[topic] || slot?.quickReplies || flow.quickReplies[topic] || flow.quickReplies.default;
   }
 
   /**
    * Check if session is rate limited
    */
   isRateLimited(sessionId) {
-    const now = Date.now();
-    const requests = this.rateLimits.get(sessionId) || [];
-    
-    // Remove old requests
-    const recentRequests = requests.filter(
-      timestamp => now - timestamp < this.RATE_LIMIT_WINDOW
-    );
-    
-    return recentRequests.length >= this.MAX_REQUESTS_PER_WINDOW;
+    return this.rateLimiter.isLimited(sessionId);
   }
 
   /**
    * Track request for rate limiting
    */
   trackRequest(sessionId) {
-    const now = Date.now();
-    const requests = this.rateLimits.get(sessionId) || [];
-    
-    // Remove old requests
-    const recentRequests = requests.filter(
-      timestamp => now - timestamp < this.RATE_LIMIT_WINDOW
-    );
-    
-    recentRequests.push(now);
-    this.rateLimits.set(sessionId, recentRequests);
+    return this.rateLimiter.hit(sessionId);
   }
 }
 
@@ -0,0 +1,204 @@
+// Conversation Flow Service
+// Registry of versioned intake flows loaded from YAML/JSON documents on disk.
+// A flow declares its stages and transitions, the slots to collect in order,
+// slot validation rules, prompts and quick replies.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { CONVERSATION_FLOW_DIR, DEFAULT_FLOW } = require('../config/conversationFlows');
+
+// <name>.v<version>.yaml, .yml or .json
+const FLOW_FILE = /^([a-z0-9-]+)\.v(\d+)\.(ya?ml|json)$/;
+
+const slotSchema = Joi.object({
+  name: Joi.string().required(),
+  required: Joi.boolean().default(false),
+  // Slots with an action are asked through that action instead of ask_question
+  action: Joi.string(),
+  priority: Joi.string().valid('critical', 'high', 'medium', 'low').default('high'),
+  prompt: Joi.string().required(),
+  quickReplies: Joi.array().items(Joi.string()),
+  validation: Joi.object({
+    enum: Joi.array().items(Joi.string()).min(1),
+    pattern: Joi.string()
+  })
+});
+
+const flowSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  version: Joi.number().integer().min(1).required(),
+  description: Joi.string().allow(''),
+  initialStage: Joi.string().required(),
+  stages: Joi.object().pattern(Joi.string(), Joi.object({
+    transitions: Joi.array().items(Joi.string()).required()
+  })).min(1).required(),
+  slots: Joi.array().items(slotSchema).min(1).unique('name').required(),
+  prompts: Joi.object({
+    system: Joi.string().required(),
+    generate_summary: Joi.string().required(),
+    default: Joi.string().required()
+  }).unknown(true).required(),
+  quickReplies: Joi.object({
+    default: Joi.array().items(Joi.string()).required()
+  }).unknown(true).required()
+});
+
+class ConversationFlowService {
+  constructor(dir = CONVERSATION_FLOW_DIR) {
+    this.dir = dir;
+    this.flows = null;
+  }
+
+  /**
+   * Check a parsed flow document against the schema and its own references
+   * @returns {Object} The flow with defaults applied
+   * @throws {Error} Describing the first problem found
+   */
+  validate(document) {
+    const { error, value: flow } = flowSchema.validate(document);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!flow.stages[flow.initialStage]) {
+      throw new Error(`"initialStage" ${flow.initialStage} is not a declared stage`);
+    }
+
+    for (const [stage, { transitions }] of Object.entries(flow.stages)) {
+      const unknown = transitions.find(target => !flow.stages[target]);
+      if (unknown) {
+        throw new Error(`Stage ${stage} transitions to undeclared stage ${unknown}`);
+      }
+    }
+
+    for (const slot of flow.slots) {
+      if (slot.validation?.pattern) {
+        try {
+          new RegExp(slot.validation.pattern);
+        } catch (patternError) {
+          throw new Error(`Slot ${slot.name} has an invalid pattern: ${patternError.message}`);
+        }
+      }
+    }
+
+    return flow;
+  }
+
+  /**
+   * Load and validate every flow document in the flow directory
+   * Called lazily on first use; call again to pick up edits without a restart
+   */
+  load() {
+    const flows = {};
+
+    for (const file of fs.readdirSync(this.dir).sort()) {
+      const match = FLOW_FILE.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, name, version, extension] = match;
+      const content = fs.readFileSync(path.join(this.dir, file), 'utf8');
+
+      let flow;
+      try {
+        flow = this.validate(extension === 'json' ? JSON.parse(content) : yaml.load(content));
+      } catch (error) {
+        throw new Error(`Invalid conversation flow ${file}: ${error.message}`);
+      }
+
+      if (flow.name !== name || flow.version !== Number(version)) {
+        throw new Error(`Invalid conversation flow ${file}: declares ${flow.name} v${flow.version}`);
+      }
+
+      flows[name] = flows[name] || {};
+      flows[name][flow.version] = flow;
+    }
+
+    if (!flows[DEFAULT_FLOW]) {
+      throw new Error(`Default conversation flow ${DEFAULT_FLOW} not found in ${this.dir}`);
+    }
+
+    this.flows = flows;
+
+    logger.info(`Loaded ${Object.keys(flows).length} conversation flows from ${this.dir}`);
+  }
+
+  getFlows() {
+    if (!this.flows) {
+      this.load();
+    }
+    return this.flows;
+  }
+
+  getLatestVersion(name) {
+    const versions = Object.keys(this.getFlows()[name] || {}).map(Number);
+    return versions.length > 0 ? Math.max(...versions) : null;
+  }
+
+  hasFlow(name, version) {
+    const versions = this.getFlows()[name];
+    return Boolean(versions && (version === undefined || versions[version]));
+  }
+
+  /**
+   * Get a flow by name, pinned to a version or the latest one
+   */
+  getFlow(name = DEFAULT_FLOW, version) {
+    const resolvedVersion = version === undefined || version === null
+      ? this.getLatestVersion(name)
+      : Number(version);
+    const flow = this.getFlows()[name]?.[resolvedVersion];
+
+    if (!flow) {
+      throw new Error(`Unknown conversation flow: ${name}${version ? ` v${version}` : ''}`);
+    }
+    return flow;
+  }
+
+  /**
+   * Flow for a conversation state: the one pinned at session start, else the default
+   */
+  getFlowForState(state) {
+    return state?.flow ? this.getFlow(state.flow.name, state.flow.version) : this.getFlow();
+  }
+
+  /**
+   * List flows with their available versions
+   */
+  listFlows() {
+    return Object.entries(this.getFlows()).map(([name, versions]) => {
+      const latest = this.getLatestVersion(name);
+      return {
+        name,
+        description: versions[latest].description,
+        versions: Object.keys(versions).map(Number),
+        latest,
+        isDefault: name === DEFAULT_FLOW
+      };
+    });
+  }
+
+  /**
+   * Check a value against a slot's validation rules
+   */
+  isValidSlotValue(slot, value) {
+    const rules = slot?.validation;
+    if (!rules) {
+      return true;
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+      return false;
+    }
+    if (rules.pattern && !new RegExp(rules.pattern).test(String(value))) {
+      return false;
+    }
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new ConversationFlowService();
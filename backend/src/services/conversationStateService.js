@@ -1,44 +1,77 @@
 const { ChatSession, Lead, Message } = require('../models');
 const logger = require('../utils/logger');
+const conversationFlowService = require('./conversationFlowService');
 
 class ConversationStateService {
-  constructor() {
-    // Define conversation stages and valid transitions
-    this.stages = {
-      greeting: ['discovery'],
-      discovery: ['qualification', 'clarification'],
-      clarification: ['discovery', 'qualification'],
-      qualification: ['scheduling', 'summary'],
-      scheduling: ['summary'],
-      summary: ['complete'],
-      complete: []
-    };
+  constructor(flowService = conversationFlowService) {
+    // Stages, slots and their validation come from versioned flow documents
+    this.flowService = flowService;
+  }
 
-    // Required fields for qualification
-    this.requiredFields = ['email', 'organizationType', 'businessNeeds', 'timeline'];
-    
-    // Organization types
-    this.organizationTypes = ['for-profit', 'nonprofit', 'enterprise', 'startup', 'government'];
+  /**
+   * Stage transitions of the default flow
+   */
+  get stages() {
+    return this.toTransitionMap(this.flowService.getFlow());
+  }
+
+  /**
+   * Required fields for qualification in the default flow
+   */
+  get requiredFields() {
+    return this.getRequiredFields(this.flowService.getFlow());
+  }
+
+  /**
+   * Organization types accepted by the default flow
+   */
+  get organizationTypes() {
+    const slot = this.flowService.getFlow().slots.find(s => s.name === 'organizationType');
+    return slot?.validation?.enum || [];
+  }
+
+  /**
+   * Flow a state follows: the one pinned at session start, else the default
+   */
+  getFlow(state) {
+    return this.flowService.getFlowForState(state);
+  }
+
+  toTransitionMap(flow) {
+    return Object.fromEntries(
+      Object.entries(flow.stages).map(([stage, { transitions }]) => [stage, transitions])
+    );
+  }
+
+  getRequiredFields(flow) {
+    return flow.slots.filter(slot => slot.required).map(slot => slot.name);
   }
 
   /**
    * Get initial state for a new session
+   * @param {Object} [flowRef] - { name, version } to pin; defaults to the latest default flow
    */
-  getInitialState() {
+  getInitialState(flowRef = {}) {
+    const flow = this.flowService.getFlow(flowRef.name, flowRef.version);
+
+    // Slots with their own action (email) are tracked by flags, not pending
+    const pending = {};
+    flow.slots
+      .filter(slot => !slot.action)
+      .forEach(slot => {
+        pending[slot.name] = true;
+      });
+
     return {
-      stage: 'greeting',
+      stage: flow.initialStage,
+      flow: { name: flow.name, version: flow.version },
       context: {
         startTime: new Date(),
         stageHistory: [],
         lastTransition: null
       },
       collected: {},
-      pending: {
-        organizationType: true,
-        businessNeeds: true,
-        timeline: true,
-        budget: true
-      },
+      pending,
       flags: {
         emailVerified: false,
         hasEngaged: false,
@@ -51,28 +84,14 @@ class ConversationStateService {
   /**
    * Initialize conversation state for a new session
    */
-  initializeState(session) {
+  initializeState(session, flowRef) {
+    const initial = this.getInitialState(flowRef);
     const state = {
-      stage: 'greeting',
+      ...initial,
       context: {
         leadId: session.leadId,
         sessionId: session.sessionId,
-        startTime: new Date(),
-        stageHistory: [],
-        lastTransition: null
-      },
-      collected: {},
-      pending: {
-        organizationType: true,
-        businessNeeds: true,
-        timeline: true,
-        budget: true
-      },
-      flags: {
-        emailVerified: false,
-        hasEngaged: false,
-        isQualified: false,
-        readyForSummary: false
+        ...initial.context
       }
     };
 
@@ -85,23 +104,40 @@ class ConversationStateService {
       if (session.lead.name) {
         state.collected.name = session.lead.name;
       }
-      if (session.lead.organizationName) {
-        state.collected.organizationName = session.lead.organizationName;
-      }
-      if (session.lead.organizationType) {
-        state.collected.organizationType = session.lead.organizationType;
-        state.pending.organizationType = false;
-      }
+      // Answers the lead's enrichment already gives, so the chat skips those questions
+      const enrichment = session.lead.metadata?.enrichment || {};
+      this.prefillSlot(state, 'organizationName', session.lead.organizationName || session.lead.company);
+      this.prefillSlot(state, 'organizationType', session.lead.organizationType || enrichment.organizationType);
     }
 
     return state;
   }
 
+  /**
+   * Record a known answer when it passes the flow's slot rules
+   */
+  prefillSlot(state, name, value) {
+    if (!value) {
+      return;
+    }
+
+    const slot = this.getFlow(state).slots.find(s => s.name === name);
+    if (!this.flowService.isValidSlotValue(slot, value)) {
+      return;
+    }
+
+    state.collected[name] = value;
+    if (state.pending[name] !== undefined) {
+      state.pending[name] = false;
+    }
+  }
+
   /**
    * Transition to a new conversation stage
    */
   transitionTo(currentState, newStage) {
-    const allowedTransitions = this.stages[currentState.stage] || [];
+    const stages = this.getFlow(currentState).stages;
+    const allowedTransitions = stages[currentState.stage]?.transitions || [];
     
     if (!allowedTransitions.includes(newStage)) {
       throw new Error(`Invalid state transition from ${currentState.stage} to ${newStage}`);
@@ -130,11 +166,13 @@ class ConversationStateService {
    */
   updateCollected(state, data) {
     const newState = { ...state };
+    const { slots } = this.getFlow(state);
     
     Object.entries(data).forEach(([key, value]) => {
-      // Validate organization type
-      if (key === 'organizationType' && !this.organizationTypes.includes(value)) {
-        logger.warn(`Invalid organization type: ${value}`);
+      // Validate against the flow's slot rules
+      const slot = slots.find(s => s.name === key);
+      if (!this.flowService.isValidSlotValue(slot, value)) {
+        logger.warn(`Invalid ${key}: ${value}`);
         return;
       }
 
@@ -158,7 +196,7 @@ class ConversationStateService {
    * Calculate completion rate
    */
   getCompletionRate(state) {
-    const required = this.requiredFields;
+    const required = this.getRequiredFields(this.getFlow(state));
     const collected = required.filter(field => state.collected[field]).length;
     return collected / required.length;
   }
@@ -275,7 +313,8 @@ class ConversationStateService {
     const urgentKeywords = ['urgent', 'asap', 'immediately', 'now', 'emergency', 'down'];
     const lowercaseText = text.toLowerCase();
     
-    if (urgentKeywords.some(keyword => lowercaseText.includes(keyword))) {
+    // Whole words only, so "know" or "download" do not read as urgent
+    if (urgentKeywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lowercaseText))) {
       return 'high';
     }
     
@@ -318,7 +357,8 @@ class ConversationStateService {
     };
 
     // Check data completeness
-    const requiredCollected = this.requiredFields.filter(
+    const requiredFields = this.getRequiredFields(this.getFlow(state));
+    const requiredCollected = requiredFields.filter(
       field => state.collected[field]
     ).length;
     
@@ -329,7 +369,7 @@ class ConversationStateService {
     }
 
     // Scoring based on collected data
-    let score = requiredCollected / this.requiredFields.length;
+    let score = requiredCollected / requiredFields.length;
 
     // Budget scoring
     if (state.collected.budget) {
@@ -379,26 +419,27 @@ class ConversationStateService {
    * Determine next action based on current state
    */
   determineNextAction(state) {
-    // Priority 1: Collect email if missing
-    if (!state.collected?.email || !state.flags?.emailVerified) {
-      return {
-        type: 'collect_email',
-        priority: 'critical',
-        message: 'Please provide your email to continue'
-      };
-    }
-
-    // Priority 2: Collect required fields
-    const missingRequired = this.requiredFields.find(
-      field => field !== 'email' && state.pending[field]
-    );
-    
-    if (missingRequired) {
-      return {
-        type: 'ask_question',
-        topic: missingRequired,
-        priority: 'high'
-      };
+    // Priority 1-2: Ask for the flow's slots in order; slots with their own
+    // action (email) come first when the flow lists them first
+    for (const slot of this.getFlow(state).slots) {
+      if (slot.action) {
+        const missing = !state.collected?.[slot.name] ||
+          (slot.name === 'email' && !state.flags?.emailVerified);
+        if (missing) {
+          return {
+            type: slot.action,
+            topic: slot.name,
+            priority: slot.priority,
+            message: slot.prompt
+          };
+        }
+      } else if (slot.required && state.pending?.[slot.name]) {
+        return {
+          type: 'ask_question',
+          topic: slot.name,
+          priority: slot.priority
+        };
+      }
     }
 
     // Priority 3: Generate summary if ready
@@ -457,8 +498,10 @@ class ConversationStateService {
    * Restore state from session
    */
   restoreState(session) {
-    if (session.conversationState && Object.keys(session.conversationState).length > 0) {
-      return session.conversationState;
+    // Saved to the state column by saveState
+    const saved = session.state || session.conversationState;
+    if (saved && Object.keys(saved).length > 0) {
+      return saved;
     }
     
     return this.initializeState(session);
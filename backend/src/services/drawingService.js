@@ -1,23 +1,67 @@
 const { Lead, Drawing, DrawingEntry } = require('../models');
-const { Op } = require('sequelize');
+const { Op, UniqueConstraintError } = require('sequelize');
 const emailService = require('./emailService');
+const leadService = require('./leadService');
 const logger = require('../utils/logger');
+const fairDraw = require('../utils/fairDraw');
+const { getZonedParts, zonedTimeToDate } = require('../utils/zonedTime');
+const { SCHEDULER_TIMEZONE } = require('../config/scheduler');
+const {
+  ENTRY_TYPES,
+  PERIOD_DRAWING_TYPES,
+  REPEATABLE_ENTRY_TYPES,
+  getAwardKey,
+  getMaxEntriesPerLead
+} = require('../config/drawingRules');
 
 class DrawingService {
   /**
    * Create a new monthly drawing
    */
-  async createMonthlyDrawing() {
+  async createMonthlyDrawing(now = new Date()) {
+    return this.openPeriodDrawing('monthly', now);
+  }
+  
+  /**
+   * Create a new quarterly drawing
+   */
+  async createQuarterlyDrawing(now = new Date()) {
+    return this.openPeriodDrawing('quarterly', now);
+  }
+  
+  /**
+   * Get the start date, end date and name of the period containing a date
+   * Periods follow the calendar of the timezone the scheduler runs jobs in,
+   * so drawings:open at a month boundary finds the month that just began
+   */
+  getDrawingPeriod(type, now = new Date(), timeZone = SCHEDULER_TIMEZONE) {
+    const { year, month } = getZonedParts(now, timeZone);
+    
+    if (type === 'quarterly') {
+      const quarter = Math.floor(month / 3);
+      return {
+        startDate: zonedTimeToDate(timeZone, year, quarter * 3, 1),
+        endDate: zonedTimeToDate(timeZone, year, quarter * 3 + 3, 0, 23, 59, 59),
+        name: `Q${quarter + 1} ${year} Drawing`
+      };
+    }
+    
+    const monthName = new Date(Date.UTC(year, month)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+    return {
+      startDate: zonedTimeToDate(timeZone, year, month, 1),
+      endDate: zonedTimeToDate(timeZone, year, month + 1, 0, 23, 59, 59),
+      name: `${monthName} ${year} Drawing`
+    };
+  }
+  
+  /**
+   * Open the monthly or quarterly drawing for the current period unless it exists
+   */
+  async openPeriodDrawing(type, now = new Date()) {
     try {
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.getMonth();
-      
-      // Calculate start and end dates for the month
-      const startDate = new Date(year, month, 1);
-      const endDate = new Date(year, month + 1, 0, 23, 59, 59);
+      const { startDate, endDate, name } = this.getDrawingPeriod(type, now);
       
-      // Check if drawing already exists for this month
+      // Check if drawing already exists for this period
       const existingDrawing = await Drawing.findOne({
         where: {
           startDate: {
@@ -26,20 +70,19 @@ class DrawingService {
           endDate: {
             [Op.lte]: endDate
           },
-          type: 'monthly'
+          type
         }
       });
       
       if (existingDrawing) {
-        logger.info('Monthly drawing already exists:', existingDrawing.name);
+        logger.info(`${type} drawing already exists:`, existingDrawing.name);
         return existingDrawing;
       }
       
       // Create new drawing
-      const monthName = new Date(year, month).toLocaleString('en-US', { month: 'long' });
       const drawing = await Drawing.create({
-        name: `${monthName} ${year} Drawing`,
-        type: 'monthly',
+        name,
+        type,
         status: 'active',
         startDate,
         endDate,
@@ -50,22 +93,110 @@ class DrawingService {
         }
       });
       
-      logger.info('Created new monthly drawing:', drawing.name);
+      logger.info(`Created new ${type} drawing:`, drawing.name);
       return drawing;
       
     } catch (error) {
-      logger.error('Error creating monthly drawing:', error);
+      logger.error(`Error creating ${type} drawing:`, error);
       throw error;
     }
   }
   
   /**
-   * Enter a lead into the current active drawing
+   * Close active drawings whose end date has passed so they stop taking entries
    */
-  async enterDrawing(email) {
+  async closeExpiredDrawings(now = new Date()) {
     try {
-      // Find the lead
-      const lead = await Lead.findOne({ where: { email } });
+      const expired = await Drawing.findAll({
+        where: {
+          status: 'active',
+          endDate: {
+            [Op.lte]: now
+          }
+        }
+      });
+      
+      for (const drawing of expired) {
+        await drawing.update({ status: 'closed' });
+        logger.info(`Closed drawing ${drawing.name}`);
+      }
+      
+      return {
+        closed: expired.map(drawing => drawing.id)
+      };
+      
+    } catch (error) {
+      logger.error('Error closing expired drawings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Select winners for all closed drawings
+   * Drawings that closed without entries are cancelled
+   */
+  async drawClosedDrawings() {
+    try {
+      const closed = await Drawing.findAll({
+        where: { status: 'closed' },
+        order: [['endDate', 'ASC']]
+      });
+      
+      const drawn = [];
+      const cancelled = [];
+      
+      for (const drawing of closed) {
+        const result = await this.selectWinner(drawing.id);
+        
+        if (result.success) {
+          drawn.push(drawing.id);
+        } else if (result.message === 'No entries found for this drawing') {
+          await drawing.update({
+            status: 'cancelled',
+            metadata: { ...(drawing.metadata || {}), cancelReason: 'no_entries' }
+          });
+          cancelled.push(drawing.id);
+          logger.warn(`Cancelled drawing ${drawing.name}: no entries`);
+        }
+      }
+      
+      return { drawn, cancelled };
+      
+    } catch (error) {
+      logger.error('Error drawing closed drawings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Find the drawing entries go to: the given drawing if it is active, else
+   * the active monthly or quarterly drawing. Special drawings run alongside
+   * those and only take entries that name them.
+   */
+  async findActiveDrawing(drawingId = null) {
+    if (drawingId) {
+      return Drawing.findOne({
+        where: { id: drawingId, status: 'active' }
+      });
+    }
+    
+    return Drawing.findOne({
+      where: {
+        status: 'active',
+        type: { [Op.in]: PERIOD_DRAWING_TYPES }
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+  
+  /**
+   * Enter a lead into the current active drawing, or the one named by options.drawingId
+   * entryType selects the bonus rule (base, chat_completed, meeting_booked, ...)
+   */
+  async enterDrawing(email, entryType = 'base', options = {}) {
+    try {
+      // Find the lead, including one the address was merged into
+      const lead = await leadService.findByEmail(email);
       if (!lead) {
         return {
           success: false,
@@ -73,61 +204,281 @@ class DrawingService {
         };
       }
       
-      // Find active drawing
-      const activeDrawing = await Drawing.findOne({
-        where: { status: 'active' },
-        order: [['createdAt', 'DESC']]
-      });
+      return await this.awardEntries(lead, entryType, options);
       
-      if (!activeDrawing) {
+    } catch (error) {
+      logger.error('Error entering drawing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Award entries of the given type to a lead, respecting the per-lead cap
+   */
+  async awardEntries(lead, entryType = 'base', { drawing = null, drawingId = null, reference = null } = {}) {
+    if (!ENTRY_TYPES[entryType]) {
+      throw new Error(`Unknown entry type: ${entryType}`);
+    }
+    
+    const activeDrawing = drawing || await this.findActiveDrawing(drawingId);
+    
+    if (!activeDrawing) {
+      return {
+        success: false,
+        message: 'No active drawing available'
+      };
+    }
+    
+    const existingEntries = await DrawingEntry.findAll({
+      where: {
+        leadId: lead.id,
+        drawingId: activeDrawing.id
+      }
+    });
+    
+    // Each entry type is awarded once per drawing; repeatable types once per reference
+    const alreadyAwarded = existingEntries.some(entry =>
+      (entry.entryType || 'base') === entryType &&
+      (!REPEATABLE_ENTRY_TYPES.includes(entryType) || entry.reference === reference)
+    );
+    
+    if (alreadyAwarded) {
+      return {
+        success: false,
+        message: 'Already entered in current drawing'
+      };
+    }
+    
+    const entriesHeld = existingEntries.reduce((sum, entry) => sum + (entry.entryCount || 1), 0);
+    const entryCount = Math.min(ENTRY_TYPES[entryType], getMaxEntriesPerLead(activeDrawing) - entriesHeld);
+    
+    if (entryCount <= 0) {
+      return {
+        success: false,
+        message: 'Entry limit reached for this drawing'
+      };
+    }
+    
+    let entry;
+    try {
+      entry = await DrawingEntry.create({
+        leadId: lead.id,
+        drawingId: activeDrawing.id,
+        entryType,
+        entryCount,
+        reference,
+        entryDate: new Date()
+      });
+    } catch (error) {
+      // A concurrent request (double submit, webhook retry) awarded it first
+      if (error instanceof UniqueConstraintError && await this.hasAward(lead, activeDrawing, entryType, reference)) {
         return {
           success: false,
-          message: 'No active drawing available'
+          message: 'Already entered in current drawing'
         };
       }
+      throw error;
+    }
+    
+    logger.info(`Lead ${lead.email} earned ${entryCount} ${entryType} entries in drawing ${activeDrawing.name}`);
+    
+    return {
+      success: true,
+      entry,
+      entryCount,
+      totalEntries: entriesHeld + entryCount,
+      message: 'Successfully entered into drawing'
+    };
+  }
+  
+  /**
+   * Whether a lead already holds an award in a drawing
+   */
+  async hasAward(lead, drawing, entryType, reference = null) {
+    const count = await DrawingEntry.count({
+      where: {
+        drawingId: drawing.id,
+        leadId: lead.id,
+        awardKey: getAwardKey(entryType, reference)
+      }
+    });
+    return count > 0;
+  }
+  
+  /**
+   * Award bonus entries as a side effect of another action; never throws
+   */
+  async awardBonusEntries(email, entryType, options = {}) {
+    try {
+      if (!email) {
+        return { success: false, message: 'Lead not found' };
+      }
+      return await this.enterDrawing(email, entryType, options);
+    } catch (error) {
+      logger.error(`Failed to award ${entryType} entries:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+  
+  /**
+   * Take back bonus entries whose action was undone, e.g. a cancelled meeting,
+   * while the drawing they went to is still active; never throws.
+   * The award can be earned again afterwards.
+   */
+  async revokeBonusEntries(email, entryType, { drawingId = null, reference = null } = {}) {
+    try {
+      const lead = email ? await leadService.findByEmail(email) : null;
+      if (!lead) {
+        return { success: false, message: 'Lead not found' };
+      }
+      
+      const activeDrawing = await this.findActiveDrawing(drawingId);
+      if (!activeDrawing) {
+        return { success: false, message: 'No active drawing available' };
+      }
       
-      // Check if already entered
-      const existingEntry = await DrawingEntry.findOne({
+      const removed = await DrawingEntry.destroy({
         where: {
+          drawingId: activeDrawing.id,
           leadId: lead.id,
-          drawingId: activeDrawing.id
+          awardKey: getAwardKey(entryType, reference)
         }
       });
       
-      if (existingEntry) {
+      if (removed > 0) {
+        logger.info(`Lead ${lead.email} lost ${entryType} entries in drawing ${activeDrawing.name}`);
+      }
+      return { success: true, removed };
+    } catch (error) {
+      logger.error(`Failed to revoke ${entryType} entries:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+  
+  /**
+   * Credit a referral to the referring lead
+   */
+  async recordReferral(referrerEmail, referredLead, { drawingId = null } = {}) {
+    if (!referrerEmail || referrerEmail === referredLead.email) {
+      return { success: false, message: 'Invalid referral' };
+    }
+    
+    return this.awardBonusEntries(referrerEmail, 'referral', { drawingId, reference: referredLead.id });
+  }
+  
+  /**
+   * Select a winner for a drawing using the committed seed
+   */
+  async selectWinner(drawingId) {
+    try {
+      // Find drawing
+      const drawing = await Drawing.findByPk(drawingId);
+      if (!drawing) {
         return {
           success: false,
-          message: 'Already entered in current drawing'
+          message: 'Drawing not found'
         };
       }
       
-      // Create entry
-      const entry = await DrawingEntry.create({
-        leadId: lead.id,
-        drawingId: activeDrawing.id,
-        entryDate: new Date()
+      // Check if already completed
+      if (drawing.status === 'completed') {
+        return {
+          success: false,
+          message: 'Drawing already completed'
+        };
+      }
+      
+      // Get all entries with lead information
+      const entries = await DrawingEntry.findAll({
+        where: { drawingId },
+        include: [{
+          model: Lead,
+          as: 'lead',
+          attributes: ['id', 'email', 'name', 'company']
+        }]
+      });
+      
+      if (entries.length === 0) {
+        return {
+          success: false,
+          message: 'No entries found for this drawing'
+        };
+      }
+      
+      // Drawings activated before seed commitments existed get one now,
+      // flagged so the verification report can say so
+      const lateCommitment = !drawing.seedHash;
+      if (lateCommitment) {
+        drawing.commitSeed();
+        logger.warn(`Drawing ${drawing.name} had no seed commitment; committing at draw time`);
+      }
+      
+      // Derive the winner deterministically from the seed and entry list
+      const { entriesHash, totalTickets, winningIndex, winner: winnerEntry } = fairDraw.draw(drawing.seed, entries);
+      const winner = winnerEntry.lead;
+      
+      // Commit to the seed the first redraw will use, so the revealed seed
+      // does not also reveal who a redraw would pick
+      const redrawSeed = fairDraw.generateSeed();
+      
+      // Update drawing with winner and reveal the seed
+      const updates = {
+        status: 'completed',
+        winnerId: winner.id,
+        winningEntryId: winnerEntry.id,
+        winningIndex,
+        entriesHash,
+        redrawSeed,
+        redrawSeedHash: fairDraw.hashSeed(redrawSeed),
+        completedAt: new Date()
+      };
+      if (lateCommitment) {
+        updates.metadata = { ...(drawing.metadata || {}), lateCommitment: true };
+      }
+      await drawing.update(updates);
+      
+      await winnerEntry.update({
+        status: 'winner',
+        wonDate: new Date()
       });
       
-      logger.info(`Lead ${email} entered into drawing ${activeDrawing.name}`);
+      await this.notifyWinner(winner, drawing);
+      
+      logger.info(`Winner selected for drawing ${drawing.name}: ${winner.email}`);
       
       return {
         success: true,
-        entry,
-        message: 'Successfully entered into drawing'
+        winner: {
+          id: winner.id,
+          email: winner.email,
+          name: winner.name
+        },
+        totalEntries: totalTickets,
+        proof: {
+          seedHash: drawing.seedHash,
+          seed: drawing.seed,
+          entriesHash,
+          winningIndex,
+          winningEntryNumber: winnerEntry.entryNumber,
+          redrawSeedHash: updates.redrawSeedHash
+        }
       };
       
     } catch (error) {
-      logger.error('Error entering drawing:', error);
+      logger.error('Error selecting winner:', error);
       throw error;
     }
   }
   
   /**
-   * Select a winner for a drawing
+   * Replace the winner of a completed drawing, e.g. when they are ineligible
+   * or never respond. The redraw uses the redraw seed committed by the draw
+   * before it, revealed in metadata.redraws, over the remaining entries, so it
+   * can be recomputed just like the original draw. It commits a fresh seed
+   * for the next redraw.
    */
-  async selectWinner(drawingId) {
+  async redrawWinner(drawingId, { reason, redrawnBy = null } = {}) {
     try {
-      // Find drawing
       const drawing = await Drawing.findByPk(drawingId);
       if (!drawing) {
         return {
@@ -136,55 +487,88 @@ class DrawingService {
         };
       }
       
-      // Check if already completed
-      if (drawing.status === 'completed') {
+      if (drawing.status !== 'completed') {
         return {
           success: false,
-          message: 'Drawing already completed'
+          message: 'Only completed drawings can be redrawn'
         };
       }
       
-      // Get all entries with lead information
       const entries = await DrawingEntry.findAll({
         where: { drawingId },
         include: [{
           model: Lead,
+          as: 'lead',
           attributes: ['id', 'email', 'name', 'company']
         }]
       });
       
-      if (entries.length === 0) {
+      const previousEntry = entries.find(entry => entry.id === drawing.winningEntryId);
+      const redraws = drawing.metadata?.redraws || [];
+      const redraw = {
+        disqualifiedEntryId: drawing.winningEntryId,
+        disqualifiedEntryNumber: previousEntry ? previousEntry.entryNumber : null,
+        disqualifiedLeadId: previousEntry ? previousEntry.leadId : drawing.winnerId,
+        previousWinnerId: drawing.winnerId,
+        reason,
+        redrawnBy,
+        redrawnAt: new Date().toISOString()
+      };
+      
+      // Drawings completed before redraw seeds were committed get one now,
+      // flagged so the verification report can say so
+      if (drawing.redrawSeedHash) {
+        redraw.seedHash = drawing.redrawSeedHash;
+        redraw.seed = drawing.redrawSeed;
+      } else {
+        redraw.seed = fairDraw.generateSeed();
+        redraw.seedHash = fairDraw.hashSeed(redraw.seed);
+        redraw.lateCommitment = true;
+        logger.warn(`Drawing ${drawing.name} had no redraw seed commitment; committing at redraw time`);
+      }
+      
+      // The disqualified lead is out with all of their entries, not just the winning one
+      const remaining = remainingAfterRedraws(entries, [...redraws, redraw]);
+      
+      if (remaining.length === 0) {
         return {
           success: false,
-          message: 'No entries found for this drawing'
+          message: 'No remaining entries to redraw'
         };
       }
       
-      // Randomly select winner
-      const randomIndex = Math.floor(Math.random() * entries.length);
-      const winnerEntry = entries[randomIndex];
-      const winner = winnerEntry.Lead;
+      const { entriesHash, totalTickets, winningIndex, winner: winnerEntry } = fairDraw.draw(redraw.seed, remaining);
+      const winner = winnerEntry.lead;
+      const nextRedrawSeed = fairDraw.generateSeed();
+      
+      const disqualified = entries.filter(entry =>
+        entry.id === drawing.winningEntryId || entry.leadId === redraw.disqualifiedLeadId
+      );
+      for (const entry of disqualified) {
+        await entry.update({ status: 'disqualified' });
+      }
+      
+      await winnerEntry.update({
+        status: 'winner',
+        wonDate: new Date()
+      });
       
-      // Update drawing with winner
       await drawing.update({
-        status: 'completed',
         winnerId: winner.id,
-        completedAt: new Date()
+        winningEntryId: winnerEntry.id,
+        winningIndex,
+        entriesHash,
+        redrawSeed: nextRedrawSeed,
+        redrawSeedHash: fairDraw.hashSeed(nextRedrawSeed),
+        metadata: {
+          ...(drawing.metadata || {}),
+          redraws: [...redraws, redraw]
+        }
       });
       
-      // Send winner notification
-      try {
-        await emailService.sendDrawingWinnerNotification({
-          email: winner.email,
-          name: winner.name,
-          prizeDetails: drawing.prizeDetails
-        });
-      } catch (emailError) {
-        logger.error('Failed to send winner notification:', emailError);
-        // Don't fail the entire operation if email fails
-      }
+      await this.notifyWinner(winner, drawing);
       
-      logger.info(`Winner selected for drawing ${drawing.name}: ${winner.email}`);
+      logger.info(`Winner redrawn for drawing ${drawing.name}: ${winner.email}`, { reason });
       
       return {
         success: true,
@@ -193,11 +577,327 @@ class DrawingService {
           email: winner.email,
           name: winner.name
         },
-        totalEntries: entries.length
+        totalEntries: totalTickets,
+        proof: {
+          seedHash: redraw.seedHash,
+          seed: redraw.seed,
+          entriesHash,
+          winningIndex,
+          winningEntryNumber: winnerEntry.entryNumber,
+          redrawSeedHash: fairDraw.hashSeed(nextRedrawSeed)
+        }
       };
       
     } catch (error) {
-      logger.error('Error selecting winner:', error);
+      logger.error('Error redrawing winner:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Queue the winner notification without failing the draw
+   */
+  async notifyWinner(winner, drawing) {
+    try {
+      await emailService.queueEmail('drawing_winner', {
+        email: winner.email,
+        name: winner.name,
+        prizeDetails: drawing.prizeDetails
+      }, {
+        metadata: { drawingId: drawing.id }
+      });
+    } catch (emailError) {
+      logger.error('Failed to queue winner notification:', emailError);
+      // Don't fail the entire operation if email fails
+    }
+  }
+  
+  /**
+   * Cancel a drawing that has not been completed
+   */
+  async cancelDrawing(drawingId, { reason = null, cancelledBy = null } = {}) {
+    try {
+      const drawing = await Drawing.findByPk(drawingId);
+      if (!drawing) {
+        return {
+          success: false,
+          message: 'Drawing not found'
+        };
+      }
+      
+      if (['completed', 'cancelled'].includes(drawing.status)) {
+        return {
+          success: false,
+          message: `Drawing already ${drawing.status}`
+        };
+      }
+      
+      await drawing.update({
+        status: 'cancelled',
+        metadata: {
+          ...(drawing.metadata || {}),
+          cancelReason: reason,
+          cancelledBy,
+          cancelledAt: new Date().toISOString()
+        }
+      });
+      
+      logger.info(`Cancelled drawing ${drawing.name}`, { reason });
+      
+      return {
+        success: true,
+        drawing
+      };
+      
+    } catch (error) {
+      logger.error('Error cancelling drawing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create a one-off special drawing with custom prize details
+   */
+  async createSpecialDrawing({ name, startDate, endDate, prizeDetails, maxEntriesPerLead } = {}) {
+    try {
+      const metadata = {};
+      if (maxEntriesPerLead) {
+        metadata.maxEntriesPerLead = maxEntriesPerLead;
+      }
+      
+      // Drawings that start later stay in draft until they are activated, by
+      // the drawings:activate job once the start date passes or by an admin
+      const drawing = await Drawing.create({
+        name,
+        type: 'special',
+        status: new Date(startDate) > new Date() ? 'draft' : 'active',
+        startDate,
+        endDate,
+        prizeDetails,
+        metadata
+      });
+      
+      logger.info('Created special drawing:', drawing.name);
+      return drawing;
+      
+    } catch (error) {
+      logger.error('Error creating special drawing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Open a draft drawing for entries
+   */
+  async activateDrawing(drawingId, { activatedBy = null, now = new Date() } = {}) {
+    try {
+      const drawing = await Drawing.findByPk(drawingId);
+      if (!drawing) {
+        return {
+          success: false,
+          message: 'Drawing not found'
+        };
+      }
+      
+      if (drawing.status !== 'draft') {
+        return {
+          success: false,
+          message: `Drawing already ${drawing.status}`
+        };
+      }
+      
+      if (new Date(drawing.endDate) <= now) {
+        return {
+          success: false,
+          message: 'Drawing has already ended'
+        };
+      }
+      
+      // Activation commits the seed (see the Drawing beforeSave hook)
+      await drawing.update({
+        status: 'active',
+        metadata: {
+          ...(drawing.metadata || {}),
+          activatedBy,
+          activatedAt: now.toISOString()
+        }
+      });
+      
+      logger.info(`Activated drawing ${drawing.name}`);
+      
+      return {
+        success: true,
+        drawing
+      };
+      
+    } catch (error) {
+      logger.error('Error activating drawing:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Activate draft drawings whose start date has passed
+   */
+  async activateScheduledDrawings(now = new Date()) {
+    try {
+      const due = await Drawing.findAll({
+        where: {
+          status: 'draft',
+          startDate: {
+            [Op.lte]: now
+          },
+          endDate: {
+            [Op.gt]: now
+          }
+        }
+      });
+      
+      const activated = [];
+      for (const drawing of due) {
+        const result = await this.activateDrawing(drawing.id, { now });
+        if (result.success) {
+          activated.push(drawing.id);
+        }
+      }
+      
+      return { activated };
+      
+    } catch (error) {
+      logger.error('Error activating scheduled drawings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * List drawings, newest first, each with its statistics
+   */
+  async listDrawings({ status, type } = {}) {
+    try {
+      const where = {};
+      if (status) {
+        where.status = status;
+      }
+      if (type) {
+        where.type = type;
+      }
+      
+      const drawings = await Drawing.findAll({
+        where,
+        order: [['startDate', 'DESC']]
+      });
+      
+      return Promise.all(drawings.map(drawing => this.getDrawingStats(drawing.id)));
+      
+    } catch (error) {
+      logger.error('Error listing drawings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every entry in a drawing with its lead, in entry number order
+   */
+  async getEntrants(drawingId) {
+    const drawing = await Drawing.findByPk(drawingId);
+    if (!drawing) {
+      return null;
+    }
+    
+    const entries = await DrawingEntry.findAll({
+      where: { drawingId },
+      include: [{
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'email', 'name', 'company']
+      }],
+      order: [['entryNumber', 'ASC']]
+    });
+    
+    return { drawing, entries };
+  }
+  
+  /**
+   * Recompute a drawing's winner from its revealed seed and entry list
+   */
+  async verifyDrawing(drawingId) {
+    try {
+      const drawing = await Drawing.findByPk(drawingId);
+      if (!drawing) {
+        return null;
+      }
+      
+      const report = {
+        drawingId: drawing.id,
+        name: drawing.name,
+        status: drawing.status,
+        algorithm: fairDraw.ALGORITHM,
+        seedHash: drawing.seedHash,
+        revealed: false
+      };
+      
+      // Nothing to verify until the seed is revealed at completion
+      if (drawing.status !== 'completed' || !drawing.seed) {
+        return report;
+      }
+      
+      const entries = await DrawingEntry.findAll({
+        where: { drawingId },
+        attributes: ['id', 'leadId', 'entryNumber', 'entryCount']
+      });
+      
+      // Replay the original draw and every redraw. Each redraw drew from the
+      // entries that remained with its own seed; redraws recorded before they
+      // had one reused the drawing's seed.
+      const redraws = drawing.metadata?.redraws || [];
+      const results = [{ seed: drawing.seed, entries }, ...redraws.map((redraw, i) => ({
+        seed: redraw.seed || drawing.seed,
+        entries: remainingAfterRedraws(entries, redraws.slice(0, i + 1))
+      }))].map(({ seed, entries: drawnEntries }) => (
+        drawnEntries.length > 0 ? fairDraw.draw(seed, drawnEntries) : null
+      ));
+      const result = results[results.length - 1];
+      
+      const checks = {
+        seedHashValid: fairDraw.hashSeed(drawing.seed) === drawing.seedHash,
+        entriesHashValid: !!result && result.entriesHash === drawing.entriesHash,
+        winnerValid: !!result &&
+          result.winningIndex === drawing.winningIndex &&
+          result.winner.id === drawing.winningEntryId,
+        // Each redraw revealed the seed it committed to and replaced the
+        // winner the draw before it picked
+        redrawsValid: redraws.every((redraw, i) =>
+          (!redraw.seed || fairDraw.hashSeed(redraw.seed) === redraw.seedHash) &&
+          !!results[i] && results[i].winner.id === redraw.disqualifiedEntryId
+        )
+      };
+      
+      return {
+        ...report,
+        revealed: true,
+        seed: drawing.seed,
+        entriesHash: drawing.entriesHash,
+        entries: result ? result.sortedEntries.map(entry => ({
+          entryNumber: entry.entryNumber,
+          entryCount: entry.entryCount || 1
+        })) : [],
+        winningIndex: drawing.winningIndex,
+        winningEntryNumber: result ? result.winner.entryNumber : null,
+        lateCommitment: !!drawing.metadata?.lateCommitment,
+        redraws: redraws.map(redraw => ({
+          disqualifiedEntryNumber: redraw.disqualifiedEntryNumber,
+          reason: redraw.reason,
+          redrawnAt: redraw.redrawnAt,
+          seedHash: redraw.seedHash || null,
+          seed: redraw.seed || null,
+          lateCommitment: !!redraw.lateCommitment
+        })),
+        checks,
+        verified: Object.values(checks).every(Boolean)
+      };
+      
+    } catch (error) {
+      logger.error('Error verifying drawing:', error);
       throw error;
     }
   }
@@ -217,13 +917,19 @@ class DrawingService {
         where: { drawingId }
       });
       
-      // Calculate stats
+      // Calculate stats, weighting each entry by its entry count
       const uniqueLeadIds = [...new Set(entries.map(e => e.leadId))];
       const entriesByDate = {};
+      const entriesByType = {};
+      let totalEntries = 0;
       
       entries.forEach(entry => {
+        const count = entry.entryCount || 1;
         const dateKey = entry.entryDate.toISOString().split('T')[0];
-        entriesByDate[dateKey] = (entriesByDate[dateKey] || 0) + 1;
+        const typeKey = entry.entryType || 'base';
+        entriesByDate[dateKey] = (entriesByDate[dateKey] || 0) + count;
+        entriesByType[typeKey] = (entriesByType[typeKey] || 0) + count;
+        totalEntries += count;
       });
       
       // Calculate days remaining
@@ -233,9 +939,10 @@ class DrawingService {
       
       const stats = {
         drawing,
-        totalEntries: entries.length,
+        totalEntries,
         uniqueEntrants: uniqueLeadIds.length,
         entriesByDate,
+        entriesByType,
         status: drawing.status,
         daysRemaining
       };
@@ -266,7 +973,7 @@ class DrawingService {
   async getEligibleLeads(startDate = null, endDate = null) {
     try {
       const where = {
-        isQualified: true
+        qualified: true
       };
       
       if (startDate && endDate) {
@@ -296,11 +1003,7 @@ class DrawingService {
    */
   async autoEnterEligibleLeads() {
     try {
-      // Find active drawing
-      const activeDrawing = await Drawing.findOne({
-        where: { status: 'active' },
-        order: [['createdAt', 'DESC']]
-      });
+      const activeDrawing = await this.findActiveDrawing();
       
       if (!activeDrawing) {
         return {
@@ -318,20 +1021,9 @@ class DrawingService {
       let entriesAdded = 0;
       
       for (const lead of eligibleLeads) {
-        // Check if already entered
-        const existingEntry = await DrawingEntry.findOne({
-          where: {
-            leadId: lead.id,
-            drawingId: activeDrawing.id
-          }
-        });
-        
-        if (!existingEntry) {
-          await DrawingEntry.create({
-            leadId: lead.id,
-            drawingId: activeDrawing.id,
-            entryDate: new Date()
-          });
+        // Leads that already hold a base entry are skipped
+        const result = await this.awardEntries(lead, 'base', { drawing: activeDrawing });
+        if (result.success) {
           entriesAdded++;
         }
       }
@@ -351,5 +1043,15 @@ class DrawingService {
   }
 }
 
+/**
+ * Entries left to draw from after redraws: every entry of a disqualified lead
+ * is excluded. Redraws recorded before leads were tracked name only the entry.
+ */
+function remainingAfterRedraws(entries, redraws) {
+  const entryIds = redraws.map(redraw => redraw.disqualifiedEntryId);
+  const leadIds = redraws.map(redraw => redraw.disqualifiedLeadId).filter(Boolean);
+  return entries.filter(entry => !entryIds.includes(entry.id) && !leadIds.includes(entry.leadId));
+}
+
 // Export singleton instance
 module.exports = new DrawingService();
\ No newline at end of file
@@ -0,0 +1,266 @@
+// Email Event Service
+// Verifies and records SendGrid event webhook batches, tracks delivery per lead
+// and maintains the suppression list
+
+const crypto = require('crypto');
+const validator = require('validator');
+const { UniqueConstraintError } = require('sequelize');
+const { EmailEvent, EmailOutbox, EmailSuppression, Lead, ChatSession } = require('../models');
+const logger = require('../utils/logger');
+
+// Events we record; anything else SendGrid sends (processed, deferred, ...) is ignored
+const TRACKED_EVENTS = ['delivered', 'open', 'click', 'bounce', 'dropped', 'spamreport', 'unsubscribe'];
+
+// Events that stop further sends to the address, mapped to the suppression reason
+const SUPPRESSING_EVENTS = {
+    bounce: 'bounce',
+    spamreport: 'spamreport',
+    unsubscribe: 'unsubscribe'
+};
+
+// Reject signed batches older than this to limit replays
+const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
+class EmailEventService {
+    /**
+     * Verify a SendGrid signed event webhook request
+     * SendGrid signs timestamp + raw body with ECDSA (P-256, SHA-256)
+     * @param {string} publicKey - Base64 DER verification key from SendGrid settings
+     * @param {Buffer|string} payload - Raw request body
+     * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+     * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+     */
+    verifySignature(publicKey, payload, signature, timestamp, now = Date.now()) {
+        if (!signature || !timestamp || !payload) {
+            return false;
+        }
+
+        const sentAt = Number(timestamp) * 1000;
+        if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > SIGNATURE_MAX_AGE_MS) {
+            return false;
+        }
+
+        try {
+            const key = crypto.createPublicKey({
+                key: Buffer.from(publicKey, 'base64'),
+                format: 'der',
+                type: 'spki'
+            });
+
+            return crypto.verify(
+                'sha256',
+                Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(payload)]),
+                key,
+                Buffer.from(signature, 'base64')
+            );
+        } catch (error) {
+            logger.warn('SendGrid signature verification failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Record a batch of webhook events
+     * Events are deduplicated by sg_event_id since SendGrid retries deliveries
+     * @returns {Object} counts of processed, duplicate and ignored events
+     */
+    async processEvents(events) {
+        const results = {
+            processed: 0,
+            duplicates: 0,
+            ignored: 0
+        };
+
+        for (const event of events) {
+            if (!event || !TRACKED_EVENTS.includes(event.event) || !event.sg_event_id || !event.email) {
+                results.ignored++;
+                continue;
+            }
+
+            try {
+                const recorded = await this.recordEvent(event);
+                results[recorded ? 'processed' : 'duplicates']++;
+            } catch (error) {
+                logger.error('Error processing email event:', error);
+                results.ignored++;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Store one event and apply its side effects
+     * @returns {boolean} false when the event was already recorded
+     */
+    async recordEvent(event) {
+        const email = event.email.toLowerCase();
+        const occurredAt = event.timestamp ? new Date(event.timestamp * 1000) : new Date();
+
+        const [outboxMessage, lead] = await Promise.all([
+            this.findOutboxMessage(event),
+            Lead.findOne({ where: { email } })
+        ]);
+
+        try {
+            await EmailEvent.create({
+                sgEventId: event.sg_event_id,
+                sgMessageId: event.sg_message_id || null,
+                outboxId: outboxMessage ? outboxMessage.id : null,
+                leadId: lead ? lead.id : null,
+                email,
+                event: event.event,
+                url: event.url || null,
+                reason: event.reason || event.response || null,
+                occurredAt,
+                payload: event
+            });
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return false;
+            }
+            throw error;
+        }
+
+        if (this.shouldSuppress(event)) {
+            await this.suppress(email, SUPPRESSING_EVENTS[event.event], event.reason);
+        }
+
+        if (outboxMessage && outboxMessage.kind === 'summary') {
+            await this.trackSummaryDelivery(outboxMessage, event.event, occurredAt);
+        }
+
+        return true;
+    }
+
+    /**
+     * Match an event to the outbox message it was sent from
+     * Prefers the outbox_id custom arg and falls back to the SendGrid message ID,
+     * which prefixes every sg_message_id for that send
+     */
+    async findOutboxMessage(event) {
+        if (event.outbox_id && validator.isUUID(String(event.outbox_id))) {
+            const message = await EmailOutbox.findByPk(event.outbox_id);
+            if (message) {
+                return message;
+            }
+        }
+
+        if (event.sg_message_id) {
+            const [messageId] = event.sg_message_id.split('.');
+            return EmailOutbox.findOne({ where: { messageId } });
+        }
+
+        return null;
+    }
+
+    /**
+     * Blocked messages are reported as bounces too, but are temporary
+     */
+    shouldSuppress(event) {
+        if (!SUPPRESSING_EVENTS[event.event]) {
+            return false;
+        }
+        return !(event.event === 'bounce' && event.type === 'blocked');
+    }
+
+    /**
+     * Add an address to the suppression list
+     */
+    async suppress(email, reason, detail = null) {
+        await EmailSuppression.upsert({
+            email,
+            reason,
+            detail,
+            suppressedAt: new Date()
+        });
+
+        logger.info(`Email address suppressed: ${email}`, { reason });
+    }
+
+    /**
+     * Remove an address from the suppression list
+     * @returns {boolean} whether the address was suppressed
+     */
+    async unsuppress(email) {
+        const removed = await EmailSuppression.destroy({ where: { email: email.toLowerCase() } });
+        return removed > 0;
+    }
+
+    /**
+     * List suppressed addresses, newest first
+     */
+    async getSuppressions({ limit = 100 } = {}) {
+        return EmailSuppression.findAll({
+            order: [['suppressedAt', 'DESC']],
+            limit
+        });
+    }
+
+    /**
+     * Reflect the real delivery status of an executive summary on its session
+     */
+    async trackSummaryDelivery(outboxMessage, eventType, occurredAt) {
+        const sessionId = outboxMessage.metadata && outboxMessage.metadata.sessionId;
+        if (!sessionId) {
+            return;
+        }
+
+        if (eventType === 'delivered') {
+            await ChatSession.update({
+                summaryEmailSent: true,
+                summaryEmailSentAt: occurredAt
+            }, {
+                where: { sessionId }
+            });
+        } else if (eventType === 'bounce' || eventType === 'dropped') {
+            await ChatSession.update({
+                summaryEmailSent: false,
+                summaryEmailSentAt: null
+            }, {
+                where: { sessionId }
+            });
+        }
+    }
+
+    /**
+     * Get the email engagement history for a lead
+     * @returns {Object|null} null when the lead does not exist
+     */
+    async getLeadEngagement(leadId, { limit = 100 } = {}) {
+        const lead = await Lead.findByPk(leadId);
+        if (!lead) {
+            return null;
+        }
+
+        const events = await EmailEvent.findAll({
+            where: { leadId },
+            attributes: { exclude: ['payload'] },
+            order: [['occurredAt', 'DESC']],
+            limit
+        });
+
+        const totals = await EmailEvent.count({
+            where: { leadId },
+            group: ['event']
+        });
+        const counts = TRACKED_EVENTS.reduce((acc, type) => {
+            const total = totals.find(row => row.event === type);
+            acc[type] = total ? Number(total.count) : 0;
+            return acc;
+        }, {});
+
+        const suppression = await EmailSuppression.findByPk(lead.email.toLowerCase());
+
+        return {
+            leadId,
+            email: lead.email,
+            suppressed: suppression ? suppression.reason : null,
+            counts,
+            events
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailEventService();
@@ -1,27 +1,40 @@
 // Email Service
-// Handles email sending via SendGrid with retry logic and templates
+// Handles email sending through a pluggable transport with a durable outbox and retry logic;
+// content comes from the email template registry
 
-const sgMail = require('@sendgrid/mail');
+const { Op } = require('sequelize');
+const { EmailOutbox, EmailSuppression } = require('../models');
 const logger = require('../utils/logger');
 const { getConfig } = require('../config/environment');
-
-// Initialize SendGrid on module load if possible
-try {
-    const config = getConfig();
-    if (config && config.SENDGRID_API_KEY) {
-        sgMail.setApiKey(config.SENDGRID_API_KEY);
-    }
-} catch (error) {
-    // Will retry on first use
-}
-
-// Email queue for failed sends
-const emailQueue = [];
+const { createTransport } = require('./emailTransports');
+const emailTemplateService = require('./emailTemplateService');
+const emailEventService = require('./emailEventService');
+const { getTransportName } = require('../config/emailTransport');
+const {
+    POLL_INTERVAL_MS,
+    BATCH_SIZE,
+    MAX_ATTEMPTS,
+    PROCESSING_LEASE_MS,
+    getRetryDelay
+} = require('../config/emailOutbox');
+
+// Outbox message kinds and the method that sends each one
+const EMAIL_KINDS = {
+    welcome: 'sendWelcomeEmail',
+    lead_notification: 'sendLeadNotification',
+    drawing_winner: 'sendDrawingWinnerNotification',
+    meeting_confirmation: 'sendMeetingConfirmation',
+    meeting_cancellation: 'sendMeetingCancellation',
+    summary: 'sendEmail'
+};
 
 class EmailService {
     constructor() {
         this.refreshConfig();
-        this.initializeSendGrid();
+        this.transport = null;
+        this.getTransport();
+        this.queueTimer = null;
+        this.processingQueue = false;
     }
 
     refreshConfig() {
@@ -33,52 +46,68 @@ class EmailService {
     }
 
     /**
-     * Initialize SendGrid with API key
+     * Get the configured transport, creating it on first use
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createTransport(getTransportName(this.config.NODE_ENV), this.config);
+            logger.info(`Email transport: ${this.transport.name}`);
+        }
+        return this.transport;
+    }
+
+    /**
+     * Replace the transport (e.g. with a file mailbox in tests)
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Build a SendGrid message from the team sender
+     * @param {Object} options - outboxId to tag the message with so delivery
+     *   events can be matched back to it
      */
-    initializeSendGrid() {
-        if (this.config.SENDGRID_API_KEY) {
-            sgMail.setApiKey(this.config.SENDGRID_API_KEY);
+    buildMessage(content, { outboxId } = {}) {
+        const msg = {
+            to: content.to,
+            from: {
+                email: this.config.SENDGRID_FROM_EMAIL,
+                name: 'ServiceVision Team'
+            },
+            subject: content.subject,
+            html: content.html,
+            text: content.text
+        };
+
+        if (outboxId) {
+            msg.customArgs = { outbox_id: outboxId };
         }
+
+        return msg;
     }
 
     /**
      * Send welcome email to new lead
      */
-    async sendWelcomeEmail(recipient) {
+    async sendWelcomeEmail(recipient, options = {}) {
         this.refreshConfig();
         try {
-            const { email, name } = recipient;
-            const subject = name 
-                ? `Welcome to ServiceVision, ${name}!` 
-                : 'Welcome to ServiceVision!';
+            const { email, name, locale } = recipient;
 
-            const html = this.getWelcomeTemplate({ name: name || 'there' });
-            const text = this.stripHtml(html);
+            const { subject, html, text } = await emailTemplateService.render('welcome', { name }, { locale });
 
-            const msg = {
+            const msg = this.buildMessage({
                 to: email,
-                from: {
-                    email: this.config.SENDGRID_FROM_EMAIL,
-                    name: 'ServiceVision Team'
-                },
                 subject,
                 html,
                 text
-            };
-
-            // In development, just log the email
-            if (this.config.NODE_ENV === 'development') {
-                logger.info('Development mode: Email would be sent', { to: email, subject });
-                return { success: true, development: true, messageId: `dev-${Date.now()}` };
-            }
+            }, options);
 
-            const response = await sgMail.send(msg);
+            const { messageId } = await this.getTransport().send(msg);
             logger.info(`Welcome email sent to ${email}`);
             
-            return { 
-                success: true, 
-                messageId: response[0].headers['x-message-id'] || `msg-${Date.now()}`
-            };
+            return { success: true, messageId };
         } catch (error) {
             logger.error('Error sending welcome email:', error);
             return { success: false, error: error.message };
@@ -88,10 +117,10 @@ class EmailService {
     /**
      * Send lead notification with executive summary
      */
-    async sendLeadNotification(leadData) {
+    async sendLeadNotification(leadData, options = {}) {
         this.refreshConfig();
         try {
-            const { email, name, company, executiveSummary, calendarLink } = leadData;
+            const { email, name, company, executiveSummary, calendarLink, locale } = leadData;
             
             const templateData = {
                 name: name || 'Valued Client',
@@ -100,29 +129,19 @@ class EmailService {
                 calendarLink
             };
 
-            const html = this.getLeadNotificationTemplate(templateData);
-            const text = this.stripHtml(html);
+            const { subject, html, text } = await emailTemplateService.render('lead_notification', templateData, { locale });
 
-            const msg = {
+            const msg = this.buildMessage({
                 to: email,
-                from: {
-                    email: this.config.SENDGRID_FROM_EMAIL,
-                    name: 'ServiceVision Team'
-                },
-                subject: 'Your ServiceVision Consultation Summary',
+                subject,
                 html,
                 text
-            };
-
-            if (this.config.NODE_ENV === 'development') {
-                logger.info('Development mode: Lead notification would be sent', { to: email });
-                return { success: true, development: true };
-            }
+            }, options);
 
-            await sgMail.send(msg);
+            const { messageId } = await this.getTransport().send(msg);
             logger.info(`Lead notification sent to ${email}`);
             
-            return { success: true };
+            return { success: true, messageId };
         } catch (error) {
             logger.error('Error sending lead notification:', error);
             return { success: false, error: error.message };
@@ -132,10 +151,10 @@ class EmailService {
     /**
      * Send drawing winner notification
      */
-    async sendDrawingWinnerNotification(winnerData) {
+    async sendDrawingWinnerNotification(winnerData, options = {}) {
         this.refreshConfig();
         try {
-            const { email, name, prizeDetails } = winnerData;
+            const { email, name, prizeDetails, locale } = winnerData;
             
             const templateData = {
                 name: name || 'Lucky Winner',
@@ -144,29 +163,19 @@ class EmailService {
                 prizeDuration: prizeDetails.duration
             };
 
-            const html = this.getDrawingWinnerTemplate(templateData);
-            const text = this.stripHtml(html);
+            const { subject, html, text } = await emailTemplateService.render('drawing_winner', templateData, { locale });
 
-            const msg = {
+            const msg = this.buildMessage({
                 to: email,
-                from: {
-                    email: this.config.SENDGRID_FROM_EMAIL,
-                    name: 'ServiceVision Team'
-                },
-                subject: 'Congratulations! You Won a Free Consultation',
+                subject,
                 html,
                 text
-            };
-
-            if (this.config.NODE_ENV === 'development') {
-                logger.info('Development mode: Winner notification would be sent', { to: email });
-                return { success: true, development: true };
-            }
+            }, options);
 
-            await sgMail.send(msg);
+            const { messageId } = await this.getTransport().send(msg);
             logger.info(`Winner notification sent to ${email}`);
             
-            return { success: true };
+            return { success: true, messageId };
         } catch (error) {
             logger.error('Error sending winner notification:', error);
             return { success: false, error: error.message };
@@ -174,320 +183,313 @@ class EmailService {
     }
 
     /**
-     * Send email with retry logic
+     * Send a pre-rendered email
      */
-    async sendWithRetry(emailData, maxRetries = 3) {
+    async sendEmail(message, options = {}) {
         this.refreshConfig();
-        let attempts = 0;
-        let lastError;
+        try {
+            const { to, subject, html } = message;
 
-        while (attempts < maxRetries) {
-            attempts++;
-            
-            try {
-                const msg = {
-                    to: emailData.to,
-                    from: {
-                        email: this.config.SENDGRID_FROM_EMAIL,
-                        name: 'ServiceVision Team'
-                    },
-                    subject: emailData.subject,
-                    html: emailData.content,
-                    text: this.stripHtml(emailData.content)
-                };
-
-                if (this.config.NODE_ENV === 'development') {
-                    logger.info('Development mode: Email sent with retry', { attempts });
-                    return { success: true, attempts, development: true };
-                }
-
-                await sgMail.send(msg);
-                logger.info(`Email sent successfully after ${attempts} attempts`);
-                
-                return { success: true, attempts };
-            } catch (error) {
-                lastError = error;
-                logger.warn(`Email send attempt ${attempts} failed:`, error.message);
-                
-                if (attempts < maxRetries) {
-                    // Exponential backoff: 1s, 2s, 4s...
-                    const delay = Math.pow(2, attempts - 1) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
-        }
+            const msg = this.buildMessage({
+                to,
+                subject,
+                html,
+                text: message.text || this.stripHtml(html)
+            }, options);
+
+            const { messageId } = await this.getTransport().send(msg);
+            logger.info(`Email sent to ${to}`);
 
-        logger.error(`Email failed after ${attempts} attempts:`, lastError);
-        return { success: false, attempts, error: lastError.message };
+            return { success: true, messageId };
+        } catch (error) {
+            logger.error('Error sending email:', error);
+            return { success: false, error: error.message };
+        }
     }
 
     /**
-     * Queue email for later processing
+     * Queue an email in the outbox for delivery by the worker
+     * @param {string} kind - One of EMAIL_KINDS
+     * @param {Object} data - Arguments for the kind's send method
+     * @param {Object} options - metadata to store with the message
      */
-    async queueEmail(emailData) {
-        const queueId = `queue-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        emailQueue.push({
-            id: queueId,
-            data: emailData,
-            timestamp: new Date(),
-            attempts: 0
+    async queueEmail(kind, data, { metadata = {} } = {}) {
+        if (!EMAIL_KINDS[kind]) {
+            throw new Error(`Unknown email kind: ${kind}`);
+        }
+
+        const recipient = data.to || data.email;
+        if (!recipient) {
+            throw new Error('Email recipient is required');
+        }
+
+        const message = await EmailOutbox.create({
+            kind,
+            recipient,
+            payload: data,
+            maxAttempts: MAX_ATTEMPTS,
+            nextAttemptAt: new Date(),
+            metadata
         });
 
-        logger.info(`Email queued with ID: ${queueId}`);
-        
-        return { 
-            success: true, 
-            queued: true, 
-            queueId 
+        logger.info(`Email queued with ID: ${message.id}`, { kind });
+
+        return {
+            success: true,
+            queued: true,
+            queueId: message.id
         };
     }
 
     /**
-     * Process queued emails
+     * Deliver due outbox messages
+     * Failed messages are retried with exponential backoff and dead-lettered
+     * once they run out of attempts
      */
-    async processEmailQueue() {
+    async processEmailQueue({ limit = BATCH_SIZE } = {}) {
         const results = {
-            total: emailQueue.length,
+            total: 0,
             successful: 0,
-            failed: 0
+            failed: 0,
+            deadLettered: 0,
+            suppressed: 0
         };
 
-        while (emailQueue.length > 0) {
-            const queuedEmail = emailQueue.shift();
-            
-            try {
-                const result = await this.sendWithRetry(queuedEmail.data);
-                
-                if (result.success) {
-                    results.successful++;
-                } else {
-                    results.failed++;
-                    // Re-queue if not at max attempts
-                    if (queuedEmail.attempts < 3) {
-                        queuedEmail.attempts++;
-                        emailQueue.push(queuedEmail);
-                    }
-                }
-            } catch (error) {
-                results.failed++;
-                logger.error(`Failed to process queued email ${queuedEmail.id}:`, error);
+        const now = new Date();
+
+        await this.reclaimAbandonedEmails(now);
+
+        const due = await EmailOutbox.findAll({
+            where: {
+                status: 'pending',
+                nextAttemptAt: { [Op.lte]: now }
+            },
+            order: [['nextAttemptAt', 'ASC']],
+            limit
+        });
+
+        for (const message of due) {
+            // Claim the message; another worker may have taken it first
+            const claim = { status: 'processing', lockedAt: new Date() };
+            const [claimed] = await EmailOutbox.update(claim, {
+                where: { id: message.id, status: 'pending' }
+            });
+            if (claimed !== 1) {
+                continue;
             }
+            // Keep the instance in step with the claimed row
+            message.set(claim);
+
+            results.total++;
+            const outcome = await this.deliverQueuedEmail(message);
+            results[outcome]++;
         }
 
         return results;
     }
 
     /**
-     * Get email templates
+     * Return messages abandoned mid-send (e.g. by a crashed instance) to the queue
+     * The abandoned send counts as an attempt, so a message that keeps taking
+     * its worker down is dead-lettered rather than retried forever
+     * @returns {number} Messages reclaimed
      */
-    getEmailTemplates() {
-        return {
-            welcome: this.getWelcomeTemplate.bind(this),
-            leadNotification: this.getLeadNotificationTemplate.bind(this),
-            drawingWinner: this.getDrawingWinnerTemplate.bind(this)
-        };
+    async reclaimAbandonedEmails(now = new Date()) {
+        const abandoned = await EmailOutbox.findAll({
+            where: {
+                status: 'processing',
+                lockedAt: { [Op.lt]: new Date(now.getTime() - PROCESSING_LEASE_MS) }
+            }
+        });
+
+        let reclaimed = 0;
+        for (const message of abandoned) {
+            const attempts = message.attempts + 1;
+            const status = attempts >= message.maxAttempts ? 'dead' : 'pending';
+            // Another worker may have reclaimed it first
+            const [updated] = await EmailOutbox.update({
+                status,
+                attempts,
+                lockedAt: null,
+                lastError: 'Abandoned mid-send'
+            }, {
+                where: { id: message.id, status: 'processing', lockedAt: message.lockedAt }
+            });
+            if (updated !== 1) {
+                continue;
+            }
+
+            reclaimed++;
+            if (status === 'dead') {
+                logger.error(`Email ${message.id} dead-lettered after ${attempts} attempts`, {
+                    kind: message.kind,
+                    error: 'Abandoned mid-send'
+                });
+            }
+        }
+
+        return reclaimed;
     }
 
     /**
-     * Get welcome email template
+     * Send a claimed outbox message and record the outcome
+     * Addresses that bounced, complained or unsubscribed are not sent to
+     * @returns {string} 'successful', 'failed', 'deadLettered' or 'suppressed'
      */
-    getWelcomeTemplate(data) {
-        const safeName = this.escapeHtml(data.name);
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background-color: #4F46E5; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { padding: 30px; background-color: #f9f9f9; }
-        .cta { background-color: #10B981; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 20px 0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Welcome to ServiceVision</h1>
-        </div>
-        <div class="content">
-            <h2>Hello ${safeName},</h2>
-            <p>Welcome to ServiceVision! We're thrilled to have you join us on your journey to transform your business with AI-powered solutions.</p>
-            <p>Our team of experts is ready to help you achieve your goals through innovative consulting and cutting-edge technology.</p>
-            <center>
-                <a href="https://servicevision.com/get-started" class="cta">Get Started</a>
-            </center>
-        </div>
-        <div class="footer">
-            <p>ServiceVision - Transforming Business with AI</p>
-            <p>© 2024 ServiceVision. All rights reserved.</p>
-        </div>
-    </div>
-</body>
-</html>`;
+    async deliverQueuedEmail(message) {
+        const suppression = await EmailSuppression.findByPk(message.recipient.toLowerCase());
+        if (suppression) {
+            await message.update({
+                status: 'suppressed',
+                lockedAt: null,
+                lastError: `Recipient suppressed: ${suppression.reason}`
+            });
+            logger.info(`Email ${message.id} not sent: recipient suppressed (${suppression.reason})`);
+            return 'suppressed';
+        }
+
+        const attempts = message.attempts + 1;
+        let result;
+
+        try {
+            result = await this[EMAIL_KINDS[message.kind]](message.payload, { outboxId: message.id });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (result.success) {
+            const sentAt = new Date();
+            await message.update({
+                status: 'sent',
+                attempts,
+                sentAt,
+                messageId: result.messageId || null,
+                lockedAt: null,
+                lastError: null
+            });
+            // Transports without delivery events never confirm a summary, so
+            // being accepted for delivery is as far as it can be tracked
+            if (message.kind === 'summary' && !this.getTransport().reportsDelivery) {
+                await emailEventService.trackSummaryDelivery(message, 'delivered', sentAt);
+            }
+            return 'successful';
+        }
+
+        if (attempts >= message.maxAttempts) {
+            await message.update({
+                status: 'dead',
+                attempts,
+                lockedAt: null,
+                lastError: result.error || 'Unknown error'
+            });
+            logger.error(`Email ${message.id} dead-lettered after ${attempts} attempts`, {
+                kind: message.kind,
+                error: result.error
+            });
+            return 'deadLettered';
+        }
+
+        await message.update({
+            status: 'pending',
+            attempts,
+            lockedAt: null,
+            lastError: result.error || 'Unknown error',
+            nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts))
+        });
+        logger.warn(`Email ${message.id} attempt ${attempts} failed:`, result.error);
+        return 'failed';
     }
 
     /**
-     * Get lead notification template
+     * Put a dead-lettered message back in the queue with fresh attempts
      */
-    getLeadNotificationTemplate(data) {
-        const safeName = this.escapeHtml(data.name);
-        const safeCompany = data.company ? this.escapeHtml(data.company) : '';
-        const safeSummary = data.executiveSummary ? this.escapeHtml(data.executiveSummary) : '';
-        const safeCalendarLink = data.calendarLink ? this.escapeHtml(data.calendarLink) : '';
-        
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background-color: #4F46E5; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { padding: 30px; background-color: #f9f9f9; }
-        .summary { background-color: white; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #4F46E5; }
-        .cta { background-color: #10B981; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 20px 0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Your Consultation Summary</h1>
-        </div>
-        <div class="content">
-            <h2>Hello ${safeName},</h2>
-            <p>Thank you for your interest in ServiceVision${safeCompany ? ` on behalf of ${safeCompany}` : ''}.</p>
-            ${safeSummary ? `
-            <div class="summary">
-                <h3>Executive Summary</h3>
-                <p>${safeSummary}</p>
-            </div>
-            ` : ''}
-            ${safeCalendarLink ? `
-            <p>Ready to take the next step? Schedule your free consultation:</p>
-            <center>
-                <a href="${safeCalendarLink}" class="cta">Schedule Your Consultation</a>
-            </center>
-            ` : ''}
-        </div>
-        <div class="footer">
-            <p>ServiceVision - Transforming Business with AI</p>
-        </div>
-    </div>
-</body>
-</html>`;
+    async retryDeadEmail(id) {
+        const message = await EmailOutbox.findByPk(id);
+        if (!message || message.status !== 'dead') {
+            return null;
+        }
+
+        await message.update({
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            lastError: null
+        });
+
+        logger.info(`Dead-lettered email ${id} requeued`);
+        return message;
     }
 
     /**
-     * Get drawing winner template
+     * Start draining the outbox in the background
      */
-    getDrawingWinnerTemplate(data) {
-        const safeName = this.escapeHtml(data.name);
-        const safePrizeType = this.escapeHtml(data.prizeType);
-        const safePrizeValue = this.escapeHtml(String(data.prizeValue));
-        const safePrizeDuration = this.escapeHtml(data.prizeDuration);
-        
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background-color: #F59E0B; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { padding: 30px; background-color: #f9f9f9; }
-        .prize { background-color: white; padding: 20px; margin: 20px 0; border-radius: 5px; text-align: center; border: 2px solid #F59E0B; }
-        .cta { background-color: #10B981; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 20px 0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🎉 Congratulations!</h1>
-        </div>
-        <div class="content">
-            <h2>Dear ${safeName},</h2>
-            <p>You have won our monthly drawing!</p>
-            <div class="prize">
-                <h3>Your Prize</h3>
-                <p><strong>${safePrizeType}</strong></p>
-                <p>Value: $${safePrizeValue}</p>
-                <p>Duration: ${safePrizeDuration}</p>
-            </div>
-            <p>Our team will contact you within 24 hours to schedule your free consultation.</p>
-            <center>
-                <a href="https://servicevision.com/claim-prize" class="cta">Claim Your Prize</a>
-            </center>
-        </div>
-        <div class="footer">
-            <p>ServiceVision - Transforming Business with AI</p>
-        </div>
-    </div>
-</body>
-</html>`;
+    startQueueWorker(intervalMs = POLL_INTERVAL_MS) {
+        if (this.queueTimer) {
+            return;
+        }
+
+        this.queueTimer = setInterval(async () => {
+            // Skip a tick rather than overlap a slow batch
+            if (this.processingQueue) {
+                return;
+            }
+
+            this.processingQueue = true;
+            try {
+                await this.processEmailQueue();
+            } catch (error) {
+                logger.error('Error processing email queue:', error);
+            } finally {
+                this.processingQueue = false;
+            }
+        }, intervalMs);
+        this.queueTimer.unref();
+
+        logger.info(`Email outbox worker started (every ${intervalMs}ms)`);
     }
 
     /**
-     * Strip HTML tags from content
+     * Stop the background worker
      */
-    stripHtml(html) {
-        return html.replace(/<[^>]*>/g, '').trim();
+    stopQueueWorker() {
+        if (this.queueTimer) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+        }
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Plain-text version of HTML content
      */
-    escapeHtml(str) {
-        const escapeMap = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#x27;',
-            '/': '&#x2F;'
-        };
-        return String(str).replace(/[&<>"'/]/g, (char) => escapeMap[char]);
+    stripHtml(html) {
+        return emailTemplateService.htmlToText(html);
     }
 
     /**
      * Send meeting confirmation email
      */
-    async sendMeetingConfirmation(data) {
+    async sendMeetingConfirmation(data, options = {}) {
         this.refreshConfig();
         try {
-            const { email, name, meetingDate, meetingType } = data;
+            const { email, name, meetingDate, meetingType, locale } = data;
             
-            const html = this.getMeetingConfirmationTemplate({
+            const { subject, html, text } = await emailTemplateService.render('meeting_confirmation', {
                 name: name || 'Valued Client',
                 meetingDate,
                 meetingType: meetingType || 'Consultation'
-            });
-            const text = this.stripHtml(html);
+            }, { locale });
 
-            const msg = {
+            const msg = this.buildMessage({
                 to: email,
-                from: {
-                    email: this.config.SENDGRID_FROM_EMAIL,
-                    name: 'ServiceVision Team'
-                },
-                subject: `Meeting Confirmed - ${meetingType || 'Consultation'}`,
+                subject,
                 html,
                 text
-            };
-
-            if (this.config.NODE_ENV === 'development') {
-                logger.info('Development mode: Meeting confirmation would be sent', { to: email });
-                return { success: true, development: true };
-            }
+            }, options);
 
-            await sgMail.send(msg);
+            const { messageId } = await this.getTransport().send(msg);
             logger.info(`Meeting confirmation sent to ${email}`);
             
-            return { success: true };
+            return { success: true, messageId };
         } catch (error) {
             logger.error('Error sending meeting confirmation:', error);
             return { success: false, error: error.message };
@@ -497,147 +499,32 @@ class EmailService {
     /**
      * Send meeting cancellation email
      */
-    async sendMeetingCancellation(data) {
+    async sendMeetingCancellation(data, options = {}) {
         this.refreshConfig();
         try {
-            const { email, name, reason } = data;
+            const { email, name, reason, locale } = data;
             
-            const html = this.getMeetingCancellationTemplate({
+            const { subject, html, text } = await emailTemplateService.render('meeting_cancellation', {
                 name: name || 'Valued Client',
                 reason
-            });
-            const text = this.stripHtml(html);
+            }, { locale });
 
-            const msg = {
+            const msg = this.buildMessage({
                 to: email,
-                from: {
-                    email: this.config.SENDGRID_FROM_EMAIL,
-                    name: 'ServiceVision Team'
-                },
-                subject: 'Meeting Canceled - ServiceVision',
+                subject,
                 html,
                 text
-            };
+            }, options);
 
-            if (this.config.NODE_ENV === 'development') {
-                logger.info('Development mode: Meeting cancellation would be sent', { to: email });
-                return { success: true, development: true };
-            }
-
-            await sgMail.send(msg);
+            const { messageId } = await this.getTransport().send(msg);
             logger.info(`Meeting cancellation sent to ${email}`);
             
-            return { success: true };
+            return { success: true, messageId };
         } catch (error) {
             logger.error('Error sending meeting cancellation:', error);
             return { success: false, error: error.message };
         }
     }
-
-    /**
-     * Get meeting confirmation template
-     */
-    getMeetingConfirmationTemplate(data) {
-        const { name, meetingDate, meetingType } = data;
-        const safeName = this.escapeHtml(name);
-        const safeMeetingType = this.escapeHtml(meetingType);
-        const formattedDate = new Date(meetingDate).toLocaleString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: '2-digit',
-            timeZoneName: 'short'
-        });
-        const safeDate = this.escapeHtml(formattedDate);
-        
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background-color: #10B981; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { padding: 30px; background-color: #f9f9f9; }
-        .meeting-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #10B981; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Meeting Confirmed!</h1>
-        </div>
-        <div class="content">
-            <h2>Hi ${safeName},</h2>
-            <p>Your ${safeMeetingType} has been confirmed!</p>
-            <div class="meeting-details">
-                <h3>Meeting Details</h3>
-                <p><strong>Date & Time:</strong> ${safeDate}</p>
-                <p><strong>Type:</strong> ${safeMeetingType}</p>
-            </div>
-            <p>We look forward to speaking with you!</p>
-            <p>If you need to reschedule or cancel, please use the link in your Calendly confirmation email.</p>
-        </div>
-        <div class="footer">
-            <p>ServiceVision - Transforming Business with AI</p>
-        </div>
-    </div>
-</body>
-</html>`;
-    }
-
-    /**
-     * Get meeting cancellation template
-     */
-    getMeetingCancellationTemplate(data) {
-        const { name, reason } = data;
-        const safeName = this.escapeHtml(name);
-        const safeReason = reason ? this.escapeHtml(reason) : '';
-        
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background-color: #EF4444; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .content { padding: 30px; background-color: #f9f9f9; }
-        .cta { background-color: #4F46E5; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 20px 0; }
-        .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Meeting Canceled</h1>
-        </div>
-        <div class="content">
-            <h2>Hi ${safeName},</h2>
-            <p>Your meeting has been canceled${safeReason ? ` (Reason: ${safeReason})` : ''}.</p>
-            <p>If you'd like to reschedule, we'd love to find another time that works for you.</p>
-            <center>
-                <a href="https://calendly.com/servicevision" class="cta">Reschedule Meeting</a>
-            </center>
-            <p>Or simply reply to this email and we'll help you find a new time.</p>
-        </div>
-        <div class="footer">
-            <p>ServiceVision - Transforming Business with AI</p>
-        </div>
-    </div>
-</body>
-</html>`;
-    }
-
-    /**
-     * Clear email queue (for testing)
-     */
-    clearQueue() {
-        emailQueue.length = 0;
-    }
 }
 
 // Export singleton instance
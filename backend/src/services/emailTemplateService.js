@@ -0,0 +1,400 @@
+// Email Template Service
+// Registry of Handlebars email templates loaded from disk, with layouts, partials,
+// per-locale variants and versioned database overrides
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { Op } = require('sequelize');
+const { EmailTemplate } = require('../models');
+const logger = require('../utils/logger');
+const { EMAIL_TEMPLATE_DIR, DEFAULT_LOCALE } = require('../config/emailTemplates');
+
+// Template parts; text is optional and generated from the HTML when missing
+const PARTS = ['subject', 'html', 'text'];
+
+// Folders under the template directory that are not templates
+const SHARED_FOLDERS = ['layouts', 'partials'];
+
+const HTML_ENTITIES = {
+    '&nbsp;': ' ',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#x27;': "'",
+    '&#39;': "'",
+    '&#x2F;': '/',
+    '&#x3D;': '=',
+    '&#x60;': '`',
+    '&amp;': '&'
+};
+
+const readIfExists = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+
+/**
+ * Helpers available to every template
+ */
+function registerHelpers(handlebars) {
+    handlebars.registerHelper('year', () => new Date().getFullYear());
+    handlebars.registerHelper('upper', (value) => String(value || '').toUpperCase());
+    handlebars.registerHelper('inc', (value) => Number(value) + 1);
+    handlebars.registerHelper('formatDate', (value, options) => {
+        if (!value) {
+            return '';
+        }
+        const locale = options.data.root.locale || DEFAULT_LOCALE;
+        return new Date(value).toLocaleString(locale, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        });
+    });
+}
+
+class EmailTemplateService {
+    constructor(dir = EMAIL_TEMPLATE_DIR) {
+        this.dir = dir;
+        this.handlebars = null;
+        this.templates = null;
+        this.compiled = new Map();
+    }
+
+    /**
+     * Load layouts, partials and templates from disk
+     * Called lazily on first use; call again to pick up edits without a restart
+     */
+    load() {
+        const handlebars = Handlebars.create();
+        registerHelpers(handlebars);
+
+        // Partials register by file name; layouts as layouts/<name>
+        for (const folder of SHARED_FOLDERS) {
+            const folderPath = path.join(this.dir, folder);
+            if (!fs.existsSync(folderPath)) {
+                continue;
+            }
+            for (const file of fs.readdirSync(folderPath).filter(f => f.endsWith('.hbs'))) {
+                const name = path.basename(file, '.hbs');
+                handlebars.registerPartial(
+                    folder === 'partials' ? name : `${folder}/${name}`,
+                    fs.readFileSync(path.join(folderPath, file), 'utf8')
+                );
+            }
+        }
+
+        // Each template is a folder of <locale>/{subject,html,text}.hbs plus sample.json
+        const templates = {};
+        const entries = fs.readdirSync(this.dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !SHARED_FOLDERS.includes(entry.name));
+
+        for (const entry of entries) {
+            const templateDir = path.join(this.dir, entry.name);
+            const locales = {};
+
+            for (const locale of fs.readdirSync(templateDir, { withFileTypes: true })) {
+                if (!locale.isDirectory()) {
+                    continue;
+                }
+                const parts = {};
+                for (const part of PARTS) {
+                    parts[part] = readIfExists(path.join(templateDir, locale.name, `${part}.hbs`));
+                }
+                if (parts.subject && parts.html) {
+                    locales[locale.name] = parts;
+                }
+            }
+
+            const sample = readIfExists(path.join(templateDir, 'sample.json'));
+            templates[entry.name] = {
+                name: entry.name,
+                locales,
+                sample: sample ? JSON.parse(sample) : {}
+            };
+        }
+
+        this.handlebars = handlebars;
+        this.templates = templates;
+        this.compiled.clear();
+
+        logger.info(`Loaded ${Object.keys(templates).length} email templates from ${this.dir}`);
+    }
+
+    getTemplates() {
+        if (!this.templates) {
+            this.load();
+        }
+        return this.templates;
+    }
+
+    hasTemplate(name) {
+        return Boolean(this.getTemplates()[name]);
+    }
+
+    /**
+     * List templates with their file locales
+     */
+    listTemplates() {
+        return Object.values(this.getTemplates()).map(template => ({
+            name: template.name,
+            locales: Object.keys(template.locales)
+        }));
+    }
+
+    /**
+     * Sample data used to preview a template
+     */
+    getSampleData(name) {
+        const template = this.getTemplates()[name];
+        return template ? template.sample : null;
+    }
+
+    /**
+     * Locales to try for a request, most specific first: es-MX, es, then the default
+     */
+    getLocaleCandidates(locale) {
+        const candidates = [];
+        if (locale) {
+            candidates.push(locale);
+            const language = locale.split('-')[0];
+            if (language !== locale) {
+                candidates.push(language);
+            }
+        }
+        if (!candidates.includes(DEFAULT_LOCALE)) {
+            candidates.push(DEFAULT_LOCALE);
+        }
+        return candidates;
+    }
+
+    /**
+     * Find the source to render: an active (or requested) database version,
+     * otherwise the file template, for the closest available locale
+     * @returns {Object} { subject, html, text, locale, source, version }
+     */
+    async resolveSource(name, { locale, version } = {}) {
+        const template = this.getTemplates()[name];
+        if (!template) {
+            throw new Error(`Unknown email template: ${name}`);
+        }
+
+        for (const candidate of this.getLocaleCandidates(locale)) {
+            const where = { name, locale: candidate };
+            if (version) {
+                where.version = version;
+            } else {
+                where.isActive = true;
+            }
+
+            const override = await EmailTemplate.findOne({ where });
+            if (override) {
+                return {
+                    subject: override.subject,
+                    html: override.html,
+                    text: override.text,
+                    locale: candidate,
+                    source: 'database',
+                    version: override.version
+                };
+            }
+
+            if (!version && template.locales[candidate]) {
+                return {
+                    ...template.locales[candidate],
+                    locale: candidate,
+                    source: 'file',
+                    version: 0
+                };
+            }
+        }
+
+        const error = new Error(version
+            ? `Version ${version} of email template ${name} not found`
+            : `Email template ${name} has no ${DEFAULT_LOCALE} variant`);
+        error.status = 404;
+        throw error;
+    }
+
+    /**
+     * Render a template
+     * @param {string} name - Template name, e.g. welcome
+     * @param {Object} data - Template variables
+     * @param {Object} options - locale, version to pin, or draft { subject, html, text } to render instead
+     * @returns {Object} { subject, html, text, locale, source, version }
+     */
+    async render(name, data = {}, { locale, version, draft } = {}) {
+        const source = draft
+            ? { ...draft, locale: locale || DEFAULT_LOCALE, source: 'draft', version: null }
+            : await this.resolveSource(name, { locale, version });
+
+        const context = { ...data, locale: source.locale };
+        // Drafts are one-off previews, so keep them out of the cache
+        const cache = !draft;
+
+        const html = this.compile(source.html, { cache })(context);
+        const text = source.text
+            ? this.compile(source.text, { noEscape: true, cache })(context).trim()
+            : this.htmlToText(html);
+
+        return {
+            subject: this.compile(source.subject, { noEscape: true, cache })(context).trim(),
+            html,
+            text,
+            locale: source.locale,
+            source: source.source,
+            version: source.version
+        };
+    }
+
+    /**
+     * Compile a template string, caching by content
+     */
+    compile(content, { noEscape = false, cache = true } = {}) {
+        if (!this.handlebars) {
+            this.load();
+        }
+
+        const key = `${noEscape}:${content}`;
+        if (this.compiled.has(key)) {
+            return this.compiled.get(key);
+        }
+
+        const template = this.handlebars.compile(content, { noEscape });
+        if (cache) {
+            this.compiled.set(key, template);
+        }
+        return template;
+    }
+
+    /**
+     * Check that a template compiles and renders against its sample data
+     * @returns {string|null} error message, or null when valid
+     */
+    validate(name, { subject, html, text }) {
+        const context = { ...this.getSampleData(name), locale: DEFAULT_LOCALE };
+        try {
+            this.compile(subject, { noEscape: true, cache: false })(context);
+            this.compile(html, { cache: false })(context);
+            if (text) {
+                this.compile(text, { noEscape: true, cache: false })(context);
+            }
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Save a new database version of a template
+     * @returns {Object} { success, template } or { success: false, message }
+     */
+    async createVersion(name, { locale = DEFAULT_LOCALE, subject, html, text, notes, activate = false, createdBy }) {
+        if (!this.hasTemplate(name)) {
+            return { success: false, message: 'Email template not found' };
+        }
+        if (!subject || !html) {
+            return { success: false, message: 'Subject and HTML are required' };
+        }
+
+        const error = this.validate(name, { subject, html, text });
+        if (error) {
+            return { success: false, message: `Invalid template: ${error}` };
+        }
+
+        const latest = await EmailTemplate.max('version', { where: { name, locale } });
+        const template = await EmailTemplate.create({
+            name,
+            locale,
+            version: (latest || 0) + 1,
+            subject,
+            html,
+            text: text || null,
+            notes: notes || null,
+            createdBy: createdBy || null
+        });
+
+        if (activate) {
+            await this.activateVersion(name, locale, template.version);
+            await template.reload();
+        }
+
+        logger.info(`Email template ${name} (${locale}) version ${template.version} created`);
+        return { success: true, template };
+    }
+
+    /**
+     * Make a database version the one that is sent
+     * @returns {Object|null} the activated version, or null when it does not exist
+     */
+    async activateVersion(name, locale, version) {
+        const template = await EmailTemplate.findOne({ where: { name, locale, version } });
+        if (!template) {
+            return null;
+        }
+
+        await EmailTemplate.update({ isActive: false }, {
+            where: { name, locale, version: { [Op.ne]: version } }
+        });
+        await template.update({ isActive: true, activatedAt: new Date() });
+
+        logger.info(`Email template ${name} (${locale}) version ${version} activated`);
+        return template;
+    }
+
+    /**
+     * Go back to the file template by deactivating every database version
+     */
+    async revertToFile(name, locale) {
+        const [deactivated] = await EmailTemplate.update({ isActive: false }, {
+            where: { name, locale, isActive: true }
+        });
+        return deactivated > 0;
+    }
+
+    /**
+     * List database versions of a template, newest first
+     */
+    async listVersions(name, { locale } = {}) {
+        const where = { name };
+        if (locale) {
+            where.locale = locale;
+        }
+
+        return EmailTemplate.findAll({
+            where,
+            order: [['locale', 'ASC'], ['version', 'DESC']]
+        });
+    }
+
+    /**
+     * Plain-text version of an HTML email
+     */
+    htmlToText(html) {
+        const text = String(html)
+            .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+                const plainLabel = label.replace(/<[^>]*>/g, '').trim();
+                return href.startsWith('mailto:') || href.endsWith(plainLabel)
+                    ? plainLabel
+                    : `${plainLabel} (${href})`;
+            })
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '• ')
+            .replace(/<\/(p|div|h[1-6]|li|ul|ol|tr|center)>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&[#\w]+;/g, entity => HTML_ENTITIES[entity] || entity);
+
+        return text
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailTemplateService();
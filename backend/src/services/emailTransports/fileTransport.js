@@ -0,0 +1,124 @@
+// File Transport
+// Writes each email to a local mailbox directory as an .eml file, with a JSON
+// sidecar holding the rendered parts so the dev inbox can list and preview them
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { toMailOptions } = require('./mailOptions');
+
+// Mailbox IDs are generated here; anything else is rejected before touching the filesystem
+const MESSAGE_ID_PATTERN = /^\d+-[a-f0-9]{8}$/;
+
+class FileTransport {
+    constructor({ dir } = {}) {
+        this.name = 'file';
+        this.reportsDelivery = false;
+        this.dir = dir;
+        // Builds the raw RFC 822 message without sending it anywhere
+        this.transporter = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+
+    async send(msg) {
+        const mailOptions = toMailOptions(msg);
+        const info = await this.transporter.sendMail(mailOptions);
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, `${id}.eml`), info.message);
+        await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify({
+            id,
+            messageId: info.messageId,
+            from: msg.from,
+            to: msg.to,
+            subject: msg.subject,
+            html: msg.html,
+            text: msg.text,
+            customArgs: msg.customArgs || null,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+
+        return { messageId: info.messageId, id };
+    }
+
+    /**
+     * List stored messages, newest first, without their bodies
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const ids = files
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .filter(id => MESSAGE_ID_PATTERN.test(id))
+            .sort()
+            .reverse();
+
+        const messages = [];
+        for (const id of ids) {
+            const { html, text, ...summary } = await this.get(id);
+            messages.push(summary);
+        }
+        return messages;
+    }
+
+    /**
+     * Read a stored message with its rendered parts
+     * @returns {Object|null} null when the message does not exist
+     */
+    async get(id) {
+        const content = await this.readFile(id, 'json');
+        return content ? JSON.parse(content) : null;
+    }
+
+    /**
+     * Read the raw .eml for a stored message
+     * @returns {Buffer|null} null when the message does not exist
+     */
+    async getRaw(id) {
+        return this.readFile(id, 'eml', null);
+    }
+
+    /**
+     * Delete every stored message
+     * @returns {number} number of messages removed
+     */
+    async clear() {
+        const messages = await this.list();
+        for (const { id } of messages) {
+            await fs.rm(path.join(this.dir, `${id}.eml`), { force: true });
+            await fs.rm(path.join(this.dir, `${id}.json`), { force: true });
+        }
+        return messages.length;
+    }
+
+    async readFile(id, extension, encoding = 'utf8') {
+        if (!MESSAGE_ID_PATTERN.test(id)) {
+            return null;
+        }
+
+        try {
+            return await fs.readFile(path.join(this.dir, `${id}.${extension}`), encoding);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,32 @@
+// Email Transports
+// Factory for the drivers emailService delivers through
+
+const SendGridTransport = require('./sendgridTransport');
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const { SMTP, EMAIL_FILE_DIR } = require('../../config/emailTransport');
+
+/**
+ * Create a transport by name
+ * @param {string} name - sendgrid, smtp or file
+ * @param {Object} config - Environment config (for the SendGrid API key)
+ */
+function createTransport(name, config = {}) {
+    switch (name) {
+        case 'sendgrid':
+            return new SendGridTransport({ apiKey: config.SENDGRID_API_KEY });
+        case 'smtp':
+            return new SmtpTransport(SMTP);
+        case 'file':
+            return new FileTransport({ dir: EMAIL_FILE_DIR });
+        default:
+            throw new Error(`Unknown email transport: ${name}`);
+    }
+}
+
+module.exports = {
+    createTransport,
+    SendGridTransport,
+    SmtpTransport,
+    FileTransport
+};
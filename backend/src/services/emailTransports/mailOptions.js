@@ -0,0 +1,32 @@
+// Converts the SendGrid-shaped messages built by emailService into nodemailer mail options
+
+/**
+ * @param {Object} msg - { to, from: { email, name }, subject, html, text, customArgs }
+ * @returns {Object} nodemailer mail options
+ */
+function toMailOptions(msg) {
+    const from = typeof msg.from === 'string'
+        ? msg.from
+        : { address: msg.from.email, name: msg.from.name };
+
+    const options = {
+        from,
+        to: msg.to,
+        subject: msg.subject,
+        html: msg.html,
+        text: msg.text
+    };
+
+    // Same header SendGrid's SMTP relay reads, so event webhooks still carry the args
+    if (msg.customArgs) {
+        options.headers = {
+            'X-SMTPAPI': JSON.stringify({ unique_args: msg.customArgs })
+        };
+    }
+
+    return options;
+}
+
+module.exports = {
+    toMailOptions
+};
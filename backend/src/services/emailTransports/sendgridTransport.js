@@ -0,0 +1,28 @@
+// SendGrid Transport
+// Delivers email through the SendGrid v3 API
+
+const sgMail = require('@sendgrid/mail');
+
+// SendGrid returns the message ID in the x-message-id response header
+const getMessageId = (response) => {
+    const [res] = Array.isArray(response) ? response : [];
+    return (res && res.headers && res.headers['x-message-id']) || null;
+};
+
+class SendGridTransport {
+    constructor({ apiKey } = {}) {
+        this.name = 'sendgrid';
+        // Delivery is reported later through the event webhook
+        this.reportsDelivery = true;
+        if (apiKey) {
+            sgMail.setApiKey(apiKey);
+        }
+    }
+
+    async send(msg) {
+        const response = await sgMail.send(msg);
+        return { messageId: getMessageId(response) };
+    }
+}
+
+module.exports = SendGridTransport;
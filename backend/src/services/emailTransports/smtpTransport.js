@@ -0,0 +1,25 @@
+// SMTP Transport
+// Delivers email through any SMTP server via nodemailer
+
+const nodemailer = require('nodemailer');
+const { toMailOptions } = require('./mailOptions');
+
+class SmtpTransport {
+    constructor({ host, port, secure, user, pass } = {}) {
+        this.name = 'smtp';
+        this.reportsDelivery = false;
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    async send(msg) {
+        const info = await this.transporter.sendMail(toMailOptions(msg));
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,23 @@
+// Enrichment Providers
+// Factory for the company data sources enrichmentService looks domains up in
+
+const LocalDatasetProvider = require('./localDatasetProvider');
+const { ENRICHMENT_DATASET_PATH, SIZE_BANDS } = require('../../config/enrichment');
+
+/**
+ * Create a provider by name
+ * @param {string} name - local
+ */
+function createEnrichmentProvider(name) {
+  switch (name) {
+    case 'local':
+      return new LocalDatasetProvider({ datasetPath: ENRICHMENT_DATASET_PATH, sizeBands: SIZE_BANDS });
+    default:
+      throw new Error(`Unknown enrichment provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createEnrichmentProvider,
+  LocalDatasetProvider
+};
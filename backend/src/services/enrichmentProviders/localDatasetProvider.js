@@ -0,0 +1,143 @@
+// Local Dataset Provider
+// Looks company domains up in a CSV or JSON file shipped with the app, so
+// enrichment works without an external service
+
+const fs = require('fs');
+const path = require('path');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+/**
+ * A dataset lists one company per domain:
+ *   domain     - email domain, e.g. acme.com
+ *   name       - company name
+ *   sizeBand   - employee count band from config/enrichment SIZE_BANDS
+ *   nonprofit  - true for charities and other nonprofits
+ *   government - true for government agencies
+ * JSON datasets are an array of such objects; CSV datasets have them as columns.
+ */
+class LocalDatasetProvider {
+  constructor({ datasetPath, sizeBands = [] } = {}) {
+    this.name = 'local';
+    this.datasetPath = datasetPath;
+    this.sizeBands = sizeBands;
+    this.companies = null;
+  }
+
+  /**
+   * Company details for a domain or the domain it is a subdomain of
+   * @param {string} domain - e.g. mail.acme.com
+   * @returns {Promise<Object|null>} { domain, name, sizeBand, nonprofit, government }
+   */
+  async lookup(domain) {
+    const companies = await this.load();
+
+    const labels = domain.toLowerCase().split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const company = companies.get(labels.slice(i).join('.'));
+      if (company) {
+        return company;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the dataset once; later lookups share it
+   */
+  load() {
+    if (!this.companies) {
+      this.companies = fs.promises.readFile(this.datasetPath, 'utf8')
+        .then(content => this.index(this.parse(content)))
+        .catch(error => {
+          // Let a fixed file be picked up on the next lookup
+          this.companies = null;
+          throw new Error(`Could not load enrichment dataset ${this.datasetPath}: ${error.message}`);
+        });
+    }
+    return this.companies;
+  }
+
+  parse(content) {
+    if (path.extname(this.datasetPath).toLowerCase() === '.csv') {
+      return parseCsv(content);
+    }
+    return JSON.parse(content);
+  }
+
+  index(rows) {
+    const companies = new Map();
+    rows.forEach(row => {
+      const domain = String(row.domain || '').trim().toLowerCase();
+      if (!domain) {
+        return;
+      }
+
+      const sizeBand = String(row.sizeBand || '').trim();
+      companies.set(domain, {
+        domain,
+        name: String(row.name || '').trim() || null,
+        sizeBand: this.sizeBands.includes(sizeBand) ? sizeBand : null,
+        nonprofit: toBoolean(row.nonprofit),
+        government: toBoolean(row.government)
+      });
+    });
+    return companies;
+  }
+}
+
+/**
+ * Dataset flags may be booleans (JSON) or text such as "yes" (CSV)
+ */
+function toBoolean(value) {
+  return value === true || TRUE_VALUES.includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Rows of a CSV file with a header line; fields may be double-quoted
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map(column => column.trim());
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(header.map((column, i) => [column, values[i] ?? '']));
+  });
+}
+
+function parseCsvLine(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  values.push(value);
+  return values;
+}
+
+module.exports = LocalDatasetProvider;
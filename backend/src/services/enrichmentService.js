@@ -0,0 +1,150 @@
+// Enrichment Service
+// Fills in what a new lead's email domain says about their organization:
+// company name, size band and nonprofit/government flags
+
+const logger = require('../utils/logger');
+const { emailDomain, isFreeEmailDomain } = require('../utils/leadMatching');
+const { createEnrichmentProvider } = require('./enrichmentProviders');
+const {
+  ENRICHMENT_ENABLED,
+  ENRICHMENT_PROVIDER,
+  ENTERPRISE_SIZE_BANDS,
+  GOVERNMENT_DOMAIN_SUFFIXES,
+  NONPROFIT_DOMAIN_SUFFIXES
+} = require('../config/enrichment');
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+class EnrichmentService {
+  constructor() {
+    this.provider = ENRICHMENT_ENABLED ? createEnrichmentProvider(ENRICHMENT_PROVIDER) : null;
+  }
+
+  /**
+   * Replace the provider, e.g. with a fixed dataset in tests; null disables enrichment
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * What an email domain says about the organization behind it
+   * @param {string} email
+   * @returns {Promise<Object|null>} Enrichment stored as Lead.metadata.enrichment,
+   *   or null when the address has no domain
+   */
+  async enrich(email) {
+    const domain = emailDomain(email);
+    if (!domain) {
+      return null;
+    }
+
+    const enrichment = {
+      domain,
+      freeEmail: isFreeEmailDomain(domain),
+      company: null,
+      sizeBand: null,
+      nonprofit: false,
+      government: false,
+      organizationType: null,
+      source: null,
+      enrichedAt: new Date().toISOString()
+    };
+
+    // A webmail address says nothing about the lead's organization
+    if (enrichment.freeEmail) {
+      return enrichment;
+    }
+
+    const company = await this.lookup(domain);
+    if (company) {
+      Object.assign(enrichment, {
+        company: company.name,
+        sizeBand: company.sizeBand,
+        nonprofit: company.nonprofit,
+        government: company.government,
+        source: this.provider.name
+      });
+    } else {
+      enrichment.government = hasSuffix(domain, GOVERNMENT_DOMAIN_SUFFIXES);
+      enrichment.nonprofit = !enrichment.government && hasSuffix(domain, NONPROFIT_DOMAIN_SUFFIXES);
+      enrichment.source = enrichment.government || enrichment.nonprofit ? 'domain' : null;
+    }
+
+    // Anyone can register a .org, so the suffix flags the lead as a likely
+    // nonprofit without answering the chat's question for them
+    const reliable = enrichment.source !== 'domain' || enrichment.government;
+    enrichment.organizationType = reliable ? this.getOrganizationType(enrichment) : null;
+    return enrichment;
+  }
+
+  /**
+   * Provider lookup that degrades to the domain heuristics when it fails
+   */
+  async lookup(domain) {
+    if (!this.provider) {
+      return null;
+    }
+
+    try {
+      return await this.provider.lookup(domain);
+    } catch (error) {
+      logger.warn(`Enrichment lookup failed for ${domain}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Answer to the intake flows' organizationType question, when the enrichment settles it
+   */
+  getOrganizationType({ government, nonprofit, sizeBand }) {
+    if (government) {
+      return 'government';
+    }
+    if (nonprofit) {
+      return 'nonprofit';
+    }
+    if (ENTERPRISE_SIZE_BANDS.includes(sizeBand)) {
+      return 'enterprise';
+    }
+    return null;
+  }
+
+  /**
+   * Enrich a saved lead: record what was found in its metadata and fill in the
+   * company unless the lead already gave one. Failures are logged, never thrown,
+   * so enrichment cannot stop a lead from being captured.
+   * @param {Lead} lead
+   * @returns {Promise<Lead>}
+   */
+  async enrichLead(lead) {
+    if (!this.provider) {
+      return lead;
+    }
+
+    try {
+      const enrichment = await this.enrich(lead.email);
+      if (!enrichment) {
+        return lead;
+      }
+
+      const updates = { metadata: { ...(lead.metadata || {}), enrichment } };
+      if (isBlank(lead.company) && enrichment.company) {
+        updates.company = enrichment.company;
+      }
+
+      await lead.update(updates);
+    } catch (error) {
+      logger.warn(`Could not enrich lead ${lead.id}: ${error.message}`);
+    }
+
+    return lead;
+  }
+}
+
+function hasSuffix(domain, suffixes) {
+  return suffixes.some(suffix => domain.endsWith(suffix));
+}
+
+// Export singleton instance
+module.exports = new EnrichmentService();
@@ -0,0 +1,272 @@
+// Entity Extraction Service
+// Pulls structured organization details out of chat messages using LLM function
+// calling, with confidence scores, falling back to keyword matching offline
+
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { ENTITY_EXTRACTION } = require('../config/llm');
+
+// Allowed values; organization types match the organizationType slot rules in src/flows
+const ORGANIZATION_TYPES = ['for-profit', 'nonprofit', 'enterprise', 'startup', 'government'];
+const TIMELINES = ['immediate', '< 1 month', '1-3 months', '3-6 months', '6+ months'];
+const BUDGETS = ['< 5000', '5000-10000', '10000-25000', '25000-50000', '50000+'];
+
+// Keyword matches are plausible but not certain; trusted just above the default threshold
+const KEYWORD_CONFIDENCE = 0.75;
+
+// Recent messages given to the model so answers like "about 3 months" have context
+const CONTEXT_MESSAGES = 6;
+
+const TOOL_NAME = 'record_client_details';
+
+const scoredField = (value, description) => ({
+  type: 'object',
+  description,
+  properties: {
+    value,
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['value', 'confidence'],
+  additionalProperties: false
+});
+
+// JSON schema for the extraction tool call
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    organizationType: scoredField(
+      { type: 'string', enum: ORGANIZATION_TYPES },
+      'Kind of organization the user works for'
+    ),
+    organizationName: scoredField(
+      { type: 'string' },
+      'Name of the user\'s organization'
+    ),
+    timeline: scoredField(
+      { type: 'string', enum: TIMELINES },
+      'When the user wants the work to start or be done'
+    ),
+    budget: scoredField(
+      { type: 'string', enum: BUDGETS },
+      'Budget range in US dollars; use the lower end of a stated range'
+    )
+  },
+  additionalProperties: false
+};
+
+// The model's output is validated again here; invalid fields are dropped
+const scored = (value) => Joi.object({
+  value: value.required(),
+  confidence: Joi.number().min(0).max(1).required()
+});
+
+const FIELD_VALIDATORS = {
+  organizationType: scored(Joi.string().valid(...ORGANIZATION_TYPES)),
+  organizationName: scored(Joi.string().trim().min(1).max(200)),
+  timeline: scored(Joi.string().valid(...TIMELINES)),
+  budget: scored(Joi.string().valid(...BUDGETS))
+};
+
+const SYSTEM_PROMPT = `Extract details about the prospective client's own organization from the latest user message, using the earlier messages only for context.
+Report a field only when the user states it; respect negation ("we're not a startup" says nothing about being a startup).
+Give each field a confidence between 0 and 1, and omit fields that are not mentioned.`;
+
+// "not", "n't", "no longer" or "never" up to two words before a keyword negates it
+const NEGATION = /(?:\bnot|n't|\bno longer|\bnever)\s+(?:\S+\s+){0,2}$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether the text mentions any keyword without negating it
+ */
+function mentions(text, keywords) {
+  return keywords.some(keyword => {
+    const pattern = new RegExp(`\\b${escapeRegExp(keyword)}`, 'g');
+    for (const match of text.matchAll(pattern)) {
+      if (!NEGATION.test(text.slice(Math.max(0, match.index - 40), match.index))) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+function toAmount(number, suffix) {
+  const multiplier = { k: 1000, m: 1000000 }[suffix?.toLowerCase()] || 1;
+  return parseFloat(number.replace(/,/g, '')) * multiplier;
+}
+
+class EntityExtractionService {
+  /**
+   * Extract organization details from a user message
+   * @param {string} message - Latest user message
+   * @param {Object} options - provider (LLM provider), history (conversation so far), signal
+   * @returns {Object} { fields: { [name]: { value, confidence } }, source: 'llm' | 'keyword' }
+   */
+  async extract(message, { provider, history = [], signal } = {}) {
+    if (ENTITY_EXTRACTION.enabled && provider?.extract) {
+      try {
+        const raw = await provider.extract(this.buildMessages(message, history), {
+          name: TOOL_NAME,
+          description: 'Record details the client has shared about their organization',
+          schema: EXTRACTION_SCHEMA,
+          signal
+        });
+
+        if (raw) {
+          return { fields: this.validate(raw), source: 'llm' };
+        }
+        logger.warn('Entity extraction returned no tool call; using keyword matching');
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        logger.warn(`Entity extraction failed; using keyword matching: ${error.message}`);
+      }
+    }
+
+    return { fields: this.extractKeywords(message), source: 'keyword' };
+  }
+
+  buildMessages(message, history) {
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      ...history.slice(-CONTEXT_MESSAGES),
+      { role: 'user', content: message }
+    ];
+  }
+
+  /**
+   * Keep the fields that match the schema
+   */
+  validate(raw) {
+    const fields = {};
+
+    Object.entries(FIELD_VALIDATORS).forEach(([name, validator]) => {
+      // Models sometimes send null for fields they were told to omit
+      if (raw[name] == null || raw[name].value == null) {
+        return;
+      }
+
+      const { error, value } = validator.validate(raw[name]);
+      if (error) {
+        logger.warn(`Discarding extracted ${name}: ${error.message}`);
+        return;
+      }
+      fields[name] = value;
+    });
+
+    return fields;
+  }
+
+  /**
+   * Field values confident enough to save to the conversation state
+   * @param {Object} fields - Extracted fields with confidence scores
+   * @param {number} threshold - Minimum confidence
+   * @returns {Object} { [name]: value }
+   */
+  toCollected(fields, threshold = ENTITY_EXTRACTION.threshold) {
+    const collected = {};
+
+    Object.entries(fields).forEach(([name, { value, confidence }]) => {
+      if (confidence >= threshold) {
+        collected[name] = value;
+      } else {
+        logger.info(`Not saving ${name}: confidence ${confidence} is below ${threshold}`);
+      }
+    });
+
+    return collected;
+  }
+
+  /**
+   * Keyword-based extraction used when no model is available
+   */
+  extractKeywords(message) {
+    const fields = {};
+    const extractors = {
+      organizationType: this.extractOrganizationType,
+      timeline: this.extractTimeline,
+      budget: this.extractBudget
+    };
+
+    Object.entries(extractors).forEach(([name, extractor]) => {
+      const value = extractor.call(this, message);
+      if (value) {
+        fields[name] = { value, confidence: KEYWORD_CONFIDENCE };
+      }
+    });
+
+    return fields;
+  }
+
+  extractOrganizationType(text) {
+    const lowercaseText = text.toLowerCase();
+
+    if (mentions(lowercaseText, ['nonprofit', 'non-profit', 'ngo', 'charity'])) {
+      return 'nonprofit';
+    }
+    if (mentions(lowercaseText, ['enterprise', 'corporation'])) {
+      return 'enterprise';
+    }
+    if (mentions(lowercaseText, ['startup', 'start-up'])) {
+      return 'startup';
+    }
+    if (mentions(lowercaseText, ['government', 'agency'])) {
+      return 'government';
+    }
+    if (mentions(lowercaseText, ['business', 'company'])) {
+      return 'for-profit';
+    }
+
+    return null;
+  }
+
+  extractTimeline(text) {
+    const lowercaseText = text.toLowerCase();
+
+    if (mentions(lowercaseText, ['immediate', 'urgent', 'asap', 'right away'])) {
+      return 'immediate';
+    }
+    if (mentions(lowercaseText, ['1 month', 'one month', '4 weeks'])) {
+      return '< 1 month';
+    }
+    if (mentions(lowercaseText, ['2 month', 'two month', '3 month', 'three month'])) {
+      return '1-3 months';
+    }
+    if (mentions(lowercaseText, ['6 month', 'six month'])) {
+      return '3-6 months';
+    }
+
+    return null;
+  }
+
+  /**
+   * Budget bucket from amounts like "$8,000", "25k" or "$5-10k"
+   * Bare numbers only count when the message talks about a budget, so "3 months" is not a budget
+   */
+  extractBudget(text) {
+    const amounts = /(\$)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b(?:\s*(?:-|–|to)\s*(\$)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b)?/gi;
+    const mentionsBudget = /\b(budget|dollars|usd)\b/i.test(text);
+
+    for (const [, dollar, low, lowSuffix, highDollar, high, highSuffix] of text.matchAll(amounts)) {
+      if (!(dollar || highDollar || lowSuffix || highSuffix || mentionsBudget)) {
+        continue;
+      }
+
+      // In "$5-10k" the upper bound's suffix applies to both ends
+      const amount = toAmount(low, lowSuffix || (high ? highSuffix : undefined));
+
+      if (amount < 5000) return '< 5000';
+      if (amount < 10000) return '5000-10000';
+      if (amount < 25000) return '10000-25000';
+      if (amount < 50000) return '25000-50000';
+      return '50000+';
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new EntityExtractionService();
@@ -0,0 +1,302 @@
+// Experiment Service
+// Sticky A/B variant assignment for chat sessions and per-variant results
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { ChatSession, ExperimentAssignment, Lead } = require('../models');
+const ConversationStateService = require('./conversationStateService');
+const logger = require('../utils/logger');
+const { EXPERIMENTS, SIGNIFICANCE_LEVEL } = require('../config/experiments');
+
+const STATUSES = ['running', 'paused', 'completed'];
+
+// How each result metric is read from a session and compared against control
+const METRICS = {
+  completionRate: 'mean',
+  qualificationRate: 'proportion',
+  engagementScore: 'mean',
+  meetingBookingRate: 'proportion'
+};
+
+const experimentSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  description: Joi.string().allow(''),
+  status: Joi.string().valid(...STATUSES).default('running'),
+  traffic: Joi.number().min(0).max(100).default(100),
+  variants: Joi.array().items(Joi.object({
+    key: Joi.string().required(),
+    weight: Joi.number().min(0).max(100).required(),
+    overrides: Joi.object({
+      systemPrompt: Joi.string(),
+      quickReplies: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())),
+      flow: Joi.object({
+        name: Joi.string().required(),
+        version: Joi.number().integer().min(1)
+      })
+    }).default({})
+  })).min(2).unique('key').required()
+});
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const twoSidedPValue = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Map a string to a stable bucket in [0, 100)
+ */
+function bucket(value) {
+  const hash = crypto.createHash('sha256').update(value).digest();
+  return (hash.readUInt32BE(0) / 0x100000000) * 100;
+}
+
+class ExperimentService {
+  constructor() {
+    this.stateService = new ConversationStateService();
+    this.setExperiments(EXPERIMENTS);
+  }
+
+  /**
+   * Replace the experiment definitions, e.g. in tests
+   * @throws {Error} When a definition is invalid
+   */
+  setExperiments(definitions) {
+    this.experiments = definitions.map(definition => {
+      const { error, value } = experimentSchema.validate(definition);
+      if (error) {
+        throw new Error(`Invalid experiment ${definition.key}: ${error.message}`);
+      }
+
+      const totalWeight = value.variants.reduce((sum, variant) => sum + variant.weight, 0);
+      if (totalWeight !== 100) {
+        throw new Error(`Invalid experiment ${value.key}: variant weights sum to ${totalWeight}, not 100`);
+      }
+
+      return value;
+    });
+  }
+
+  getExperiment(key) {
+    return this.experiments.find(experiment => experiment.key === key) || null;
+  }
+
+  listExperiments() {
+    return this.experiments.map(({ key, description, status, traffic, variants }) => ({
+      key,
+      description,
+      status,
+      traffic,
+      variants: variants.map(variant => ({ key: variant.key, weight: variant.weight }))
+    }));
+  }
+
+  /**
+   * Pick variants for a new session in every running experiment
+   * Deterministic in the session ID, so a session always lands in the same variant
+   * @returns {Object} { <experimentKey>: { variant, assignedAt } }
+   */
+  assign(sessionId) {
+    const assignments = {};
+
+    for (const experiment of this.experiments) {
+      if (experiment.status !== 'running' || bucket(`${experiment.key}:traffic:${sessionId}`) >= experiment.traffic) {
+        continue;
+      }
+
+      const point = bucket(`${experiment.key}:${sessionId}`);
+      let cumulative = 0;
+      const variant = experiment.variants.find(candidate => {
+        cumulative += candidate.weight;
+        return point < cumulative;
+      }) || experiment.variants[experiment.variants.length - 1];
+
+      assignments[experiment.key] = { variant: variant.key, assignedAt: new Date().toISOString() };
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Save a new session's assignments where results can query them by experiment
+   * @param {Object} session - ChatSession whose metadata.experiments holds the assignments
+   */
+  async recordAssignments(session) {
+    const assignments = Object.entries(session.metadata?.experiments || {});
+    if (assignments.length === 0) {
+      return [];
+    }
+
+    return ExperimentAssignment.bulkCreate(assignments.map(([experimentKey, { variant, assignedAt }]) => ({
+      experimentKey,
+      variant,
+      chatSessionId: session.id,
+      assignedAt
+    })));
+  }
+
+  /**
+   * Merge the overrides of a session's assigned variants
+   * Completed experiments no longer apply; paused ones keep serving enrolled sessions
+   * @param {Object} assignments - ChatSession.metadata.experiments
+   */
+  getOverrides(assignments = {}) {
+    const overrides = { quickReplies: {} };
+
+    for (const [key, { variant }] of Object.entries(assignments || {})) {
+      const experiment = this.getExperiment(key);
+      if (!experiment || experiment.status === 'completed') {
+        continue;
+      }
+
+      const variantOverrides = experiment.variants.find(candidate => candidate.key === variant)?.overrides || {};
+      Object.assign(overrides.quickReplies, variantOverrides.quickReplies);
+      if (variantOverrides.systemPrompt) {
+        overrides.systemPrompt = variantOverrides.systemPrompt;
+      }
+      if (variantOverrides.flow) {
+        overrides.flow = variantOverrides.flow;
+      }
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Overrides for a chat session
+   */
+  getSessionOverrides(session) {
+    return this.getOverrides(session?.metadata?.experiments);
+  }
+
+  /**
+   * Result metrics for one session
+   */
+  measureSession(session) {
+    // Required lazily: summaryService pulls in the email stack
+    const summaryService = require('./summaryService');
+    const state = session.state || {};
+    const qualified = session.leadQualified ||
+      (state.collected ? this.stateService.evaluateQualification(state).isQualified : false);
+
+    return {
+      completionRate: session.completionRate || 0,
+      qualificationRate: qualified ? 1 : 0,
+      engagementScore: summaryService.calculateEngagementScore(
+        summaryService.calculateConversationMetrics(session)
+      ),
+      meetingBookingRate: session.lead?.meetingScheduled ? 1 : 0
+    };
+  }
+
+  /**
+   * Compare a variant metric against control
+   * Proportions use a two-proportion z-test; means use Welch's t statistic
+   * with a normal approximation, which is adequate at experiment sample sizes
+   */
+  compare(type, control, treatment) {
+    if (control.length < 2 || treatment.length < 2) {
+      return { difference: null, pValue: null, significant: false };
+    }
+
+    const difference = mean(treatment) - mean(control);
+    let standardError;
+
+    if (type === 'proportion') {
+      const pooled = (control.reduce((a, b) => a + b, 0) + treatment.reduce((a, b) => a + b, 0)) /
+        (control.length + treatment.length);
+      standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.length + 1 / treatment.length));
+    } else {
+      standardError = Math.sqrt(variance(control) / control.length + variance(treatment) / treatment.length);
+    }
+
+    if (standardError === 0) {
+      return { difference, pValue: difference === 0 ? 1 : 0, significant: difference !== 0 };
+    }
+
+    const pValue = twoSidedPValue(difference / standardError);
+    return { difference, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+  }
+
+  /**
+   * Per-variant metrics for an experiment, each compared against the control variant
+   */
+  async getResults(key) {
+    const experiment = this.getExperiment(key);
+    if (!experiment) {
+      return null;
+    }
+
+    // Only the sessions enrolled in this experiment, through the indexed assignments
+    const assignments = await ExperimentAssignment.findAll({
+      where: { experimentKey: key },
+      include: [{
+        model: ChatSession,
+        as: 'chatSession',
+        include: [{ model: Lead, as: 'lead' }]
+      }]
+    });
+
+    const samples = {};
+    experiment.variants.forEach(variant => {
+      samples[variant.key] = Object.fromEntries(Object.keys(METRICS).map(metric => [metric, []]));
+    });
+
+    for (const { variant, chatSession } of assignments) {
+      const variantSamples = samples[variant];
+      if (!variantSamples) {
+        logger.warn(`Session ${chatSession.sessionId} assigned to unknown variant of ${key}`);
+        continue;
+      }
+      Object.entries(this.measureSession(chatSession)).forEach(([metric, value]) => {
+        variantSamples[metric].push(value);
+      });
+    }
+
+    const control = experiment.variants[0].key;
+
+    return {
+      experiment: {
+        key: experiment.key,
+        description: experiment.description,
+        status: experiment.status,
+        traffic: experiment.traffic
+      },
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      variants: experiment.variants.map(variant => {
+        const variantSamples = samples[variant.key];
+        const isControl = variant.key === control;
+
+        return {
+          key: variant.key,
+          isControl,
+          sessions: variantSamples.completionRate.length,
+          metrics: Object.fromEntries(Object.keys(METRICS).map(metric => [
+            metric,
+            variantSamples[metric].length > 0 ? mean(variantSamples[metric]) : null
+          ])),
+          comparison: isControl ? null : Object.fromEntries(Object.entries(METRICS).map(([metric, type]) => [
+            metric,
+            this.compare(type, samples[control][metric], variantSamples[metric])
+          ]))
+        };
+      })
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ExperimentService();
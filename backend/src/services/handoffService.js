@@ -0,0 +1,239 @@
+// Handoff Service
+// Tracks which chat sessions are waiting for, or held by, a human agent.
+// While an agent holds a session the AI assistant does not reply to it.
+// Handoffs live in Redis so every instance sees the same queue and takeovers.
+
+const ConversationStateService = require('./conversationStateService');
+const logger = require('../utils/logger');
+const { getRedisClient, redisKey } = require('../utils/redis');
+const { HANDOFF_QUEUE_TIMEOUT_MS, HUMAN_REQUEST_PATTERNS } = require('../config/handoff');
+
+class HandoffService {
+  /**
+   * @param {Object} options - client (defaults to the shared Redis client)
+   */
+  constructor({ client = null } = {}) {
+    this.stateService = new ConversationStateService();
+    this.client = client;
+    // Queue timeouts started on this instance: sessionId -> timer.
+    // Redis expires the queued handoff itself, even if this instance goes away.
+    this.timers = new Map();
+  }
+
+  get redis() {
+    return this.client || getRedisClient();
+  }
+
+  // { status: 'queued' | 'agent', reason, queuedAt, agent }
+  handoffKey(sessionId) {
+    return redisKey('handoff', 'session', sessionId);
+  }
+
+  // Id of the agent holding the session, claimed with NX so only one agent wins
+  holderKey(sessionId) {
+    return redisKey('handoff', 'holder', sessionId);
+  }
+
+  get indexKey() {
+    return redisKey('handoff', 'sessions');
+  }
+
+  /**
+   * Whether a visitor message should queue the session for an agent
+   * @returns {string|null} 'requested', 'urgent' or null
+   */
+  detectHandoffReason(message) {
+    if (!message) {
+      return null;
+    }
+    if (HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message))) {
+      return 'requested';
+    }
+    if (this.stateService.detectUrgency(message) === 'high') {
+      return 'urgent';
+    }
+    return null;
+  }
+
+  async get(sessionId) {
+    const value = await this.redis.get(this.handoffKey(sessionId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * 'ai', 'queued' or 'agent'
+   */
+  async getStatus(sessionId) {
+    return (await this.get(sessionId))?.status || 'ai';
+  }
+
+  async isHeldByAgent(sessionId) {
+    return (await this.getStatus(sessionId)) === 'agent';
+  }
+
+  /**
+   * Queue a session for the next available agent
+   * onTimeout runs if no agent takes it over within the timeout
+   * @returns {Object|null} The handoff, or null when the session is already queued or held
+   */
+  async enqueue(sessionId, reason, { timeoutMs = HANDOFF_QUEUE_TIMEOUT_MS, onTimeout } = {}) {
+    const handoff = { status: 'queued', reason, queuedAt: new Date().toISOString(), agent: null };
+    const queued = await this.redis.set(this.handoffKey(sessionId), JSON.stringify(handoff), {
+      PX: timeoutMs,
+      NX: true
+    });
+    if (!queued) {
+      return null;
+    }
+    await this.redis.sAdd(this.indexKey, sessionId);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(sessionId);
+      this.expire(sessionId, handoff).then((expired) => {
+        if (!expired) {
+          return;
+        }
+        logger.info(`Handoff for session ${sessionId} timed out after ${timeoutMs}ms`);
+        if (onTimeout) {
+          onTimeout(sessionId);
+        }
+      }).catch((error) => {
+        logger.error(`Failed to expire handoff for session ${sessionId}:`, error);
+      });
+    }, timeoutMs);
+    // A waiting visitor should not keep the process alive
+    timer.unref?.();
+    this.timers.set(sessionId, timer);
+
+    logger.info(`Session ${sessionId} queued for an agent`, { reason });
+    return handoff;
+  }
+
+  /**
+   * Drop a queued handoff whose timeout passed
+   * @returns {boolean} Whether it was still waiting, rather than taken over or removed
+   */
+  async expire(sessionId, handoff) {
+    const current = await this.get(sessionId);
+    if (current && (current.status !== 'queued' || current.queuedAt !== handoff.queuedAt)) {
+      return false;
+    }
+
+    await this.redis.del(this.handoffKey(sessionId));
+    await this.redis.sRem(this.indexKey, sessionId);
+    return true;
+  }
+
+  /**
+   * Every handoff on any instance, pruning index entries whose handoff expired
+   */
+  async list() {
+    const sessionIds = await this.redis.sMembers(this.indexKey);
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const values = await this.redis.mGet(sessionIds.map(sessionId => this.handoffKey(sessionId)));
+    const expired = sessionIds.filter((sessionId, i) => !values[i]);
+    if (expired.length > 0) {
+      await this.redis.sRem(this.indexKey, expired);
+    }
+
+    return sessionIds
+      .map((sessionId, i) => values[i] && { sessionId, ...JSON.parse(values[i]) })
+      .filter(Boolean);
+  }
+
+  /**
+   * Sessions waiting for an agent, longest waiting first
+   */
+  async getQueue() {
+    return (await this.list())
+      .filter(handoff => handoff.status === 'queued')
+      .sort((a, b) => Date.parse(a.queuedAt) - Date.parse(b.queuedAt))
+      .map(({ sessionId, reason, queuedAt }) => ({ sessionId, reason, queuedAt }));
+  }
+
+  /**
+   * Give an agent control of a session, pausing AI replies
+   * @param {Object} agent - { id, name, socketId }
+   * @returns {Object|null} The handoff, or null when another agent already holds the session
+   */
+  async takeOver(sessionId, agent) {
+    const claimed = await this.redis.set(this.holderKey(sessionId), String(agent.id), { NX: true });
+    if (!claimed && await this.redis.get(this.holderKey(sessionId)) !== String(agent.id)) {
+      return null;
+    }
+    this.clearTimer(sessionId);
+
+    const existing = await this.get(sessionId);
+    const handoff = {
+      status: 'agent',
+      reason: existing?.reason || 'agent',
+      queuedAt: existing?.queuedAt || null,
+      agent
+    };
+    // Held handoffs do not expire; SET clears the queue timeout
+    await this.redis.set(this.handoffKey(sessionId), JSON.stringify(handoff));
+    await this.redis.sAdd(this.indexKey, sessionId);
+
+    logger.info(`Agent ${agent.id} took over session ${sessionId}`);
+    return handoff;
+  }
+
+  /**
+   * Return a session held by the agent to the AI assistant
+   * @returns {boolean} Whether the agent held the session
+   */
+  async handBack(sessionId, agentId) {
+    if (await this.redis.get(this.holderKey(sessionId)) !== String(agentId)) {
+      return false;
+    }
+
+    await this.remove(sessionId);
+    logger.info(`Agent ${agentId} handed session ${sessionId} back to the assistant`);
+    return true;
+  }
+
+  /**
+   * Hand back every session taken over from an agent console connection
+   * @returns {Array} The session ids released
+   */
+  async releaseConnection(socketId) {
+    const released = (await this.list())
+      .filter(handoff => handoff.status === 'agent' && handoff.agent.socketId === socketId)
+      .map(handoff => handoff.sessionId);
+
+    for (const sessionId of released) {
+      await this.remove(sessionId);
+    }
+    return released;
+  }
+
+  /**
+   * Forget a session, e.g. when the visitor ends it
+   */
+  async remove(sessionId) {
+    this.clearTimer(sessionId);
+    await this.redis.del([this.handoffKey(sessionId), this.holderKey(sessionId)]);
+    await this.redis.sRem(this.indexKey, sessionId);
+  }
+
+  clearTimer(sessionId) {
+    clearTimeout(this.timers.get(sessionId));
+    this.timers.delete(sessionId);
+  }
+
+  async reset() {
+    for (const sessionId of await this.redis.sMembers(this.indexKey)) {
+      await this.remove(sessionId);
+    }
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new HandoffService();
@@ -0,0 +1,375 @@
+// Knowledge Base Service
+// Ingests service pages and case studies, chunks and embeds them into the vector
+// index, and retrieves the passages most relevant to a chat message
+
+const { Op } = require('sequelize');
+const { KnowledgeDocument } = require('../models');
+const LocalVectorStore = require('./vectorStore');
+const emailTemplateService = require('./emailTemplateService');
+const { createProvider } = require('./llmProviders');
+const { getConfig } = require('../config/environment');
+const { getProviderName } = require('../config/llm');
+const { embedText } = require('../utils/hashEmbedding');
+const logger = require('../utils/logger');
+const {
+  KNOWLEDGE_BASE_ENABLED,
+  KNOWLEDGE_INDEX_PATH,
+  KNOWLEDGE_INDEX_SYNC_MS,
+  KNOWLEDGE_EMBEDDINGS,
+  KNOWLEDGE_EMBEDDING_MODEL,
+  CHUNKING,
+  RETRIEVAL
+} = require('../config/knowledgeBase');
+
+const HEADING = /^(#{1,6})\s+(.+)$/;
+
+/**
+ * Strip inline markdown so passages read as plain text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/^>\s?/gm, '')
+    .trim();
+}
+
+class KnowledgeBaseService {
+  constructor() {
+    this.embedder = KNOWLEDGE_EMBEDDINGS === 'provider'
+      ? `provider:${KNOWLEDGE_EMBEDDING_MODEL}`
+      : 'local';
+    this.provider = null;
+
+    if (KNOWLEDGE_EMBEDDINGS === 'provider') {
+      const providerName = getProviderName(getConfig());
+      if (!providerName) {
+        throw new Error('KNOWLEDGE_EMBEDDINGS=provider requires an LLM provider');
+      }
+      this.provider = createProvider(providerName, getConfig());
+    }
+
+    this.store = new LocalVectorStore({ filePath: KNOWLEDGE_INDEX_PATH, embedder: this.embedder });
+    this.lastSyncAt = 0;
+    this.syncing = null;
+  }
+
+  /**
+   * Replace the embeddings provider and index, e.g. in tests
+   */
+  configure({ provider = null, store } = {}) {
+    this.provider = provider;
+    this.store = store || new LocalVectorStore({ embedder: provider ? 'provider' : 'local' });
+    this.lastSyncAt = 0;
+    this.syncing = null;
+  }
+
+  /**
+   * Normalize a document to markdown-style text: headings as #, blank lines between blocks
+   */
+  toText({ content, format }) {
+    if (format !== 'html') {
+      return String(content).replace(/\r\n/g, '\n');
+    }
+
+    const marked = String(content)
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) =>
+        `\n\n${'#'.repeat(Number(level))} ${heading.replace(/<[^>]*>/g, '').trim()}\n\n`)
+      .replace(/<\/(p|div|li|section|article|ul|ol|table|blockquote)>/gi, '$&\n\n');
+
+    return emailTemplateService.htmlToText(marked);
+  }
+
+  /**
+   * Split a document into passages of about CHUNKING.size characters
+   * Passages never span headings and carry the heading they fall under
+   * @returns {Array} { text, section }
+   */
+  chunk(document, { size = CHUNKING.size, overlap = CHUNKING.overlap } = {}) {
+    const sections = [{ heading: null, paragraphs: [] }];
+
+    for (const block of this.toText(document).split(/\n\s*\n/)) {
+      const lines = block.trim().split('\n');
+      const heading = HEADING.exec(lines[0]);
+      if (heading) {
+        sections.push({ heading: stripMarkdown(heading[2]), paragraphs: [] });
+        lines.shift();
+      }
+      const paragraph = stripMarkdown(lines.join('\n'));
+      if (paragraph) {
+        sections[sections.length - 1].paragraphs.push(paragraph);
+      }
+    }
+
+    const chunks = [];
+    for (const { heading, paragraphs } of sections) {
+      let current = '';
+
+      for (const piece of paragraphs.flatMap(paragraph => this.splitLong(paragraph, size))) {
+        if (current && current.length + piece.length + 2 > size) {
+          chunks.push({ text: current, section: heading });
+          current = this.tail(current, overlap);
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+      }
+
+      if (current) {
+        chunks.push({ text: current, section: heading });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Break a paragraph longer than size at sentence, then word, boundaries
+   */
+  splitLong(paragraph, size) {
+    if (paragraph.length <= size) {
+      return [paragraph];
+    }
+
+    const pieces = [];
+    let current = '';
+    const sentences = paragraph.split(/(?<=[.!?])\s+/)
+      .flatMap(sentence => (sentence.length <= size ? [sentence] : sentence.match(new RegExp(`.{1,${size}}(\\s|$)`, 'g')) || [sentence]));
+
+    for (const sentence of sentences) {
+      if (current && current.length + sentence.length + 1 > size) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += `${sentence} `;
+    }
+    if (current.trim()) {
+      pieces.push(current.trim());
+    }
+    return pieces;
+  }
+
+  /**
+   * End of a passage, from a word boundary, repeated at the start of the next
+   */
+  tail(text, overlap) {
+    if (overlap <= 0) {
+      return '';
+    }
+    const end = text.slice(-overlap);
+    const boundary = end.indexOf(' ');
+    return boundary >= 0 && text.length > overlap ? end.slice(boundary + 1) : end;
+  }
+
+  async embed(texts, { signal } = {}) {
+    if (this.provider) {
+      return this.provider.embed(texts, { model: KNOWLEDGE_EMBEDDING_MODEL, signal });
+    }
+    return texts.map(text => embedText(text));
+  }
+
+  /**
+   * Chunk, embed and store a document's passages
+   */
+  async indexDocument(document) {
+    const indexedAt = new Date();
+    const chunkCount = await this.loadDocument(document, indexedAt);
+
+    await document.update({ chunkCount, indexedAt });
+    return document;
+  }
+
+  /**
+   * Chunk and embed a document into this instance's index only
+   * @param {Date} indexedAt - Version of the document, as recorded on it
+   * @returns {number} Number of chunks
+   */
+  async loadDocument(document, indexedAt) {
+    const chunks = this.chunk(document);
+    // Title and heading are embedded with each passage so short passages still match
+    const vectors = await this.embed(chunks.map(chunk =>
+      [document.title, chunk.section, chunk.text].filter(Boolean).join('\n')));
+
+    this.store.upsert(document.id, chunks.map((chunk, position) => ({
+      text: chunk.text,
+      vector: vectors[position],
+      metadata: {
+        title: document.title,
+        section: chunk.section,
+        sourceUrl: document.sourceUrl || null
+      }
+    })), new Date(indexedAt).toISOString());
+
+    return chunks.length;
+  }
+
+  /**
+   * Bring this instance's index up to date with the knowledge documents, e.g.
+   * at startup or after another instance added, re-indexed or deleted one.
+   * Only documents whose indexedAt differs from the index are embedded again.
+   * @returns {Object} { indexed, removed }
+   */
+  async syncIndex() {
+    this.lastSyncAt = Date.now();
+    const documents = await KnowledgeDocument.findAll({ attributes: ['id', 'indexedAt'] });
+
+    const stale = documents
+      .filter(document => !document.indexedAt ||
+        this.store.versionOf(document.id) !== new Date(document.indexedAt).toISOString())
+      .map(document => document.id);
+    const current = new Set(documents.map(document => String(document.id)));
+    const removed = this.store.documentIds().filter(documentId => !current.has(documentId));
+
+    removed.forEach(documentId => this.store.remove(documentId));
+    if (stale.length > 0) {
+      for (const document of await KnowledgeDocument.findAll({ where: { id: { [Op.in]: stale } } })) {
+        // Documents that were never indexed are indexed as if just added
+        if (document.indexedAt) {
+          await this.loadDocument(document, document.indexedAt);
+        } else {
+          await this.indexDocument(document);
+        }
+      }
+    }
+
+    if (stale.length > 0 || removed.length > 0) {
+      logger.info(`Knowledge index synced: ${stale.length} documents indexed, ${removed.length} removed`);
+    }
+    return { indexed: stale.length, removed: removed.length };
+  }
+
+  /**
+   * Sync the index when the last sync is older than KNOWLEDGE_INDEX_SYNC_MS.
+   * A failed sync is logged and retrieval carries on with the index as it is.
+   */
+  async syncIfDue() {
+    if (!this.syncing && Date.now() - this.lastSyncAt >= KNOWLEDGE_INDEX_SYNC_MS) {
+      this.syncing = this.syncIndex()
+        .catch((error) => {
+          logger.error('Failed to sync the knowledge index:', error);
+        })
+        .finally(() => {
+          this.syncing = null;
+        });
+    }
+    await this.syncing;
+  }
+
+  /**
+   * Add a markdown or HTML document and index it
+   */
+  async addDocument({ title, content, format = 'markdown', sourceUrl, createdBy }) {
+    const document = await KnowledgeDocument.create({ title, content, format, sourceUrl, createdBy });
+    await this.indexDocument(document);
+
+    logger.info(`Knowledge document ${document.id} indexed`, { chunks: document.chunkCount });
+    return document;
+  }
+
+  listDocuments() {
+    return KnowledgeDocument.findAll({
+      attributes: { exclude: ['content'] },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Re-chunk and re-embed one document
+   * @returns {Object|null} The document, or null when it does not exist
+   */
+  async reindexDocument(id) {
+    const document = await KnowledgeDocument.findByPk(id);
+    return document ? this.indexDocument(document) : null;
+  }
+
+  /**
+   * Rebuild the whole index, e.g. after changing embeddings or chunk size
+   */
+  async reindexAll() {
+    const documents = await KnowledgeDocument.findAll();
+
+    this.store.clear();
+    for (const document of documents) {
+      await this.indexDocument(document);
+    }
+
+    logger.info(`Knowledge base re-indexed: ${documents.length} documents, ${this.store.size} chunks`);
+    return { documents: documents.length, chunks: this.store.size };
+  }
+
+  /**
+   * Remove a document and its passages
+   * @returns {boolean} Whether the document existed
+   */
+  async deleteDocument(id) {
+    const document = await KnowledgeDocument.findByPk(id);
+    if (!document) {
+      return false;
+    }
+
+    this.store.remove(document.id);
+    await document.destroy();
+    return true;
+  }
+
+  /**
+   * Passages most relevant to a question, best first
+   * @returns {Array} { documentId, title, section, sourceUrl, text, score }
+   */
+  async retrieve(query, { topK = RETRIEVAL.topK, minScore = RETRIEVAL.minScore, signal } = {}) {
+    if (!KNOWLEDGE_BASE_ENABLED || !query) {
+      return [];
+    }
+
+    await this.syncIfDue();
+    if (this.store.size === 0) {
+      return [];
+    }
+
+    const [vector] = await this.embed([query], { signal });
+
+    return this.store.search(vector, { topK, minScore }).map(({ documentId, text, metadata, score }) => ({
+      documentId,
+      title: metadata.title,
+      section: metadata.section,
+      sourceUrl: metadata.sourceUrl,
+      text,
+      score
+    }));
+  }
+
+  /**
+   * Reference material for the system prompt, numbered to match the returned sources
+   */
+  formatContext(passages) {
+    if (passages.length === 0) {
+      return '';
+    }
+
+    const references = passages.map((passage, i) => {
+      const label = [passage.title, passage.section].filter(Boolean).join(' - ');
+      return `[${i + 1}] ${label}\n${passage.text}`;
+    });
+
+    return `Reference material from the ServiceVision knowledge base:
+
+${references.join('\n\n')}
+
+Answer pricing, case study and service questions from this material and cite it as [1], [2], ... Do not invent details that are not in it.`;
+  }
+
+  /**
+   * Citations returned alongside a chat message
+   */
+  toSources(passages) {
+    return passages.map((passage, i) => ({
+      index: i + 1,
+      documentId: passage.documentId,
+      title: passage.title,
+      section: passage.section,
+      sourceUrl: passage.sourceUrl
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,596 @@
+const validator = require('validator');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Lead,
+  LeadNote,
+  LeadHistory,
+  LeadMerge,
+  ChatSession,
+  Drawing,
+  DrawingEntry,
+  EmailEvent
+} = require('../models');
+const logger = require('../utils/logger');
+const enrichmentService = require('./enrichmentService');
+const { ValidationError } = require('../utils/errors');
+const {
+  normalizeEmail,
+  emailKey,
+  emailDomain,
+  isFreeEmailDomain,
+  matchKeys,
+  matchReasons
+} = require('../utils/leadMatching');
+const { getAwardKey } = require('../config/drawingRules');
+const {
+  UPDATABLE_FIELDS,
+  MERGE_FILLED_FIELDS,
+  SORTABLE_FIELDS,
+  DATE_RANGES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_DUPLICATES
+} = require('../config/leads');
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+class LeadService {
+  /**
+   * Create a lead, open its history and enrich it from its email domain
+   */
+  async createLead(data) {
+    try {
+      const lead = await Lead.create(data);
+      await this.recordHistory(lead.id, 'created', { source: lead.source || null });
+      await enrichmentService.enrichLead(lead);
+
+      const duplicates = await this.matchDuplicates(lead);
+      if (duplicates.length > 0) {
+        logger.info(`Lead ${lead.id} looks like an existing lead`, {
+          duplicates: duplicates.map(({ lead: match, reasons }) => ({ id: match.id, reasons }))
+        });
+      }
+
+      return lead;
+    } catch (error) {
+      logger.error('Error creating lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the lead an email address belongs to: the same address, the same
+   * address written differently (case, spaces, +tag, Gmail dots), or an
+   * address whose lead was merged into another
+   */
+  async findByEmail(email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) {
+      return null;
+    }
+
+    const lead = await Lead.findOne({ where: { email: normalized } });
+    if (lead) {
+      return lead;
+    }
+
+    const key = emailKey(normalized);
+    if (key) {
+      const alias = await Lead.findOne({
+        where: { emailKey: key },
+        order: [['createdAt', 'ASC']]
+      });
+      if (alias) {
+        return alias;
+      }
+    }
+
+    const merge = await LeadMerge.findOne({
+      where: { mergedEmail: normalized },
+      order: [['createdAt', 'DESC']]
+    });
+    return merge ? Lead.findByPk(merge.leadId) : null;
+  }
+
+  /**
+   * Get the lead for an email address, creating it when there is none
+   * @returns {Promise<{lead: Lead, created: boolean}>}
+   */
+  async captureLead(data) {
+    const existing = await this.findByEmail(data.email);
+    if (existing) {
+      return { lead: existing, created: false };
+    }
+
+    return { lead: await this.createLead(data), created: true };
+  }
+
+  /**
+   * List leads with pagination, filtering and sorting
+   */
+  async listLeads(query = {}) {
+    try {
+      const page = Math.max(1, parseInt(query.page, 10) || 1);
+      const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+      const sortBy = SORTABLE_FIELDS.includes(query.sortBy) ? query.sortBy : 'createdAt';
+      const sortOrder = String(query.sortOrder).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+      const where = this.buildFilters(query);
+
+      const { count, rows } = await Lead.findAndCountAll({
+        where,
+        order: [[sortBy, sortOrder]],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return {
+        leads: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate list query parameters into a Sequelize where clause
+   */
+  buildFilters(query = {}) {
+    const where = {};
+
+    if (query.status && query.status !== 'all') {
+      where.status = query.status;
+    }
+
+    const qualified = query.qualified ?? query.isQualified;
+    if (qualified !== undefined && qualified !== null && qualified !== '' && qualified !== 'all') {
+      where.qualified = qualified === true || qualified === 'true';
+    }
+
+    if (query.source && query.source !== 'all') {
+      where.source = query.source;
+    }
+
+    const createdAt = {};
+    if (query.dateRange && DATE_RANGES[query.dateRange]) {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - DATE_RANGES[query.dateRange]);
+      createdAt[Op.gte] = cutoff;
+    }
+    if (query.startDate && !isNaN(Date.parse(query.startDate))) {
+      createdAt[Op.gte] = new Date(query.startDate);
+    }
+    if (query.endDate && !isNaN(Date.parse(query.endDate))) {
+      createdAt[Op.lte] = new Date(query.endDate);
+    }
+    if (Object.getOwnPropertySymbols(createdAt).length > 0) {
+      where.createdAt = createdAt;
+    }
+
+    if (query.search) {
+      const term = `%${query.search}%`;
+      where[Op.or] = [
+        { email: { [Op.like]: term } },
+        { name: { [Op.like]: term } },
+        { company: { [Op.like]: term } }
+      ];
+    }
+
+    return where;
+  }
+
+  /**
+   * Find a lead by id or email, including related records
+   */
+  async findLead(identifier, include = []) {
+    const options = { include };
+
+    if (validator.isUUID(String(identifier))) {
+      return Lead.findByPk(identifier, options);
+    }
+
+    return Lead.findOne({
+      ...options,
+      where: { email: String(identifier).trim().toLowerCase() }
+    });
+  }
+
+  /**
+   * Get a lead with its chat sessions and notes
+   */
+  async getLeadDetails(identifier) {
+    return this.findLead(identifier, [
+      { model: ChatSession, as: 'chatSessions' },
+      { model: LeadNote, as: 'notes' }
+    ]);
+  }
+
+  /**
+   * Update whitelisted fields on a lead and record the change
+   */
+  async updateLead(id, updates, changedBy = null) {
+    try {
+      const lead = await this.findLead(id);
+      if (!lead) {
+        return null;
+      }
+
+      const changes = {};
+      for (const field of UPDATABLE_FIELDS) {
+        if (updates[field] === undefined) continue;
+
+        const from = lead.get(field);
+        const to = updates[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes[field] = { from, to };
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return lead;
+      }
+
+      Object.keys(changes).forEach(field => {
+        lead.set(field, changes[field].to);
+      });
+      await lead.save();
+
+      await this.recordHistory(lead.id, 'updated', changes, changedBy);
+
+      logger.info(`Lead updated: ${lead.id}`, { fields: Object.keys(changes) });
+      return lead;
+    } catch (error) {
+      logger.error('Error updating lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a lead along with its notes, history, merge records and entries in
+   * drawings not yet drawn. Its chat sessions and email events are kept for
+   * analytics, detached from the lead.
+   * @throws {ValidationError} When the lead won a drawing or has entries in a completed one
+   */
+  async deleteLead(id) {
+    try {
+      const lead = await this.findLead(id);
+      if (!lead) {
+        return false;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const drawnEntries = await DrawingEntry.count({
+          where: { leadId: lead.id },
+          include: [{ model: Drawing, as: 'drawing', where: { status: 'completed' } }],
+          transaction
+        });
+        const wins = await Drawing.count({ where: { winnerId: lead.id }, transaction });
+        if (wins > 0 || drawnEntries > 0) {
+          const message = 'A lead that won a drawing or has entries in a completed drawing cannot be deleted';
+          throw new ValidationError(message, [{ location: 'params', path: 'id', message }]);
+        }
+
+        const owned = { where: { leadId: lead.id }, transaction };
+        await DrawingEntry.destroy(owned);
+        await ChatSession.update({ lead_id: null }, { where: { lead_id: lead.id }, transaction });
+        await EmailEvent.update({ leadId: null }, owned);
+        await LeadNote.destroy(owned);
+        await LeadHistory.destroy(owned);
+        await LeadMerge.destroy(owned);
+        await lead.destroy({ transaction });
+      });
+
+      logger.info(`Lead deleted: ${lead.id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a note to a lead
+   */
+  async addNote(id, { content, author }) {
+    try {
+      const lead = await this.findLead(id);
+      if (!lead) {
+        return null;
+      }
+
+      const note = await LeadNote.create({
+        leadId: lead.id,
+        content,
+        author: author || null
+      });
+
+      await this.recordHistory(lead.id, 'note_added', { noteId: note.id }, author);
+
+      return this.getLeadDetails(lead.id);
+    } catch (error) {
+      logger.error('Error adding lead note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Manually mark a lead as qualified
+   */
+  async qualifyLead(id, { score, reason, qualifiedBy } = {}) {
+    try {
+      const lead = await this.findLead(id);
+      if (!lead) {
+        return null;
+      }
+
+      const changes = {
+        qualified: { from: lead.qualified, to: true },
+        status: { from: lead.status, to: 'qualified' }
+      };
+
+      lead.qualified = true;
+      lead.status = 'qualified';
+
+      if (score !== undefined && score !== null) {
+        changes.qualificationScore = { from: lead.qualificationScore, to: Number(score) };
+        lead.qualificationScore = Number(score);
+      }
+
+      await lead.save();
+
+      await this.recordHistory(lead.id, 'qualified', { ...changes, reason: reason || null }, qualifiedBy);
+
+      logger.info(`Lead manually qualified: ${lead.id}`);
+      return lead;
+    } catch (error) {
+      logger.error('Error qualifying lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List leads that look like the same person as a lead
+   * @returns {Promise<Array<{lead: Lead, reasons: string[]}>|null>} Null when the lead is missing
+   */
+  async findDuplicates(id) {
+    const lead = await this.findLead(id);
+    if (!lead) {
+      return null;
+    }
+
+    return this.matchDuplicates(lead);
+  }
+
+  /**
+   * Query other leads sharing the lead's email key or phone key, or its name
+   * at the same organization domain
+   */
+  async matchDuplicates(lead) {
+    const keys = matchKeys(lead);
+    const conditions = [];
+
+    if (keys.emailKey) {
+      conditions.push({ emailKey: keys.emailKey });
+    }
+    if (keys.phoneKey) {
+      conditions.push({ phoneKey: keys.phoneKey });
+    }
+
+    const domain = emailDomain(keys.emailKey);
+    if (keys.nameKey && domain && !isFreeEmailDomain(domain)) {
+      conditions.push({ nameKey: keys.nameKey, emailKey: { [Op.like]: `%@${domain}` } });
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const candidates = await Lead.findAll({
+      where: { id: { [Op.ne]: lead.id }, [Op.or]: conditions },
+      order: [['createdAt', 'ASC']],
+      limit: MAX_DUPLICATES
+    });
+
+    return candidates
+      .map(candidate => ({ lead: candidate, reasons: matchReasons(lead, candidate) }))
+      .filter(({ reasons }) => reasons.length > 0);
+  }
+
+  /**
+   * Merge a duplicate into a lead. Chat sessions, drawing entries, notes,
+   * history and email events move to the lead, blank fields are filled from
+   * the duplicate, and the duplicate is deleted. A LeadMerge record keeps a
+   * snapshot of the duplicate and the merge is added to the lead's history.
+   * @returns {Promise<Lead|null>} The merged lead, or null when either lead is missing
+   */
+  async mergeLeads(id, duplicateId, mergedBy = null) {
+    try {
+      const [lead, duplicate] = await Promise.all([this.findLead(id), this.findLead(duplicateId)]);
+      if (!lead || !duplicate) {
+        return null;
+      }
+
+      if (lead.id === duplicate.id) {
+        const message = 'A lead cannot be merged into itself';
+        throw new ValidationError(message, [{ location: 'body', path: 'duplicateId', message }]);
+      }
+
+      const snapshot = duplicate.toJSON();
+      const changes = this.mergeFields(lead, duplicate);
+
+      await sequelize.transaction(async (transaction) => {
+        const owned = { where: { leadId: duplicate.id }, transaction };
+        const [chatSessions] = await ChatSession.update(
+          { lead_id: lead.id },
+          { where: { lead_id: duplicate.id }, transaction }
+        );
+        const drawingEntries = await this.moveDrawingEntries(lead, duplicate, transaction);
+        const [notes] = await LeadNote.update({ leadId: lead.id }, owned);
+        const [history] = await LeadHistory.update({ leadId: lead.id }, owned);
+        const [emailEvents] = await EmailEvent.update({ leadId: lead.id }, owned);
+        const moved = { chatSessions, ...drawingEntries, notes, history, emailEvents };
+
+        // Earlier merges into the duplicate now belong to the lead as well
+        await LeadMerge.update({ leadId: lead.id }, owned);
+        await Drawing.update({ winnerId: lead.id }, { where: { winnerId: duplicate.id }, transaction });
+
+        await duplicate.destroy({ transaction });
+        if (Object.keys(changes).length > 0) {
+          await lead.save({ transaction });
+        }
+
+        await LeadMerge.create({
+          leadId: lead.id,
+          mergedLeadId: duplicate.id,
+          mergedEmail: duplicate.email,
+          snapshot,
+          moved,
+          mergedBy
+        }, { transaction });
+
+        await LeadHistory.create({
+          leadId: lead.id,
+          action: 'merged',
+          changes: { mergedLeadId: duplicate.id, mergedEmail: duplicate.email, fields: changes, moved },
+          changedBy: mergedBy
+        }, { transaction });
+      });
+
+      logger.info(`Lead ${duplicate.id} merged into ${lead.id}`, { by: mergedBy });
+      return this.getLeadDetails(lead.id);
+    } catch (error) {
+      logger.error('Error merging leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine a duplicate's fields into a lead without saving
+   * @returns {Object} Changes as { field: { from, to } }
+   */
+  mergeFields(lead, duplicate) {
+    const updates = {};
+
+    for (const field of MERGE_FILLED_FIELDS) {
+      if (isBlank(lead.get(field)) && !isBlank(duplicate.get(field))) {
+        updates[field] = duplicate.get(field);
+      }
+    }
+
+    if (duplicate.qualified && !lead.qualified) {
+      updates.qualified = true;
+    }
+    if (duplicate.qualificationScore > lead.qualificationScore) {
+      updates.qualificationScore = duplicate.qualificationScore;
+    }
+    if (duplicate.meetingScheduled && !lead.meetingScheduled) {
+      updates.meetingScheduled = true;
+    }
+    if (lead.status === 'new' && duplicate.status !== 'new') {
+      updates.status = duplicate.status;
+    }
+
+    // The lead's own metadata wins over the duplicate's
+    const metadata = { ...(duplicate.metadata || {}), ...(lead.metadata || {}) };
+    if (JSON.stringify(metadata) !== JSON.stringify(lead.metadata || {})) {
+      updates.metadata = metadata;
+    }
+
+    const changes = {};
+    for (const [field, to] of Object.entries(updates)) {
+      changes[field] = { from: lead.get(field), to };
+      lead.set(field, to);
+    }
+    return changes;
+  }
+
+  /**
+   * Move a duplicate's drawing entries to a lead. In drawings not yet drawn,
+   * awards the lead already holds are removed so one person is not entered
+   * twice; drawn drawings keep every entry so they still verify.
+   * @returns {Promise<{drawingEntries: number, removedDrawingEntries: string[]}>}
+   */
+  async moveDrawingEntries(lead, duplicate, transaction) {
+    const entries = await DrawingEntry.findAll({
+      where: { leadId: { [Op.in]: [lead.id, duplicate.id] } },
+      include: [{ model: Drawing, as: 'drawing', attributes: ['status'] }],
+      transaction
+    });
+
+    const awardKey = (entry) => `${entry.drawingId}:${getAwardKey(entry.entryType, entry.reference)}`;
+    const held = new Set(entries.filter(entry => entry.leadId === lead.id).map(awardKey));
+
+    const removed = [];
+    let movedCount = 0;
+    for (const entry of entries.filter(entry => entry.leadId === duplicate.id)) {
+      if (!held.has(awardKey(entry))) {
+        await entry.update({ leadId: lead.id }, { transaction });
+        movedCount += 1;
+      } else if (entry.drawing?.status !== 'completed') {
+        removed.push(entry.entryNumber);
+        await entry.destroy({ transaction });
+      } else {
+        // Drawn entries stay as history, without the key that makes an award unique
+        await entry.update({ leadId: lead.id, awardKey: null }, { transaction });
+        movedCount += 1;
+      }
+    }
+
+    return { drawingEntries: movedCount, removedDrawingEntries: removed };
+  }
+
+  /**
+   * Store match keys on leads saved before duplicate detection existed
+   * @returns {Promise<number>} Leads updated
+   */
+  async backfillMatchKeys() {
+    const leads = await Lead.findAll({ where: { emailKey: null } });
+
+    for (const lead of leads) {
+      await lead.update(matchKeys(lead));
+    }
+
+    if (leads.length > 0) {
+      logger.info(`Stored duplicate match keys for ${leads.length} leads`);
+    }
+    return leads.length;
+  }
+
+  /**
+   * Get the change history for a lead, newest first
+   */
+  async getHistory(id) {
+    const lead = await this.findLead(id);
+    if (!lead) {
+      return null;
+    }
+
+    return LeadHistory.findAll({
+      where: { leadId: lead.id },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Append an entry to a lead's history
+   */
+  async recordHistory(leadId, action, changes = {}, changedBy = null) {
+    return LeadHistory.create({
+      leadId,
+      action,
+      changes,
+      changedBy: changedBy || null
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new LeadService();
@@ -0,0 +1,29 @@
+// Azure OpenAI Provider
+// Chat completions through an Azure OpenAI deployment
+
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({ endpoint, apiKey, deployment, apiVersion, client } = {}) {
+    if (!client && (!endpoint || !deployment)) {
+      throw new Error('Azure OpenAI requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+    }
+
+    super({
+      // Azure routes by deployment, which also names the model
+      model: deployment,
+      client: client || new AzureOpenAI({ endpoint, apiKey, deployment, apiVersion })
+    });
+    this.name = 'azure';
+  }
+
+  /**
+   * The client is bound to the chat deployment, so it cannot reach an embeddings one
+   */
+  async embed() {
+    throw new Error('Azure OpenAI embeddings are not supported; set KNOWLEDGE_EMBEDDINGS=local');
+  }
+}
+
+module.exports = AzureOpenAIProvider;
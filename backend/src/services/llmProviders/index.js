@@ -0,0 +1,36 @@
+// LLM Providers
+// Factory for the language models chatService generates responses with
+
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+const { LLM_MODEL, AZURE_OPENAI, OPENAI_COMPATIBLE, LLM_MOCK } = require('../../config/llm');
+
+/**
+ * Create a provider by name
+ * @param {string} name - openai, azure, openai-compatible or mock
+ * @param {Object} config - Environment config (for the OpenAI API key)
+ */
+function createProvider(name, config = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: config.OPENAI_API_KEY, model: LLM_MODEL });
+    case 'azure':
+      return new AzureOpenAIProvider(AZURE_OPENAI);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ ...OPENAI_COMPATIBLE, model: LLM_MODEL });
+    case 'mock':
+      return new MockProvider(LLM_MOCK);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
@@ -0,0 +1,112 @@
+// Mock Provider
+// Deterministic scripted model that replays canned conversations from JSON fixtures,
+// so tests and offline development run the real conversation flow without an API
+
+const fs = require('fs');
+const path = require('path');
+const { embedText } = require('../../utils/hashEmbedding');
+
+/**
+ * A scenario fixture is <fixtureDir>/<scenario>.json:
+ *   turns       - replies in order; the Nth user message gets turns[N]
+ *   responses   - { match, reply } rules checked first against the latest user message
+ *                 (match is a case-insensitive regular expression)
+ *   extractions - { match, result } rules for extract(); nothing is extracted otherwise
+ *   fallback    - reply once the script runs out
+ *   summary     - executive summary text
+ */
+class MockProvider {
+  constructor({ fixtureDir, scenario = 'default', chunkDelayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.fixtureDir = fixtureDir;
+    this.chunkDelayMs = chunkDelayMs;
+    this.scenarios = new Map();
+    this.setScenario(scenario);
+  }
+
+  /**
+   * Switch to another scenario; throws when its fixture does not exist
+   */
+  setScenario(name) {
+    this.scenario = this.loadScenario(name);
+  }
+
+  loadScenario(name) {
+    if (!this.scenarios.has(name)) {
+      const file = path.join(this.fixtureDir, `${path.basename(name)}.json`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Unknown mock LLM scenario: ${name}`);
+      }
+      this.scenarios.set(name, { name, ...JSON.parse(fs.readFileSync(file, 'utf8')) });
+    }
+    return this.scenarios.get(name);
+  }
+
+  /**
+   * Pick the scripted reply for a conversation
+   */
+  reply(messages) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const latest = userMessages[userMessages.length - 1]?.content || '';
+    const { turns = [], responses = [], fallback = '' } = this.scenario;
+
+    const rule = responses.find(response => new RegExp(response.match, 'i').test(latest));
+    if (rule) {
+      return rule.reply;
+    }
+
+    return turns[userMessages.length - 1] ?? fallback;
+  }
+
+  async complete(messages, { signal } = {}) {
+    this.throwIfAborted(signal);
+    return this.reply(messages);
+  }
+
+  /**
+   * Stream the scripted reply a word at a time
+   */
+  async *stream(messages, { signal } = {}) {
+    const words = this.reply(messages).match(/\S+\s*/g) || [];
+
+    for (const word of words) {
+      // Give the event loop a turn so cancellation can land mid-stream
+      await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      this.throwIfAborted(signal);
+      yield word;
+    }
+  }
+
+  async extract(messages, { signal } = {}) {
+    this.throwIfAborted(signal);
+
+    const latest = messages.filter(message => message.role === 'user').pop()?.content || '';
+    const rule = (this.scenario.extractions || [])
+      .find(extraction => new RegExp(extraction.match, 'i').test(latest));
+
+    return rule ? rule.result : {};
+  }
+
+  /**
+   * Deterministic word-hash vectors, so retrieval tests rank passages predictably
+   */
+  async embed(texts, { signal } = {}) {
+    this.throwIfAborted(signal);
+    return texts.map(text => embedText(text));
+  }
+
+  async summarize(messages, { signal } = {}) {
+    this.throwIfAborted(signal);
+    return this.scenario.summary || this.scenario.fallback || '';
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+}
+
+module.exports = MockProvider;
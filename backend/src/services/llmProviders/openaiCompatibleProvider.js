@@ -0,0 +1,19 @@
+// OpenAI-Compatible Provider
+// Chat completions from a local or self-hosted server speaking the OpenAI API,
+// such as Ollama (http://localhost:11434/v1) or llama.cpp's server
+
+const OpenAIProvider = require('./openaiProvider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ baseURL, apiKey, model, client } = {}) {
+    if (!client && !baseURL) {
+      throw new Error('OpenAI-compatible provider requires LLM_BASE_URL');
+    }
+
+    // Local servers usually ignore the key, but the client refuses to start without one
+    super({ baseURL, apiKey: apiKey || 'not-needed', model, client });
+    this.name = 'openai-compatible';
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,97 @@
+// OpenAI Provider
+// Chat completions through the OpenAI API; the base for Azure and OpenAI-compatible servers
+
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  constructor({ apiKey, baseURL, model, client } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = client || new OpenAI({ apiKey, baseURL });
+  }
+
+  buildParams(messages, { temperature, maxTokens }) {
+    return {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object} options - temperature, maxTokens, signal
+   * @returns {string} Response text
+   */
+  async complete(messages, { signal, ...options } = {}) {
+    const completion = await this.client.chat.completions.create(
+      this.buildParams(messages, options),
+      signal ? { signal } : undefined
+    );
+
+    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Stream a response, yielding text deltas as they arrive
+   * Aborting the signal stops the request and rejects
+   */
+  async *stream(messages, { signal, ...options } = {}) {
+    const stream = await this.client.chat.completions.create(
+      { ...this.buildParams(messages, options), stream: true },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  /**
+   * Extract structured data by forcing a call to a single function
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object} options - name, description and JSON schema of the function, signal
+   * @returns {Object|null} Parsed function arguments, or null when the model did not call it
+   */
+  async extract(messages, { name, description, schema, signal } = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature: 0,
+      tools: [{ type: 'function', function: { name, description, parameters: schema } }],
+      tool_choice: { type: 'function', function: { name } }
+    }, signal ? { signal } : undefined);
+
+    const call = completion.choices[0].message.tool_calls?.[0];
+    return call ? JSON.parse(call.function.arguments) : null;
+  }
+
+  /**
+   * Embed texts for knowledge base retrieval
+   * @param {string[]} texts
+   * @param {Object} options - embedding model, signal
+   * @returns {number[][]} One vector per text, in order
+   */
+  async embed(texts, { model, signal } = {}) {
+    const response = await this.client.embeddings.create(
+      { model, input: texts },
+      signal ? { signal } : undefined
+    );
+
+    return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  /**
+   * Generate an executive summary; longer and less creative than chat replies
+   */
+  async summarize(messages, options = {}) {
+    return this.complete(messages, { temperature: 0.7, maxTokens: 800, ...options });
+  }
+}
+
+module.exports = OpenAIProvider;
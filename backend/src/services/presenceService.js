@@ -0,0 +1,96 @@
+// Presence Service
+// Which chat sessions have a visitor connected, across every backend instance.
+// Entries expire unless the owning instance refreshes them, so a crashed
+// instance's visitors drop out on their own.
+
+const os = require('os');
+const { getRedisClient, redisKey } = require('../utils/redis');
+const { PRESENCE_TTL_SECONDS } = require('../config/redis');
+
+class PresenceService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.ttlSeconds = PRESENCE_TTL_SECONDS;
+  }
+
+  get redis() {
+    return getRedisClient();
+  }
+
+  sessionKey(sessionId) {
+    return redisKey('presence', 'session', sessionId);
+  }
+
+  get indexKey() {
+    return redisKey('presence', 'sessions');
+  }
+
+  /**
+   * Mark a session online
+   * @param {Object} info - socketId plus details shown in the agent console
+   */
+  async join(sessionId, info = {}) {
+    const entry = {
+      ...info,
+      sessionId,
+      instanceId: this.instanceId,
+      connectedAt: new Date().toISOString()
+    };
+
+    await this.redis.set(this.sessionKey(sessionId), JSON.stringify(entry), { EX: this.ttlSeconds });
+    await this.redis.sAdd(this.indexKey, sessionId);
+    return entry;
+  }
+
+  /**
+   * Keep a connected session from expiring
+   */
+  async refresh(sessionId) {
+    return this.redis.expire(this.sessionKey(sessionId), this.ttlSeconds);
+  }
+
+  /**
+   * Mark a session offline, unless it has since reconnected on another socket
+   * @returns {boolean} Whether the entry was removed
+   */
+  async leave(sessionId, socketId) {
+    const entry = await this.get(sessionId);
+    if (entry && socketId && entry.socketId !== socketId) {
+      return false;
+    }
+
+    await this.redis.del(this.sessionKey(sessionId));
+    await this.redis.sRem(this.indexKey, sessionId);
+    return true;
+  }
+
+  async get(sessionId) {
+    const value = await this.redis.get(this.sessionKey(sessionId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async isOnline(sessionId) {
+    return Boolean(await this.get(sessionId));
+  }
+
+  /**
+   * Every online session, pruning index entries whose presence expired
+   */
+  async list() {
+    const sessionIds = await this.redis.sMembers(this.indexKey);
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const values = await this.redis.mGet(sessionIds.map(sessionId => this.sessionKey(sessionId)));
+    const expired = sessionIds.filter((sessionId, i) => !values[i]);
+    if (expired.length > 0) {
+      await this.redis.sRem(this.indexKey, expired);
+    }
+
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+}
+
+// Export singleton instance
+module.exports = new PresenceService();
@@ -1,9 +1,21 @@
 const logger = require('../utils/logger');
+const experimentService = require('./experimentService');
+const { getRedisClient, redisKey } = require('../utils/redis');
+const { QUICK_REPLY_SESSION_TTL_SECONDS } = require('../config/redis');
+
+// Redis hash of selection counts per reply, across every session
+const USAGE_KEY = redisKey('quick_replies', 'usage');
+
+// Redis hash of totals: sessions using quick replies, distinct replies per
+// session summed, and sessions that used more than three
+const STATS_KEY = redisKey('quick_replies', 'stats');
+
+// Replies one session selected, expiring with the session
+const sessionUsageKey = sessionId => redisKey('quick_replies', 'session', sessionId);
 
 class QuickReplyService {
   constructor() {
     this.replyTemplates = this.initializeTemplates();
-    this.replyUsage = new Map();
   }
 
   /**
@@ -89,6 +101,12 @@ class QuickReplyService {
         return this.replyTemplates.default;
       }
 
+      // Experiment variants may replace the replies for a topic
+      const experimentReplies = experimentService.getSessionOverrides(session).quickReplies[topic];
+      if (experimentReplies) {
+        return experimentReplies.slice(0, 5);
+      }
+
       const orgType = session?.state?.collected?.organizationType;
 
       // Handle business needs with organization-specific options
@@ -363,7 +381,9 @@ class QuickReplyService {
    */
   handleQuickReplySelection(session, reply) {
     // Track usage
-    this.trackReplyUsage(session.sessionId, reply);
+    this.trackReplyUsage(session.sessionId, reply).catch((error) => {
+      logger.error('Failed to track quick reply usage:', error);
+    });
 
     // Get and return action
     return this.getReplyAction(reply);
@@ -372,58 +392,62 @@ class QuickReplyService {
   /**
    * Track reply usage for analytics
    */
-  trackReplyUsage(sessionId, reply) {
-    const key = `${sessionId}:${reply}`;
-    const count = this.replyUsage.get(key) || 0;
-    this.replyUsage.set(key, count + 1);
+  async trackReplyUsage(sessionId, reply) {
+    const redis = getRedisClient();
+    const sessionKey = sessionUsageKey(sessionId);
+
+    const count = await redis.hIncrBy(sessionKey, reply, 1);
+    await redis.expire(sessionKey, QUICK_REPLY_SESSION_TTL_SECONDS);
+    await redis.hIncrBy(USAGE_KEY, reply, 1);
+
+    // The totals count each reply once per session
+    if (count === 1) {
+      const distinctReplies = await redis.hLen(sessionKey);
+      await redis.hIncrBy(STATS_KEY, 'replies', 1);
+      if (distinctReplies === 1) {
+        await redis.hIncrBy(STATS_KEY, 'sessions', 1);
+      } else if (distinctReplies === 4) {
+        await redis.hIncrBy(STATS_KEY, 'engagedSessions', 1);
+      }
+    }
 
     // Log for analytics
     logger.info('Quick reply selected', {
       sessionId,
       reply,
-      count: count + 1
+      count
     });
   }
 
   /**
    * Get reply analytics
    */
-  getReplyAnalytics() {
+  async getReplyAnalytics() {
     const analytics = {
       mostUsed: [],
       conversionRate: 0,
       avgRepliesPerSession: 0
     };
 
-    // Calculate most used replies
-    const replyCounts = new Map();
-    for (const [key, count] of this.replyUsage) {
-      const reply = key.split(':')[1];
-      replyCounts.set(reply, (replyCounts.get(reply) || 0) + count);
-    }
+    const redis = getRedisClient();
+    const usage = await redis.hGetAll(USAGE_KEY);
+    const stats = await redis.hGetAll(STATS_KEY);
 
     // Sort by usage
-    analytics.mostUsed = Array.from(replyCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([reply, count]) => ({ reply, count }));
+    analytics.mostUsed = Object.entries(usage)
+      .map(([reply, count]) => ({ reply, count: parseInt(count, 10) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
 
     // Calculate average replies per session
-    const sessionReplies = new Map();
-    for (const key of this.replyUsage.keys()) {
-      const sessionId = key.split(':')[0];
-      sessionReplies.set(sessionId, (sessionReplies.get(sessionId) || 0) + 1);
-    }
-
-    if (sessionReplies.size > 0) {
-      const totalReplies = Array.from(sessionReplies.values()).reduce((a, b) => a + b, 0);
-      analytics.avgRepliesPerSession = totalReplies / sessionReplies.size;
+    const sessions = parseInt(stats.sessions, 10) || 0;
+    if (sessions > 0) {
+      analytics.avgRepliesPerSession = (parseInt(stats.replies, 10) || 0) / sessions;
     }
 
     // Estimate conversion rate (sessions with > 3 replies)
-    const engagedSessions = Array.from(sessionReplies.values()).filter(count => count > 3).length;
-    analytics.conversionRate = sessionReplies.size > 0 
-      ? (engagedSessions / sessionReplies.size) * 100 
+    analytics.conversionRate = sessions > 0
+      ? ((parseInt(stats.engagedSessions, 10) || 0) / sessions) * 100
       : 0;
 
     return analytics;
@@ -0,0 +1,57 @@
+// Rate Limiter
+// Fixed-window request counting in Redis, so every instance enforces the same limit
+
+const { getRedisClient, redisKey } = require('../utils/redis');
+
+class RateLimiter {
+  /**
+   * @param {Object} options - name (key namespace), limit per window, windowMs,
+   *   client (defaults to the shared Redis client)
+   */
+  constructor({ name, limit, windowMs, client = null }) {
+    this.name = name;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.client = client;
+  }
+
+  get redis() {
+    return this.client || getRedisClient();
+  }
+
+  key(id) {
+    return redisKey('ratelimit', this.name, id);
+  }
+
+  /**
+   * Count a request
+   * @returns {Object} { limited, count, retryAfterMs }
+   */
+  async hit(id) {
+    const key = this.key(id);
+
+    // The window starts with the first request; INCR keeps the expiry SET gave the key
+    await this.redis.set(key, 0, { PX: this.windowMs, NX: true });
+    const count = await this.redis.incr(key);
+
+    if (count <= this.limit) {
+      return { limited: false, count, retryAfterMs: 0 };
+    }
+    const ttl = await this.redis.pTTL(key);
+    return { limited: true, count, retryAfterMs: Math.max(ttl, 0) };
+  }
+
+  /**
+   * Whether the next request would be over the limit, without counting one
+   */
+  async isLimited(id) {
+    const count = parseInt(await this.redis.get(this.key(id)), 10) || 0;
+    return count >= this.limit;
+  }
+
+  async reset(id) {
+    await this.redis.del(this.key(id));
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,209 @@
+const os = require('os');
+const cron = require('node-cron');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { JobRun, JobLock } = require('../models');
+const drawingService = require('./drawingService');
+const logger = require('../utils/logger');
+const {
+  SCHEDULER_TIMEZONE,
+  JOB_LOCK_TTL_MS,
+  SCHEDULED_DRAWING_TYPES,
+  JOB_SCHEDULES
+} = require('../config/scheduler');
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.tasks = [];
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a job to run on a cron schedule
+   */
+  register(name, schedule, handler, { lockTtlMs = JOB_LOCK_TTL_MS } = {}) {
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+    }
+
+    this.jobs.set(name, { name, schedule, handler, lockTtlMs });
+  }
+
+  /**
+   * Register the drawing lifecycle jobs
+   */
+  registerDefaultJobs() {
+    this.register('drawings:open', JOB_SCHEDULES['drawings:open'], async () => {
+      const opened = [];
+      for (const type of SCHEDULED_DRAWING_TYPES) {
+        const drawing = await drawingService.openPeriodDrawing(type);
+        opened.push(drawing.id);
+      }
+      return { drawings: opened };
+    });
+
+    this.register('drawings:activate', JOB_SCHEDULES['drawings:activate'], () =>
+      drawingService.activateScheduledDrawings()
+    );
+
+    this.register('drawings:auto-enter', JOB_SCHEDULES['drawings:auto-enter'], () =>
+      drawingService.autoEnterEligibleLeads()
+    );
+
+    this.register('drawings:close', JOB_SCHEDULES['drawings:close'], async () => {
+      const { closed } = await drawingService.closeExpiredDrawings();
+      const { drawn, cancelled } = await drawingService.drawClosedDrawings();
+      return { closed, drawn, cancelled };
+    });
+  }
+
+  /**
+   * Start running all registered jobs on their schedules
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      const task = cron.schedule(job.schedule, () => {
+        this.runJob(job.name).catch(error => {
+          logger.error(`Scheduled job ${job.name} could not run:`, error);
+        });
+      }, { timezone: SCHEDULER_TIMEZONE });
+
+      this.tasks.push(task);
+    }
+
+    logger.info(`Scheduler started with ${this.jobs.size} jobs on instance ${this.instanceId}`);
+  }
+
+  /**
+   * Stop all scheduled tasks
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * Run a job once under its lock and record the run
+   * Returns the JobRun; runs that could not take the lock are recorded as skipped
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const startedAt = new Date();
+
+    if (!(await this.acquireLock(name, job.lockTtlMs))) {
+      logger.info(`Skipping job ${name}: locked by another instance`);
+      return JobRun.create({
+        jobName: name,
+        status: 'skipped',
+        instanceId: this.instanceId,
+        startedAt,
+        finishedAt: startedAt,
+        durationMs: 0,
+        result: { reason: 'locked' }
+      });
+    }
+
+    const run = await JobRun.create({
+      jobName: name,
+      status: 'running',
+      instanceId: this.instanceId,
+      startedAt
+    });
+
+    try {
+      const result = await job.handler();
+      const finishedAt = new Date();
+
+      await run.update({
+        status: 'succeeded',
+        result: result || null,
+        finishedAt,
+        durationMs: finishedAt - startedAt
+      });
+
+      logger.info(`Job ${name} succeeded in ${run.durationMs}ms`);
+    } catch (error) {
+      const finishedAt = new Date();
+
+      await run.update({
+        status: 'failed',
+        error: error.message,
+        finishedAt,
+        durationMs: finishedAt - startedAt
+      });
+
+      logger.error(`Job ${name} failed:`, error);
+    } finally {
+      await this.releaseLock(name);
+    }
+
+    return run;
+  }
+
+  /**
+   * Take the lease for a job if it is free or has expired
+   * The conditional update is atomic, so only one instance can win
+   */
+  async acquireLock(name, ttlMs = JOB_LOCK_TTL_MS) {
+    const now = new Date();
+
+    try {
+      await JobLock.findOrCreate({ where: { name } });
+    } catch (error) {
+      // Another instance created the row first
+      if (!(error instanceof UniqueConstraintError)) {
+        throw error;
+      }
+    }
+
+    const [updated] = await JobLock.update({
+      lockedBy: this.instanceId,
+      lockedUntil: new Date(now.getTime() + ttlMs)
+    }, {
+      where: {
+        name,
+        [Op.or]: [
+          { lockedUntil: null },
+          { lockedUntil: { [Op.lt]: now } }
+        ]
+      }
+    });
+
+    return updated === 1;
+  }
+
+  /**
+   * Release a lock held by this instance
+   */
+  async releaseLock(name) {
+    await JobLock.update({
+      lockedBy: null,
+      lockedUntil: null
+    }, {
+      where: { name, lockedBy: this.instanceId }
+    });
+  }
+
+  /**
+   * Get recent job runs, newest first
+   */
+  async getRecentRuns({ jobName, limit = 50 } = {}) {
+    const where = {};
+    if (jobName) {
+      where.jobName = jobName;
+    }
+
+    return JobRun.findAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulerService();
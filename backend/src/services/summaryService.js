@@ -1,4 +1,5 @@
 const emailService = require('./emailService');
+const emailTemplateService = require('./emailTemplateService');
 const logger = require('../utils/logger');
 
 class SummaryService {
@@ -58,32 +59,18 @@ class SummaryService {
       // Get appropriate template
       const template = this.getTemplate(collected.organizationType);
 
-      // Generate HTML summary
-      const html = this.generateHTMLSummary({
+      // Render the executive_summary email template
+      const rendered = await emailTemplateService.render('executive_summary', this.buildSummaryView({
         session,
         collected,
         identifiedNeeds,
         recommendedServices,
-        metrics,
-        topics,
-        insights,
-        leadQuality,
-        nextActions,
-        template
-      });
-
-      // Generate plain text summary
-      const text = this.generateTextSummary({
-        session,
-        collected,
-        identifiedNeeds,
-        recommendedServices,
-        metrics,
-        topics,
         insights,
         leadQuality,
         nextActions,
         template
+      }), {
+        locale: session.metadata?.locale
       });
 
       // Prepare summary data
@@ -106,7 +93,12 @@ class SummaryService {
         insights
       };
 
-      return { html, text, data };
+      return {
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        data
+      };
 
     } catch (error) {
       logger.error('Error generating executive summary:', error);
@@ -115,15 +107,14 @@ class SummaryService {
   }
 
   /**
-   * Generate HTML formatted summary
+   * Build the variables for the executive_summary template
    */
-  generateHTMLSummary(params) {
+  buildSummaryView(params) {
     const {
       session,
       collected,
       identifiedNeeds,
       recommendedServices,
-      metrics,
       insights,
       leadQuality,
       nextActions,
@@ -131,160 +122,22 @@ class SummaryService {
     } = params;
 
     const lead = session.lead || {};
-    const organizationName = collected.organizationName || lead.organizationName || 'Your Organization';
-    const contactName = lead.name || 'Valued Client';
-
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 800px; margin: 0 auto; padding: 20px; }
-    h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
-    h2 { color: #34495e; margin-top: 30px; }
-    .highlight { background: #ecf0f1; padding: 15px; border-left: 4px solid #3498db; margin: 20px 0; }
-    .section { margin: 20px 0; }
-    .metric { display: inline-block; margin: 10px 20px 10px 0; }
-    .metric-value { font-size: 24px; font-weight: bold; color: #3498db; }
-    .metric-label { font-size: 14px; color: #7f8c8d; }
-    .service-item { background: #f8f9fa; padding: 15px; margin: 10px 0; border-radius: 5px; }
-    .service-name { font-weight: bold; color: #2c3e50; }
-    .next-step { padding: 10px; margin: 5px 0; background: #e8f4f8; border-left: 3px solid #3498db; }
-    .quality-indicator { display: inline-block; padding: 5px 15px; border-radius: 20px; font-weight: bold; }
-    .quality-high { background: #27ae60; color: white; }
-    .quality-medium { background: #f39c12; color: white; }
-    .quality-low { background: #e74c3c; color: white; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Executive Summary for ${organizationName}</h1>
-    
-    <div class="highlight">
-      <p><strong>Dear ${contactName},</strong></p>
-      <p>${template.greeting}</p>
-    </div>
-
-    <div class="section">
-      <h2>Organization Overview</h2>
-      <div class="metric">
-        <div class="metric-label">Organization Type</div>
-        <div class="metric-value">${this.formatOrganizationType(collected.organizationType)}</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">Timeline</div>
-        <div class="metric-value">${this.formatTimeline(collected.timeline)}</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">Budget Range</div>
-        <div class="metric-value">${this.formatBudget(collected.budget)}</div>
-      </div>
-      <div class="metric">
-        <div class="metric-label">Lead Quality</div>
-        <div class="quality-indicator quality-${leadQuality}">${leadQuality.toUpperCase()}</div>
-      </div>
-    </div>
-
-    <div class="section">
-      <h2>Identified Needs</h2>
-      ${identifiedNeeds.length > 0 ? `
-        <ul>
-          ${identifiedNeeds.map(need => `<li>${this.formatServiceName(need)}</li>`).join('')}
-        </ul>
-      ` : '<p>To be determined based on further discussion.</p>'}
-    </div>
-
-    <div class="section">
-      <h2>Recommended ServiceVision Solutions</h2>
-      ${recommendedServices.length > 0 ? recommendedServices.map(service => `
-        <div class="service-item">
-          <div class="service-name">${service.service}</div>
-          <div>${service.reason}</div>
-        </div>
-      `).join('') : '<p>We will recommend specific solutions after learning more about your needs.</p>'}
-    </div>
-
-    <div class="section">
-      <h2>Engagement Insights</h2>
-      <div class="highlight">
-        <p><strong>Urgency Level:</strong> ${insights.urgency}</p>
-        <p><strong>Budget Alignment:</strong> ${insights.budgetAlignment}</p>
-        <p><strong>Service Match:</strong> ${insights.serviceMatch}%</p>
-        <p><strong>Follow-up Priority:</strong> ${insights.followUpPriority}</p>
-      </div>
-    </div>
-
-    <div class="section">
-      <h2>Recommended Next Steps</h2>
-      ${nextActions.map(action => `
-        <div class="next-step">${action}</div>
-      `).join('')}
-    </div>
-
-    <div class="section">
-      <p>${template.closing}</p>
-      <p>Best regards,<br>
-      The ServiceVision Team<br>
-      <a href="mailto:info@servicevision.net">info@servicevision.net</a><br>
-      <a href="https://servicevision.net">servicevision.net</a></p>
-    </div>
-  </div>
-</body>
-</html>`;
-  }
 
-  /**
-   * Generate plain text summary
-   */
-  generateTextSummary(params) {
-    const {
-      session,
-      collected,
-      identifiedNeeds,
+    return {
+      contactName: lead.name,
+      greetingName: lead.name || 'Valued Client',
+      organizationName: collected.organizationName || lead.organizationName || 'Your Organization',
+      greeting: template.greeting,
+      closing: template.closing,
+      organizationType: this.formatOrganizationType(collected.organizationType),
+      timeline: this.formatTimeline(collected.timeline),
+      budget: this.formatBudget(collected.budget),
+      leadQuality,
+      identifiedNeeds: identifiedNeeds.map(need => this.formatServiceName(need)),
       recommendedServices,
-      nextActions,
-      template
-    } = params;
-
-    const lead = session.lead || {};
-    const organizationName = collected.organizationName || lead.organizationName || 'Your Organization';
-    const contactName = lead.name || 'Valued Client';
-
-    return `EXECUTIVE SUMMARY FOR ${organizationName.toUpperCase()}
-
-Dear ${contactName},
-
-${template.greeting}
-
-ORGANIZATION OVERVIEW
---------------------
-Organization Type: ${this.formatOrganizationType(collected.organizationType)}
-Timeline: ${this.formatTimeline(collected.timeline)}
-Budget Range: ${this.formatBudget(collected.budget)}
-
-IDENTIFIED NEEDS
----------------
-${identifiedNeeds.length > 0 
-  ? identifiedNeeds.map(need => `• ${this.formatServiceName(need)}`).join('\n')
-  : 'To be determined based on further discussion.'}
-
-RECOMMENDED SERVICEVISION SOLUTIONS
-----------------------------------
-${recommendedServices.length > 0 
-  ? recommendedServices.map(service => `• ${service.service}: ${service.reason}`).join('\n')
-  : 'We will recommend specific solutions after learning more about your needs.'}
-
-RECOMMENDED NEXT STEPS
----------------------
-${nextActions.map((action, index) => `${index + 1}. ${action}`).join('\n')}
-
-${template.closing}
-
-Best regards,
-The ServiceVision Team
-info@servicevision.net
-https://servicevision.net`;
+      insights,
+      nextActions
+    };
   }
 
   /**
@@ -299,19 +152,23 @@ https://servicevision.net`;
         throw new Error('Lead email not found');
       }
 
-      const result = await emailService.sendEmail({
+      const result = await emailService.queueEmail('summary', {
         to: lead.email,
-        subject: `Executive Summary for ${lead.name || 'Your Consultation'} - ServiceVision`,
+        subject: summary.subject || `Executive Summary for ${lead.name || 'Your Consultation'} - ServiceVision`,
         html: summary.html,
         text: summary.text
+      }, {
+        metadata: { sessionId: session.sessionId }
       });
 
       if (result.success) {
         // Save summary to session
         session.executiveSummary = summary.data;
         session.summaryGeneratedAt = new Date();
-        session.summaryEmailSent = true;
-        session.summaryEmailSentAt = new Date();
+        // Marked sent once delivered: on SendGrid's delivery event, or when
+        // another transport accepts it (see emailService.deliverQueuedEmail)
+        session.summaryEmailSent = false;
+        session.summaryEmailSentAt = null;
         
         try {
           await session.save();
@@ -319,7 +176,7 @@ https://servicevision.net`;
           logger.error('Error saving summary to session:', saveError);
         }
 
-        logger.info('Executive summary sent successfully', {
+        logger.info('Executive summary queued', {
           sessionId: session.sessionId,
           leadId: session.leadId,
           email: lead.email
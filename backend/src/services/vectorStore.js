@@ -0,0 +1,142 @@
+// Vector Store
+// Local nearest-neighbour index of knowledge base chunks, persisted as a JSON file.
+// Exact cosine search over every chunk, which is fast for a few thousand passages.
+// The index records which version of each document it holds so it can be
+// brought up to date from the knowledge documents.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+class LocalVectorStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Index file; null keeps the index in memory
+   * @param {string} options.embedder - Identifies the embeddings in the index; an index
+   *   built with a different embedder is ignored until re-indexed
+   */
+  constructor({ filePath = null, embedder } = {}) {
+    this.filePath = filePath;
+    this.embedder = embedder;
+    this.chunks = new Map();
+    // documentId -> version of the document its chunks were built from
+    this.documents = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const index = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (index.embedder !== this.embedder) {
+      logger.warn(`Knowledge index was built with ${index.embedder} embeddings; re-index to use ${this.embedder}`);
+      return;
+    }
+
+    index.chunks.forEach(chunk => this.chunks.set(chunk.id, chunk));
+    // Indexes saved before versions were recorded are rebuilt document by document
+    Object.entries(index.documents || {}).forEach(([documentId, version]) => this.documents.set(documentId, version));
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Write then rename so a crash never leaves a truncated index
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      embedder: this.embedder,
+      documents: Object.fromEntries(this.documents),
+      chunks: [...this.chunks.values()]
+    }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Replace every chunk of a document
+   * @param {number} documentId
+   * @param {Array} chunks - { text, vector, metadata }
+   * @param {string|null} version - Version of the document the chunks were built from
+   */
+  upsert(documentId, chunks, version = null) {
+    this.removeFromIndex(documentId);
+    chunks.forEach((chunk, position) => {
+      const id = `${documentId}:${position}`;
+      this.chunks.set(id, { id, documentId, ...chunk });
+    });
+    this.documents.set(String(documentId), version);
+    this.save();
+  }
+
+  /**
+   * Version of a document in the index, undefined when it is not indexed
+   */
+  versionOf(documentId) {
+    return this.documents.get(String(documentId));
+  }
+
+  /**
+   * Ids of the indexed documents, as strings
+   */
+  documentIds() {
+    return [...this.documents.keys()];
+  }
+
+  remove(documentId) {
+    this.removeFromIndex(documentId);
+    this.save();
+  }
+
+  removeFromIndex(documentId) {
+    for (const [id, chunk] of this.chunks) {
+      if (String(chunk.documentId) === String(documentId)) {
+        this.chunks.delete(id);
+      }
+    }
+    this.documents.delete(String(documentId));
+  }
+
+  clear() {
+    this.chunks.clear();
+    this.documents.clear();
+    this.save();
+  }
+
+  get size() {
+    return this.chunks.size;
+  }
+
+  /**
+   * Most similar chunks first
+   * @returns {Array} { id, documentId, text, metadata, score }
+   */
+  search(vector, { topK = 3, minScore = 0 } = {}) {
+    const results = [];
+    for (const { vector: chunkVector, ...chunk } of this.chunks.values()) {
+      const score = cosine(vector, chunkVector);
+      if (score >= minScore) {
+        results.push({ ...chunk, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+module.exports = LocalVectorStore;
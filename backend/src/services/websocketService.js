@@ -1,25 +1,67 @@
+const crypto = require('crypto');
 const { ChatSession, Lead, Message, sequelize } = require('../models');
 const chatService = require('./chatService');
+const drawingService = require('./drawingService');
+const authService = require('./authService');
+const handoffService = require('./handoffService');
+const presenceService = require('./presenceService');
+const RateLimiter = require('./rateLimiter');
 const logger = require('../utils/logger');
-
+const {
+  AGENT_NAMESPACE,
+  AGENT_ROLES,
+  HANDOFF_QUEUE_TIMEOUT_MS,
+  HANDOFF_MESSAGES
+} = require('../config/handoff');
+const {
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  ProtocolError,
+  negotiateVersion,
+  validatePayload,
+  buildError,
+  legacyErrorEvents
+} = require('../utils/websocketProtocol');
+
+// Status a visitor's stored message has reached: sent, delivered or read
+const messageStatus = (message) => {
+  if (message.isRead) return 'read';
+  return message.isDelivered ? 'delivered' : 'sent';
+};
+
+/**
+ * Chat socket server: visitors on the default namespace, staff on the agent console.
+ * Clients negotiate a protocol version in their handshake; see WEBSOCKET_PROTOCOL.md.
+ */
 class WebSocketService {
   constructor(io) {
     this.io = io;
     this.sessions = new Map();
-    this.rateLimiters = new Map();
+    // Counted in Redis per chat session, so reconnecting or landing on another
+    // instance does not reset the limit
+    this.rateLimiter = new RateLimiter({ name: 'socket', limit: 10, windowMs: 60000 });
     this.metrics = {
       totalMessages: 0,
       activeSessions: 0,
       totalConnections: 0
     };
     this.agentStatus = 'online';
+    this.agentConsole = null;
+    this.presenceTimer = null;
   }
 
   initialize() {
+    this.io.use((socket, next) => this.negotiateProtocol(socket, next));
+
     this.io.on('connection', (socket) => {
-      logger.info(`New WebSocket connection: ${socket.id}`);
+      logger.info(`New WebSocket connection: ${socket.id} (protocol v${socket.protocolVersion})`);
       this.metrics.totalConnections++;
 
+      socket.emit('welcome', {
+        protocolVersion: socket.protocolVersion,
+        supportedVersions: SUPPORTED_VERSIONS
+      });
+
       // Set up event handlers
       this.handleAuthentication(socket);
       this.handleMessages(socket);
@@ -28,303 +70,491 @@ class WebSocketService {
       this.handleAnalytics(socket);
       this.handleConnection(socket);
       this.handleErrors(socket);
+
+      // Clients may name their chat session in the handshake instead of sending authenticate
+      const handshakeSessionId = socket.handshake.auth?.sessionId || socket.handshake.query?.sessionId;
+      if (handshakeSessionId) {
+        this.authenticateSession(socket, String(handshakeSessionId)).catch((error) => {
+          this.reportError(socket, error, { event: 'authenticate', code: ERROR_CODES.AUTHENTICATION_FAILED });
+        });
+      }
     });
+
+    this.initializeAgentConsole();
+
+    // Presence expires unless refreshed, so keep this instance's visitors online
+    this.presenceTimer = setInterval(() => this.refreshPresence(), presenceService.ttlSeconds * 1000 / 3);
+    this.presenceTimer.unref?.();
   }
 
-  handleAuthentication(socket) {
-    socket.on('authenticate', async (data) => {
+  async refreshPresence() {
+    for (const sessionId of this.sessions.keys()) {
       try {
-        const { sessionId } = data;
-        
-        // Find the chat session
-        const session = await ChatSession.findOne({
-          where: { sessionId },
-          include: [{
-            model: Lead,
-            as: 'lead'
-          }]
-        });
-
-        if (!session) {
-          socket.emit('authentication_failed', { error: 'Invalid session' });
-          return;
-        }
+        await presenceService.refresh(sessionId);
+      } catch (error) {
+        logger.error('Failed to refresh presence:', error);
+      }
+    }
+  }
 
-        // Store session info - keep the Sequelize instance for now
-        socket.sessionId = sessionId;
-        socket.session = session; // Keep as Sequelize instance
-        // Ensure we have the database ID - use dataValues if needed
-        socket.sessionDbId = session.id || session.dataValues?.id;
-        
-        if (!socket.sessionDbId) {
-          logger.error('Failed to get session database ID', {
-            sessionId,
-            hasId: !!session.id,
-            hasDataValues: !!session.dataValues,
-            dataValuesId: session.dataValues?.id
-          });
-          socket.emit('authentication_failed', { error: 'Session initialization error' });
-          return;
-        }
-        
-        this.sessions.set(sessionId, { socket, session });
-        this.metrics.activeSessions++;
-        
+  /**
+   * Publish that a visitor is connected, for agent consoles on any instance
+   */
+  async trackPresence(socket) {
+    const { session } = socket;
+    await presenceService.join(socket.sessionId, {
+      socketId: socket.id,
+      email: session.lead?.email || null,
+      organizationName: session.lead?.organizationName || null,
+      completionRate: session.completionRate || 0,
+      startTime: session.startTime || null
+    });
+  }
 
-        // Join session room
-        socket.join(`session:${sessionId}`);
+  /**
+   * Handshake middleware: clients send { protocolVersion } in their auth payload
+   * and are refused with an UNSUPPORTED_VERSION error for versions we do not speak
+   */
+  negotiateProtocol(socket, next) {
+    const version = negotiateVersion(socket.handshake);
+    if (!version) {
+      const error = new Error('Unsupported protocol version');
+      error.data = buildError(ERROR_CODES.UNSUPPORTED_VERSION, { supportedVersions: SUPPORTED_VERSIONS });
+      next(error);
+      return;
+    }
 
-        socket.emit('authenticated', {
-          success: true,
-          sessionId
-        });
+    socket.protocolVersion = version;
+    next();
+  }
 
-        logger.info(`Socket ${socket.id} authenticated for session ${sessionId}`);
-      } catch (error) {
-        logger.error('Authentication error:', error);
-        socket.emit('authentication_failed', { error: 'Authentication error' });
+  /**
+   * Register a client event. The payload is validated against its protocol schema
+   * and failures are reported as typed errors: through the acknowledgement callback
+   * when the client passed one, otherwise as an error event.
+   * The handler's return value answers the acknowledgement.
+   */
+  registerEvent(socket, event, handler, { authenticated = false, failure = {} } = {}) {
+    socket.on(event, async (data, callback) => {
+      if (typeof data === 'function') {
+        callback = data;
+        data = undefined;
       }
-    });
+      const ack = typeof callback === 'function' ? callback : null;
 
-    socket.on('restore_session', async (data) => {
       try {
-        const { sessionId } = data;
-        
-        const session = await ChatSession.findOne({
-          where: { sessionId },
-          include: [{
-            model: Message,
-            as: 'chatMessages',
-            order: [['timestamp', 'ASC']]
-          }]
-        });
+        const { value, details } = validatePayload(event, data);
+        if (details) {
+          throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, `Invalid ${event} payload`, { details });
+        }
+        if (authenticated && (!socket.sessionId || !socket.session)) {
+          throw new ProtocolError(ERROR_CODES.NOT_AUTHENTICATED);
+        }
 
-        if (session) {
-          socket.sessionId = sessionId;
-          socket.session = session;
-          this.sessions.set(sessionId, { socket, session });
-          socket.join(`session:${sessionId}`);
-
-          // Convert messages to conversation history format
-          const conversationHistory = (session.chatMessages || []).map(msg => ({
-            id: msg.id,
-            role: msg.role,
-            content: msg.content,
-            timestamp: msg.timestamp,
-            quickReplies: msg.quickReplies,
-            isDelivered: msg.isDelivered,
-            isRead: msg.isRead
-          }));
-
-          socket.emit('session_restored', {
-            conversationHistory
-          });
-          
-          // Mark unread messages as delivered
-          const undeliveredMessages = session.messages.filter(m => !m.isDelivered);
-          for (const msg of undeliveredMessages) {
-            await msg.markAsDelivered();
-          }
+        const result = await handler(value);
+        if (ack) {
+          ack(result === undefined ? { ok: true } : result);
         }
       } catch (error) {
-        logger.error('Session restore error:', error);
+        this.reportError(socket, error, { event, ack, ...failure });
       }
     });
   }
 
-  handleMessages(socket) {
-    // Handle start_chat event
-    socket.on('start_chat', async () => {
-      try {
-        if (!socket.sessionId || !socket.session) {
-          socket.emit('error', { error: 'Not authenticated' });
-          return;
-        }
+  /**
+   * Send a failure to the client, logging anything that is not an expected protocol error
+   */
+  reportError(socket, error, { event, ack, code = ERROR_CODES.PROCESSING_FAILED, message } = {}) {
+    let payload;
+    if (error instanceof ProtocolError) {
+      payload = buildError(error.code, { event, message: error.message, ...error.extra });
+    } else {
+      logger.error(`WebSocket ${event} error:`, error);
+      payload = buildError(code, { event, message });
+    }
 
-        const message = await chatService.getInitialMessage(
-          socket.session.lead,
-          socket.session
-        );
-
-        // Send as a message event
-        socket.emit('message', {
-          id: Date.now(),
-          content: message,
-          sender: 'assistant',
-          timestamp: new Date()
-        });
+    if (ack) {
+      ack(payload);
+    } else {
+      this.emitError(socket, payload);
+    }
+  }
 
-      } catch (error) {
-        logger.error('Start chat error:', error);
-        socket.emit('error', { error: 'Failed to start chat' });
-      }
+  /**
+   * Version 2 clients receive every error as chat_error; version 1 clients get
+   * the event names the original handlers used
+   */
+  emitError(socket, payload) {
+    if (socket.protocolVersion >= 2) {
+      socket.emit('chat_error', payload);
+      return;
+    }
+
+    for (const event of legacyErrorEvents(payload.code, payload.event)) {
+      socket.emit(event, payload);
+    }
+  }
+
+  /**
+   * Attach a visitor socket to its chat session
+   */
+  async authenticateSession(socket, sessionId) {
+    // Find the chat session
+    const session = await ChatSession.findOne({
+      where: { sessionId },
+      include: [{
+        model: Lead,
+        as: 'lead'
+      }]
     });
 
-    // Handle message event (alias for chat_message)
-    socket.on('message', async (data) => {
-      // Forward to chat_message handler, ensuring compatibility
-      const messageData = {
-        message: data.content || data.message,
-        timestamp: data.timestamp || new Date()
-      };
-      socket.listeners('chat_message')[0](messageData);
+    if (!session) {
+      throw new ProtocolError(ERROR_CODES.INVALID_SESSION);
+    }
+
+    // Store session info - keep the Sequelize instance for now
+    socket.sessionId = sessionId;
+    socket.session = session; // Keep as Sequelize instance
+    // Ensure we have the database ID - use dataValues if needed
+    socket.sessionDbId = session.id || session.dataValues?.id;
+
+    if (!socket.sessionDbId) {
+      logger.error('Failed to get session database ID', {
+        sessionId,
+        hasId: !!session.id,
+        hasDataValues: !!session.dataValues,
+        dataValuesId: session.dataValues?.id
+      });
+      throw new ProtocolError(ERROR_CODES.AUTHENTICATION_FAILED, 'Session initialization error');
+    }
+
+    this.sessions.set(sessionId, { socket, session });
+    this.metrics.activeSessions++;
+    await this.trackPresence(socket);
+
+    // Join session room
+    socket.join(`session:${sessionId}`);
+
+    socket.emit('authenticated', {
+      success: true,
+      sessionId,
+      protocolVersion: socket.protocolVersion
     });
 
-    // Handle quick reply
-    socket.on('quick_reply', async (data) => {
-      try {
-        const { reply } = data;
-        // Process quick reply as a message
-        socket.listeners('chat_message')[0]({ message: reply, timestamp: new Date() });
-      } catch (error) {
-        logger.error('Quick reply error:', error);
-        socket.emit('error', { error: 'Failed to process quick reply' });
+    // A visitor reconnecting mid-handoff picks up where they left off
+    const handoff = await this.describeHandoff(sessionId);
+    if (handoff.status !== 'ai') {
+      socket.emit('handoff_status', handoff);
+    }
+
+    logger.info(`Socket ${socket.id} authenticated for session ${sessionId}`);
+  }
+
+  handleAuthentication(socket) {
+    this.registerEvent(socket, 'authenticate', ({ sessionId }) => this.authenticateSession(socket, sessionId), {
+      failure: { code: ERROR_CODES.AUTHENTICATION_FAILED }
+    });
+
+    this.registerEvent(socket, 'restore_session', async ({ sessionId }) => {
+      const session = await ChatSession.findOne({
+        where: { sessionId },
+        include: [{
+          model: Message,
+          as: 'chatMessages',
+          order: [['timestamp', 'ASC']]
+        }]
+      });
+
+      if (!session) {
+        throw new ProtocolError(ERROR_CODES.INVALID_SESSION);
+      }
+
+      socket.sessionId = sessionId;
+      socket.session = session;
+      socket.sessionDbId = session.id;
+      this.sessions.set(sessionId, { socket, session });
+      await this.trackPresence(socket);
+      socket.join(`session:${sessionId}`);
+
+      // Convert messages to conversation history format
+      const conversationHistory = (session.chatMessages || []).map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        quickReplies: msg.quickReplies,
+        clientMessageId: msg.clientMessageId || null,
+        isDelivered: msg.isDelivered,
+        isRead: msg.isRead
+      }));
+
+      socket.emit('session_restored', {
+        conversationHistory
+      });
+
+      // Mark unread messages as delivered
+      const undeliveredMessages = (session.chatMessages || []).filter(m => !m.isDelivered);
+      for (const msg of undeliveredMessages) {
+        await msg.markAsDelivered();
       }
     });
+  }
 
-    socket.on('chat_message', async (data) => {
-      try {
-        // Check authentication
-        if (!socket.sessionId || !socket.session) {
-          socket.emit('chat_error', { error: 'Not authenticated' });
-          return;
-        }
-        
-        // Ensure session has ID
-        if (!socket.sessionDbId) {
-          logger.error('Session missing database ID', { 
-            sessionId: socket.sessionId,
-            sessionDbId: socket.sessionDbId,
-            hasSession: !!socket.session
-          });
-          socket.emit('chat_error', { error: 'Session configuration error' });
-          return;
-        }
+  handleMessages(socket) {
+    this.registerEvent(socket, 'start_chat', async () => {
+      const message = await chatService.getInitialMessage(
+        socket.session.lead,
+        socket.session
+      );
+
+      // Send as a message event
+      socket.emit('message', {
+        id: Date.now(),
+        content: message,
+        sender: 'assistant',
+        timestamp: new Date()
+      });
+    }, { authenticated: true, failure: { message: 'Failed to start chat' } });
 
-        // Rate limiting
-        if (this.checkRateLimit(socket.id)) {
-          socket.emit('rate_limit_exceeded', {
-            error: 'Too many messages',
-            retryAfter: 60
-          });
-          return;
-        }
+    this.registerEvent(socket, 'chat_message', (data) => this.handleChatMessage(socket, data), { authenticated: true });
 
-        const { message, timestamp } = data;
-        
-        
-        // Save user message
-        const userMessage = await Message.create({
-          chatSessionId: socket.sessionDbId,
-          role: 'user',
-          content: message,
-          timestamp: timestamp ? new Date(timestamp) : new Date()
-        });
-        
-        // Process message with AI
-        const response = await chatService.processMessage(
-          socket.session,
-          message
-        );
-
-        // Save assistant response
-        const assistantMessage = await Message.create({
-          chatSessionId: socket.sessionDbId,
-          role: 'assistant',
-          content: response.message,
-          quickReplies: response.quickReplies || [],
-          metadata: {
-            completionRate: response.completionRate,
-            processingTime: Date.now() - new Date(userMessage.timestamp).getTime()
-          },
-          timestamp: new Date()
-        });
+    // A quick reply is sent as the visitor's message
+    this.registerEvent(socket, 'quick_reply', ({ reply, clientMessageId }) => (
+      this.handleChatMessage(socket, { message: reply, clientMessageId })
+    ), { authenticated: true });
 
-        // Update session - update fields directly using update method to avoid save issues
-        try {
-          await ChatSession.update({
-            totalMessages: sequelize.literal('total_messages + 2'),
-            conversationHistory: response.conversationHistory,
-            identifiedNeeds: response.identifiedNeeds,
-            recommendedServices: response.recommendedServices,
-            completionRate: response.completionRate
-          }, {
-            where: { id: socket.sessionDbId }
-          });
-        } catch (updateError) {
-          logger.error('Failed to update session:', updateError);
-        }
+    // Compatibility: version 1 clients of the old chat handler sent 'message' with { content }
+    if (socket.protocolVersion < 2) {
+      this.registerEvent(socket, 'message', ({ content, message, timestamp }) => (
+        this.handleChatMessage(socket, { message: content || message, timestamp })
+      ), { authenticated: true });
+    }
 
-        // Update metrics
-        this.metrics.totalMessages += 2;
-
-        // Send response with message ID
-        socket.emit('message', {
-          id: assistantMessage.id,
-          content: response.message,
-          sender: 'assistant',
-          quickReplies: response.quickReplies,
-          completionRate: response.completionRate,
-          isComplete: response.isComplete,
-          timestamp: assistantMessage.timestamp.toISOString()
-        });
-        
-        // Mark assistant message as delivered
-        await assistantMessage.markAsDelivered();
+    this.registerEvent(socket, 'message_ack', async ({ messageId }) => {
+      // Update message delivery status
+      const message = await Message.findByPk(messageId);
+      if (message) {
+        await message.markAsDelivered();
+      }
 
-      } catch (error) {
-        logger.error('Message processing error:', error);
-        logger.error('Error stack:', error.stack);
-        logger.error('Error details:', {
-          message: error.message,
-          code: error.code,
-          sessionDbId: socket.sessionDbId,
-          sessionId: socket.sessionId,
-          hasSession: !!socket.session
-        });
-        socket.emit('chat_error', {
-          error: 'Failed to process message',
-          retry: true
-        });
+      socket.emit('message_delivered', {
+        messageId,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.registerEvent(socket, 'message_read', async ({ messageId }) => {
+      // Update message read status
+      const message = await Message.findByPk(messageId);
+      if (message) {
+        await message.markAsRead();
       }
     });
+  }
 
-    socket.on('message_ack', async (data) => {
-      const { messageId } = data;
-      
-      try {
-        // Update message delivery status
-        const message = await Message.findByPk(messageId);
-        if (message) {
-          await message.markAsDelivered();
-        }
-        
-        socket.emit('message_delivered', {
-          messageId,
-          timestamp: new Date().toISOString()
-        });
-      } catch (error) {
-        logger.error('Error acknowledging message:', error);
+  /**
+   * Save a visitor message and answer it, unless an agent holds the session
+   */
+  async handleChatMessage(socket, { message, timestamp, stream = false, clientMessageId }) {
+    // Clients resend queued messages after reconnecting; one already stored is
+    // acknowledged again but never answered twice
+    if (clientMessageId) {
+      const existing = await Message.findOne({
+        where: { chatSessionId: socket.sessionDbId, clientMessageId }
+      });
+      if (existing) {
+        this.emitMessageStatus(socket, existing, messageStatus(existing));
+        return;
+      }
+    }
+
+    // Rate limiting
+    const { limited, retryAfterMs } = await this.rateLimiter.hit(socket.sessionId || socket.id);
+    if (limited) {
+      throw new ProtocolError(ERROR_CODES.RATE_LIMITED, undefined, {
+        retryAfter: Math.ceil(retryAfterMs / 1000) || 60
+      });
+    }
+
+    // Save user message
+    let userMessage;
+    try {
+      userMessage = await Message.create({
+        chatSessionId: socket.sessionDbId,
+        role: 'user',
+        content: message,
+        clientMessageId: clientMessageId || null,
+        timestamp: timestamp ? new Date(timestamp) : new Date()
+      });
+    } catch (error) {
+      // The same message arrived twice at once; the other copy is being answered
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return;
       }
+      throw error;
+    }
+    this.emitMessageStatus(socket, userMessage, 'sent');
+
+    this.notifyAgents(socket.sessionId, 'session_message', {
+      sessionId: socket.sessionId,
+      id: userMessage.id,
+      content: message,
+      sender: 'user',
+      timestamp: userMessage.timestamp
     });
 
-    socket.on('message_read', async (data) => {
-      const { messageId } = data;
-      
-      try {
-        // Update message read status
-        const message = await Message.findByPk(messageId);
-        if (message) {
-          await message.markAsRead();
-        }
-      } catch (error) {
-        logger.error('Error marking message as read:', error);
+    // Handed to the assistant and any agent watching the session
+    await userMessage.markAsDelivered();
+    this.emitMessageStatus(socket, userMessage, 'delivered');
+
+    // An agent has taken over, so the assistant stays quiet
+    if (await handoffService.isHeldByAgent(socket.sessionId)) {
+      await this.countMessages(socket.sessionDbId, 1);
+      return;
+    }
+
+    // Visitors asking for a person, or with an urgent problem, wait for an agent.
+    // The assistant keeps answering urgent visitors in the meantime.
+    const handoffReason = await handoffService.getStatus(socket.sessionId) === 'ai'
+      ? handoffService.detectHandoffReason(message)
+      : null;
+    if (handoffReason && await this.queueForAgent(socket, handoffReason) && handoffReason === 'requested') {
+      await this.countMessages(socket.sessionDbId, 1);
+      return;
+    }
+
+    // Streaming clients get message_chunk events as tokens arrive, keyed by a
+    // message id generated up front since the database id only exists once saved
+    const options = {};
+    let streamId = null;
+    if (stream) {
+      this.cancelStream(socket);
+
+      streamId = crypto.randomUUID();
+      const controller = new AbortController();
+      socket.activeStream = { messageId: streamId, controller };
+      options.signal = controller.signal;
+      options.onToken = (delta) => {
+        socket.emit('message_chunk', { messageId: streamId, delta });
+      };
+    }
+
+    // Process message with AI
+    let response;
+    try {
+      response = await chatService.processMessage(
+        socket.session,
+        message,
+        options
+      );
+    } catch (error) {
+      if (options.signal?.aborted) {
+        socket.emit('message_complete', { messageId: streamId, cancelled: true });
+        return;
       }
+      throw error;
+    } finally {
+      if (streamId && socket.activeStream?.messageId === streamId) {
+        socket.activeStream = null;
+      }
+    }
+
+    // An agent took over while the reply was being generated
+    if (await handoffService.isHeldByAgent(socket.sessionId)) {
+      if (stream) {
+        socket.emit('message_complete', { messageId: streamId, cancelled: true });
+      }
+      await this.countMessages(socket.sessionDbId, 1);
+      return;
+    }
+
+    // Save assistant response
+    const assistantMessage = await Message.create({
+      chatSessionId: socket.sessionDbId,
+      role: 'assistant',
+      content: response.message,
+      quickReplies: response.quickReplies || [],
+      metadata: {
+        completionRate: response.completionRate,
+        processingTime: Date.now() - new Date(userMessage.timestamp).getTime(),
+        sources: response.sources || []
+      },
+      timestamp: new Date()
+    });
+
+    // Update session - update fields directly using update method to avoid save issues
+    try {
+      await ChatSession.update({
+        totalMessages: sequelize.literal('total_messages + 2'),
+        conversationHistory: response.conversationHistory,
+        identifiedNeeds: response.identifiedNeeds,
+        recommendedServices: response.recommendedServices,
+        completionRate: response.completionRate
+      }, {
+        where: { id: socket.sessionDbId }
+      });
+    } catch (updateError) {
+      logger.error('Failed to update session:', updateError);
+    }
+
+    // Completing the intake conversation earns bonus drawing entries
+    if (response.isComplete && socket.session.lead?.email) {
+      await drawingService.awardBonusEntries(socket.session.lead.email, 'chat_completed');
+    }
+
+    // Update metrics
+    this.metrics.totalMessages += 2;
+
+    // Send response with message ID
+    const reply = {
+      id: assistantMessage.id,
+      content: response.message,
+      sender: 'assistant',
+      quickReplies: response.quickReplies,
+      completionRate: response.completionRate,
+      isComplete: response.isComplete,
+      sources: response.sources || [],
+      timestamp: assistantMessage.timestamp.toISOString()
+    };
+    if (stream) {
+      socket.emit('message_complete', { messageId: streamId, ...reply });
+    } else {
+      socket.emit('message', reply);
+    }
+    this.notifyAgents(socket.sessionId, 'session_message', {
+      sessionId: socket.sessionId,
+      id: reply.id,
+      content: reply.content,
+      sender: 'assistant',
+      timestamp: reply.timestamp
+    });
+
+    // Mark assistant message as delivered
+    await assistantMessage.markAsDelivered();
+
+    // The assistant has answered the visitor's message
+    await userMessage.markAsRead();
+    this.emitMessageStatus(socket, userMessage, 'read');
+  }
+
+  /**
+   * Tell the visitor how far one of their messages has got, keyed by the id
+   * their client generated for it
+   */
+  emitMessageStatus(socket, message, status) {
+    socket.emit('message_status', {
+      messageId: message.id,
+      clientMessageId: message.clientMessageId || null,
+      status,
+      timestamp: new Date().toISOString()
     });
   }
 
   handleTyping(socket) {
-    socket.on('typing_start', () => {
+    this.registerEvent(socket, 'typing_start', () => {
+      // The user is writing a follow-up, so stop generating the previous answer
+      this.cancelStream(socket);
+
       if (socket.sessionId) {
         socket.to(`session:${socket.sessionId}`).emit('typing_indicator', {
           isTyping: true,
@@ -333,7 +563,7 @@ class WebSocketService {
       }
     });
 
-    socket.on('typing_stop', () => {
+    this.registerEvent(socket, 'typing_stop', () => {
       if (socket.sessionId) {
         socket.to(`session:${socket.sessionId}`).emit('typing_indicator', {
           isTyping: false,
@@ -344,65 +574,48 @@ class WebSocketService {
   }
 
   handleSession(socket) {
-    socket.on('request_summary', async () => {
-      try {
-        if (!socket.session) {
-          socket.emit('chat_error', { error: 'No session found' });
-          return;
-        }
+    this.registerEvent(socket, 'request_summary', async () => {
+      // Generate summary if needed
+      if (!socket.session.executiveSummary) {
+        const summary = await chatService.generateExecutiveSummary(socket.session);
+        socket.session.executiveSummary = summary;
+        socket.session.isComplete = true;
+        socket.session.endTime = new Date();
+        await socket.session.save();
+      }
 
-        // Generate summary if needed
-        if (!socket.session.executiveSummary) {
-          const summary = await chatService.generateExecutiveSummary(socket.session);
-          socket.session.executiveSummary = summary;
-          socket.session.isComplete = true;
-          socket.session.endTime = new Date();
-          await socket.session.save();
-        }
+      socket.emit('session_summary', {
+        summary: socket.session.executiveSummary,
+        identifiedNeeds: socket.session.identifiedNeeds || [],
+        recommendedServices: socket.session.recommendedServices || [],
+        lead: socket.session.lead ? {
+          email: socket.session.lead.email,
+          organizationName: socket.session.lead.organizationName
+        } : null
+      });
+    }, { authenticated: true, failure: { message: 'Failed to generate summary' } });
 
-        socket.emit('session_summary', {
-          summary: socket.session.executiveSummary,
-          identifiedNeeds: socket.session.identifiedNeeds || [],
-          recommendedServices: socket.session.recommendedServices || [],
-          lead: socket.session.lead ? {
-            email: socket.session.lead.email,
-            organizationName: socket.session.lead.organizationName
-          } : null
-        });
-      } catch (error) {
-        logger.error('Summary generation error:', error);
-        socket.emit('chat_error', { error: 'Failed to generate summary' });
-      }
-    });
+    this.registerEvent(socket, 'end_session', async () => {
+      socket.session.isComplete = true;
+      socket.session.endTime = new Date();
+      await socket.session.save();
 
-    socket.on('end_session', async () => {
-      try {
-        if (socket.session) {
-          socket.session.isComplete = true;
-          socket.session.endTime = new Date();
-          await socket.session.save();
-
-          socket.emit('session_ended', {
-            sessionId: socket.sessionId
-          });
-
-          // Clean up
-          this.sessions.delete(socket.sessionId);
-          this.metrics.activeSessions--;
-        }
-      } catch (error) {
-        logger.error('Session end error:', error);
-      }
-    });
+      socket.emit('session_ended', {
+        sessionId: socket.sessionId
+      });
+
+      // Clean up
+      await handoffService.remove(socket.sessionId);
+      this.notifyAgents(socket.sessionId, 'session_ended', { sessionId: socket.sessionId });
+      this.sessions.delete(socket.sessionId);
+      await presenceService.leave(socket.sessionId, socket.id);
+      this.metrics.activeSessions--;
+    }, { authenticated: true, failure: { message: 'Failed to end session' } });
   }
 
   handleAnalytics(socket) {
-    socket.on('request_analytics', () => {
-      if (!socket.session) {
-        return;
-      }
-
-      const duration = socket.session.startTime ? 
+    this.registerEvent(socket, 'request_analytics', () => {
+      const duration = socket.session.startTime ?
         Date.now() - new Date(socket.session.startTime).getTime() : 0;
 
       socket.emit('session_analytics', {
@@ -412,11 +625,11 @@ class WebSocketService {
         identifiedNeeds: (socket.session.identifiedNeeds || []).length,
         recommendedServices: (socket.session.recommendedServices || []).length
       });
-    });
+    }, { authenticated: true });
   }
 
   handleConnection(socket) {
-    socket.on('ping', () => {
+    this.registerEvent(socket, 'ping', () => {
       socket.emit('pong', {
         timestamp: new Date().toISOString()
       });
@@ -424,14 +637,21 @@ class WebSocketService {
 
     socket.on('disconnect', () => {
       logger.info(`Socket disconnected: ${socket.id}`);
-      
+      this.cancelStream(socket);
+
       if (socket.sessionId) {
         this.sessions.delete(socket.sessionId);
         this.metrics.activeSessions--;
-      }
+        presenceService.leave(socket.sessionId, socket.id).catch((error) => {
+          logger.error('Failed to clear presence:', error);
+        });
 
-      // Clean up rate limiter
-      this.rateLimiters.delete(socket.id);
+        // Agents keep sessions they took over in case the visitor reconnects,
+        // but a visitor who leaves the queue is no longer waiting
+        this.leaveQueue(socket.sessionId).catch((error) => {
+          logger.error('Failed to leave the agent queue:', error);
+        });
+      }
     });
   }
 
@@ -441,28 +661,293 @@ class WebSocketService {
     });
   }
 
-  checkRateLimit(socketId) {
-    const now = Date.now();
-    const limit = 10; // 10 messages per minute
-    const window = 60000; // 1 minute
+  /**
+   * Agent console: staff connect to the agents namespace with their access token
+   */
+  initializeAgentConsole() {
+    this.agentConsole = this.io.of(AGENT_NAMESPACE);
+
+    this.agentConsole.use((socket, next) => this.negotiateProtocol(socket, next));
+    this.agentConsole.use(async (socket, next) => {
+      try {
+        const user = await authService.verifyToken(socket.handshake.auth?.token, 'access');
+        if (!AGENT_ROLES.includes(user.role)) {
+          next(new Error('Forbidden'));
+          return;
+        }
+        socket.agent = { id: user.id, name: user.name, socketId: socket.id };
+        next();
+      } catch (error) {
+        next(new Error('Unauthorized'));
+      }
+    });
+
+    this.agentConsole.on('connection', (socket) => {
+      logger.info(`Agent ${socket.agent.id} connected to the console`);
+      this.handleAgentConsole(socket);
+    });
+  }
+
+  /**
+   * Agent console events
+   * Each answers its acknowledgement callback with the result or a typed error
+   */
+  handleAgentConsole(socket) {
+    // Active visitor sessions, on any instance, and the queue waiting for an agent
+    this.registerEvent(socket, 'list_sessions', async () => {
+      const sessions = await Promise.all((await presenceService.list()).map(async entry => ({
+        sessionId: entry.sessionId,
+        email: entry.email,
+        organizationName: entry.organizationName,
+        completionRate: entry.completionRate,
+        startTime: entry.startTime,
+        handoff: await this.describeHandoff(entry.sessionId)
+      })));
+
+      return { sessions, queue: await handoffService.getQueue() };
+    });
+
+    // Watch a conversation: its history now, its messages as they arrive
+    this.registerEvent(socket, 'subscribe_session', async ({ sessionId }) => {
+      const chatSession = await this.findActiveSession(sessionId);
+
+      socket.join(`session:${sessionId}`);
+
+      const messages = await Message.findAll({
+        where: { chatSessionId: chatSession.id },
+        order: [['timestamp', 'ASC']]
+      });
+
+      return {
+        sessionId,
+        handoff: await this.describeHandoff(sessionId),
+        messages: (messages || []).map(msg => ({
+          id: msg.id,
+          content: msg.content,
+          sender: msg.metadata?.agentName ? 'agent' : msg.role,
+          agentName: msg.metadata?.agentName,
+          timestamp: msg.timestamp
+        }))
+      };
+    }, { failure: { message: 'Failed to subscribe to session' } });
+
+    this.registerEvent(socket, 'unsubscribe_session', ({ sessionId }) => {
+      socket.leave(`session:${sessionId}`);
+      return { sessionId };
+    });
+
+    // Pause the assistant and answer the visitor personally
+    this.registerEvent(socket, 'take_over', async ({ sessionId }) => {
+      await this.findActiveSession(sessionId);
 
-    if (!this.rateLimiters.has(socketId)) {
-      this.rateLimiters.set(socketId, []);
+      const handoff = await handoffService.takeOver(sessionId, socket.agent);
+      if (!handoff) {
+        throw new ProtocolError(ERROR_CODES.HANDOFF_CONFLICT);
+      }
+
+      socket.join(`session:${sessionId}`);
+      const local = this.sessions.get(sessionId);
+      if (local) {
+        this.cancelStream(local.socket);
+      }
+
+      const description = await this.describeHandoff(sessionId);
+      this.broadcastToSession(sessionId, 'handoff_status', {
+        ...description,
+        message: HANDOFF_MESSAGES.joined(socket.agent.name)
+      });
+      await this.notifySessionUpdated(sessionId);
+
+      return { sessionId, handoff: description };
+    });
+
+    this.registerEvent(socket, 'agent_message', async ({ sessionId, content }) => {
+      const handoff = await handoffService.get(sessionId);
+      if (handoff?.status !== 'agent' || handoff.agent.id !== socket.agent.id) {
+        throw new ProtocolError(ERROR_CODES.HANDOFF_CONFLICT, 'Take over the session before sending messages');
+      }
+
+      // The visitor may be reconnecting; the message waits in their history
+      const entry = this.sessions.get(sessionId);
+      const chatSession = entry ? entry.session : await ChatSession.findOne({ where: { sessionId } });
+      const saved = await Message.create({
+        chatSessionId: chatSession.id,
+        role: 'assistant',
+        content,
+        metadata: {
+          agentId: socket.agent.id,
+          agentName: socket.agent.name
+        },
+        timestamp: new Date()
+      });
+      await this.countMessages(chatSession.id, 1);
+
+      const message = {
+        id: saved.id,
+        content,
+        sender: 'agent',
+        agentName: socket.agent.name,
+        timestamp: saved.timestamp
+      };
+      this.broadcastToSession(sessionId, 'agent_message', message);
+      socket.to(`session:${sessionId}`).emit('session_message', { sessionId, ...message });
+
+      return { message };
+    }, { failure: { message: 'Failed to send message' } });
+
+    // Resume AI replies
+    this.registerEvent(socket, 'hand_back', async ({ sessionId }) => {
+      if (!await handoffService.handBack(sessionId, socket.agent.id)) {
+        throw new ProtocolError(ERROR_CODES.HANDOFF_CONFLICT, 'Session is not held by you');
+      }
+
+      await this.returnToAssistant(sessionId);
+      return { sessionId, handoff: await this.describeHandoff(sessionId) };
+    });
+
+    // Sessions an agent drops are handed back rather than left without replies
+    socket.on('disconnect', async () => {
+      logger.info(`Agent ${socket.agent.id} disconnected from the console`);
+      try {
+        for (const sessionId of await handoffService.releaseConnection(socket.id)) {
+          await this.returnToAssistant(sessionId);
+        }
+      } catch (error) {
+        logger.error('Failed to release the agent\'s sessions:', error);
+      }
+    });
+  }
+
+  /**
+   * The chat session behind an online visitor, who may be connected to another instance
+   */
+  async findActiveSession(sessionId) {
+    const local = this.sessions.get(sessionId);
+    if (local) {
+      return local.session;
+    }
+
+    const session = await presenceService.isOnline(sessionId)
+      ? await ChatSession.findOne({ where: { sessionId } })
+      : null;
+    if (!session) {
+      throw new ProtocolError(ERROR_CODES.SESSION_NOT_FOUND);
+    }
+    return session;
+  }
+
+  /**
+   * Queue a visitor's session for the next available agent
+   * @returns {boolean} Whether the session was queued
+   */
+  async queueForAgent(socket, reason) {
+    const { sessionId } = socket;
+    const handoff = await handoffService.enqueue(sessionId, reason, {
+      onTimeout: () => {
+        this.broadcastToSession(sessionId, 'handoff_status', {
+          status: 'ai',
+          reason: 'timeout',
+          message: HANDOFF_MESSAGES.timeout
+        });
+        this.notifyQueue().catch((error) => {
+          logger.error('Failed to update the agent queue:', error);
+        });
+      }
+    });
+    if (!handoff) {
+      return false;
+    }
+
+    socket.emit('handoff_status', {
+      ...await this.describeHandoff(sessionId),
+      timeoutMs: HANDOFF_QUEUE_TIMEOUT_MS,
+      message: HANDOFF_MESSAGES.queued
+    });
+    await this.notifyQueue();
+    return true;
+  }
+
+  /**
+   * Take a disconnected visitor out of the queue; agents keep sessions they hold
+   */
+  async leaveQueue(sessionId) {
+    if (await handoffService.getStatus(sessionId) === 'queued') {
+      await handoffService.remove(sessionId);
+      await this.notifyQueue();
     }
+  }
+
+  async returnToAssistant(sessionId) {
+    this.broadcastToSession(sessionId, 'handoff_status', {
+      status: 'ai',
+      message: HANDOFF_MESSAGES.returned
+    });
+    await this.notifySessionUpdated(sessionId);
+  }
+
+  /**
+   * Handoff state safe to send to clients
+   */
+  async describeHandoff(sessionId) {
+    const handoff = await handoffService.get(sessionId);
+    if (!handoff) {
+      return { status: 'ai' };
+    }
+
+    return {
+      status: handoff.status,
+      reason: handoff.reason,
+      queuedAt: handoff.queuedAt,
+      agent: handoff.agent ? { id: handoff.agent.id, name: handoff.agent.name } : null
+    };
+  }
+
+  /**
+   * Send an event to the agents watching a session
+   */
+  notifyAgents(sessionId, event, data) {
+    if (this.agentConsole) {
+      this.agentConsole.to(`session:${sessionId}`).emit(event, data);
+    }
+  }
+
+  async notifySessionUpdated(sessionId) {
+    if (this.agentConsole) {
+      this.agentConsole.emit('session_updated', { sessionId, handoff: await this.describeHandoff(sessionId) });
+    }
+    await this.notifyQueue();
+  }
+
+  async notifyQueue() {
+    if (this.agentConsole) {
+      this.agentConsole.emit('queue_updated', { queue: await handoffService.getQueue() });
+    }
+  }
+
+  async countMessages(sessionDbId, count) {
+    this.metrics.totalMessages += count;
+    try {
+      await ChatSession.update({
+        totalMessages: sequelize.literal(`total_messages + ${count}`)
+      }, {
+        where: { id: sessionDbId }
+      });
+    } catch (error) {
+      logger.error('Failed to update session:', error);
+    }
+  }
 
-    const timestamps = this.rateLimiters.get(socketId);
-    
-    // Remove old timestamps
-    const validTimestamps = timestamps.filter(ts => now - ts < window);
-    
-    if (validTimestamps.length >= limit) {
-      return true; // Rate limit exceeded
+  /**
+   * Abort the AI response being streamed to a socket, if any
+   */
+  cancelStream(socket) {
+    if (!socket.activeStream) {
+      return;
     }
 
-    validTimestamps.push(now);
-    this.rateLimiters.set(socketId, validTimestamps);
-    
-    return false;
+    logger.info(`Cancelling streamed response ${socket.activeStream.messageId} for socket ${socket.id}`);
+    socket.activeStream.controller.abort();
+    socket.activeStream = null;
   }
 
   updateAgentStatus(status) {
@@ -0,0 +1,31 @@
+// Auth Test Helper
+// Creates staff users and bearer headers for authenticated requests
+
+const authService = require('../../services/authService');
+
+/**
+ * Create a staff user and return an Authorization header for it
+ * @param {string} role - Staff role (admin, sales or viewer)
+ * @param {Object} overrides - Additional user attributes
+ * @returns {Promise<{user: Object, headers: Object}>}
+ */
+async function createAuthenticatedUser(role = 'admin', overrides = {}) {
+  const user = await authService.createUser({
+    email: `${role}-${Date.now()}-${Math.floor(Math.random() * 10000)}@servicevision.com`,
+    password: 'correct-horse-battery',
+    name: `Test ${role}`,
+    role,
+    ...overrides
+  });
+
+  const { accessToken } = authService.generateTokens(user);
+
+  return {
+    user,
+    headers: { Authorization: `Bearer ${accessToken}` }
+  };
+}
+
+module.exports = {
+  createAuthenticatedUser
+};
@@ -25,15 +25,17 @@ async function getCsrfToken(app) {
  * @param {string} method - HTTP method (post, put, delete, etc.)
  * @param {string} url - Request URL
  * @param {Object} data - Request data
+ * @param {Object} headers - Additional request headers
  * @returns {Promise<Response>}
  */
-async function requestWithCsrf(app, method, url, data = {}) {
+async function requestWithCsrf(app, method, url, data = {}, headers = {}) {
   const { token, cookie } = await getCsrfToken(app);
   
   return request(app)
     [method](url)
     .set('Cookie', cookie)
     .set('X-CSRF-Token', token)
+    .set(headers)
     .send(data);
 }
 
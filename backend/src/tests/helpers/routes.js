@@ -0,0 +1,36 @@
+// Route listing helper
+// Walks an Express app's router stack and lists every mounted route
+
+// '^\/api\/chat\/?(?=\/|$)' -> '/api/chat'
+const mountPath = (layer) => layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+
+const collect = (stack, prefix, routes) => {
+    for (const layer of stack) {
+        if (layer.route) {
+            const path = `${prefix}${layer.route.path}`.replace(/\/$/, '') || '/';
+            for (const method of Object.keys(layer.route.methods)) {
+                if (method !== '_all') {
+                    routes.push({ method, path });
+                }
+            }
+        } else if (layer.name === 'router') {
+            collect(layer.handle.stack, prefix + mountPath(layer), routes);
+        }
+    }
+    return routes;
+};
+
+/**
+ * List the routes an app serves
+ * @param {Object} app - Express app
+ * @returns {Array<{method: string, path: string}>} Paths in OpenAPI form, e.g. /api/leads/{id}
+ */
+const listRoutes = (app) => collect(app._router.stack, '', [])
+    .map(({ method, path }) => ({ method, path: path.replace(/:(\w+)/g, '{$1}') }));
+
+module.exports = {
+    listRoutes
+};
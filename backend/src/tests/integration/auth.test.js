@@ -0,0 +1,233 @@
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize, User } = require('../../models');
+const authService = require('../../services/authService');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('Staff Authentication API', () => {
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    await authService.createUser({
+      email: 'sales@servicevision.com',
+      password: 'correct-horse-battery',
+      role: 'sales'
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const login = (email = 'sales@servicevision.com', password = 'correct-horse-battery') =>
+    requestWithCsrf(app, 'post', '/api/auth/login', { email, password });
+
+  describe('POST /api/auth/login', () => {
+    test('should issue tokens for valid credentials', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.user.role).toBe('sales');
+      expect(response.body.user.passwordHash).toBeUndefined();
+    });
+
+    test('should reject an invalid password', async () => {
+      const response = await login('sales@servicevision.com', 'wrong-password');
+
+      expect(response.status).toBe(401);
+      expect(response.body.accessToken).toBeUndefined();
+    });
+
+    test('should reject a deactivated user', async () => {
+      await authService.createUser({
+        email: 'former@servicevision.com',
+        password: 'correct-horse-battery'
+      });
+      await User.update({ isActive: false }, { where: { email: 'former@servicevision.com' } });
+
+      const response = await login('former@servicevision.com');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    test('should return the current user', async () => {
+      const { body } = await login();
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.accessToken}`)
+        .expect(200);
+
+      expect(response.body.email).toBe('sales@servicevision.com');
+    });
+
+    test('should reject a refresh token used as an access token', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.refreshToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('should exchange a refresh token for a new token pair', async () => {
+      const { body } = await login();
+
+      const response = await requestWithCsrf(app, 'post', '/api/auth/refresh', {
+        refreshToken: body.refreshToken
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toBeDefined();
+    });
+
+    test('should reject a malformed refresh token', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/auth/refresh', {
+        refreshToken: 'not-a-token'
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    test('should revoke outstanding tokens', async () => {
+      const { body } = await login();
+      const headers = { Authorization: `Bearer ${body.accessToken}` };
+
+      const response = await requestWithCsrf(app, 'post', '/api/auth/logout', {}, headers);
+      expect(response.status).toBe(204);
+
+      await request(app).get('/api/auth/me').set(headers).expect(401);
+
+      const refresh = await requestWithCsrf(app, 'post', '/api/auth/refresh', {
+        refreshToken: body.refreshToken
+      });
+      expect(refresh.status).toBe(401);
+    });
+  });
+
+  describe('ensureAdminUser', () => {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+    afterEach(() => {
+      process.env.ADMIN_EMAIL = ADMIN_EMAIL;
+      process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    });
+
+    test('should create the configured admin when every admin is deactivated', async () => {
+      await createAuthenticatedUser('admin', { isActive: false });
+      await User.update({ isActive: false }, { where: { role: 'admin' } });
+      process.env.ADMIN_EMAIL = 'owner@servicevision.com';
+      process.env.ADMIN_PASSWORD = 'correct-horse-battery';
+
+      const admin = await authService.ensureAdminUser();
+
+      expect(admin.email).toBe('owner@servicevision.com');
+      expect(admin.isActive).toBe(true);
+    });
+
+    test('should restore the configured admin when it was deactivated', async () => {
+      const { user } = await createAuthenticatedUser('admin');
+      await User.update({ isActive: false }, { where: { role: 'admin' } });
+      process.env.ADMIN_EMAIL = user.email;
+      process.env.ADMIN_PASSWORD = 'correct-horse-battery';
+
+      const admin = await authService.ensureAdminUser();
+
+      expect(admin.id).toBe(user.id);
+      expect(admin.isActive).toBe(true);
+    });
+  });
+
+  describe('/api/users', () => {
+    test('should let admins create staff users', async () => {
+      const { headers } = await createAuthenticatedUser('admin');
+
+      const response = await requestWithCsrf(app, 'post', '/api/users', {
+        email: 'viewer@servicevision.com',
+        password: 'correct-horse-battery',
+        role: 'viewer'
+      }, headers);
+
+      expect(response.status).toBe(201);
+      expect(response.body.role).toBe('viewer');
+      expect(response.body.passwordHash).toBeUndefined();
+    });
+
+    test('should reject an unknown role', async () => {
+      const { headers } = await createAuthenticatedUser('admin');
+
+      const response = await requestWithCsrf(app, 'post', '/api/users', {
+        email: 'root@servicevision.com',
+        password: 'correct-horse-battery',
+        role: 'superuser'
+      }, headers);
+
+      expect(response.status).toBe(400);
+    });
+
+    describe('PATCH /api/users/:id', () => {
+      // Leave a single active admin, the one making the request
+      const soleAdmin = async () => {
+        await User.update({ isActive: false }, { where: { role: 'admin' } });
+        return createAuthenticatedUser('admin');
+      };
+
+      test('should refuse to demote the last active admin', async () => {
+        const { user, headers } = await soleAdmin();
+
+        const response = await requestWithCsrf(app, 'patch', `/api/users/${user.id}`, { role: 'sales' }, headers);
+
+        expect(response.status).toBe(409);
+        expect(response.body.error).toBe('Conflict');
+        await user.reload();
+        expect(user.role).toBe('admin');
+      });
+
+      test('should refuse to deactivate the last active admin', async () => {
+        const { user, headers } = await soleAdmin();
+
+        const response = await requestWithCsrf(app, 'patch', `/api/users/${user.id}`, { isActive: false }, headers);
+
+        expect(response.status).toBe(409);
+        await user.reload();
+        expect(user.isActive).toBe(true);
+      });
+
+      test('should demote an admin while another active admin remains', async () => {
+        const { headers } = await soleAdmin();
+        const { user: other } = await createAuthenticatedUser('admin');
+
+        const response = await requestWithCsrf(app, 'patch', `/api/users/${other.id}`, { role: 'sales' }, headers);
+
+        expect(response.status).toBe(200);
+        expect(response.body.role).toBe('sales');
+      });
+
+      test('should still rename the last active admin', async () => {
+        const { user, headers } = await soleAdmin();
+
+        const response = await requestWithCsrf(app, 'patch', `/api/users/${user.id}`, { name: 'Owner' }, headers);
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Owner');
+      });
+    });
+
+    test('should forbid non-admins', async () => {
+      const { headers } = await createAuthenticatedUser('sales');
+
+      const response = await request(app).get('/api/users').set(headers);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Forbidden');
+    });
+  });
+});
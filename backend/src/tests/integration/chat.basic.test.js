@@ -236,25 +236,43 @@ describe('Basic Chat Integration Test', () => {
     
     const { sessionId } = response.body;
     
-    // Get initial state
-    const initialSession = await ChatSession.findOne({ where: { sessionId } });
-    const initialState = initialSession.state;
-    
     // Simulate conversation progress
     const updateResponse = await requestWithCsrf(app, 'put', `/api/chat/session/${sessionId}`, {
-      state: {
-        ...initialState,
-        collected: {
-          businessName: 'Test Company',
-          contactName: 'John Doe'
-        }
+      collected: {
+        organizationType: 'nonprofit',
+        businessNeeds: 'Website Development'
       }
     });
     expect(updateResponse.status).toBe(200);
     
     // Verify state update
     const updatedSession = await ChatSession.findOne({ where: { sessionId } });
-    expect(updatedSession.state.collected.businessName).toBe('Test Company');
-    expect(updatedSession.state.collected.contactName).toBe('John Doe');
+    expect(updatedSession.state.collected.organizationType).toBe('nonprofit');
+    expect(updatedSession.state.collected.businessNeeds).toBe('Website Development');
+    expect(updatedSession.state.pending.organizationType).toBe(false);
+    expect(updatedSession.completionRate).toBeGreaterThan(0);
+  });
+
+  test('should not let clients set the conversation state', async () => {
+    const response = await requestWithCsrf(app, 'post', '/api/chat/session', {});
+    const { sessionId } = response.body;
+
+    const stateUpdate = await requestWithCsrf(app, 'put', `/api/chat/session/${sessionId}`, {
+      state: { stage: 'scheduling', flags: { isQualified: true } }
+    });
+    const invalidAnswer = await requestWithCsrf(app, 'put', `/api/chat/session/${sessionId}`, {
+      collected: { organizationType: 'pirate ship', email: 'visitor@example.com' }
+    });
+
+    expect(stateUpdate.status).toBe(400);
+    expect(invalidAnswer.status).toBe(400);
+    expect(invalidAnswer.body.details.map(detail => detail.path)).toEqual([
+      'collected.organizationType',
+      'collected.email'
+    ]);
+
+    const session = await ChatSession.findOne({ where: { sessionId } });
+    expect(session.state.flags.isQualified).toBe(false);
+    expect(session.state.collected).toEqual({});
   });
 });
\ No newline at end of file
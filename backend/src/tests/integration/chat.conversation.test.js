@@ -0,0 +1,182 @@
+const path = require('path');
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize, ChatSession } = require('../../models');
+const chatService = require('../../services/chatService');
+const leadService = require('../../services/leadService');
+const { MockProvider } = require('../../services/llmProviders');
+const { requestWithCsrf } = require('../helpers/csrf');
+
+// Runs the full conversation flow against the scripted mock model instead of
+// the keyword fallback, so replies are deterministic but still model-driven
+describe('Chat Conversation with Mock LLM', () => {
+  const script = require('../../fixtures/llm/default.json');
+  let originalProvider;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    originalProvider = chatService.provider;
+    chatService.setProvider(new MockProvider({
+      fixtureDir: path.join(__dirname, '../../fixtures/llm'),
+      scenario: 'default'
+    }));
+  });
+
+  afterAll(async () => {
+    chatService.setProvider(originalProvider);
+    await sequelize.close();
+  });
+
+  async function startSession(body = {}) {
+    const response = await requestWithCsrf(app, 'post', '/api/chat/session', body);
+    expect(response.status).toBe(201);
+    return response.body.sessionId;
+  }
+
+  function send(sessionId, message) {
+    return requestWithCsrf(app, 'post', '/api/chat/message', { sessionId, message });
+  }
+
+  test('should replay the scripted conversation turn by turn', async () => {
+    const sessionId = await startSession();
+
+    const userMessages = [
+      'Hi, we are looking for some help',
+      'We are a nonprofit organization',
+      'We need help with our website and technology',
+      'We would like to start within 3 months'
+    ];
+
+    for (let i = 0; i < userMessages.length; i++) {
+      const response = await send(sessionId, userMessages[i]);
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(script.turns[i]);
+    }
+
+    const session = await ChatSession.findOne({ where: { sessionId } });
+    expect(session.conversationHistory).toHaveLength(userMessages.length * 2);
+    expect(session.conversationHistory[1]).toEqual({ role: 'assistant', content: script.turns[0] });
+    expect(session.identifiedNeeds.length).toBeGreaterThan(0);
+  });
+
+  test('should save confidently extracted details to the conversation state', async () => {
+    const sessionId = await startSession();
+
+    await send(sessionId, 'We are a nonprofit organization');
+    await send(sessionId, 'We need to launch soon');
+    await send(sessionId, 'Ideally within 3 months');
+
+    const session = await ChatSession.findOne({ where: { sessionId } });
+    expect(session.state.collected).toEqual({
+      organizationType: 'nonprofit',
+      timeline: '1-3 months'
+    });
+  });
+
+  test('should not let a negated organization type through', async () => {
+    const sessionId = await startSession();
+
+    await send(sessionId, "We're not a startup");
+
+    const session = await ChatSession.findOne({ where: { sessionId } });
+    expect(session.state.collected.organizationType).toBeUndefined();
+  });
+
+  test('should answer matching questions from the scripted responses', async () => {
+    const sessionId = await startSession();
+
+    const response = await send(sessionId, 'What is your pricing?');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(script.responses[0].reply);
+  });
+
+  test('should generate the executive summary from the script', async () => {
+    const sessionId = await startSession();
+    await send(sessionId, 'We are a nonprofit organization');
+    const session = await ChatSession.findOne({ where: { sessionId } });
+
+    const summary = await chatService.generateExecutiveSummary(session);
+
+    expect(summary).toBe(script.summary);
+  });
+
+  describe('conversation flows', () => {
+    test('should pin new sessions to the latest default flow', async () => {
+      const sessionId = await startSession();
+
+      const session = await ChatSession.findOne({ where: { sessionId } });
+      expect(session.state.flow).toEqual({ name: 'commercial', version: 1 });
+      expect(session.state.pending).toEqual({
+        organizationType: true,
+        businessNeeds: true,
+        timeline: true,
+        budget: true
+      });
+    });
+
+    test('should run the nonprofit intake when requested', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/chat/session', { flow: 'nonprofit', flowVersion: 1 });
+      expect(response.status).toBe(201);
+      expect(response.body.flow).toEqual({ name: 'nonprofit', version: 1 });
+
+      await send(response.body.sessionId, 'We would like to start within 3 months');
+
+      const session = await ChatSession.findOne({ where: { sessionId: response.body.sessionId } });
+      expect(session.state.flow).toEqual({ name: 'nonprofit', version: 1 });
+      expect(session.state.pending.organizationName).toBe(true);
+      expect(session.state.collected.timeline).toBe('1-3 months');
+    });
+
+    test('should skip questions the lead enrichment already answers', async () => {
+      await leadService.createLead({ email: 'director@agency.gov', company: 'Parks Department' });
+
+      const response = await requestWithCsrf(app, 'post', '/api/chat/session', {
+        email: 'director@agency.gov',
+        flow: 'nonprofit',
+        flowVersion: 1
+      });
+      expect(response.status).toBe(201);
+      expect(response.body.lead.organizationName).toBe('Parks Department');
+
+      const session = await ChatSession.findOne({ where: { sessionId: response.body.sessionId } });
+      expect(session.state.collected).toEqual(expect.objectContaining({
+        organizationName: 'Parks Department',
+        organizationType: 'government'
+      }));
+      expect(session.state.pending.organizationName).toBe(false);
+      expect(session.state.pending.organizationType).toBe(false);
+    });
+
+    test('should still ask the organization type of an unknown .org', async () => {
+      const lead = await leadService.createLead({ email: 'director@foodbank.org' });
+      expect(lead.metadata.enrichment.nonprofit).toBe(true);
+
+      const response = await requestWithCsrf(app, 'post', '/api/chat/session', {
+        email: 'director@foodbank.org',
+        flow: 'nonprofit',
+        flowVersion: 1
+      });
+      expect(response.status).toBe(201);
+
+      const session = await ChatSession.findOne({ where: { sessionId: response.body.sessionId } });
+      expect(session.state.collected.organizationType).toBeUndefined();
+      expect(session.state.pending.organizationType).toBe(true);
+    });
+
+    test('should reject unknown flows and versions', async () => {
+      const unknownFlow = await requestWithCsrf(app, 'post', '/api/chat/session', { flow: 'government' });
+      const unknownVersion = await requestWithCsrf(app, 'post', '/api/chat/session', { flow: 'nonprofit', flowVersion: 9 });
+
+      expect(unknownFlow.status).toBe(400);
+      expect(unknownVersion.status).toBe(400);
+    });
+
+    test('should list the available flows', async () => {
+      const response = await request(app).get('/api/chat/flows');
+
+      expect(response.status).toBe(200);
+      expect(response.body.flows.map(flow => flow.name)).toEqual(expect.arrayContaining(['commercial', 'nonprofit']));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize } = require('../../models');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { CHAT_SCHEMAS, chatPath, validate } = require('@servicevision/chat-contract');
+
+// The frontend is tested against the same schemas, so a change to either side
+// that the contract does not describe fails here or there
+describe('Chat API Contract', () => {
+  const expectToMatch = (schema, body) => {
+    expect(validate(schema, body).errors).toEqual([]);
+  };
+
+  const startSession = async (body = {}) => {
+    const response = await requestWithCsrf(app, 'post', chatPath('startSession'), body);
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('startSession', () => {
+    test('should answer with the contract response', async () => {
+      expectToMatch(CHAT_SCHEMAS.startSession.response, await startSession());
+    });
+
+    test('should reject requests the contract does not allow', async () => {
+      const response = await requestWithCsrf(app, 'post', chatPath('startSession'), { email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([expect.objectContaining({ path: 'email' })]);
+    });
+  });
+
+  describe('sendMessage', () => {
+    test('should answer with the contract response', async () => {
+      const { sessionId } = await startSession();
+
+      const response = await requestWithCsrf(app, 'post', chatPath('sendMessage'), {
+        sessionId,
+        message: 'We are a nonprofit looking for a new website'
+      });
+
+      expect(response.status).toBe(200);
+      expectToMatch(CHAT_SCHEMAS.sendMessage.response, response.body);
+    });
+
+    test('should reject requests the contract does not allow', async () => {
+      const response = await requestWithCsrf(app, 'post', chatPath('sendMessage'), { message: '   ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.path)).toEqual(['sessionId', 'message']);
+    });
+  });
+
+  describe('getSummary', () => {
+    test('should answer with the contract response', async () => {
+      const { sessionId } = await startSession();
+
+      const response = await request(app).get(chatPath('getSummary', { sessionId }));
+
+      expect(response.status).toBe(200);
+      expectToMatch(CHAT_SCHEMAS.getSummary.response, response.body);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The inbox is mounted when the routes load, so configure it first
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-'));
+process.env.DEV_INBOX_ENABLED = 'true';
+process.env.EMAIL_FILE_DIR = mailDir;
+
+const app = require('../../app');
+const { FileTransport } = require('../../services/emailTransports');
+const { requestWithCsrf } = require('../helpers/csrf');
+
+describe('Dev Inbox API', () => {
+  const mailbox = new FileTransport({ dir: mailDir });
+
+  const sendEmail = () => mailbox.send({
+    to: 'lead@example.com',
+    from: { email: 'hello@servicevision.com', name: 'ServiceVision Team' },
+    subject: 'Your Consultation Summary',
+    html: '<h1>Summary</h1>',
+    text: 'Summary'
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_INBOX_ENABLED;
+    delete process.env.EMAIL_FILE_DIR;
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await mailbox.clear();
+  });
+
+  test('should list captured emails', async () => {
+    const { id } = await sendEmail();
+
+    const response = await request(app).get('/api/dev/inbox').expect(200);
+
+    expect(response.body.messages).toHaveLength(1);
+    expect(response.body.messages[0]).toEqual(expect.objectContaining({
+      id,
+      to: 'lead@example.com',
+      subject: 'Your Consultation Summary'
+    }));
+  });
+
+  test('should render the HTML body and download the .eml', async () => {
+    const { id } = await sendEmail();
+
+    const html = await request(app).get(`/api/dev/inbox/${id}/html`).expect(200);
+    expect(html.headers['content-type']).toMatch(/text\/html/);
+    expect(html.text).toBe('<h1>Summary</h1>');
+
+    const raw = await request(app).get(`/api/dev/inbox/${id}/raw`).expect(200);
+    expect(raw.headers['content-type']).toMatch(/message\/rfc822/);
+    expect(raw.headers['content-disposition']).toContain(`${id}.eml`);
+  });
+
+  test('should return 404 for unknown emails', async () => {
+    await request(app).get('/api/dev/inbox/1700000000000-deadbeef').expect(404);
+  });
+
+  test('should clear the inbox', async () => {
+    await sendEmail();
+
+    const response = await requestWithCsrf(app, 'delete', '/api/dev/inbox', {});
+
+    expect(response.status).toBe(200);
+    expect(response.body.deleted).toBe(1);
+  });
+});
@@ -0,0 +1,136 @@
+// API Docs Integration Tests
+
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize } = require('../../models');
+const { getOpenApiSpec } = require('../../docs/openapi');
+const { fromJoi } = require('../../docs/helpers');
+const leadSchemas = require('../../schemas/leads');
+const { listRoutes } = require('../helpers/routes');
+const { CHAT_SCHEMAS } = require('@servicevision/chat-contract');
+
+describe('API Docs', () => {
+  const spec = getOpenApiSpec();
+
+  const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ method, path, operation }))
+  );
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Route coverage', () => {
+    test('should document every mounted route', () => {
+      const undocumented = listRoutes(app)
+        .filter(({ method, path }) => !spec.paths[path]?.[method])
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+      expect(undocumented).toEqual([]);
+    });
+
+    test('should not document routes that are not mounted', () => {
+      const mounted = new Set(listRoutes(app).map(({ method, path }) => `${method} ${path}`));
+      const stale = operations
+        .filter(({ method, path }) => !mounted.has(`${method} ${path}`))
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+      expect(stale).toEqual([]);
+    });
+  });
+
+  describe('Specification', () => {
+    const resolve = (item) => item.$ref
+      ? item.$ref.split('/').slice(1).reduce((node, key) => node[key], spec)
+      : item;
+
+    test('should declare every path parameter', () => {
+      for (const { path, operation } of operations) {
+        const declared = (operation.parameters || [])
+          .map(resolve)
+          .filter(parameter => parameter.in === 'path')
+          .map(parameter => parameter.name);
+        const templated = [...path.matchAll(/{(\w+)}/g)].map(match => match[1]);
+
+        expect({ path, parameters: declared.sort() }).toEqual({ path, parameters: templated.sort() });
+      }
+    });
+
+    test('should resolve every component reference', () => {
+      const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g);
+
+      for (const match of refs) {
+        const target = resolve({ $ref: JSON.parse(`{${match}}`).$ref });
+        expect(target).toBeDefined();
+      }
+    });
+
+    test('should require the CSRF header on state-changing routes outside webhooks', () => {
+      const csrfRef = '#/components/parameters/CsrfToken';
+
+      for (const { method, path, operation } of operations) {
+        const hasHeader = (operation.parameters || []).some(parameter => parameter.$ref === csrfRef);
+        const expected = method !== 'get' && !path.startsWith('/api/webhooks');
+        expect({ method, path, hasHeader }).toEqual({ method, path, hasHeader: expected });
+      }
+    });
+
+    test('should generate chat bodies from the shared contract', () => {
+      const sendMessage = spec.paths['/api/chat/message'].post;
+      const body = sendMessage.requestBody.content['application/json'].schema;
+      const reply = sendMessage.responses[200].content['application/json'].schema;
+
+      expect(Object.keys(body.properties)).toEqual(Object.keys(CHAT_SCHEMAS.sendMessage.request));
+      expect(body.properties.message.maxLength).toBe(CHAT_SCHEMAS.sendMessage.request.message.max);
+      expect(reply.required).toEqual(expect.arrayContaining(['message', 'quickReplies', 'sources']));
+    });
+
+    test('should document request bodies from the validation schemas', () => {
+      const bodyOf = (path, method) => spec.paths[path][method].requestBody.content['application/json'].schema;
+
+      expect(bodyOf('/api/leads', 'post')).toEqual(fromJoi(leadSchemas.create.body));
+      expect(bodyOf('/api/leads', 'post').properties).not.toHaveProperty('qualificationScore');
+      expect(bodyOf('/api/drawing/enter', 'post').properties).not.toHaveProperty('leadId');
+      expect(bodyOf('/api/chat/session/{sessionId}', 'put').properties).not.toHaveProperty('state');
+      expect(spec.paths['/api/leads/{id}'].get.responses[400]).toBeDefined();
+    });
+  });
+
+  describe('Endpoints', () => {
+    test('should serve the specification as JSON', async () => {
+      const response = await request(app).get('/api/docs/openapi.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.openapi).toBe('3.0.3');
+      expect(Object.keys(response.body.paths)).toEqual(Object.keys(spec.paths));
+    });
+
+    test('should serve Swagger UI from local assets only', async () => {
+      const response = await request(app).get('/api/docs');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+
+      const sources = [...response.text.matchAll(/(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+      expect(sources.length).toBeGreaterThan(0);
+      for (const source of sources) {
+        expect(source).toMatch(/^\/api\/docs\/assets\//);
+
+        const asset = await request(app).get(source);
+        expect(asset.status).toBe(200);
+      }
+    });
+
+    test('should not serve other files from the Swagger UI package', async () => {
+      const response = await request(app).get('/api/docs/assets/index.html');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should link the docs from the API index', async () => {
+      const response = await request(app).get('/api');
+
+      expect(response.body.documentation).toBe('/api/docs');
+    });
+  });
+});
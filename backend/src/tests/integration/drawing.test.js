@@ -0,0 +1,358 @@
+const request = require('supertest');
+const { sequelize, Lead, Drawing, DrawingEntry } = require('../../models');
+const app = require('../../app');
+const drawingService = require('../../services/drawingService');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+const { ENTRY_TYPES } = require('../../config/drawingRules');
+
+describe('Drawing API', () => {
+  let drawing;
+  let adminHeaders;
+  let salesHeaders;
+  let viewerHeaders;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+    ({ headers: salesHeaders } = await createAuthenticatedUser('sales'));
+    ({ headers: viewerHeaders } = await createAuthenticatedUser('viewer'));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await DrawingEntry.destroy({ where: {} });
+    await Drawing.destroy({ where: {} });
+    await Lead.destroy({ where: {} });
+
+    drawing = await Drawing.create({
+      name: 'January 2024 Drawing',
+      type: 'monthly',
+      status: 'active',
+      startDate: new Date('2024-01-01'),
+      endDate: new Date('2099-01-31')
+    });
+  });
+
+  const enter = (body) => requestWithCsrf(app, 'post', '/api/drawing/enter', body);
+
+  describe('POST /api/drawing/enter', () => {
+    test('should create a lead and a base entry', async () => {
+      const response = await enter({ email: 'Visitor@Example.com', name: 'Visitor' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.totalEntries).toBe(ENTRY_TYPES.base);
+
+      const lead = await Lead.findOne({ where: { email: 'visitor@example.com' } });
+      expect(lead.source).toBe('drawing');
+
+      const entries = await DrawingEntry.findAll({ where: { drawingId: drawing.id } });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].entryType).toBe('base');
+    });
+
+    test('should award the newsletter bonus when opted in', async () => {
+      const response = await enter({ email: 'reader@example.com', newsletter: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.totalEntries).toBe(ENTRY_TYPES.base + ENTRY_TYPES.newsletter);
+    });
+
+    test('should credit the referrer for a new lead only', async () => {
+      await enter({ email: 'referrer@example.com' });
+
+      await Lead.create({ email: 'existing@example.com' });
+
+      await enter({ email: 'friend@example.com', referredBy: 'referrer@example.com' });
+      await enter({ email: 'existing@example.com', referredBy: 'referrer@example.com' });
+
+      const referrer = await Lead.findOne({ where: { email: 'referrer@example.com' } });
+      const referrals = await DrawingEntry.findAll({
+        where: { leadId: referrer.id, entryType: 'referral' }
+      });
+      expect(referrals).toHaveLength(1);
+      expect(referrals[0].entryCount).toBe(ENTRY_TYPES.referral);
+    });
+
+    test('should reject a second entry in the same drawing', async () => {
+      const lead = await Lead.create({ email: 'repeat@example.com' });
+      await DrawingEntry.create({ leadId: lead.id, drawingId: drawing.id });
+
+      const response = await enter({ email: 'repeat@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Already entered in current drawing');
+    });
+
+    test('should award an entry type once when requests race', async () => {
+      const lead = await Lead.create({ email: 'double@example.com' });
+
+      const results = await Promise.all([
+        drawingService.awardEntries(lead, 'base'),
+        drawingService.awardEntries(lead, 'base'),
+        drawingService.awardEntries(lead, 'referral', { reference: 'friend-1' }),
+        drawingService.awardEntries(lead, 'referral', { reference: 'friend-1' })
+      ]);
+
+      expect(results.filter(result => result.success)).toHaveLength(2);
+      expect(results.filter(result => !result.success).map(result => result.message))
+        .toEqual(['Already entered in current drawing', 'Already entered in current drawing']);
+      expect(await DrawingEntry.count({ where: { leadId: lead.id } })).toBe(2);
+    });
+
+    test('should enter the existing lead when the address is written differently', async () => {
+      const lead = await Lead.create({ email: 'visitor@example.com' });
+
+      const response = await enter({ email: 'Visitor+promo@Example.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.entry.leadId).toBe(lead.id);
+      expect(await Lead.count()).toBe(1);
+    });
+
+    test('should enter the lead for the given email, not a client-supplied lead id', async () => {
+      const other = await Lead.create({ email: 'other@example.com' });
+
+      const response = await enter({ email: 'entrant@example.com', leadId: other.id });
+
+      expect(response.status).toBe(201);
+      expect(await DrawingEntry.count({ where: { leadId: other.id } })).toBe(0);
+    });
+
+    test('should keep entries in the monthly drawing while a special drawing runs', async () => {
+      const special = await Drawing.create({
+        name: 'Launch Giveaway',
+        type: 'special',
+        status: 'active',
+        startDate: new Date('2024-01-05'),
+        endDate: new Date('2099-01-31')
+      });
+
+      await enter({ email: 'monthly@example.com' });
+      await drawingService.awardBonusEntries('monthly@example.com', 'chat_completed');
+      const response = await enter({ email: 'special@example.com', drawingId: special.id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.entry.drawingId).toBe(special.id);
+
+      const monthlyEntries = await DrawingEntry.findAll({ where: { drawingId: drawing.id } });
+      expect(monthlyEntries.map(entry => entry.entryType).sort()).toEqual(['base', 'chat_completed']);
+      expect(await DrawingEntry.count({ where: { drawingId: special.id } })).toBe(1);
+    });
+
+    test('should reject entries for a drawing that is not active', async () => {
+      const draft = await Drawing.create({
+        name: 'Summer Giveaway',
+        type: 'special',
+        status: 'draft',
+        startDate: new Date('2099-06-01'),
+        endDate: new Date('2099-06-30')
+      });
+
+      const response = await enter({ email: 'early@example.com', drawingId: draft.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No active drawing available');
+    });
+
+    test('should reject an invalid email', async () => {
+      const response = await enter({ email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  const enterLeads = async (emails) => {
+    for (const email of emails) {
+      const lead = await Lead.create({ email, name: email.split('@')[0] });
+      await drawingService.awardEntries(lead, 'base', { drawing });
+    }
+  };
+
+  describe('GET /api/drawing', () => {
+    test('should list drawings with their statistics', async () => {
+      await enterLeads(['a@example.com', 'b@example.com']);
+
+      const response = await request(app).get('/api/drawing').set(viewerHeaders).expect(200);
+
+      expect(response.body.drawings).toHaveLength(1);
+      expect(response.body.drawings[0].drawing.id).toBe(drawing.id);
+      expect(response.body.drawings[0].totalEntries).toBe(2);
+      expect(response.body.drawings[0].drawing.seed).toBeUndefined();
+    });
+
+    test('should reject an unknown status filter', async () => {
+      await request(app).get('/api/drawing').set(viewerHeaders).query({ status: 'bogus' }).expect(400);
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/drawing').expect(401);
+    });
+  });
+
+  describe('POST /api/drawing', () => {
+    test('should create a special drawing with custom prize details', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/drawing', {
+        name: 'Launch Giveaway',
+        startDate: '2024-03-01',
+        endDate: '2099-03-31',
+        prizeDetails: { type: 'audit', value: 1000 },
+        maxEntriesPerLead: 3
+      }, adminHeaders);
+
+      expect(response.status).toBe(201);
+      expect(response.body.type).toBe('special');
+      expect(response.body.status).toBe('active');
+      expect(response.body.prizeDetails).toEqual({ type: 'audit', value: 1000 });
+      expect(response.body.metadata.maxEntriesPerLead).toBe(3);
+    });
+
+    test('should reject an end date before the start date', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/drawing', {
+        name: 'Backwards',
+        startDate: '2024-03-31',
+        endDate: '2024-03-01'
+      }, adminHeaders);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should forbid non-admins', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/drawing', {
+        name: 'Sales Giveaway',
+        startDate: '2024-03-01',
+        endDate: '2024-03-31'
+      }, salesHeaders);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/drawing/:id/activate', () => {
+    const createDraft = (startDate = '2099-01-01') => Drawing.create({
+      name: 'Spring Giveaway',
+      type: 'special',
+      status: 'draft',
+      startDate: new Date(startDate),
+      endDate: new Date('2099-12-31')
+    });
+
+    test('should open a draft drawing and commit its seed', async () => {
+      const draft = await createDraft();
+
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${draft.id}/activate`, {}, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('active');
+      expect(response.body.seedHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(response.body.seed).toBeUndefined();
+    });
+
+    test('should reject drawings that are not drafts', async () => {
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${drawing.id}/activate`, {}, adminHeaders);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Drawing already active');
+    });
+
+    test('should forbid non-admins', async () => {
+      const draft = await createDraft();
+
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${draft.id}/activate`, {}, salesHeaders);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should let the scheduler activate drafts once they start', async () => {
+      const due = await createDraft('2024-01-01');
+      const upcoming = await createDraft('2099-06-01');
+
+      const result = await drawingService.activateScheduledDrawings();
+
+      expect(result).toEqual({ activated: [due.id] });
+      expect((await due.reload()).status).toBe('active');
+      expect((await upcoming.reload()).status).toBe('draft');
+    });
+  });
+
+  describe('POST /api/drawing/:id/cancel', () => {
+    test('should cancel a drawing and record the reason', async () => {
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${drawing.id}/cancel`, {
+        reason: 'Prize withdrawn'
+      }, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+      expect(response.body.metadata.cancelReason).toBe('Prize withdrawn');
+    });
+
+    test('should return 404 for an unknown drawing', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/drawing/9999/cancel', {}, adminHeaders);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/drawing/:id/redraw', () => {
+    test('should replace the winner and keep the drawing verifiable', async () => {
+      await enterLeads(['a@example.com', 'b@example.com', 'c@example.com']);
+      const first = await drawingService.selectWinner(drawing.id);
+
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${drawing.id}/redraw`, {
+        reason: 'Winner did not respond'
+      }, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.winner.id).not.toBe(first.winner.id);
+
+      const previous = await DrawingEntry.findOne({ where: { leadId: first.winner.id } });
+      expect(previous.status).toBe('disqualified');
+
+      const report = await request(app).get(`/api/drawing/${drawing.id}/verify`).expect(200);
+      expect(report.body.verified).toBe(true);
+      expect(report.body.redraws[0].reason).toBe('Winner did not respond');
+    });
+
+    test('should require a reason', async () => {
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${drawing.id}/redraw`, {}, adminHeaders);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject drawings that are not completed', async () => {
+      const response = await requestWithCsrf(app, 'post', `/api/drawing/${drawing.id}/redraw`, {
+        reason: 'Ineligible'
+      }, adminHeaders);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Only completed drawings can be redrawn');
+    });
+  });
+
+  describe('GET /api/drawing/:id/entrants.csv', () => {
+    test('should export entrants as CSV', async () => {
+      await enterLeads(['a@example.com', 'b@example.com']);
+
+      const response = await request(app)
+        .get(`/api/drawing/${drawing.id}/entrants.csv`)
+        .set(salesHeaders)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toContain(`drawing-${drawing.id}-entrants.csv`);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('Entry Number,Entry Type,Entries,Entry Date,Status,Email,Name,Company');
+      expect(lines).toHaveLength(3);
+      expect(response.text).toContain('a@example.com');
+    });
+
+    test('should forbid viewers', async () => {
+      await request(app).get(`/api/drawing/${drawing.id}/entrants.csv`).set(viewerHeaders).expect(403);
+    });
+  });
+});
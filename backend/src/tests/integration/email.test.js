@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize, EmailOutbox, EmailTemplate } = require('../../models');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('Email Outbox API', () => {
+  let adminHeaders;
+  let salesHeaders;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+    ({ headers: salesHeaders } = await createAuthenticatedUser('sales'));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EmailOutbox.destroy({ where: {} });
+  });
+
+  const createMessage = (overrides = {}) => EmailOutbox.create({
+    kind: 'welcome',
+    recipient: 'lead@example.com',
+    payload: { email: 'lead@example.com' },
+    maxAttempts: 3,
+    ...overrides
+  });
+
+  describe('GET /api/email/outbox', () => {
+    test('should list dead-lettered messages without their payload', async () => {
+      await createMessage({ status: 'dead', attempts: 3, lastError: 'Bounced' });
+      await createMessage();
+
+      const response = await request(app)
+        .get('/api/email/outbox')
+        .set(adminHeaders)
+        .query({ status: 'dead' })
+        .expect(200);
+
+      expect(response.body.messages).toHaveLength(1);
+      expect(response.body.messages[0].lastError).toBe('Bounced');
+      expect(response.body.messages[0].payload).toBeUndefined();
+    });
+
+    test('should forbid non-admins', async () => {
+      await request(app).get('/api/email/outbox').set(salesHeaders).expect(403);
+    });
+  });
+
+  describe('POST /api/email/outbox/:id/retry', () => {
+    test('should requeue a dead-lettered message', async () => {
+      const message = await createMessage({ status: 'dead', attempts: 3 });
+
+      const response = await requestWithCsrf(app, 'post', `/api/email/outbox/${message.id}/retry`, {}, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('pending');
+      expect(response.body.attempts).toBe(0);
+    });
+
+    test('should return 404 for a message that is not dead-lettered', async () => {
+      const message = await createMessage();
+
+      const response = await requestWithCsrf(app, 'post', `/api/email/outbox/${message.id}/retry`, {}, adminHeaders);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('email templates', () => {
+    beforeEach(async () => {
+      await EmailTemplate.destroy({ where: {} });
+    });
+
+    const saveVersion = (body) =>
+      requestWithCsrf(app, 'post', '/api/email/templates/welcome/versions', body, adminHeaders);
+
+    test('should list the registered templates', async () => {
+      const response = await request(app).get('/api/email/templates').set(adminHeaders).expect(200);
+
+      const welcome = response.body.templates.find(template => template.name === 'welcome');
+      expect(welcome.locales).toEqual(expect.arrayContaining(['en', 'es']));
+    });
+
+    test('should preview a template against its sample data', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/email/templates/drawing_winner/preview', {}, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subject).toBe('Congratulations! You Won a Free Consultation');
+      expect(response.body.html).toContain('Lucky Winner');
+      expect(response.body.text).toContain('You have won our monthly drawing!');
+    });
+
+    test('should preview an unsaved draft with custom data', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/email/templates/welcome/preview', {
+        data: { name: 'Marketing' },
+        draft: { subject: 'Draft for {{name}}', html: '<p>Hello <strong>{{name}}</strong></p>' }
+      }, adminHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subject).toBe('Draft for Marketing');
+      expect(response.body.html).toBe('<p>Hello <strong>Marketing</strong></p>');
+      expect(response.body.source).toBe('draft');
+    });
+
+    test('should reject a draft that does not compile', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/email/templates/welcome/preview', {
+        draft: { subject: 'Hi', html: '{{#each}}' }
+      }, adminHeaders);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should save, activate and revert template versions', async () => {
+      const saved = await saveVersion({
+        subject: 'Welcome aboard, {{name}}',
+        html: '<p>Edited copy</p>',
+        activate: true
+      });
+
+      expect(saved.status).toBe(201);
+      expect(saved.body.version).toBe(1);
+      expect(saved.body.isActive).toBe(true);
+
+      const preview = await request(app)
+        .get('/api/email/templates/welcome/preview')
+        .set(adminHeaders)
+        .expect(200);
+      expect(preview.text).toBe('<p>Edited copy</p>');
+
+      await requestWithCsrf(app, 'post', '/api/email/templates/welcome/revert', {}, adminHeaders);
+
+      const reverted = await request(app)
+        .get('/api/email/templates/welcome/preview')
+        .set(adminHeaders)
+        .expect(200);
+      expect(reverted.text).toContain('<!DOCTYPE html>');
+    });
+
+    test('should return 404 for an unknown version', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/email/templates/welcome/versions/9/activate', {}, adminHeaders);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 404 for an unknown template', async () => {
+      await request(app).get('/api/email/templates/missing/versions').set(adminHeaders).expect(404);
+    });
+
+    test('should forbid non-admins', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/email/templates/welcome/versions', {
+        subject: 'Hi',
+        html: '<p>Hi</p>'
+      }, salesHeaders);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize, ChatSession, ExperimentAssignment, Lead } = require('../../models');
+const chatService = require('../../services/chatService');
+const experimentService = require('../../services/experimentService');
+const { EXPERIMENTS } = require('../../config/experiments');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('Experiments API', () => {
+  let adminHeaders;
+  let salesHeaders;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+    ({ headers: salesHeaders } = await createAuthenticatedUser('sales'));
+  });
+
+  afterAll(async () => {
+    experimentService.setExperiments(EXPERIMENTS);
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await ExperimentAssignment.destroy({ where: {} });
+    await ChatSession.destroy({ where: {} });
+    experimentService.setExperiments([{
+      key: 'nonprofit-intake',
+      status: 'running',
+      variants: [
+        { key: 'control', weight: 50 },
+        {
+          key: 'nonprofit-flow',
+          weight: 50,
+          overrides: {
+            flow: { name: 'nonprofit', version: 1 },
+            systemPrompt: 'Variant prompt',
+            quickReplies: { default: ['Variant reply'] }
+          }
+        }
+      ]
+    }]);
+  });
+
+  async function startSession() {
+    const response = await requestWithCsrf(app, 'post', '/api/chat/session', {});
+    expect(response.status).toBe(201);
+    return ChatSession.findOne({ where: { sessionId: response.body.sessionId } });
+  }
+
+  test('should store a sticky variant assignment in session metadata', async () => {
+    const session = await startSession();
+    const { variant } = session.metadata.experiments['nonprofit-intake'];
+
+    expect(['control', 'nonprofit-flow']).toContain(variant);
+    expect(experimentService.assign(session.sessionId)['nonprofit-intake'].variant).toBe(variant);
+    expect(session.state.flow.name).toBe(variant === 'control' ? 'commercial' : 'nonprofit');
+    expect(await ExperimentAssignment.findAll({ where: { chatSessionId: session.id }, raw: true })).toEqual([
+      expect.objectContaining({ experimentKey: 'nonprofit-intake', variant })
+    ]);
+  });
+
+  test('should apply the variant system prompt and quick replies', async () => {
+    let session;
+    do {
+      session = await startSession();
+    } while (session.metadata.experiments['nonprofit-intake'].variant !== 'nonprofit-flow');
+
+    const context = chatService.buildContext(session, session.state);
+    const replies = chatService.generateQuickReplies(
+      'default',
+      session.state,
+      experimentService.getSessionOverrides(session)
+    );
+
+    expect(context[0].content).toMatch(/^Variant prompt/);
+    expect(replies).toEqual(['Variant reply']);
+  });
+
+  test('should report per-variant metrics', async () => {
+    const lead = await Lead.create({ email: 'booked@example.com', meetingScheduled: true });
+    const assignment = (variant) => ({ experiments: { 'nonprofit-intake': { variant } } });
+
+    const sessions = await ChatSession.bulkCreate([
+      { metadata: assignment('control'), completionRate: 0.25 },
+      { metadata: assignment('control'), completionRate: 0.5 },
+      { metadata: assignment('nonprofit-flow'), completionRate: 1, leadQualified: true, lead_id: lead.id },
+      { metadata: assignment('nonprofit-flow'), completionRate: 0.75 },
+      { metadata: {}, completionRate: 1 }
+    ]);
+    for (const session of sessions) {
+      await experimentService.recordAssignments(session);
+    }
+
+    const response = await request(app)
+      .get('/api/experiments/nonprofit-intake/results')
+      .set(adminHeaders)
+      .expect(200);
+
+    const [control, variant] = response.body.variants;
+    expect(control).toEqual(expect.objectContaining({ key: 'control', isControl: true, sessions: 2, comparison: null }));
+    expect(control.metrics.completionRate).toBeCloseTo(0.375);
+    expect(variant.sessions).toBe(2);
+    expect(variant.metrics).toEqual(expect.objectContaining({
+      completionRate: 0.875,
+      qualificationRate: 0.5,
+      meetingBookingRate: 0.5
+    }));
+    expect(variant.comparison.completionRate).toEqual(expect.objectContaining({
+      difference: 0.5,
+      pValue: expect.any(Number),
+      significant: expect.any(Boolean)
+    }));
+  });
+
+  test('should return 404 for unknown experiments', async () => {
+    await request(app).get('/api/experiments/missing/results').set(adminHeaders).expect(404);
+  });
+
+  test('should forbid non-admins', async () => {
+    await request(app).get('/api/experiments').set(salesHeaders).expect(403);
+  });
+});
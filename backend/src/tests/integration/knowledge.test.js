@@ -0,0 +1,152 @@
+const path = require('path');
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize } = require('../../models');
+const chatService = require('../../services/chatService');
+const knowledgeBaseService = require('../../services/knowledgeBaseService');
+const { MockProvider } = require('../../services/llmProviders');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('Knowledge Base API', () => {
+  let adminHeaders;
+  let salesHeaders;
+
+  const pricingPage = {
+    title: 'Pricing',
+    sourceUrl: 'https://servicevision.net/pricing',
+    content: '# Pricing\n\n## Nonprofit discount\n\nRegistered nonprofits receive a 30% discount on consulting.'
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+    ({ headers: salesHeaders } = await createAuthenticatedUser('sales'));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await sequelize.models.KnowledgeDocument.destroy({ where: {} });
+    knowledgeBaseService.configure();
+  });
+
+  const addDocument = (body) => requestWithCsrf(app, 'post', '/api/knowledge/documents', body, adminHeaders);
+
+  describe('document management', () => {
+    test('should add, list and search documents', async () => {
+      const created = await addDocument(pricingPage);
+      expect(created.status).toBe(201);
+      expect(created.body.chunkCount).toBe(1);
+
+      const list = await request(app).get('/api/knowledge/documents').set(adminHeaders).expect(200);
+      expect(list.body.documents).toHaveLength(1);
+      expect(list.body.documents[0].content).toBeUndefined();
+
+      const search = await request(app)
+        .get('/api/knowledge/search')
+        .query({ q: 'nonprofit discount' })
+        .set(adminHeaders)
+        .expect(200);
+      expect(search.body.passages[0]).toEqual(expect.objectContaining({ title: 'Pricing', section: 'Nonprofit discount' }));
+    });
+
+    test('should index HTML documents', async () => {
+      const created = await addDocument({
+        title: 'Food Bank case study',
+        format: 'html',
+        content: '<h1>Food Bank</h1><p>Automated volunteer scheduling.</p>'
+      });
+
+      expect(created.status).toBe(201);
+      expect(created.body.chunkCount).toBe(1);
+      expect(created.body.content).toContain('<h1>Food Bank</h1>');
+    });
+
+    test('should validate new documents', async () => {
+      expect((await addDocument({ title: 'Empty' })).status).toBe(400);
+      expect((await addDocument({ ...pricingPage, format: 'pdf' })).status).toBe(400);
+    });
+
+    test('should re-index one or all documents', async () => {
+      const created = await addDocument(pricingPage);
+      knowledgeBaseService.configure();
+
+      const one = await requestWithCsrf(app, 'post', `/api/knowledge/documents/${created.body.id}/reindex`, {}, adminHeaders);
+      expect(one.status).toBe(200);
+
+      const all = await requestWithCsrf(app, 'post', '/api/knowledge/reindex', {}, adminHeaders);
+      expect(all.body).toEqual({ documents: 1, chunks: 1 });
+
+      const missing = await requestWithCsrf(app, 'post', '/api/knowledge/documents/999/reindex', {}, adminHeaders);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should delete documents and their passages', async () => {
+      const created = await addDocument(pricingPage);
+
+      const removed = await requestWithCsrf(app, 'delete', `/api/knowledge/documents/${created.body.id}`, {}, adminHeaders);
+      expect(removed.status).toBe(200);
+      expect(await knowledgeBaseService.retrieve('nonprofit discount')).toEqual([]);
+
+      const again = await requestWithCsrf(app, 'delete', `/api/knowledge/documents/${created.body.id}`, {}, adminHeaders);
+      expect(again.status).toBe(404);
+    });
+
+    test('should forbid non-admins', async () => {
+      await request(app).get('/api/knowledge/documents').set(salesHeaders).expect(403);
+    });
+  });
+
+  describe('chat answers', () => {
+    let originalProvider;
+    let provider;
+
+    beforeAll(() => {
+      originalProvider = chatService.provider;
+      provider = new MockProvider({
+        fixtureDir: path.join(__dirname, '../../fixtures/llm'),
+        scenario: 'default'
+      });
+      chatService.setProvider(provider);
+    });
+
+    afterAll(() => {
+      chatService.setProvider(originalProvider);
+    });
+
+    test('should ground replies in retrieved passages and cite them', async () => {
+      await addDocument(pricingPage);
+      const complete = jest.spyOn(provider, 'complete');
+
+      const session = await requestWithCsrf(app, 'post', '/api/chat/session', {});
+      const response = await requestWithCsrf(app, 'post', '/api/chat/message', {
+        sessionId: session.body.sessionId,
+        message: 'Do nonprofits get a discount on pricing?'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sources).toEqual([expect.objectContaining({
+        index: 1,
+        title: 'Pricing',
+        section: 'Nonprofit discount',
+        sourceUrl: 'https://servicevision.net/pricing'
+      })]);
+      expect(complete.mock.calls[0][0][0].content).toContain('[1] Pricing - Nonprofit discount');
+      complete.mockRestore();
+    });
+
+    test('should return no sources when nothing is relevant', async () => {
+      const session = await requestWithCsrf(app, 'post', '/api/chat/session', {});
+      const response = await requestWithCsrf(app, 'post', '/api/chat/message', {
+        sessionId: session.body.sessionId,
+        message: 'Hello there'
+      });
+
+      expect(response.body.sources).toEqual([]);
+    });
+  });
+});
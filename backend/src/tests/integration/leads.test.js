@@ -0,0 +1,577 @@
+const request = require('supertest');
+const app = require('../../app');
+const {
+  sequelize,
+  Lead,
+  LeadNote,
+  LeadHistory,
+  LeadMerge,
+  ChatSession,
+  Drawing,
+  DrawingEntry,
+  EmailEvent
+} = require('../../models');
+const leadService = require('../../services/leadService');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('Lead Management API', () => {
+  let adminHeaders;
+  let salesHeaders;
+  let viewerHeaders;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+    ({ headers: salesHeaders } = await createAuthenticatedUser('sales'));
+    ({ headers: viewerHeaders } = await createAuthenticatedUser('viewer'));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EmailEvent.destroy({ where: {} });
+    await DrawingEntry.destroy({ where: {} });
+    await Drawing.destroy({ where: {} });
+    await ChatSession.destroy({ where: {} });
+    await LeadMerge.destroy({ where: {} });
+    await LeadHistory.destroy({ where: {} });
+    await LeadNote.destroy({ where: {} });
+    await Lead.destroy({ where: {} });
+  });
+
+  const createLeads = async () => {
+    const leads = await Lead.bulkCreate([
+      { email: 'alice@acme.com', name: 'Alice', company: 'Acme', source: 'chat', qualified: true, status: 'qualified' },
+      { email: 'bob@globex.com', name: 'Bob', company: 'Globex', source: 'calendly' },
+      { email: 'carol@initech.com', name: 'Carol', company: 'Initech', source: 'chat' }
+    ]);
+
+    // Backdate one lead outside the "week" range
+    await sequelize.query(
+      'UPDATE leads SET created_at = :date WHERE email = :email',
+      { replacements: { date: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000).toISOString(), email: 'carol@initech.com' } }
+    );
+
+    return leads;
+  };
+
+  describe('POST /api/leads', () => {
+    test('should create a lead and record it in history', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'new@example.com',
+        name: 'New Lead'
+      });
+
+      expect(response.status).toBe(201);
+
+      const history = await LeadHistory.findAll({ where: { leadId: response.body.id } });
+      expect(history).toHaveLength(1);
+      expect(history[0].action).toBe('created');
+    });
+
+    test('should ignore qualification fields from the client', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'eager@example.com',
+        qualified: true,
+        qualificationScore: 100,
+        status: 'converted'
+      });
+
+      expect(response.status).toBe(201);
+
+      const lead = await Lead.findByPk(response.body.id);
+      expect(lead.qualified).toBe(false);
+      expect(lead.qualificationScore).toBe(0);
+      expect(lead.status).toBe('new');
+    });
+
+    test('should fill in the company and organization flags from the email domain', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'volunteer@redcross.org'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.company).toBe('American Red Cross');
+      expect(response.body.metadata.enrichment).toEqual(expect.objectContaining({
+        domain: 'redcross.org',
+        freeEmail: false,
+        sizeBand: '5001+',
+        nonprofit: true,
+        organizationType: 'nonprofit',
+        source: 'local'
+      }));
+    });
+
+    test('should keep the company a lead gave and skip webmail domains', async () => {
+      const corporate = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'pat@microsoft.com',
+        company: 'Microsoft Research'
+      });
+      const webmail = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'pat@gmail.com'
+      });
+
+      expect(corporate.body.company).toBe('Microsoft Research');
+      expect(corporate.body.metadata.enrichment.organizationType).toBe('enterprise');
+      expect((await Lead.findByPk(webmail.body.id)).company).toBeNull();
+      expect(webmail.body.metadata.enrichment).toEqual(expect.objectContaining({
+        freeEmail: true,
+        organizationType: null,
+        source: null
+      }));
+    });
+
+    test('should return the existing lead for the same address written differently', async () => {
+      const [alice] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: ' Alice+website@ACME.com '
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ email: 'alice+website@acme.com' });
+      expect(await Lead.count()).toBe(3);
+    });
+
+    test('should reject an invalid email in the validation error format', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/leads', { email: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details).toEqual([
+        expect.objectContaining({ location: 'body', path: 'email' })
+      ]);
+    });
+  });
+
+  describe('GET /api/leads', () => {
+    test('should return a paginated list', async () => {
+      await createLeads();
+
+      const response = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ page: 1, limit: 2 })
+        .expect(200);
+
+      expect(response.body.leads).toHaveLength(2);
+      expect(response.body.pagination).toEqual({
+        page: 1,
+        limit: 2,
+        total: 3,
+        totalPages: 2
+      });
+    });
+
+    test('should filter by source and qualification', async () => {
+      await createLeads();
+
+      const bySource = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ source: 'chat' })
+        .expect(200);
+      expect(bySource.body.leads.map(l => l.email).sort()).toEqual(['alice@acme.com', 'carol@initech.com']);
+
+      const qualified = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ isQualified: 'true' })
+        .expect(200);
+      expect(qualified.body.leads.map(l => l.email)).toEqual(['alice@acme.com']);
+
+      const byStatus = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ status: 'new' })
+        .expect(200);
+      expect(byStatus.body.pagination.total).toBe(2);
+    });
+
+    test('should filter by date range', async () => {
+      await createLeads();
+
+      const response = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ dateRange: 'week' })
+        .expect(200);
+
+      expect(response.body.leads.map(l => l.email)).not.toContain('carol@initech.com');
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    test('should sort by a whitelisted field', async () => {
+      await createLeads();
+
+      const response = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ sortBy: 'name', sortOrder: 'asc' })
+        .expect(200);
+
+      expect(response.body.leads.map(l => l.name)).toEqual(['Alice', 'Bob', 'Carol']);
+    });
+
+    test('should reject query values outside the schema', async () => {
+      const response = await request(app)
+        .get('/api/leads')
+        .set(viewerHeaders)
+        .query({ page: 0, sortBy: 'password' })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.path)).toEqual(['page', 'sortBy']);
+    });
+  });
+
+  describe('GET /api/leads/:id', () => {
+    test('should find a lead by id or email', async () => {
+      const [alice] = await createLeads();
+
+      const byId = await request(app).get(`/api/leads/${alice.id}`).set(viewerHeaders).expect(200);
+      expect(byId.body.email).toBe('alice@acme.com');
+      expect(byId.body.notes).toEqual([]);
+
+      const byEmail = await request(app).get('/api/leads/alice@acme.com').set(viewerHeaders).expect(200);
+      expect(byEmail.body.id).toBe(alice.id);
+    });
+
+    test('should return 404 for unknown lead', async () => {
+      await request(app).get('/api/leads/missing@example.com').set(viewerHeaders).expect(404);
+    });
+  });
+
+  describe('PATCH /api/leads/:id', () => {
+    test('should update allowed fields and record the change', async () => {
+      const [, bob] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'patch', `/api/leads/${bob.id}`, {
+        status: 'contacted',
+        company: 'Globex Corp',
+        qualificationScore: 99
+      }, salesHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('contacted');
+      expect(response.body.company).toBe('Globex Corp');
+      expect(response.body.qualificationScore).toBe(0);
+
+      const history = await request(app).get(`/api/leads/${bob.id}/history`).set(viewerHeaders).expect(200);
+      expect(history.body.history[0].action).toBe('updated');
+      expect(history.body.history[0].changes).toEqual({
+        status: { from: 'new', to: 'contacted' },
+        company: { from: 'Globex', to: 'Globex Corp' }
+      });
+    });
+
+    test('should return 404 for unknown lead', async () => {
+      const response = await requestWithCsrf(app, 'patch', '/api/leads/5b6b3c9e-6c1f-4f55-9d1f-0d6e6c2a1b11', {
+        status: 'contacted'
+      }, salesHeaders);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/leads/:id/notes', () => {
+    test('should add a note and return the lead with notes', async () => {
+      const [alice] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', `/api/leads/${alice.id}/notes`, {
+        content: 'Follow up next week'
+      }, salesHeaders);
+
+      expect(response.status).toBe(201);
+      expect(response.body.id).toBe(alice.id);
+      expect(response.body.notes).toHaveLength(1);
+      expect(response.body.notes[0].content).toBe('Follow up next week');
+    });
+
+    test('should reject an empty note', async () => {
+      const [alice] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', `/api/leads/${alice.id}/notes`, {
+        content: '   '
+      }, salesHeaders);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/leads/:id/qualify', () => {
+    test('should qualify a lead', async () => {
+      const [, bob] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', `/api/leads/${bob.id}/qualify`, {
+        score: 80,
+        reason: 'Budget confirmed on call'
+      }, salesHeaders);
+
+      expect(response.status).toBe(200);
+      expect(response.body.qualified).toBe(true);
+      expect(response.body.status).toBe('qualified');
+      expect(response.body.qualificationScore).toBe(80);
+
+      const history = await LeadHistory.findOne({ where: { leadId: bob.id, action: 'qualified' } });
+      expect(history.changes.reason).toBe('Budget confirmed on call');
+    });
+
+    test('should reject an out-of-range score', async () => {
+      const [, bob] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', `/api/leads/${bob.id}/qualify`, {
+        score: 150
+      }, salesHeaders);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/leads/:id', () => {
+    test('should delete a lead with its notes and history', async () => {
+      const [alice] = await createLeads();
+      await LeadNote.create({ leadId: alice.id, content: 'Note' });
+
+      const response = await requestWithCsrf(app, 'delete', `/api/leads/${alice.id}`, {}, adminHeaders);
+
+      expect(response.status).toBe(204);
+      expect(await Lead.findByPk(alice.id)).toBeNull();
+      expect(await LeadNote.count({ where: { leadId: alice.id } })).toBe(0);
+    });
+
+    test('should remove open drawing entries and detach chat sessions and email events', async () => {
+      const [alice] = await createLeads();
+      const drawing = await Drawing.create({
+        name: 'Open Drawing',
+        type: 'monthly',
+        status: 'active',
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2099-01-31')
+      });
+      await DrawingEntry.create({ leadId: alice.id, drawingId: drawing.id, entryType: 'base' });
+      const session = await ChatSession.create({ lead_id: alice.id });
+      const event = await EmailEvent.create({
+        sgEventId: 'event-1',
+        leadId: alice.id,
+        email: alice.email,
+        event: 'open',
+        occurredAt: new Date()
+      });
+
+      const response = await requestWithCsrf(app, 'delete', `/api/leads/${alice.id}`, {}, adminHeaders);
+
+      expect(response.status).toBe(204);
+      expect(await DrawingEntry.count({ where: { leadId: alice.id } })).toBe(0);
+      expect((await ChatSession.findByPk(session.id)).lead_id).toBeNull();
+      expect((await EmailEvent.findByPk(event.id)).leadId).toBeNull();
+    });
+
+    test('should refuse to delete a drawing winner or an entrant of a completed drawing', async () => {
+      const [alice, bob] = await createLeads();
+      const drawing = await Drawing.create({
+        name: 'Past Drawing',
+        type: 'monthly',
+        status: 'completed',
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2024-01-31'),
+        winnerId: alice.id
+      });
+      await DrawingEntry.create({ leadId: bob.id, drawingId: drawing.id, entryType: 'base' });
+      await LeadNote.create({ leadId: bob.id, content: 'Note' });
+
+      const winner = await requestWithCsrf(app, 'delete', `/api/leads/${alice.id}`, {}, adminHeaders);
+      const entrant = await requestWithCsrf(app, 'delete', `/api/leads/${bob.id}`, {}, adminHeaders);
+
+      expect(winner.status).toBe(400);
+      expect(entrant.status).toBe(400);
+      expect(entrant.body.message).toMatch(/cannot be deleted/);
+      expect(await Lead.findByPk(alice.id)).not.toBeNull();
+      expect(await LeadNote.count({ where: { leadId: bob.id } })).toBe(1);
+      expect((await Drawing.findByPk(drawing.id)).winnerId).toBe(alice.id);
+    });
+
+    test('should return 404 for unknown lead', async () => {
+      const response = await requestWithCsrf(app, 'delete', '/api/leads/5b6b3c9e-6c1f-4f55-9d1f-0d6e6c2a1b11', {}, adminHeaders);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/leads/:id/duplicates', () => {
+    test('should list leads matching on phone or name at the same domain', async () => {
+      const john = await Lead.create({ email: 'john@acme.com', name: 'John Smith', phone: '+1 555 123 4567' });
+      const byName = await Lead.create({ email: 'jsmith@acme.com', name: 'Smith, John' });
+      const byPhone = await Lead.create({ email: 'johnny@gmail.com', phone: '(555) 123-4567' });
+      await Lead.create({ email: 'jane@acme.com', name: 'Jane Smith' });
+
+      const response = await request(app)
+        .get(`/api/leads/${john.id}/duplicates`)
+        .set(viewerHeaders)
+        .expect(200);
+
+      expect(response.body.duplicates).toEqual([
+        { lead: expect.objectContaining({ id: byName.id }), reasons: ['name_domain'] },
+        { lead: expect.objectContaining({ id: byPhone.id }), reasons: ['phone'] }
+      ]);
+      expect(response.body.duplicates[0].lead).not.toHaveProperty('emailKey');
+    });
+  });
+
+  describe('POST /api/leads/:id/merge', () => {
+    const merge = (lead, duplicate) => requestWithCsrf(app, 'post', `/api/leads/${lead.id}/merge`, {
+      duplicateId: duplicate.id
+    }, salesHeaders);
+
+    test('should move sessions, entries and notes and keep an audit record', async () => {
+      const lead = await Lead.create({ email: 'john@acme.com', metadata: { utm: 'ads' } });
+      const duplicate = await Lead.create({
+        email: 'john.smith@acme.com',
+        name: 'John Smith',
+        phone: '555-123-4567',
+        qualified: true,
+        qualificationScore: 70,
+        metadata: { utm: 'newsletter', industry: 'retail' }
+      });
+      const session = await ChatSession.create({ lead_id: duplicate.id });
+      const note = await LeadNote.create({ leadId: duplicate.id, content: 'Called back' });
+      const drawing = await Drawing.create({
+        name: 'Open Drawing',
+        type: 'monthly',
+        status: 'active',
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2099-01-31')
+      });
+      await DrawingEntry.create({ leadId: lead.id, drawingId: drawing.id, entryType: 'base' });
+      const twice = await DrawingEntry.create({ leadId: duplicate.id, drawingId: drawing.id, entryType: 'base' });
+      const bonus = await DrawingEntry.create({ leadId: duplicate.id, drawingId: drawing.id, entryType: 'chat_completed', entryCount: 2 });
+
+      const response = await merge(lead, duplicate);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        name: 'John Smith',
+        phone: '555-123-4567',
+        qualified: true,
+        qualificationScore: 70,
+        metadata: { utm: 'ads', industry: 'retail' }
+      });
+      expect(response.body.chatSessions.map(s => s.id)).toEqual([session.id]);
+      expect(response.body.notes.map(n => n.id)).toEqual([note.id]);
+
+      expect(await Lead.findByPk(duplicate.id)).toBeNull();
+      expect((await DrawingEntry.findByPk(bonus.id)).leadId).toBe(lead.id);
+      expect(await DrawingEntry.findByPk(twice.id)).toBeNull();
+
+      const audit = await LeadMerge.findOne({ where: { leadId: lead.id } });
+      expect(audit).toMatchObject({ mergedLeadId: duplicate.id, mergedEmail: 'john.smith@acme.com', mergedBy: expect.any(String) });
+      expect(audit.snapshot.name).toBe('John Smith');
+      expect(audit.moved).toMatchObject({ chatSessions: 1, notes: 1, drawingEntries: 1, removedDrawingEntries: [twice.entryNumber] });
+
+      const history = await LeadHistory.findAll({ where: { leadId: lead.id } });
+      expect(history.map(h => h.action)).toEqual(['merged']);
+      expect(history[0].changes.fields).toHaveProperty('name', { from: null, to: 'John Smith' });
+    });
+
+    test('should keep both leads\' entries in a completed drawing', async () => {
+      const lead = await Lead.create({ email: 'john@acme.com' });
+      const duplicate = await Lead.create({ email: 'jsmith@acme.com' });
+      const drawing = await Drawing.create({
+        name: 'Past Drawing',
+        type: 'monthly',
+        status: 'completed',
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2024-01-31')
+      });
+      await DrawingEntry.create({ leadId: lead.id, drawingId: drawing.id, entryType: 'base' });
+      const kept = await DrawingEntry.create({ leadId: duplicate.id, drawingId: drawing.id, entryType: 'base' });
+
+      const response = await merge(lead, duplicate);
+
+      expect(response.status).toBe(200);
+      const entry = await DrawingEntry.findByPk(kept.id);
+      expect(entry.leadId).toBe(lead.id);
+      expect(entry.awardKey).toBeNull();
+    });
+
+    test('should resolve the merged address to the surviving lead', async () => {
+      const lead = await Lead.create({ email: 'john@acme.com' });
+      const duplicate = await Lead.create({ email: 'jsmith@acme.com' });
+      expect((await merge(lead, duplicate)).status).toBe(200);
+
+      const response = await requestWithCsrf(app, 'post', '/api/leads', { email: 'jsmith@acme.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ email: 'jsmith@acme.com' });
+      expect(await Lead.count()).toBe(1);
+      expect((await leadService.findByEmail('jsmith@acme.com')).id).toBe(lead.id);
+    });
+
+    test('should not merge a lead into itself', async () => {
+      const [alice] = await createLeads();
+
+      const response = await merge(alice, alice);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].path).toBe('duplicateId');
+    });
+
+    test('should return 404 for an unknown duplicate', async () => {
+      const [alice] = await createLeads();
+
+      const response = await merge(alice, { id: '5b6b3c9e-6c1f-4f55-9d1f-0d6e6c2a1b11' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should forbid viewers', async () => {
+      const [alice, bob] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'post', `/api/leads/${alice.id}/merge`, {
+        duplicateId: bob.id
+      }, viewerHeaders);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Access control', () => {
+    test('should reject unauthenticated reads', async () => {
+      await createLeads();
+
+      const list = await request(app).get('/api/leads').expect(401);
+      expect(list.body.error).toBe('Unauthorized');
+
+      await request(app).get('/api/leads/alice@acme.com').expect(401);
+    });
+
+    test('should keep lead capture public', async () => {
+      const response = await requestWithCsrf(app, 'post', '/api/leads', {
+        email: 'visitor@example.com'
+      });
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should forbid viewers from changing leads', async () => {
+      const [alice] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'patch', `/api/leads/${alice.id}`, {
+        status: 'contacted'
+      }, viewerHeaders);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should only allow admins to delete leads', async () => {
+      const [alice] = await createLeads();
+
+      const response = await requestWithCsrf(app, 'delete', `/api/leads/${alice.id}`, {}, salesHeaders);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
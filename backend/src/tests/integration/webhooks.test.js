@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../app');
+const { sequelize, EmailEvent, EmailOutbox, EmailSuppression, Lead } = require('../../models');
+const { requestWithCsrf } = require('../helpers/csrf');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+describe('SendGrid Event Webhook', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  let adminHeaders;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    process.env.SENDGRID_WEBHOOK_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+    ({ headers: adminHeaders } = await createAuthenticatedUser('admin'));
+  });
+
+  afterAll(async () => {
+    delete process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    await sequelize.close();
+  });
+
+  beforeEach(async () => {
+    await EmailEvent.destroy({ where: {} });
+    await EmailSuppression.destroy({ where: {} });
+    await EmailOutbox.destroy({ where: {} });
+    await Lead.destroy({ where: {} });
+  });
+
+  const postEvents = (events, { tamper = false } = {}) => {
+    const body = JSON.stringify(events);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.sign('sha256', Buffer.from(timestamp + body), privateKey).toString('base64');
+
+    return request(app)
+      .post('/api/webhooks/sendgrid')
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Email-Event-Webhook-Signature', signature)
+      .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+      .send(tamper ? body.replace('delivered', 'open') : body);
+  };
+
+  test('should record signed events against the lead', async () => {
+    const lead = await Lead.create({ email: 'lead@example.com' });
+    const message = await EmailOutbox.create({
+      kind: 'welcome',
+      recipient: 'lead@example.com',
+      payload: {},
+      maxAttempts: 3,
+      status: 'sent'
+    });
+
+    const response = await postEvents([
+      { email: 'lead@example.com', event: 'delivered', timestamp: 1700000000, sg_event_id: 'evt-1', outbox_id: message.id },
+      { email: 'lead@example.com', event: 'open', timestamp: 1700000100, sg_event_id: 'evt-2', outbox_id: message.id }
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, processed: 2, duplicates: 0, ignored: 0 });
+
+    const engagement = await request(app)
+      .get(`/api/leads/${lead.id}/email-events`)
+      .set(adminHeaders)
+      .expect(200);
+
+    expect(engagement.body.events.map(event => event.event)).toEqual(['open', 'delivered']);
+    expect(engagement.body.events[0].outboxId).toBe(message.id);
+  });
+
+  test('should suppress a bounced address and allow admins to lift it', async () => {
+    await postEvents([
+      { email: 'bounced@example.com', event: 'bounce', timestamp: 1700000000, sg_event_id: 'evt-3' }
+    ]).expect(200);
+
+    const list = await request(app).get('/api/email/suppressions').set(adminHeaders).expect(200);
+    expect(list.body.suppressions.map(s => s.email)).toEqual(['bounced@example.com']);
+
+    const removed = await requestWithCsrf(app, 'delete', '/api/email/suppressions/bounced@example.com', {}, adminHeaders);
+    expect(removed.status).toBe(200);
+    expect(await EmailSuppression.count()).toBe(0);
+  });
+
+  test('should reject a tampered payload', async () => {
+    const response = await postEvents([
+      { email: 'lead@example.com', event: 'delivered', timestamp: 1700000000, sg_event_id: 'evt-4' }
+    ], { tamper: true });
+
+    expect(response.status).toBe(401);
+    expect(await EmailEvent.count()).toBe(0);
+  });
+
+  test('should reject unsigned requests', async () => {
+    await request(app)
+      .post('/api/webhooks/sendgrid')
+      .send([{ email: 'lead@example.com', event: 'delivered', sg_event_id: 'evt-5' }])
+      .expect(401);
+  });
+
+  test('should reject a body that is not an event array', async () => {
+    await postEvents({ event: 'delivered' }).expect(400);
+  });
+});
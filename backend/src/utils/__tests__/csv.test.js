@@ -0,0 +1,35 @@
+const { escapeCell, toCsv } = require('../csv');
+
+describe('CSV Utility', () => {
+  describe('escapeCell', () => {
+    test('should quote values containing separators', () => {
+      expect(escapeCell('Acme, Inc.')).toBe('"Acme, Inc."');
+      expect(escapeCell('Say "hi"')).toBe('"Say ""hi"""');
+    });
+
+    test('should neutralize formula-like values', () => {
+      expect(escapeCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+
+    test('should format empty values and dates', () => {
+      expect(escapeCell(null)).toBe('');
+      expect(escapeCell(undefined)).toBe('');
+      expect(escapeCell(new Date('2024-01-05T00:00:00Z'))).toBe('2024-01-05T00:00:00.000Z');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should write a header line followed by one line per row', () => {
+      const csv = toCsv([
+        { header: 'Email', value: row => row.email },
+        { header: 'Entries', value: row => row.count }
+      ], [
+        { email: 'a@example.com', count: 1 },
+        { email: 'b@example.com', count: 5 }
+      ]);
+
+      expect(csv).toBe('Email,Entries\r\na@example.com,1\r\nb@example.com,5\r\n');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fairDraw = require('../fairDraw');
+
+describe('Fair Draw Utility', () => {
+  const entries = [
+    { id: 'c', entryNumber: 'DE-2024-00300' },
+    { id: 'a', entryNumber: 'DE-2024-00100' },
+    { id: 'b', entryNumber: 'DE-2024-00200' }
+  ];
+
+  describe('generateSeed / hashSeed', () => {
+    test('should generate a 32-byte hex seed', () => {
+      const seed = fairDraw.generateSeed();
+
+      expect(seed).toMatch(/^[0-9a-f]{64}$/);
+      expect(fairDraw.generateSeed()).not.toBe(seed);
+    });
+
+    test('should hash the seed with SHA-256', () => {
+      const seed = 'a'.repeat(64);
+      const expected = crypto.createHash('sha256').update(seed).digest('hex');
+
+      expect(fairDraw.hashSeed(seed)).toBe(expected);
+    });
+  });
+
+  describe('sortEntries / hashEntries', () => {
+    test('should sort entries by entry number without mutating input', () => {
+      const sorted = fairDraw.sortEntries(entries);
+
+      expect(sorted.map(e => e.id)).toEqual(['a', 'b', 'c']);
+      expect(entries[0].id).toBe('c');
+    });
+
+    test('should hash the newline-joined entry numbers and weights', () => {
+      const sorted = fairDraw.sortEntries(entries);
+      const expected = crypto
+        .createHash('sha256')
+        .update('DE-2024-00100:1\nDE-2024-00200:1\nDE-2024-00300:1')
+        .digest('hex');
+
+      expect(fairDraw.hashEntries(sorted)).toBe(expected);
+    });
+  });
+
+  describe('selectTicket', () => {
+    test('should be deterministic for the same inputs', () => {
+      const first = fairDraw.selectTicket('seed', 'hash', 7);
+      const second = fairDraw.selectTicket('seed', 'hash', 7);
+
+      expect(first).toBe(second);
+      expect(first).toBeGreaterThanOrEqual(0);
+      expect(first).toBeLessThan(7);
+    });
+
+    test('should match the documented HMAC derivation', () => {
+      const digest = crypto.createHmac('sha256', 'seed').update('hash').digest('hex');
+      const expected = Number(BigInt(`0x${digest}`) % 7n);
+
+      expect(fairDraw.selectTicket('seed', 'hash', 7)).toBe(expected);
+    });
+
+    test('should reject an empty entry list', () => {
+      expect(() => fairDraw.selectTicket('seed', 'hash', 0)).toThrow('empty entry list');
+    });
+  });
+
+  describe('draw', () => {
+    test('should give the same winner regardless of input order', () => {
+      const seed = fairDraw.generateSeed();
+
+      const first = fairDraw.draw(seed, entries);
+      const second = fairDraw.draw(seed, [...entries].reverse());
+
+      expect(second.winner.id).toBe(first.winner.id);
+      expect(second.entriesHash).toBe(first.entriesHash);
+      expect(first.sortedEntries[first.winningIndex]).toBe(first.winner);
+    });
+
+    test('should change the entries hash when the entry list changes', () => {
+      const seed = fairDraw.generateSeed();
+
+      const original = fairDraw.draw(seed, entries);
+      const tampered = fairDraw.draw(seed, [...entries, { id: 'd', entryNumber: 'DE-2024-00400' }]);
+
+      expect(tampered.entriesHash).not.toBe(original.entriesHash);
+    });
+
+    test('should include entry weights in the entries hash', () => {
+      const seed = fairDraw.generateSeed();
+
+      const original = fairDraw.draw(seed, entries);
+      const reweighted = fairDraw.draw(seed, entries.map(e => ({ ...e, entryCount: 2 })));
+
+      expect(reweighted.entriesHash).not.toBe(original.entriesHash);
+      expect(reweighted.totalTickets).toBe(6);
+    });
+
+    test('should map the ticket onto cumulative entry weights', () => {
+      const weighted = [
+        { id: 'a', entryNumber: 'DE-2024-00100', entryCount: 1 },
+        { id: 'b', entryNumber: 'DE-2024-00200', entryCount: 5 },
+        { id: 'c', entryNumber: 'DE-2024-00300', entryCount: 2 }
+      ];
+
+      for (let i = 0; i < 20; i++) {
+        const result = fairDraw.draw(fairDraw.generateSeed(), weighted);
+        const expectedId = result.ticket < 1 ? 'a' : result.ticket < 6 ? 'b' : 'c';
+
+        expect(result.totalTickets).toBe(8);
+        expect(result.winner.id).toBe(expectedId);
+      }
+    });
+  });
+});
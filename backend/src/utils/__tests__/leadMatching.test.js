@@ -0,0 +1,79 @@
+const {
+  normalizeEmail,
+  emailKey,
+  phoneKey,
+  nameKey,
+  matchReasons
+} = require('../leadMatching');
+
+describe('Lead Matching Utility', () => {
+  describe('normalizeEmail', () => {
+    test('should trim and lowercase', () => {
+      expect(normalizeEmail(' John@Acme.com ')).toBe('john@acme.com');
+      expect(normalizeEmail('   ')).toBeNull();
+      expect(normalizeEmail(undefined)).toBeNull();
+    });
+  });
+
+  describe('emailKey', () => {
+    test('should drop +tags', () => {
+      expect(emailKey('John+calendly@Acme.com')).toBe('john@acme.com');
+    });
+
+    test('should ignore dots and the alternative domain for Gmail only', () => {
+      expect(emailKey('j.o.h.n@googlemail.com')).toBe('john@gmail.com');
+      expect(emailKey('j.smith@acme.com')).toBe('j.smith@acme.com');
+    });
+
+    test('should return null for values without a mailbox', () => {
+      expect(emailKey('not-an-email')).toBeNull();
+      expect(emailKey('+tag@acme.com')).toBeNull();
+    });
+  });
+
+  describe('phoneKey', () => {
+    test('should compare the last ten digits', () => {
+      expect(phoneKey('+1 (555) 123-4567')).toBe('5551234567');
+      expect(phoneKey('555.123.4567')).toBe('5551234567');
+    });
+
+    test('should ignore numbers too short to compare', () => {
+      expect(phoneKey('12-34')).toBeNull();
+      expect(phoneKey(null)).toBeNull();
+    });
+  });
+
+  describe('nameKey', () => {
+    test('should ignore case, accents, punctuation and word order', () => {
+      expect(nameKey('José Smith')).toBe(nameKey('smith, jose'));
+      expect(nameKey(' - ')).toBeNull();
+    });
+  });
+
+  describe('matchReasons', () => {
+    test('should match the same address written differently', () => {
+      expect(matchReasons({ email: 'John@Acme.com ' }, { email: 'john+demo@acme.com' })).toEqual(['email']);
+    });
+
+    test('should match phone numbers regardless of formatting', () => {
+      expect(matchReasons(
+        { email: 'a@one.com', phone: '+1 555 123 4567' },
+        { email: 'b@two.com', phone: '(555) 123-4567' }
+      )).toEqual(['phone']);
+    });
+
+    test('should match a name at the same organization domain', () => {
+      expect(matchReasons(
+        { email: 'john@acme.com', name: 'John Smith' },
+        { email: 'jsmith@acme.com', name: 'Smith, John' }
+      )).toEqual(['name_domain']);
+    });
+
+    test('should not match a name at a webmail domain', () => {
+      expect(matchReasons(
+        { email: 'john1@gmail.com', name: 'John Smith' },
+        { email: 'john2@gmail.com', name: 'John Smith' }
+      )).toEqual([]);
+    });
+  });
+});
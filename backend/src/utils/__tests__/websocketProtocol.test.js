@@ -0,0 +1,75 @@
+const {
+  ERROR_CODES,
+  ProtocolError,
+  negotiateVersion,
+  validatePayload,
+  buildError,
+  legacyErrorEvents
+} = require('../websocketProtocol');
+
+describe('WebSocket Protocol', () => {
+  describe('negotiateVersion', () => {
+    test('should treat clients without a version as version 1', () => {
+      expect(negotiateVersion({ auth: {}, query: {} })).toBe(1);
+    });
+
+    test('should accept supported versions from auth or query', () => {
+      expect(negotiateVersion({ auth: { protocolVersion: 2 } })).toBe(2);
+      expect(negotiateVersion({ auth: {}, query: { protocolVersion: '2' } })).toBe(2);
+    });
+
+    test('should refuse unsupported versions', () => {
+      expect(negotiateVersion({ auth: { protocolVersion: 3 } })).toBeNull();
+      expect(negotiateVersion({ auth: { protocolVersion: 'latest' } })).toBeNull();
+    });
+  });
+
+  describe('validatePayload', () => {
+    test('should apply defaults and strip unknown fields', () => {
+      expect(validatePayload('chat_message', { message: ' Hello ', extra: true })).toEqual({
+        value: { message: 'Hello', stream: false }
+      });
+    });
+
+    test('should list every problem with a payload', () => {
+      const { details } = validatePayload('chat_message', { message: '', stream: 'sometimes' });
+
+      expect(details.map(detail => detail.path)).toEqual(['message', 'stream']);
+    });
+
+    test('should accept either field of the version 1 message event', () => {
+      expect(validatePayload('message', { content: 'Hi' }).value).toEqual({ content: 'Hi' });
+      expect(validatePayload('message', {}).details).toHaveLength(1);
+    });
+
+    test('should allow events without a payload', () => {
+      expect(validatePayload('start_chat', undefined).details).toBeUndefined();
+    });
+  });
+
+  describe('errors', () => {
+    test('should build typed error payloads', () => {
+      expect(buildError(ERROR_CODES.RATE_LIMITED, { event: 'chat_message', retryAfter: 60 })).toEqual({
+        code: 'RATE_LIMITED',
+        error: 'Too many messages',
+        retry: true,
+        event: 'chat_message',
+        retryAfter: 60
+      });
+    });
+
+    test('should default protocol error messages to their code', () => {
+      const error = new ProtocolError(ERROR_CODES.INVALID_SESSION);
+
+      expect(error.message).toBe('Invalid session');
+      expect(error.code).toBe('INVALID_SESSION');
+    });
+
+    test('should map codes to the event names version 1 clients listen for', () => {
+      expect(legacyErrorEvents('INVALID_SESSION', 'authenticate')).toEqual(['authentication_failed', 'auth_error']);
+      expect(legacyErrorEvents('RATE_LIMITED', 'chat_message')).toEqual(['rate_limit_exceeded', 'rate_limited']);
+      expect(legacyErrorEvents('NOT_AUTHENTICATED', 'start_chat')).toEqual(['error']);
+      expect(legacyErrorEvents('PROCESSING_FAILED', 'chat_message')).toEqual(['chat_error']);
+    });
+  });
+});
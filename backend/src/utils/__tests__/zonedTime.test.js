@@ -0,0 +1,32 @@
+const { getZonedParts, zonedTimeToDate } = require('../zonedTime');
+
+describe('Zoned Time Utility', () => {
+  describe('getZonedParts', () => {
+    test('should read the wall clock of a timezone', () => {
+      expect(getZonedParts(new Date('2024-01-01T02:30:00Z'), 'America/Chicago')).toEqual({
+        year: 2023,
+        month: 11,
+        day: 31,
+        hour: 20,
+        minute: 30,
+        second: 0
+      });
+    });
+  });
+
+  describe('zonedTimeToDate', () => {
+    test('should find the instant a timezone shows a wall-clock time', () => {
+      expect(zonedTimeToDate('UTC', 2024, 0, 1)).toEqual(new Date('2024-01-01T00:00:00Z'));
+      expect(zonedTimeToDate('Asia/Tokyo', 2024, 0, 1)).toEqual(new Date('2023-12-31T15:00:00Z'));
+    });
+
+    test('should follow daylight saving time', () => {
+      expect(zonedTimeToDate('America/New_York', 2024, 2, 1)).toEqual(new Date('2024-03-01T05:00:00Z'));
+      expect(zonedTimeToDate('America/New_York', 2024, 3, 1)).toEqual(new Date('2024-04-01T04:00:00Z'));
+    });
+
+    test('should roll day 0 over to the last day of the previous month', () => {
+      expect(zonedTimeToDate('UTC', 2024, 2, 0, 23, 59, 59)).toEqual(new Date('2024-02-29T23:59:59Z'));
+    });
+  });
+});
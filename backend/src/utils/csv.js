@@ -0,0 +1,50 @@
+// CSV Utility
+// Serializes rows for spreadsheet exports
+
+// Leading characters spreadsheets interpret as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value for a CSV cell
+ * Values that look like formulas are prefixed with a quote so they open as text
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: string, value: Function}>} columns - Column headers and value getters
+ * @param {Array<Object>} rows - Rows to serialize
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
@@ -0,0 +1,46 @@
+// Application Error Classes
+// Named errors that errorHandler maps to HTTP responses
+
+class UnauthorizedError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.status = 401;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+  }
+}
+
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary of what was invalid
+   * @param {Array<{path: string, message: string}>} errors - One entry per invalid field
+   */
+  constructor(message = 'Invalid request', errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message = 'The request conflicts with the current state') {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+module.exports = {
+  UnauthorizedError,
+  ForbiddenError,
+  ValidationError,
+  ConflictError
+};
@@ -0,0 +1,124 @@
+// Provably Fair Draw Utility
+// Commit-reveal helpers for auditable winner selection
+//
+// 1. When a drawing becomes active a random seed is generated and only its
+//    SHA-256 hash (the commitment) is published.
+// 2. At draw time the entries are sorted by entry number and hashed together
+//    with their weights (entry counts).
+// 3. The winning ticket is HMAC-SHA256(seed, entriesHash) read as an unsigned
+//    256-bit integer, modulo the total weight. Walking the sorted entries and
+//    their cumulative weights maps the ticket to the winning entry.
+// 4. The seed is revealed so anyone can check sha256(seed) === seedHash and
+//    recompute the winner from the published entry list.
+// 5. A redraw runs the same draw over the remaining entries with its own
+//    seed, committed by the draw before it and revealed with the redraw.
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'sha256-commit-reveal-weighted-v1';
+
+/**
+ * Generate a new secret seed
+ * @returns {string} 64 hex characters
+ */
+function generateSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a seed to produce its public commitment
+ * @param {string} seed - Secret seed
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Sort entries into their canonical order
+ * @param {Array<Object>} entries - Entries with an entryNumber
+ * @returns {Array<Object>} New array sorted by entry number
+ */
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => {
+    if (a.entryNumber < b.entryNumber) return -1;
+    if (a.entryNumber > b.entryNumber) return 1;
+    return 0;
+  });
+}
+
+/**
+ * Get the weight of an entry (defaults to a single entry)
+ * @param {Object} entry - Entry with an optional entryCount
+ * @returns {number} Number of tickets the entry holds
+ */
+function entryWeight(entry) {
+  return entry.entryCount || 1;
+}
+
+/**
+ * Hash the canonical entry list
+ * @param {Array<Object>} sortedEntries - Entries in canonical order
+ * @returns {string} SHA-256 hex digest of the newline-joined "entryNumber:weight" lines
+ */
+function hashEntries(sortedEntries) {
+  return crypto
+    .createHash('sha256')
+    .update(sortedEntries.map(entry => `${entry.entryNumber}:${entryWeight(entry)}`).join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Derive the winning ticket from the seed and entry list hash
+ * @param {string} seed - Revealed seed
+ * @param {string} entriesHash - Hash of the canonical entry list
+ * @param {number} totalTickets - Sum of all entry weights
+ * @returns {number} Ticket number in [0, totalTickets)
+ */
+function selectTicket(seed, entriesHash, totalTickets) {
+  if (!Number.isInteger(totalTickets) || totalTickets < 1) {
+    throw new Error('Cannot select a winner from an empty entry list');
+  }
+
+  const digest = crypto.createHmac('sha256', seed).update(entriesHash).digest('hex');
+  return Number(BigInt(`0x${digest}`) % BigInt(totalTickets));
+}
+
+/**
+ * Run a full weighted draw over a set of entries
+ * @param {string} seed - Secret seed
+ * @param {Array<Object>} entries - Entries with an entryNumber and optional entryCount
+ * @returns {{sortedEntries: Array<Object>, entriesHash: string, totalTickets: number, ticket: number, winningIndex: number, winner: Object}}
+ */
+function draw(seed, entries) {
+  const sortedEntries = sortEntries(entries);
+  const entriesHash = hashEntries(sortedEntries);
+  const totalTickets = sortedEntries.reduce((sum, entry) => sum + entryWeight(entry), 0);
+  const ticket = selectTicket(seed, entriesHash, totalTickets);
+
+  let winningIndex = 0;
+  let cumulative = entryWeight(sortedEntries[0]);
+  while (ticket >= cumulative) {
+    winningIndex++;
+    cumulative += entryWeight(sortedEntries[winningIndex]);
+  }
+
+  return {
+    sortedEntries,
+    entriesHash,
+    totalTickets,
+    ticket,
+    winningIndex,
+    winner: sortedEntries[winningIndex]
+  };
+}
+
+module.exports = {
+  ALGORITHM,
+  generateSeed,
+  hashSeed,
+  sortEntries,
+  hashEntries,
+  selectTicket,
+  draw
+};
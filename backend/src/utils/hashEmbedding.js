@@ -0,0 +1,52 @@
+// Hash Embeddings
+// Dependency-free text vectors: words are hashed into a fixed number of buckets
+// and weighted by log term frequency. Good enough to match questions to passages
+// that share vocabulary; use provider embeddings for semantic matching.
+
+const crypto = require('crypto');
+
+const DIMENSIONS = 512;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'us', 'was', 'we',
+  'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercased words without stop words, with plural endings trimmed
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9$]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Embed text into a unit-length vector
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+function embedText(text, dimensions = DIMENSIONS) {
+  const counts = new Map();
+  for (const word of tokenize(text)) {
+    const index = crypto.createHash('md5').update(word).digest().readUInt32BE(0) % dimensions;
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+
+  const vector = new Array(dimensions).fill(0);
+  counts.forEach((count, index) => {
+    vector[index] = 1 + Math.log(count);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+module.exports = {
+  DIMENSIONS,
+  tokenize,
+  embedText
+};
@@ -0,0 +1,150 @@
+// Lead Matching Utility
+// Normalized keys that recognize the same person across chat, Calendly and
+// manual entry, where the email may differ in case, a +tag or Gmail dots and
+// the phone number in formatting
+
+const {
+  FREE_EMAIL_DOMAINS,
+  EMAIL_DOMAIN_ALIASES,
+  DOTLESS_EMAIL_DOMAINS,
+  PHONE_MATCH_DIGITS,
+  MIN_PHONE_DIGITS
+} = require('../config/leads');
+
+/**
+ * Trim and lowercase an email address
+ * @param {string} email
+ * @returns {string|null}
+ */
+function normalizeEmail(email) {
+  if (typeof email !== 'string') {
+    return null;
+  }
+  return email.trim().toLowerCase() || null;
+}
+
+/**
+ * Domain of an email address
+ * @param {string} email
+ * @returns {string|null}
+ */
+function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized ? normalized.lastIndexOf('@') : -1;
+  return at > 0 ? normalized.slice(at + 1) : null;
+}
+
+/**
+ * Canonical form of an email address: lowercase, without a +tag, on the
+ * provider's main domain and without dots where the provider ignores them
+ * @param {string} email
+ * @returns {string|null}
+ */
+function emailKey(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized ? normalized.lastIndexOf('@') : -1;
+  if (at <= 0) {
+    return null;
+  }
+
+  const domain = EMAIL_DOMAIN_ALIASES[normalized.slice(at + 1)] || normalized.slice(at + 1);
+  let local = normalized.slice(0, at).split('+')[0];
+  if (DOTLESS_EMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+  }
+
+  return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * Last digits of a phone number, or null when it has too few to compare
+ * @param {string} phone
+ * @returns {string|null}
+ */
+function phoneKey(phone) {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+}
+
+/**
+ * Name without accents, punctuation or case, its words sorted so
+ * "Smith, John" and "John Smith" match
+ * @param {string} name
+ * @returns {string|null}
+ */
+function nameKey(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const words = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  return words.length > 0 ? words.sort().join(' ') : null;
+}
+
+/**
+ * Whether a domain belongs to a webmail provider rather than an organization
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function isFreeEmailDomain(domain) {
+  return FREE_EMAIL_DOMAINS.includes(domain);
+}
+
+/**
+ * Keys a lead is stored with so duplicates can be found by query
+ * @param {Object} lead - Lead or lead data with email, phone and name
+ * @returns {{emailKey: string|null, phoneKey: string|null, nameKey: string|null}}
+ */
+function matchKeys(lead) {
+  return {
+    emailKey: emailKey(lead.email),
+    phoneKey: phoneKey(lead.phone),
+    nameKey: nameKey(lead.name)
+  };
+}
+
+/**
+ * Why two leads look like the same person
+ * @param {Object} a - Lead or lead data with email, phone and name
+ * @param {Object} b - Lead or lead data with email, phone and name
+ * @returns {string[]} Any of 'email', 'phone' and 'name_domain'; empty when they don't match
+ */
+function matchReasons(a, b) {
+  const reasons = [];
+
+  const email = emailKey(a.email);
+  if (email && email === emailKey(b.email)) {
+    reasons.push('email');
+  }
+
+  const phone = phoneKey(a.phone);
+  if (phone && phone === phoneKey(b.phone)) {
+    reasons.push('phone');
+  }
+
+  const name = nameKey(a.name);
+  const domain = emailDomain(email);
+  if (name && name === nameKey(b.name) &&
+      domain && !isFreeEmailDomain(domain) && domain === emailDomain(emailKey(b.email))) {
+    reasons.push('name_domain');
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  normalizeEmail,
+  emailDomain,
+  emailKey,
+  phoneKey,
+  nameKey,
+  isFreeEmailDomain,
+  matchKeys,
+  matchReasons
+};
@@ -0,0 +1,194 @@
+// In-Memory Redis
+// Stand-in for the node-redis client used in tests and single-instance setups.
+// Implements the commands this application uses, with the same camelCase API.
+
+const { EventEmitter } = require('events');
+
+class MemoryRedis extends EventEmitter {
+  constructor() {
+    super();
+    // key -> { value, expiresAt }
+    this.data = new Map();
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    this.emit('ready');
+    return this;
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.isReady = false;
+    return 'OK';
+  }
+
+  async disconnect() {
+    return this.quit();
+  }
+
+  // Duplicates share data, like connections to the same server
+  duplicate() {
+    const copy = new MemoryRedis();
+    copy.data = this.data;
+    return copy;
+  }
+
+  entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  setEntry(key, value, expiresAt = null) {
+    this.data.set(key, { value, expiresAt });
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  async mGet(keys) {
+    return keys.map(key => {
+      const entry = this.entry(key);
+      return entry ? entry.value : null;
+    });
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.entry(key)) {
+      return null;
+    }
+
+    let expiresAt = null;
+    if (options.PX) {
+      expiresAt = Date.now() + options.PX;
+    } else if (options.EX) {
+      expiresAt = Date.now() + options.EX * 1000;
+    }
+    this.setEntry(key, String(value), expiresAt);
+    return 'OK';
+  }
+
+  async incrBy(key, increment) {
+    const entry = this.entry(key);
+    const value = (entry ? parseInt(entry.value, 10) : 0) + increment;
+    this.setEntry(key, String(value), entry ? entry.expiresAt : null);
+    return value;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async del(keys) {
+    return [].concat(keys).filter(key => this.entry(key) && this.data.delete(key)).length;
+  }
+
+  async pExpire(key, milliseconds) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + milliseconds;
+    return true;
+  }
+
+  async expire(key, seconds) {
+    return this.pExpire(key, seconds * 1000);
+  }
+
+  async pTTL(key) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  }
+
+  // Hash stored at key, created when missing
+  hash(key) {
+    const entry = this.entry(key);
+    if (entry) {
+      return entry.value;
+    }
+    const hash = new Map();
+    this.setEntry(key, hash);
+    return hash;
+  }
+
+  async hSet(key, field, value) {
+    const hash = this.hash(key);
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hIncrBy(key, field, increment) {
+    const hash = this.hash(key);
+    const value = (parseInt(hash.get(field), 10) || 0) + increment;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  async hDel(key, fields) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return 0;
+    }
+    return [].concat(fields).filter(field => entry.value.delete(field)).length;
+  }
+
+  async hLen(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value.size : 0;
+  }
+
+  async hGetAll(key) {
+    const entry = this.entry(key);
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  // Set stored at key, created when missing
+  members(key) {
+    const entry = this.entry(key);
+    if (entry) {
+      return entry.value;
+    }
+    const members = new Set();
+    this.setEntry(key, members);
+    return members;
+  }
+
+  async sAdd(key, members) {
+    const set = this.members(key);
+    return [].concat(members).filter(member => !set.has(member) && set.add(member)).length;
+  }
+
+  async sRem(key, members) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return 0;
+    }
+    return [].concat(members).filter(member => entry.value.delete(member)).length;
+  }
+
+  async sMembers(key) {
+    const entry = this.entry(key);
+    return entry ? [...entry.value] : [];
+  }
+
+  async flushAll() {
+    this.data.clear();
+    return 'OK';
+  }
+}
+
+module.exports = MemoryRedis;
@@ -1,17 +1,95 @@
 // Redis Client Utility
-// Placeholder for Redis connection management
+// One shared connection per process, or the in-memory stand-in when no Redis is
+// configured. Commands issued before the connection is ready are queued.
+
+const redis = require('redis');
+const MemoryRedis = require('./memoryRedis');
+const logger = require('./logger');
+const {
+  REDIS_URL,
+  REDIS_HOST,
+  REDIS_PORT,
+  REDIS_PASSWORD,
+  REDIS_ENABLED,
+  REDIS_KEY_PREFIX
+} = require('../config/redis');
 
 let redisClient = null;
 
+/**
+ * Create and connect a client for the configured Redis, or an in-memory one
+ */
+function createRedisClient() {
+  if (!REDIS_ENABLED) {
+    const client = new MemoryRedis();
+    client.connect();
+    return client;
+  }
+
+  const client = redis.createClient(REDIS_URL
+    ? { url: REDIS_URL }
+    : { socket: { host: REDIS_HOST, port: REDIS_PORT }, password: REDIS_PASSWORD });
+
+  client.on('error', (error) => {
+    logger.error('Redis connection error:', error);
+  });
+  client.connect().catch((error) => {
+    logger.error('Failed to connect to Redis:', error);
+  });
+
+  return client;
+}
+
 function getRedisClient() {
+  if (!redisClient) {
+    redisClient = createRedisClient();
+  }
   return redisClient;
 }
 
+/**
+ * Replace the shared client, e.g. with a MemoryRedis in tests
+ */
 function setRedisClient(client) {
   redisClient = client;
 }
 
+async function closeRedisClient() {
+  if (redisClient?.isOpen) {
+    await redisClient.quit();
+  }
+  redisClient = null;
+}
+
+/**
+ * Namespace a key so instances of other applications can share the Redis
+ */
+function redisKey(...parts) {
+  return `${REDIS_KEY_PREFIX}${parts.join(':')}`;
+}
+
+/**
+ * Socket.IO adapter broadcasting through Redis pub/sub, so rooms span instances
+ * @returns {Function|null} The adapter, or null when Redis is not configured
+ */
+async function createSocketIoAdapter() {
+  if (!REDIS_ENABLED) {
+    return null;
+  }
+
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const pubClient = getRedisClient().duplicate();
+  const subClient = pubClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return createAdapter(pubClient, subClient, { key: redisKey('socket.io') });
+}
+
 module.exports = {
+  createRedisClient,
   getRedisClient,
-  setRedisClient
-};
\ No newline at end of file
+  setRedisClient,
+  closeRedisClient,
+  redisKey,
+  createSocketIoAdapter
+};
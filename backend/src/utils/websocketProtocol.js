@@ -0,0 +1,169 @@
+// WebSocket Protocol
+// Versions, payload schemas and error codes for the chat and agent console sockets.
+// The event reference lives in WEBSOCKET_PROTOCOL.md at the repository root.
+
+const Joi = require('joi');
+
+// Version 1 is the unversioned protocol clients spoke before the handshake existed
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Every error reaches version 2 clients as a chat_error event carrying one of these codes
+const ERRORS = {
+  UNSUPPORTED_VERSION: { message: 'Unsupported protocol version', retry: false },
+  INVALID_PAYLOAD: { message: 'Invalid payload', retry: false },
+  NOT_AUTHENTICATED: { message: 'Not authenticated', retry: false },
+  INVALID_SESSION: { message: 'Invalid session', retry: false },
+  AUTHENTICATION_FAILED: { message: 'Authentication error', retry: true },
+  RATE_LIMITED: { message: 'Too many messages', retry: true },
+  SESSION_NOT_FOUND: { message: 'Session not found', retry: false },
+  HANDOFF_CONFLICT: { message: 'Session is held by another agent', retry: false },
+  PROCESSING_FAILED: { message: 'Failed to process message', retry: true }
+};
+
+const ERROR_CODES = Object.fromEntries(Object.keys(ERRORS).map(code => [code, code]));
+
+// Version 1 clients listen for the event names the two original handlers used
+const LEGACY_ERROR_EVENTS = {
+  INVALID_SESSION: ['authentication_failed', 'auth_error'],
+  AUTHENTICATION_FAILED: ['authentication_failed', 'auth_error'],
+  RATE_LIMITED: ['rate_limit_exceeded', 'rate_limited']
+};
+
+/**
+ * An expected failure a handler reports to the client under one of the error codes
+ */
+class ProtocolError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message || (ERRORS[code] || ERRORS.PROCESSING_FAILED).message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const sessionId = Joi.string().trim().min(1).max(100).required();
+const clientMessageId = Joi.string().trim().min(1).max(100);
+const empty = Joi.any();
+
+// Payload schema for each event a client may send
+const SCHEMAS = {
+  authenticate: Joi.object({ sessionId }),
+  restore_session: Joi.object({ sessionId }),
+  start_chat: empty,
+  chat_message: Joi.object({
+    message: Joi.string().trim().min(1).max(MAX_MESSAGE_LENGTH).required(),
+    timestamp: Joi.date().iso(),
+    stream: Joi.boolean().default(false),
+    clientMessageId
+  }),
+  quick_reply: Joi.object({
+    reply: Joi.string().trim().min(1).max(MAX_MESSAGE_LENGTH).required(),
+    clientMessageId
+  }),
+  message_ack: Joi.object({ messageId: Joi.alternatives(Joi.number(), Joi.string()).required() }),
+  message_read: Joi.object({ messageId: Joi.alternatives(Joi.number(), Joi.string()).required() }),
+  typing_start: empty,
+  typing_stop: empty,
+  request_summary: empty,
+  request_analytics: empty,
+  end_session: empty,
+  ping: empty,
+
+  // Version 1 only: the old chat handler's name for chat_message
+  message: Joi.object({
+    content: Joi.string().trim().min(1).max(MAX_MESSAGE_LENGTH),
+    message: Joi.string().trim().min(1).max(MAX_MESSAGE_LENGTH),
+    timestamp: Joi.date().iso()
+  }).or('content', 'message'),
+
+  // Agent console
+  list_sessions: empty,
+  subscribe_session: Joi.object({ sessionId }),
+  unsubscribe_session: Joi.object({ sessionId }),
+  take_over: Joi.object({ sessionId }),
+  agent_message: Joi.object({
+    sessionId,
+    content: Joi.string().trim().min(1).max(MAX_MESSAGE_LENGTH).required()
+  }),
+  hand_back: Joi.object({ sessionId })
+};
+
+/**
+ * Protocol version a client asked for in its handshake
+ * Clients that send none speak version 1
+ * @returns {number|null} The version, or null when it is not supported
+ */
+function negotiateVersion(handshake = {}) {
+  const requested = handshake.auth?.protocolVersion ?? handshake.query?.protocolVersion;
+  if (requested === undefined) {
+    return 1;
+  }
+
+  const version = Number(requested);
+  return SUPPORTED_VERSIONS.includes(version) ? version : null;
+}
+
+/**
+ * Validate an event payload against its schema
+ * @returns {Object} { value } with defaults applied, or { details } listing what is wrong
+ */
+function validatePayload(event, data) {
+  const schema = SCHEMAS[event];
+  if (!schema) {
+    return { value: data };
+  }
+
+  const { value, error } = schema.validate(data === undefined ? {} : data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  if (error) {
+    return {
+      details: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    };
+  }
+  return { value };
+}
+
+/**
+ * The typed error payload sent to clients
+ */
+function buildError(code, { event, message, details, ...extra } = {}) {
+  const definition = ERRORS[code] || ERRORS.PROCESSING_FAILED;
+
+  return {
+    code,
+    error: message || definition.message,
+    retry: definition.retry,
+    ...(event && { event }),
+    ...(details && { details }),
+    ...extra
+  };
+}
+
+/**
+ * Event names a version 1 client expects an error under
+ */
+function legacyErrorEvents(code, event) {
+  if (LEGACY_ERROR_EVENTS[code]) {
+    return LEGACY_ERROR_EVENTS[code];
+  }
+  // start_chat used to report failures as a plain 'error' event
+  return event === 'start_chat' ? ['error'] : ['chat_error'];
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  MAX_MESSAGE_LENGTH,
+  ERROR_CODES,
+  SCHEMAS,
+  ProtocolError,
+  negotiateVersion,
+  validatePayload,
+  buildError,
+  legacyErrorEvents
+};
@@ -0,0 +1,77 @@
+// Zoned Time Utility
+// Calendar dates in a named timezone, so period boundaries don't depend on the
+// timezone of the host the backend runs on
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. UTC or America/New_York
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   month is zero-based like Date#getMonth
+ */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Instant at which a timezone's clock shows a wall-clock time. Out-of-range
+ * values roll over like Date.UTC (day 0 is the last day of the previous month).
+ * @param {string} timeZone - IANA name
+ * @param {number} year
+ * @param {number} month - Zero-based
+ * @param {number} [day=1]
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @param {number} [second=0]
+ * @returns {Date}
+ */
+function zonedTimeToDate(timeZone, year, month, day = 1, hour = 0, minute = 0, second = 0) {
+  const wallTime = Date.UTC(year, month, day, hour, minute, second);
+
+  // Shift by the zone's offset at the guess, then again in case the guess
+  // and the result fall on different sides of a DST change
+  let instant = wallTime;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const shown = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    instant += wallTime - shown;
+  }
+
+  return new Date(instant);
+}
+
+module.exports = {
+  getZonedParts,
+  zonedTimeToDate
+};
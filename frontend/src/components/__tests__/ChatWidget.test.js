@@ -0,0 +1,144 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount, flushPromises } from '@vue/test-utils';
+import { createPinia, setActivePinia } from 'pinia';
+import ChatWidget from '../ChatWidget.vue';
+import { useChatStore } from '@/stores/chat';
+
+// A chat socket the test drives by firing server events
+const socket = vi.hoisted(() => ({
+  connected: false,
+  handlers: {},
+  emit: vi.fn(),
+  on(event, handler) {
+    this.handlers[event] = handler;
+  },
+  connect() {
+    this.connected = true;
+    this.handlers.connect?.();
+  },
+  disconnect() {
+    this.connected = false;
+  },
+  removeAllListeners() {
+    this.handlers = {};
+  },
+  fire(event, data) {
+    this.handlers[event]?.(data);
+  }
+}));
+
+vi.mock('socket.io-client', () => ({
+  io: vi.fn(() => socket)
+}));
+
+describe('ChatWidget Component', () => {
+  let chatStore;
+  let wrapper;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    socket.connected = false;
+    socket.handlers = {};
+    socket.emit.mockClear();
+
+    const pinia = createPinia();
+    setActivePinia(pinia);
+    chatStore = useChatStore();
+    chatStore.isOpen = true;
+    chatStore.sessionId = 'session-1';
+    chatStore.addMessage('Hello! How can I help you today?', 'assistant');
+
+    wrapper = mount(ChatWidget, { global: { plugins: [pinia] } });
+    socket.fire('authenticated', { success: true, sessionId: 'session-1' });
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    wrapper.unmount();
+  });
+
+  async function send(text) {
+    await wrapper.find('input[type="text"]').setValue(text);
+    await wrapper.find('form').trigger('submit');
+    return socket.emit.mock.calls.find(([event, data]) => event === 'chat_message' && data.message === text)[1];
+  }
+
+  test('should render messages from the store', () => {
+    expect(wrapper.text()).toContain('Hello! How can I help you today?');
+  });
+
+  test('should authenticate the session over the chat socket', () => {
+    expect(socket.emit).toHaveBeenCalledWith('authenticate', { sessionId: 'session-1' });
+  });
+
+  test('should send over the socket and show the message status until it is read', async () => {
+    const payload = await send('We need a new website');
+
+    expect(payload).toEqual(expect.objectContaining({ stream: true, clientMessageId: expect.any(String) }));
+    expect(wrapper.text()).toContain('We need a new website');
+    expect(wrapper.find('[data-status]').text()).toBe('Sending...');
+
+    socket.fire('message_status', { clientMessageId: payload.clientMessageId, messageId: 10, status: 'sent' });
+    await flushPromises();
+    expect(wrapper.find('[data-status]').text()).toBe('Sent');
+
+    socket.fire('message_status', { clientMessageId: payload.clientMessageId, messageId: 10, status: 'read' });
+    await flushPromises();
+    expect(wrapper.find('[data-status]').text()).toBe('Read');
+  });
+
+  test('should stream the reply into the conversation as it arrives', async () => {
+    const payload = await send('What does a website cost?');
+    socket.fire('message_status', { clientMessageId: payload.clientMessageId, messageId: 10, status: 'delivered' });
+    await flushPromises();
+    expect(wrapper.find('[data-test="loading"]').exists()).toBe(true);
+
+    socket.fire('message_chunk', { messageId: 'stream-1', delta: 'Most sites ' });
+    socket.fire('message_chunk', { messageId: 'stream-1', delta: 'start at' });
+    await flushPromises();
+
+    expect(wrapper.find('[data-streaming]').text()).toBe('Most sites start at');
+    expect(wrapper.find('[data-test="loading"]').exists()).toBe(false);
+
+    socket.fire('message_complete', {
+      messageId: 'stream-1',
+      id: 11,
+      content: 'Most sites start at $5,000.',
+      quickReplies: ['Tell me more'],
+      completionRate: 0.25,
+      sources: []
+    });
+    await flushPromises();
+
+    expect(wrapper.find('[data-streaming]').exists()).toBe(false);
+    expect(wrapper.text()).toContain('Most sites start at $5,000.');
+    expect(wrapper.text()).toContain('Tell me more');
+    expect(wrapper.text()).toContain('25%');
+  });
+
+  test('should show the visitor when a team member joins and what they write', async () => {
+    socket.fire('handoff_status', {
+      status: 'queued',
+      reason: 'requested',
+      message: 'Connecting you with a member of our team.'
+    });
+    await flushPromises();
+    expect(wrapper.find('[data-test="handoff"]').text()).toBe('Waiting for a team member to join...');
+
+    socket.fire('handoff_status', {
+      status: 'agent',
+      agent: { id: 3, name: 'Dana' },
+      message: 'Dana from ServiceVision has joined the conversation.'
+    });
+    socket.fire('agent_message', { id: 12, content: 'Hi, I can help with pricing.', agentName: 'Dana' });
+    await flushPromises();
+
+    expect(wrapper.find('[data-test="handoff"]').text()).toBe('Dana is chatting with you');
+    expect(wrapper.text()).toContain('Dana from ServiceVision has joined the conversation.');
+    expect(wrapper.text()).toContain('Hi, I can help with pricing.');
+
+    socket.fire('handoff_status', { status: 'ai', message: 'You are back with our AI consultant.' });
+    await flushPromises();
+    expect(wrapper.find('[data-test="handoff"]').exists()).toBe(false);
+  });
+});
@@ -19,10 +19,12 @@ vi.mock('socket.io-client', () => ({
 // Mock stores
 vi.mock('@/stores/chat', () => ({
   useChatStore: vi.fn(() => ({
-    currentSessionId: ref('test-session-123'),
+    sessionId: 'test-session-123',
     addMessage: vi.fn(),
     updateTypingStatus: vi.fn(),
-    setConnectionStatus: vi.fn()
+    setConnectionStatus: vi.fn(),
+    updateMessageStatus: vi.fn(),
+    restoreConversation: vi.fn()
   }))
 }));
 
@@ -84,9 +86,6 @@ describe('useWebSocket Composable', () => {
     });
 
     test('should authenticate on connection', () => {
-      const chatStore = websocket.chatStore;
-      chatStore.currentSessionId.value = 'test-session-123';
-      
       websocket.connect();
       
       // Trigger connect event
@@ -174,7 +173,9 @@ describe('useWebSocket Composable', () => {
       
       expect(mockSocket.emit).toHaveBeenCalledWith('chat_message', {
         message,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        stream: true,
+        clientMessageId: expect.any(String)
       });
     });
 
@@ -442,6 +443,72 @@ describe('useWebSocket Composable', () => {
     });
   });
 
+  describe('Offline Queue', () => {
+    const handler = (event) => websocket.socket.value.on.mock.calls.find(call => call[0] === event)[1];
+    const sentMessages = () => websocket.socket.value.emit.mock.calls.filter(call => call[0] === 'chat_message');
+
+    beforeEach(() => {
+      localStorage.clear();
+      websocket.connect();
+    });
+
+    test('should queue messages while disconnected and send them once authenticated', () => {
+      websocket.sendMessage('Are you there?');
+
+      expect(websocket.chatStore.addMessage).toHaveBeenCalledWith('Are you there?', 'user', {
+        clientMessageId: expect.any(String),
+        status: 'sending'
+      });
+      expect(sentMessages()).toHaveLength(0);
+
+      websocket.socket.value.connected = true;
+      handler('authenticated')({ success: true, sessionId: 'test-session-123' });
+
+      expect(sentMessages()).toEqual([['chat_message', expect.objectContaining({
+        message: 'Are you there?',
+        clientMessageId: websocket.chatStore.addMessage.mock.calls[0][2].clientMessageId
+      })]]);
+    });
+
+    test('should keep queued messages across page reloads', () => {
+      websocket.sendMessage('Are you there?');
+
+      const reloaded = useWebSocket();
+      reloaded.connect();
+      reloaded.socket.value.connected = true;
+      reloaded.socket.value.on.mock.calls.find(call => call[0] === 'authenticated')[1]({ success: true });
+
+      expect(reloaded.socket.value.emit).toHaveBeenCalledWith('chat_message', expect.objectContaining({
+        message: 'Are you there?'
+      }));
+      reloaded.disconnect();
+    });
+
+    test('should stop resending a message once the server stored it', () => {
+      websocket.sendMessage('Are you there?');
+      const { clientMessageId } = websocket.chatStore.addMessage.mock.calls[0][2];
+
+      handler('message_status')({ messageId: 10, clientMessageId, status: 'sent' });
+      websocket.socket.value.connected = true;
+      handler('authenticated')({ success: true });
+
+      expect(websocket.chatStore.updateMessageStatus).toHaveBeenCalledWith(clientMessageId, 'sent', { serverId: 10 });
+      expect(sentMessages()).toHaveLength(0);
+    });
+
+    test('should skip queued messages found in restored history', () => {
+      websocket.sendMessage('Are you there?');
+      const { clientMessageId } = websocket.chatStore.addMessage.mock.calls[0][2];
+      const conversationHistory = [{ id: 10, role: 'user', content: 'Are you there?', clientMessageId }];
+
+      websocket.socket.value.connected = true;
+      handler('session_restored')({ conversationHistory });
+
+      expect(websocket.chatStore.restoreConversation).toHaveBeenCalledWith(conversationHistory);
+      expect(sentMessages()).toHaveLength(0);
+    });
+  });
+
   describe('Cleanup', () => {
     test('should disconnect and cleanup on unmount', () => {
       websocket.connect();
@@ -5,6 +5,10 @@ import { ref, computed, onUnmounted } from 'vue';
 import { io } from 'socket.io-client';
 import { useChatStore } from '@/stores/chat';
 import { useUIStore } from '@/stores/ui';
+import messageOutbox, { createClientMessageId } from '@/services/messageOutbox';
+
+// Chat socket protocol version spoken by this client (see WEBSOCKET_PROTOCOL.md)
+export const PROTOCOL_VERSION = 2;
 
 export function useWebSocket() {
   // Stores
@@ -23,6 +27,10 @@ export function useWebSocket() {
   const lastPingTime = ref(0);
   const agentStatus = ref('offline');
 
+  // Human handoff: 'ai', 'queued' while waiting for an agent, 'agent' once one has joined
+  const handoffStatus = ref('ai');
+  const agentName = ref(null);
+
   // Typing state
   let typingTimeout = null;
   const isTyping = ref(false);
@@ -49,7 +57,8 @@ export function useWebSocket() {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       timeout: 20000,
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      auth: { protocolVersion: PROTOCOL_VERSION }
     });
 
     setupEventHandlers();
@@ -67,14 +76,18 @@ export function useWebSocket() {
     
     // Authentication events
     socket.value.on('authenticated', handleAuthenticated);
-    socket.value.on('authentication_failed', handleAuthenticationFailed);
     socket.value.on('session_restored', handleSessionRestored);
     
     // Chat events
     socket.value.on('chat_response', handleChatResponse);
+    socket.value.on('message_chunk', handleMessageChunk);
+    socket.value.on('message_complete', handleMessageComplete);
     socket.value.on('chat_error', handleChatError);
     socket.value.on('typing_indicator', handleTypingIndicator);
     socket.value.on('message_delivered', handleMessageDelivered);
+    socket.value.on('message_status', handleMessageStatus);
+    socket.value.on('agent_message', handleAgentMessage);
+    socket.value.on('handoff_status', handleHandoffStatus);
     
     // Session events
     socket.value.on('session_summary', handleSessionSummary);
@@ -83,7 +96,6 @@ export function useWebSocket() {
     
     // System events
     socket.value.on('agent_status', handleAgentStatus);
-    socket.value.on('rate_limit_exceeded', handleRateLimitExceeded);
     socket.value.on('pong', handlePong);
   }
 
@@ -95,9 +107,9 @@ export function useWebSocket() {
     chatStore.setConnectionStatus('connected');
     
     // Authenticate if we have a session
-    if (chatStore.currentSessionId) {
+    if (chatStore.sessionId) {
       socket.value.emit('authenticate', {
-        sessionId: chatStore.currentSessionId
+        sessionId: chatStore.sessionId
       });
     }
   }
@@ -124,6 +136,7 @@ export function useWebSocket() {
     authenticated.value = true;
     chatStore.setConnectionStatus('authenticated');
     uiStore.showSuccess('Connected to chat server');
+    flushOutbox();
   }
 
   function handleAuthenticationFailed(data) {
@@ -135,7 +148,15 @@ export function useWebSocket() {
     authenticated.value = true;
     if (data.conversationHistory) {
       chatStore.restoreConversation(data.conversationHistory);
+
+      // Queued messages the server already stored need not be sent again
+      for (const entry of data.conversationHistory) {
+        if (entry.clientMessageId) {
+          messageOutbox.remove(entry.clientMessageId);
+        }
+      }
     }
+    flushOutbox();
   }
 
   // Chat message handlers
@@ -156,7 +177,35 @@ export function useWebSocket() {
     }
   }
 
+  // Streamed responses render as they arrive; message_complete carries the final text,
+  // or cancelled when the server stopped generating because the user started typing
+  function handleMessageChunk(data) {
+    chatStore.appendMessageChunk(data.messageId, data.delta);
+  }
+
+  function handleMessageComplete(data) {
+    chatStore.completeStreamingMessage(data.messageId, data);
+
+    if (data.completionRate !== undefined) {
+      chatStore.updateCompletionRate(data.completionRate);
+    }
+
+    if (data.isComplete) {
+      chatStore.markSessionComplete();
+    }
+  }
+
+  // Version 2 servers report every failure here with a code
   function handleChatError(data) {
+    if (data.code === 'INVALID_SESSION' || data.code === 'AUTHENTICATION_FAILED') {
+      handleAuthenticationFailed(data);
+      return;
+    }
+    if (data.code === 'RATE_LIMITED') {
+      handleRateLimitExceeded(data);
+      return;
+    }
+
     uiStore.showError(`Chat error: ${data.error}`);
     
     if (data.retry) {
@@ -172,6 +221,31 @@ export function useWebSocket() {
     chatStore.markMessageDelivered(data.messageId);
   }
 
+  // Progress of the visitor's own messages: sent once stored, then delivered and read
+  function handleMessageStatus(data) {
+    if (!data.clientMessageId) return;
+
+    messageOutbox.remove(data.clientMessageId);
+    chatStore.updateMessageStatus(data.clientMessageId, data.status, { serverId: data.messageId });
+  }
+
+  // Messages written by a staff member who took over the conversation
+  function handleAgentMessage(data) {
+    chatStore.addMessage(data.content, 'agent', {
+      id: data.id,
+      agentName: data.agentName
+    });
+  }
+
+  function handleHandoffStatus(data) {
+    handoffStatus.value = data.status;
+    agentName.value = data.agent?.name || null;
+
+    if (data.message) {
+      chatStore.addMessage(data.message, 'system');
+    }
+  }
+
   // Session handlers
   function handleSessionSummary(data) {
     const requestId = 'summary';
@@ -213,24 +287,46 @@ export function useWebSocket() {
     }
   }
 
+  // Queued messages go out in order; the server stores each client id once,
+  // so anything resent after a reconnect is not answered twice
+  function emitQueuedMessage(entry) {
+    socket.value.emit('chat_message', {
+      message: entry.message,
+      timestamp: entry.timestamp,
+      stream: true,
+      clientMessageId: entry.clientMessageId
+    });
+  }
+
+  function flushOutbox() {
+    if (!authenticated.value || !socket.value?.connected) return;
+
+    for (const entry of messageOutbox.list()) {
+      emitQueuedMessage(entry);
+    }
+  }
+
   // Public methods
   function sendMessage(message) {
+    const entry = {
+      clientMessageId: createClientMessageId(),
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    // Shown straight away and kept in the outbox until the server confirms it
+    chatStore.addMessage(message, 'user', {
+      clientMessageId: entry.clientMessageId,
+      status: 'sending'
+    });
+    messageOutbox.add(entry);
+
     if (!authenticated.value || !socket.value?.connected) {
       uiStore.showWarning('Not connected to chat server');
       return;
     }
 
-    socket.value.emit('chat_message', {
-      message,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Add user message to store
-    chatStore.addMessage({
-      content: message,
-      role: 'user',
-      timestamp: new Date()
-    });
+    emitQueuedMessage(entry);
   }
 
   function startTyping() {
@@ -329,6 +425,8 @@ export function useWebSocket() {
     connectionError,
     latency,
     agentStatus,
+    handoffStatus,
+    agentName,
     
     // Methods
     connect,
@@ -0,0 +1,73 @@
+// Chat Contract Tests
+// The chat store must send requests the backend accepts and read the responses it returns
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { setActivePinia, createPinia } from 'pinia';
+import axios from 'axios';
+import { CHAT_SCHEMAS, chatPath, validate } from '@servicevision/chat-contract';
+import { useChatStore } from '@/stores/chat';
+
+vi.mock('axios');
+
+const startSessionResponse = {
+  sessionId: 'contract-session-1',
+  welcomeMessage: 'Hi! What brings you here today?',
+  flow: { name: 'lead_qualification', version: 1 },
+  lead: null
+};
+
+const sendMessageResponse = {
+  message: 'Thanks! What is your email address?',
+  quickReplies: ['Sure', 'Later'],
+  completionRate: 0.4,
+  isComplete: false,
+  requiresEmail: true,
+  isQualified: false,
+  sources: []
+};
+
+describe('Chat API contract', () => {
+  let store;
+
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    store = useChatStore();
+    vi.clearAllMocks();
+  });
+
+  test('fixtures match the response schemas', () => {
+    expect(validate(CHAT_SCHEMAS.startSession.response, startSessionResponse).errors).toEqual([]);
+    expect(validate(CHAT_SCHEMAS.sendMessage.response, sendMessageResponse).errors).toEqual([]);
+  });
+
+  test('starts a session on the contract route and shows the welcome message', async () => {
+    axios.post.mockResolvedValue({ data: startSessionResponse });
+
+    await store.openChat();
+
+    expect(axios.post).toHaveBeenCalledWith(chatPath('startSession'));
+    expect(store.sessionId).toBe(startSessionResponse.sessionId);
+    expect(store.messages[0].text).toBe(startSessionResponse.welcomeMessage);
+  });
+
+  test('sends a message body the backend accepts and reads the reply', async () => {
+    store.sessionId = 'contract-session-1';
+    axios.post.mockResolvedValue({ data: sendMessageResponse });
+
+    await store.sendMessage('  I need help with automation  ');
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe(chatPath('sendMessage'));
+    expect(validate(CHAT_SCHEMAS.sendMessage.request, body).errors).toEqual([]);
+    expect(store.messages.at(-1)).toMatchObject({
+      text: sendMessageResponse.message,
+      sender: 'assistant',
+      requiresEmail: true
+    });
+    expect(store.quickReplies).toEqual(sendMessageResponse.quickReplies);
+  });
+
+  test('builds the summary route with the session id', () => {
+    expect(chatPath('getSummary', { sessionId: 'abc 123' })).toBe('/api/chat/session/abc%20123/summary');
+  });
+});
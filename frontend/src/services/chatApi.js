@@ -2,8 +2,7 @@
 // Handles all chat-related API calls
 
 import axios from 'axios'
-
-const API_BASE = '/api/chat'
+import { chatPath } from '@servicevision/chat-contract'
 
 export default {
   /**
@@ -11,7 +10,7 @@ export default {
    */
   async startChat(data) {
     try {
-      const response = await axios.post(`${API_BASE}/start`, data)
+      const response = await axios.post(chatPath('startSession'), data)
       return response.data
     } catch (error) {
       console.error('Chat API error:', error)
@@ -24,7 +23,7 @@ export default {
    */
   async sendMessage(data) {
     try {
-      const response = await axios.post(`${API_BASE}/message`, data)
+      const response = await axios.post(chatPath('sendMessage'), data)
       return response.data
     } catch (error) {
       console.error('Chat API error:', error)
@@ -37,7 +36,7 @@ export default {
    */
   async getSummary(sessionId) {
     try {
-      const response = await axios.get(`${API_BASE}/${sessionId}/summary`)
+      const response = await axios.get(chatPath('getSummary', { sessionId }))
       return response.data
     } catch (error) {
       console.error('Chat API error:', error)
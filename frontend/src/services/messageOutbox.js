@@ -0,0 +1,63 @@
+// Message Outbox
+// Visitor messages the chat server has not confirmed yet, kept in localStorage so
+// they survive a dropped connection or a page reload and are sent once reconnected
+
+const STORAGE_KEY = 'chat_outbox';
+
+function read() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Failed to read chat outbox:', error);
+    return [];
+  }
+}
+
+function write(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Failed to save chat outbox:', error);
+  }
+}
+
+/**
+ * Id for a new visitor message; the server stores each id once, so resending is safe
+ */
+export function createClientMessageId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `client-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+export default {
+  /**
+   * Queued messages, oldest first
+   */
+  list() {
+    return read();
+  },
+
+  /**
+   * Queue a message { clientMessageId, message, timestamp }
+   */
+  add(entry) {
+    write([...read().filter(queued => queued.clientMessageId !== entry.clientMessageId), entry]);
+  },
+
+  /**
+   * Drop a message once the server has confirmed it
+   */
+  remove(clientMessageId) {
+    const entries = read();
+    const remaining = entries.filter(queued => queued.clientMessageId !== clientMessageId);
+    if (remaining.length !== entries.length) {
+      write(remaining);
+    }
+  },
+
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
@@ -43,7 +43,7 @@ describe('Chat Store', () => {
 
         expect(store.isOpen).toBe(true);
         expect(store.sessionId).toBe('test-session-123');
-        expect(axios.post).toHaveBeenCalledWith('/api/chat/start');
+        expect(axios.post).toHaveBeenCalledWith('/api/chat/session');
         expect(store.messages).toHaveLength(1);
         expect(store.messages[0]).toMatchObject({
           id: expect.any(String),
@@ -65,6 +65,22 @@ describe('Chat Store', () => {
       });
     });
 
+    describe('startChat', () => {
+      test('should start a session with the email from the widget form', async () => {
+        axios.post.mockResolvedValue({
+          data: { sessionId: 'test-session-123', welcomeMessage: 'Welcome back!' }
+        });
+        store.email = 'jane@example.org';
+
+        await store.startChat();
+
+        expect(axios.post).toHaveBeenCalledWith('/api/chat/session', { email: 'jane@example.org' });
+        expect(store.hasStarted).toBe(true);
+        expect(store.userEmail).toBe('jane@example.org');
+        expect(store.messages[0]).toMatchObject({ text: 'Welcome back!', sender: 'assistant' });
+      });
+    });
+
     describe('closeChat', () => {
       test('should close chat and reset state', () => {
         // Set some state first
@@ -95,7 +111,7 @@ describe('Chat Store', () => {
         const userMessage = 'I need help with AI consulting';
         const mockResponse = {
           data: {
-            reply: 'I can definitely help you with AI consulting. What specific area are you interested in?',
+            message: 'I can definitely help you with AI consulting. What specific area are you interested in?',
             quickReplies: ['Strategy', 'Implementation', 'Training'],
             isQualified: false
           }
@@ -121,7 +137,7 @@ describe('Chat Store', () => {
         // Check AI response was added
         expect(store.messages).toContainEqual(
           expect.objectContaining({
-            text: mockResponse.data.reply,
+            text: mockResponse.data.message,
             sender: 'assistant'
           })
         );
@@ -133,7 +149,7 @@ describe('Chat Store', () => {
       test('should handle email capture flow', async () => {
         const mockResponse = {
           data: {
-            reply: 'Great! To continue, I\'ll need your email address.',
+            message: 'Great! To continue, I\'ll need your email address.',
             requiresEmail: true,
             quickReplies: []
           }
@@ -151,7 +167,7 @@ describe('Chat Store', () => {
       test('should update qualification status', async () => {
         const mockResponse = {
           data: {
-            reply: 'Excellent! Based on our conversation, I think we can really help you.',
+            message: 'Excellent! Based on our conversation, I think we can really help you.',
             isQualified: true,
             quickReplies: ['Schedule a call', 'Learn more']
           }
@@ -255,7 +271,7 @@ describe('Chat Store', () => {
         
         const mockResponse = {
           data: {
-            reply: 'You selected Option 1. Let me help you with that.',
+            message: 'You selected Option 1. Let me help you with that.',
             quickReplies: []
           }
         };
@@ -296,6 +312,101 @@ describe('Chat Store', () => {
     });
   });
 
+  describe('Streaming', () => {
+    test('should build an assistant message from chunks', () => {
+      store.appendMessageChunk('stream-1', 'Hello');
+      store.appendMessageChunk('stream-1', ' there');
+
+      expect(store.messages).toHaveLength(1);
+      expect(store.messages[0]).toMatchObject({
+        id: 'stream-1',
+        text: 'Hello there',
+        sender: 'assistant',
+        isStreaming: true
+      });
+      expect(store.isStreaming).toBe(true);
+    });
+
+    test('should finalize a streamed message on completion', () => {
+      store.appendMessageChunk('stream-1', 'Hello');
+      store.completeStreamingMessage('stream-1', {
+        content: 'Hello there',
+        quickReplies: ['Yes', 'No']
+      });
+
+      expect(store.messages[0].text).toBe('Hello there');
+      expect(store.messages[0].isStreaming).toBe(false);
+      expect(store.quickReplies).toEqual(['Yes', 'No']);
+      expect(store.isStreaming).toBe(false);
+    });
+
+    test('should keep knowledge base citations on the completed message', () => {
+      const sources = [{ index: 1, title: 'Pricing', section: 'Nonprofit discount', sourceUrl: null }];
+      store.appendMessageChunk('stream-1', 'Nonprofits save 30% [1]');
+      store.completeStreamingMessage('stream-1', { content: 'Nonprofits save 30% [1]', sources });
+
+      expect(store.messages[0].sources).toEqual(sources);
+    });
+
+    test('should add the message when completion arrives without chunks', () => {
+      store.completeStreamingMessage('stream-1', { content: 'Hello there' });
+
+      expect(store.messages).toHaveLength(1);
+      expect(store.messages[0]).toMatchObject({ id: 'stream-1', text: 'Hello there' });
+    });
+
+    test('should keep partial text when a stream is cancelled', () => {
+      store.appendMessageChunk('stream-1', 'Partial');
+      store.completeStreamingMessage('stream-1', { cancelled: true });
+
+      expect(store.messages[0]).toMatchObject({
+        text: 'Partial',
+        isStreaming: false,
+        cancelled: true
+      });
+    });
+
+    test('should drop an empty placeholder when a stream is cancelled', () => {
+      store.appendMessageChunk('stream-1', '');
+      store.completeStreamingMessage('stream-1', { cancelled: true });
+
+      expect(store.messages).toHaveLength(0);
+    });
+  });
+
+  describe('Delivery', () => {
+    test('should move a message status forward only', () => {
+      store.addMessage('Hello', 'user', { clientMessageId: 'client-1', status: 'sending' });
+
+      store.updateMessageStatus('client-1', 'delivered', { serverId: 10 });
+      store.updateMessageStatus('client-1', 'sent');
+
+      expect(store.messages[0]).toMatchObject({ status: 'delivered', serverId: 10 });
+    });
+
+    test('should show a message resent with the same id once', () => {
+      store.addMessage('Hi, I am Dana', 'agent', { id: 7 });
+      store.addMessage('Hi, I am Dana', 'agent', { id: 7 });
+
+      expect(store.messages).toHaveLength(1);
+    });
+
+    test('should merge restored history with messages already shown', () => {
+      store.addMessage('Hello', 'user', { clientMessageId: 'client-1', status: 'sending' });
+      store.completeStreamingMessage('stream-1', { id: 11, content: 'Hi there' });
+
+      store.restoreConversation([
+        { id: 10, role: 'user', content: 'Hello', clientMessageId: 'client-1', isDelivered: true, isRead: true, timestamp: new Date().toISOString() },
+        { id: 11, role: 'assistant', content: 'Hi there', timestamp: new Date().toISOString() },
+        { id: 12, role: 'user', content: 'Are you there?', clientMessageId: 'client-2', isDelivered: true, timestamp: new Date().toISOString() }
+      ]);
+
+      expect(store.messages.map(msg => msg.text)).toEqual(['Hello', 'Hi there', 'Are you there?']);
+      expect(store.messages[0]).toMatchObject({ status: 'read', serverId: 10 });
+      expect(store.messages[2]).toMatchObject({ sender: 'user', clientMessageId: 'client-2', status: 'delivered' });
+    });
+  });
+
   describe('Getters', () => {
     test('hasActiveSession should return true when sessionId exists', () => {
       expect(store.hasActiveSession).toBe(false);
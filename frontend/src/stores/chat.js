@@ -4,6 +4,10 @@
 import { defineStore } from 'pinia';
 import { ref, computed } from 'vue';
 import axios from 'axios';
+import { chatPath } from '@servicevision/chat-contract';
+
+// A visitor message moves forward through these, never back
+const MESSAGE_STATUSES = ['sending', 'sent', 'delivered', 'read'];
 
 export const useChatStore = defineStore('chat', () => {
   // State
@@ -15,12 +19,23 @@ export const useChatStore = defineStore('chat', () => {
   const userEmail = ref(null);
   const isQualified = ref(false);
 
+  // Chat widget state
+  const isMinimized = ref(false);
+  const email = ref('');
+  const organizationName = ref('');
+  const completionRate = ref(0);
+  const isComplete = ref(false);
+  const connectionStatus = ref('disconnected');
+  const isTyping = ref(false);
+
   // Getters
   const hasActiveSession = computed(() => !!sessionId.value);
+  const hasStarted = computed(() => !!sessionId.value);
   const messageCount = computed(() => messages.value.length);
   const lastMessage = computed(() => 
     messages.value.length > 0 ? messages.value[messages.value.length - 1] : null
   );
+  const isStreaming = computed(() => messages.value.some(msg => msg.isStreaming));
   const isWaitingForEmail = computed(() => {
     if (userEmail.value) return false;
     const lastMsg = lastMessage.value;
@@ -33,7 +48,7 @@ export const useChatStore = defineStore('chat', () => {
     
     if (!sessionId.value) {
       try {
-        const response = await axios.post('/api/chat/start');
+        const response = await axios.post(chatPath('startSession'));
         sessionId.value = response.data.sessionId;
         
         // Add welcome message
@@ -53,6 +68,41 @@ export const useChatStore = defineStore('chat', () => {
     }
   }
 
+  function toggleChat() {
+    isOpen.value = !isOpen.value;
+    isMinimized.value = false;
+  }
+
+  function minimizeChat() {
+    isMinimized.value = !isMinimized.value;
+  }
+
+  // Start a session from the widget's email form; later messages go over the chat socket
+  async function startChat() {
+    if (isLoading.value || sessionId.value) {
+      return;
+    }
+
+    isLoading.value = true;
+
+    try {
+      const response = await axios.post(chatPath('startSession'), email.value ? { email: email.value } : {});
+      sessionId.value = response.data.sessionId;
+      userEmail.value = email.value || null;
+
+      addMessage(response.data.welcomeMessage || 'Hello! How can I help you today?', 'assistant');
+    } catch (error) {
+      console.error('Failed to start chat session:', error);
+      addMessage(
+        'I apologize, but I\'m having trouble starting our conversation. Please try again.',
+        'assistant',
+        { isError: true }
+      );
+    } finally {
+      isLoading.value = false;
+    }
+  }
+
   function closeChat() {
     isOpen.value = false;
     messages.value = [];
@@ -61,6 +111,11 @@ export const useChatStore = defineStore('chat', () => {
   }
 
   function addMessage(text, sender, additionalProps = {}) {
+    // The server resends messages after a reconnect; each is shown once
+    if (additionalProps.id && findMessage(additionalProps.id)) {
+      return findMessage(additionalProps.id);
+    }
+
     const message = {
       id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       text,
@@ -72,6 +127,105 @@ export const useChatStore = defineStore('chat', () => {
     return message;
   }
 
+  function findMessage(id) {
+    return messages.value.find(msg => msg.id === id || (msg.serverId !== undefined && msg.serverId === id));
+  }
+
+  // Progress of a visitor message sent over the socket, keyed by its client id
+  function updateMessageStatus(clientMessageId, status, additionalProps = {}) {
+    const message = messages.value.find(msg => msg.clientMessageId === clientMessageId);
+    if (!message) {
+      return;
+    }
+
+    Object.assign(message, additionalProps);
+    if (MESSAGE_STATUSES.indexOf(status) > MESSAGE_STATUSES.indexOf(message.status)) {
+      message.status = status;
+    }
+  }
+
+  // Version 1 servers confirm delivery by the server's message id
+  function markMessageDelivered(messageId) {
+    const message = findMessage(messageId);
+    if (message?.clientMessageId) {
+      updateMessageStatus(message.clientMessageId, 'delivered');
+    }
+  }
+
+  // The server reports progress through the intake as a fraction
+  function updateCompletionRate(rate) {
+    completionRate.value = Math.round(rate * 100);
+  }
+
+  function markSessionComplete() {
+    isComplete.value = true;
+  }
+
+  function setConnectionStatus(status) {
+    connectionStatus.value = status;
+  }
+
+  function updateTypingStatus(typing) {
+    isTyping.value = typing;
+  }
+
+  // Merge the history sent when a session is restored, skipping messages already shown
+  function restoreConversation(history = []) {
+    for (const entry of history) {
+      const status = entry.isRead ? 'read' : entry.isDelivered ? 'delivered' : 'sent';
+
+      if (entry.clientMessageId && messages.value.some(msg => msg.clientMessageId === entry.clientMessageId)) {
+        updateMessageStatus(entry.clientMessageId, status, { serverId: entry.id });
+        continue;
+      }
+
+      addMessage(entry.content, entry.role, {
+        id: entry.id,
+        serverId: entry.id,
+        timestamp: new Date(entry.timestamp),
+        ...(entry.role === 'user' && { clientMessageId: entry.clientMessageId, status })
+      });
+    }
+
+    messages.value.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // Streamed responses arrive as chunks keyed by the server's message ID
+  function appendMessageChunk(messageId, delta) {
+    if (!findMessage(messageId)) {
+      addMessage('', 'assistant', { id: messageId, isStreaming: true });
+    }
+    findMessage(messageId).text += delta;
+  }
+
+  function completeStreamingMessage(messageId, data = {}) {
+    const message = findMessage(messageId);
+
+    if (data.cancelled) {
+      // Keep whatever was shown; drop the placeholder if nothing arrived
+      if (message?.text) {
+        message.isStreaming = false;
+        message.cancelled = true;
+      } else if (message) {
+        messages.value = messages.value.filter(msg => msg.id !== messageId);
+      }
+      return;
+    }
+
+    if (message) {
+      message.text = data.content ?? message.text;
+      message.isStreaming = false;
+      message.sources = data.sources || [];
+      message.serverId = data.id;
+    } else {
+      addMessage(data.content, 'assistant', { id: messageId, serverId: data.id, sources: data.sources || [] });
+    }
+
+    if (data.quickReplies) {
+      quickReplies.value = data.quickReplies;
+    }
+  }
+
   async function sendMessage(text) {
     if (!text || !text.trim() || isLoading.value || !sessionId.value) {
       return;
@@ -85,15 +239,15 @@ export const useChatStore = defineStore('chat', () => {
     isLoading.value = true;
 
     try {
-      const response = await axios.post('/api/chat/message', {
+      const response = await axios.post(chatPath('sendMessage'), {
         sessionId: sessionId.value,
         message: text
       });
 
-      const { reply, quickReplies: newQuickReplies, requiresEmail, isQualified: qualified } = response.data;
+      const { message, quickReplies: newQuickReplies, requiresEmail, isQualified: qualified, sources } = response.data;
 
-      // Add AI response
-      addMessage(reply, 'assistant', { requiresEmail });
+      // Add AI response with the knowledge base passages it cites
+      addMessage(message, 'assistant', { requiresEmail, sources: sources || [] });
 
       // Update state
       if (newQuickReplies) {
@@ -191,20 +345,41 @@ export const useChatStore = defineStore('chat', () => {
     quickReplies,
     userEmail,
     isQualified,
+    isMinimized,
+    email,
+    organizationName,
+    completionRate,
+    isComplete,
+    connectionStatus,
+    isTyping,
     
     // Getters
     hasActiveSession,
+    hasStarted,
     messageCount,
     lastMessage,
+    isStreaming,
     isWaitingForEmail,
     
     // Actions
     openChat,
+    toggleChat,
+    minimizeChat,
+    startChat,
     closeChat,
     sendMessage,
     submitEmail,
     selectQuickReply,
     addMessage,
+    appendMessageChunk,
+    completeStreamingMessage,
+    updateMessageStatus,
+    markMessageDelivered,
+    updateCompletionRate,
+    markSessionComplete,
+    setConnectionStatus,
+    updateTypingStatus,
+    restoreConversation,
     saveSession,
     restoreSession
   };
@@ -13,6 +13,10 @@ export default defineConfig({
       '@': fileURLToPath(new URL('./src', import.meta.url))
     }
   },
+  // The shared chat contract is a linked CommonJS package (see ../shared/chat-contract)
+  optimizeDeps: {
+    include: ['@servicevision/chat-contract']
+  },
   server: {
     port: 5173,
     proxy: {
@@ -26,6 +30,9 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: true,
+    commonjsOptions: {
+      include: [/chat-contract/, /node_modules/]
+    },
     rollupOptions: {
       output: {
         manualChunks: {
@@ -0,0 +1,17 @@
+// ServiceVision Chat Contract
+// The chat API as both sides see it: routes, request/response schemas and a
+// validator. The backend validates requests with it; contract tests on both
+// sides check their payloads against it.
+
+const { CHAT_BASE_PATH, CHAT_ROUTES, chatPath } = require('./routes');
+const { MAX_MESSAGE_LENGTH, CHAT_SCHEMAS } = require('./schemas');
+const { validate } = require('./validate');
+
+module.exports = {
+  CHAT_BASE_PATH,
+  CHAT_ROUTES,
+  CHAT_SCHEMAS,
+  MAX_MESSAGE_LENGTH,
+  chatPath,
+  validate
+};
@@ -0,0 +1,37 @@
+// Chat API Routes
+// Paths the backend serves and the frontend calls, relative to CHAT_BASE_PATH
+
+const CHAT_BASE_PATH = '/api/chat';
+
+const CHAT_ROUTES = {
+  startSession: { method: 'POST', path: '/session' },
+  sendMessage: { method: 'POST', path: '/message' },
+  getSummary: { method: 'GET', path: '/session/:sessionId/summary' }
+};
+
+/**
+ * Full URL path of a chat route with its parameters filled in
+ * @param {string} name - Key of CHAT_ROUTES
+ * @param {Object} params - Values for the route's :parameters
+ * @returns {string} e.g. /api/chat/session/abc/summary
+ */
+function chatPath(name, params = {}) {
+  const route = CHAT_ROUTES[name];
+  if (!route) {
+    throw new Error(`Unknown chat route: ${name}`);
+  }
+
+  const path = route.path.replace(/:(\w+)/g, (match, key) => {
+    if (params[key] === undefined || params[key] === null) {
+      throw new Error(`Missing ${key} for chat route ${name}`);
+    }
+    return encodeURIComponent(params[key]);
+  });
+  return `${CHAT_BASE_PATH}${path}`;
+}
+
+module.exports = {
+  CHAT_BASE_PATH,
+  CHAT_ROUTES,
+  chatPath
+};
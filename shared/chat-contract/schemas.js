@@ -0,0 +1,79 @@
+// Chat API Schemas
+// Request and response bodies of each chat route. Field rules are plain objects
+// so the schemas load anywhere without dependencies; see validate.js.
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+const sessionId = { type: 'string', required: true, min: 1, max: 100 };
+
+const source = {
+  type: 'object',
+  fields: {
+    index: { type: 'integer', required: true },
+    title: { type: 'string', required: true },
+    section: { type: 'string', nullable: true },
+    sourceUrl: { type: 'string', nullable: true }
+  }
+};
+
+const CHAT_SCHEMAS = {
+  startSession: {
+    request: {
+      email: { type: 'email' },
+      flow: { type: 'string', min: 1, max: 100 },
+      flowVersion: { type: 'integer', min: 1 }
+    },
+    response: {
+      sessionId,
+      welcomeMessage: { type: 'string', required: true },
+      flow: {
+        type: 'object',
+        required: true,
+        fields: {
+          name: { type: 'string', required: true },
+          version: { type: 'integer', required: true }
+        }
+      },
+      lead: {
+        type: 'object',
+        required: true,
+        nullable: true,
+        fields: {
+          name: { type: 'string', nullable: true },
+          organizationName: { type: 'string', nullable: true }
+        }
+      }
+    }
+  },
+
+  sendMessage: {
+    request: {
+      sessionId,
+      message: { type: 'string', required: true, min: 1, max: MAX_MESSAGE_LENGTH }
+    },
+    response: {
+      message: { type: 'string', required: true },
+      quickReplies: { type: 'array', required: true, items: { type: 'string' } },
+      completionRate: { type: 'number', required: true, min: 0, max: 1 },
+      isComplete: { type: 'boolean', required: true },
+      requiresEmail: { type: 'boolean', required: true },
+      isQualified: { type: 'boolean', required: true },
+      sources: { type: 'array', required: true, items: source }
+    }
+  },
+
+  getSummary: {
+    params: { sessionId },
+    response: {
+      sessionId,
+      summary: { type: 'string', required: true },
+      html: { type: 'string', nullable: true },
+      data: { type: 'object', nullable: true }
+    }
+  }
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CHAT_SCHEMAS
+};
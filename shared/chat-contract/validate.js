@@ -0,0 +1,87 @@
+// Schema Validation
+// Checks a body against field rules from schemas.js:
+//   type      string, email, integer, number, boolean, array or object
+//   required  must be present; nullable allows null
+//   min, max  length of strings and arrays, value of numbers
+//   items     rule for each array item; fields for the keys of an object
+// Strings are trimmed and fields the schema does not list are dropped.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  email: value => typeof value === 'string' && EMAIL_PATTERN.test(value.trim()),
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+function checkRule(rule, value, path, errors) {
+  if (value === null) {
+    if (!rule.nullable) {
+      errors.push({ path, message: `${path} must not be null` });
+    }
+    return value;
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    errors.push({ path, message: `${path} must be ${rule.type === 'email' ? 'a valid email' : `of type ${rule.type}`}` });
+    return value;
+  }
+
+  const checked = typeof value === 'string' ? value.trim() : value;
+  const size = typeof checked === 'number' ? checked : checked.length;
+  const unit = typeof checked === 'number' ? '' : ' in length';
+  if (rule.min !== undefined && size < rule.min) {
+    errors.push({ path, message: `${path} must be at least ${rule.min}${unit}` });
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    errors.push({ path, message: `${path} must be at most ${rule.max}${unit}` });
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    return checked.map((item, index) => checkRule(rule.items, item, `${path}[${index}]`, errors));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    return checkFields(rule.fields, checked, `${path}.`, errors);
+  }
+  return checked;
+}
+
+function checkFields(fields, body, prefix, errors) {
+  const value = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const path = `${prefix}${name}`;
+    if (body[name] === undefined) {
+      if (rule.required) {
+        errors.push({ path, message: `${path} is required` });
+      }
+      continue;
+    }
+    value[name] = checkRule(rule, body[name], path, errors);
+  }
+  return value;
+}
+
+/**
+ * Validate a request or response body against a schema
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {*} body - The body to check
+ * @returns {{ value: Object, errors: Array<{path: string, message: string}> }}
+ *   value holds the listed fields with strings trimmed
+ */
+function validate(schema, body) {
+  if (!TYPE_CHECKS.object(body)) {
+    return { value: {}, errors: [{ path: '', message: 'body must be an object' }] };
+  }
+
+  const errors = [];
+  const value = checkFields(schema, body, '', errors);
+  return { value, errors };
+}
+
+module.exports = {
+  validate
+};